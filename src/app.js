@@ -0,0 +1,1184 @@
+// src/app.js
+// Aplicación de Express sin levantar el servidor: src/index.js la pone a escuchar
+// y las pruebas (test/) la usan directamente con supertest.
+const express = require('express');
+const { getPrincipal, getEmpresaDeSucursal } = require('./db');
+const { almacenesDeEmpresa, columnasExistencia } = require('./config/sucursales');
+const { processExistencias, agregarExistenciasOtrasEmpresas } = require('./repositories/existenciasRepository');
+const {
+  enrichWithUltimoCosto,
+  enrichWithUltimoCosto2,
+  enrichWithPrecios,
+  enrichWithUltimoProveedorQro
+} = require('./repositories/enriquecimientoRepository');
+const { buscarProductos } = require('./services/busquedaProductos');
+const { columnasSelect, agruparPorPosicion, columna } = require('./config/atributos');
+const {
+  columna: columnaConsulta, texto, recortado, numeroDeTexto, igual, en, rango, condicion, donde, ordenar, paginar
+} = require('./db/consulta');
+const cors = require('cors');
+const dashboardRoutes = require('./routes/dashboard');
+const dashboardCobranza = require('./routes/cobranza');
+const rutasProveedores = require('./routes/proveedores');
+const rutasCatalogos = require('./routes/catalogos');
+const rutasInventarios = require('./routes/inventarios');
+const rutasDashboardInventarios = require('./routes/dashboardInventarios');
+const rutasClientes = require('./routes/clientes');
+const rutasDashboardCompras = require('./routes/dashboardCompras');
+const rutasBusqueda = require('./routes/busqueda');
+const rutasAdmin = require('./routes/admin');
+const rutasDocs = require('./routes/docs');
+const rutasSalud = require('./routes/salud');
+const { esFecha, validarContraOpenApi } = require('./middlewares/validacion');
+const { autenticar, autorizar } = require('./middlewares/autenticacion');
+const { limitarPeticiones } = require('./middlewares/limites');
+const { cacheRespuesta } = require('./middlewares/cache');
+const { formatoStreaming, leerPorLotes, enviarPorLotes } = require('./services/exportacion');
+const { solicitaExcel, enviarLibro } = require('./services/excel');
+const { ErrorPeticion, ErrorNoEncontrado, manejadorErrores, rutaNoEncontrada } = require('./errores');
+const { medirPeticiones, exponerMetricas } = require('./middlewares/metricas');
+const { marcarDatosParciales } = require('./middlewares/datosParciales');
+const { asignarIdPeticion, registrarAccesos } = require('./middlewares/registro');
+const { auditarAccesos } = require('./middlewares/auditoria');
+const { versionarRutas } = require('./middlewares/versiones');
+
+const principal = getPrincipal();     // Empresa 02
+
+const app = express();
+
+const corsOptions = {
+  origin: '*',
+  methods: 'GET,HEAD,PUT,PATCH,POST,DELETE', // Permite todos los métodos necesarios
+  credentials: true, // Si necesitas enviar cookies o cabeceras de autorización
+};
+
+// Id de correlación (X-Request-Id) para todas las peticiones, incluidas las rechazadas
+app.use(asignarIdPeticion);
+
+// Registro de acceso en JSON (quién entra, con qué resultado y cuánto tarda), también de las rechazadas
+app.use(registrarAccesos);
+
+app.use(cors(corsOptions));
+
+// Rutas /api/v1 sobre los manejadores actuales y cabeceras Deprecation/Sunset en las rutas anteriores
+// (tabla en src/docs/versiones.js). Va antes de todo lo que usa la plantilla de la ruta.
+app.use(versionarRutas);
+
+// 0. Métricas de Prometheus: se miden todas las peticiones, incluidas las rechazadas (sin API Key)
+app.use(medirPeticiones);
+app.get('/metrics', exponerMetricas);
+
+// 1. Liveness/readiness para el supervisor de procesos y el monitoreo (sin API Key)
+app.use('/health', rutasSalud);
+
+// 2. Identificación del cliente por su API Key (registro en src/config/clientesApi.js)
+app.use(autenticar);
+
+// Middleware para parsear JSON en las solicitudes (aunque no lo necesitemos para solo lectura, es una buena práctica)
+app.use(express.json());
+
+// 3. Scope de la ruta y sucursales permitidas para el cliente
+app.use(autorizar);
+
+// 4. Límite de peticiones por minuto y cupo de consultas simultáneas del cliente (429 + Retry-After)
+app.use(limitarPeticiones);
+
+// Respuestas armadas sin alguna empresa (ej. Fresnillo caída): fuentes_no_disponibles y X-Fuentes-No-Disponibles
+app.use(marcarDatosParciales);
+
+// Registro de auditoría de las rutas con datos fiscales y financieros (x-auditoria en docs/openapi.js)
+app.use(auditarAccesos);
+
+// 5. Validación de parámetros y cuerpos contra el documento OpenAPI (src/docs/openapi.js)
+app.use(validarContraOpenApi);
+
+app.use('/api/docs', rutasDocs);
+
+app.use('/api/catalogos', rutasCatalogos);
+
+app.use('/api/dashboard', dashboardRoutes);
+
+app.use('/api/dashboard', dashboardCobranza);
+
+app.use('/api', rutasProveedores);
+
+app.use('/api', rutasInventarios);
+
+app.use('/api/dashboard-inventarios', rutasDashboardInventarios);
+
+app.use('/api/clientes', rutasClientes);
+
+app.use('/api/dashboard-compras', rutasDashboardCompras);
+
+app.use('/api/busqueda', rutasBusqueda);
+
+app.use('/api/admin', rutasAdmin);
+
+// Endpoint de prueba
+app.get('/', (req, res) => {
+  res.send('API de solo lectura para Firebird está en funcionamiento!');
+});
+
+// Endpoint para obtener la existencia de un producto por almacén
+app.get('/existenciaalm/:clave', async (req, res, next) => {
+  const { clave } = req.params;
+
+  // Consulta SQL para obtener todos los registros de MULT02 para una clave específica
+  const sql = `
+    SELECT
+      CVE_ART,
+      CVE_ALM,
+      EXIST
+    FROM
+      ${principal.tabla('MULT')}
+    WHERE
+      CVE_ART = ?
+    ORDER BY
+      CVE_ALM;
+  `;
+
+  try {
+    // Nota: El conector node-firebird usa un array para los parámetros [clave]
+    const existencias = await principal.query(sql, [clave]);
+
+    if (existencias.length === 0) {
+      // Devolvemos un 404 si el producto no tiene registros de existencia en MULT02
+      return next(new ErrorNoEncontrado('No se encontraron registros de existencia para la clave de producto especificada.', {
+        detalle: `La clave ${clave} no tiene registros en ${principal.tabla('MULT')}.`
+      }));
+    }
+
+    // Devolvemos el array de existencias (una fila por almacén)
+    res.json(existencias);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Endpoint POST para existencias de varias claves en los almacenes de la empresa principal
+app.post('/existencias-masiva-filtrada', async (req, res, next) => {
+  const claves = req.body.claves;
+
+  if (!Array.isArray(claves) || claves.length === 0) {
+    return next(new ErrorPeticion('Se requiere un arreglo no vacío de claves de producto.'));
+  }
+
+  // 1. Crear una cadena de placeholders '?' para la cláusula IN
+  // Esto previene inyecciones SQL (SQL Injection).
+  const placeholders = claves.map(() => '?').join(', ');
+
+  // 2. Consulta SQL con doble filtro: por las claves enviadas Y por almacén (1 y 6)
+  const sql = `
+    SELECT
+      CVE_ART,
+      CVE_ALM,
+      EXIST
+    FROM
+      ${principal.tabla('MULT')}
+    WHERE
+      CVE_ART IN (${placeholders}) AND CVE_ALM IN (${almacenesDeEmpresa(principal.id).join(', ')})
+    ORDER BY
+      CVE_ART, CVE_ALM;
+  `;
+
+  try {
+    // 3. Ejecutar la consulta pasando el arreglo de claves como parámetros
+    const existencias = await principal.query(sql, claves);
+    res.json(existencias);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Endpoint para obtener todos los productos
+app.get('/productos', async (req, res, next) => {
+  const sql = 'SELECT * FROM PRODUCTOS';
+  try {
+    const productos = await principal.query(sql);
+    res.json(productos);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Endpoint consolidado para obtener todos los datos de un solo producto, este
+//es el que se utiliza para ProductDetailPage
+app.get('/inventariocompleto/:clave', async (req, res, next) => {
+  const { clave } = req.params;
+
+  const sql = `
+    SELECT
+      T1.CVE_ART,
+      T1.DESCR,
+      T1.FCH_ULTCOM,
+      T1.ULT_COSTO,
+      COALESCE(T2_AGGR.EXISTENCIA, 0) AS EXISTENCIA, -- Existencia de subconsulta
+      T3_AGGR.PRECIO -- Precio de subconsulta
+    FROM
+      ${principal.tabla('INVE')} T1
+    LEFT JOIN
+      -- SUBQUERY 1: AGREGACIÓN DE EXISTENCIAS (Garantiza 1 fila por producto)
+      (
+        SELECT
+          CVE_ART,
+          SUM(EXIST) AS EXISTENCIA
+        FROM
+          ${principal.tabla('MULT')}
+        WHERE
+          CVE_ALM IN (${almacenesDeEmpresa(principal.id, { soloTotales: true }).join(', ')})
+        GROUP BY
+          CVE_ART
+      ) T2_AGGR ON T1.CVE_ART = T2_AGGR.CVE_ART
+    LEFT JOIN
+      -- SUBQUERY 2: EXTRACCIÓN DE PRECIO (Garantiza 1 fila por producto)
+      (
+        SELECT
+          CVE_ART,
+          PRECIO
+        FROM
+          ${principal.tabla('PRECIO_X_PROD')}
+        WHERE
+          CVE_PRECIO = 1
+      ) T3_AGGR ON T1.CVE_ART = T3_AGGR.CVE_ART
+    WHERE
+      T1.CVE_ART = ?  -- FILTRO POR CLAVE ÚNICA
+    GROUP BY
+      T1.CVE_ART,
+      T1.DESCR,
+      T1.FCH_ULTCOM,
+      T1.ULT_COSTO,
+      T2_AGGR.EXISTENCIA,
+      T3_AGGR.PRECIO;
+  `;
+
+  try {
+    const resultado = await principal.query(sql, [clave]);
+
+    // ... (rest of the logic remains the same)
+    if (resultado.length === 0) {
+      return next(new ErrorNoEncontrado('Producto no encontrado en la base de datos de Firebird.'));
+    }
+
+    res.json(resultado[0]);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Endpoint para obtener un producto por su ID
+app.get('/productos/:id', async (req, res, next) => {
+  const { id } = req.params;
+  const sql = 'SELECT * FROM PRODUCTOS WHERE ID = ?';
+  try {
+    const producto = await principal.query(sql, [id]);
+    if (producto.length > 0) {
+      res.json(producto[0]);
+    } else {
+      next(new ErrorNoEncontrado('Producto no encontrado.'));
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+
+// Endpoint para obtener información detallada de productos (caché 5 min)
+// Acepta Accept: application/x-ndjson | text/csv (o ?formato=) para descargar en streaming
+app.get('/productos-detallado', cacheRespuesta(300), async (req, res, next) => {
+  // filtroLote/paginado sólo se usan en la descarga por lotes (paginación por CVE_ART)
+  const sqlDetallado = (filtroLote = '', paginado = '') => `
+    SELECT
+      T1.CVE_ART,
+      T1.DESCR,
+      T1.LIN_PROD,
+      T1.FCH_ULTCOM,
+      T1.ULT_COSTO,
+      T1.STATUS,
+      T1.CVE_UNIDAD,
+      -- Usamos COALESCE para asegurar que si no hay registros de stock, EXISTENCIA sea 0 en lugar de NULL
+      COALESCE(T2_AGGR.EXISTENCIA, 0) AS EXISTENCIA, 
+      T3_AGGR.PRECIO
+    FROM
+      ${principal.tabla('INVE')} T1
+    LEFT JOIN
+      -- SUBQUERY 1: Agregación de Existencias (MULT02)
+      (
+        SELECT
+          CVE_ART,
+          SUM(EXIST) AS EXISTENCIA
+        FROM
+          ${principal.tabla('MULT')}
+        WHERE
+          CVE_ALM IN (${almacenesDeEmpresa(principal.id, { soloTotales: true }).join(', ')}) -- Sólo sucursales que suman existencia
+        GROUP BY
+          CVE_ART
+      ) T2_AGGR ON T1.CVE_ART = T2_AGGR.CVE_ART
+    LEFT JOIN
+      -- SUBQUERY 2: Extracción de Precio Específico (PRECIO_X_PROD02)
+      (
+        SELECT
+          CVE_ART,
+          PRECIO
+        FROM
+          ${principal.tabla('PRECIO_X_PROD')}
+        WHERE
+          CVE_PRECIO = 1 -- Filtrar SOLO el precio tipo 1
+      ) T3_AGGR ON T1.CVE_ART = T3_AGGR.CVE_ART
+    WHERE
+      T1.STATUS = 'A' ${filtroLote}
+    ORDER BY
+      T1.CVE_ART ${paginado};
+  `;
+
+  const formato = formatoStreaming(req);
+  if (formato) {
+    const lotes = leerPorLotes((ultimo, tamano) => ultimo
+      ? principal.query(sqlDetallado('AND T1.CVE_ART > ?', 'ROWS ?'), [ultimo.CVE_ART, tamano])
+      : principal.query(sqlDetallado('', 'ROWS ?'), [tamano]));
+    return enviarPorLotes(res, { formato, lotes, nombreArchivo: 'productos-detallado' });
+  }
+
+  try {
+    const productos = await principal.query(sqlDetallado());
+    res.json(productos);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Nuevo Endpoint para obtener solo precios
+app.get('/precios', async (req, res, next) => {
+  // Opcional: Implementa paginación aquí también si tienes muchos precios
+  const limit = parseInt(req.query.limit) || 1000;
+  const offset = parseInt(req.query.offset) || 0;
+
+  const sql = `
+    SELECT
+      CVE_ART,
+      PRECIO
+    FROM
+      ${principal.tabla('PRECIO_X_PROD')}
+    WHERE
+      CVE_PRECIO = 1
+    ORDER BY
+      CVE_ART;
+  `;
+
+
+  try {
+    const precios = await principal.query(sql);
+    res.json(precios);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Catálogo de familias (caché 30 min, cambia muy poco)
+app.get('/familias', cacheRespuesta(1800), async (req, res, next) => {
+  // Lista de familias a excluir
+  const excluir = [
+    'ACC. ANCLAJE', 'ADHES', 'AJUSTADOR', 'ANILLO', 'BARRA', 'BUJE',
+    'COMP. SIST. HIDR.', 'COMPRESOR', 'CONEXIONES', 'COPA', 'COPA PISTON',
+    'DRING', 'EMBOLOS', 'ESTOPEROS', 'ESTUC', 'HERRAM', 'KIT', 'LUBRIC',
+    'MANGUERAS', 'SELLO MECANICO', 'SUJETADOR', 'TAPAS', 'TUBO'
+  ];
+
+  // Generamos los placeholders (?, ?, ...) para la consulta
+  const placeholders = excluir.map(() => '?').join(', ');
+
+  // /familias expone la categoría e-commerce (CAT_ECOMM) con el nombre FAMILIA que esperan los frontends
+  const sql = `
+    SELECT DISTINCT
+      ${columna('CAT_ECOMM')} AS FAMILIA
+    FROM
+      ${principal.tabla('INVE_CLIB')}
+    WHERE
+      ${columna('CAT_ECOMM')} IS NOT NULL 
+      AND ${columna('CAT_ECOMM')} <> ''
+      AND UPPER(TRIM(${columna('CAT_ECOMM')})) NOT IN (${placeholders})
+    ORDER BY
+      FAMILIA;
+  `;
+
+  try {
+    // Pasamos el array de exclusión como parámetros para mayor seguridad
+    const familias = await principal.query(sql, excluir);
+
+    res.json(familias);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/familias2', cacheRespuesta(1800), async (req, res, next) => {
+  // Lista de familias a excluir
+  const excluir = [
+    'ACC. ANCLAJE', 'ADHES', 'AJUSTADOR', 'ANILLO', 'BARRA', 'BUJE',
+    'COMP. SIST. HIDR.', 'COMPRESOR', 'CONEXIONES', 'COPA', 'COPA PISTON',
+    'DRING', 'EMBOLOS', 'ESTOPEROS', 'ESTUC', 'HERRAM', 'KIT', 'LUBRIC',
+    'MANGUERAS', 'SELLO MECANICO', 'SUJETADOR', 'TAPAS', 'TUBO'
+  ];
+
+  // Generamos los placeholders (?, ?, ...) para la consulta
+  const placeholders = excluir.map(() => '?').join(', ');
+
+  // /familias2 expone la familia comercial (FAMILIA)
+  const sql = `
+    SELECT DISTINCT
+      ${columna('FAMILIA')} AS FAMILIA
+    FROM
+      ${principal.tabla('INVE_CLIB')}
+    WHERE
+      ${columna('FAMILIA')} IS NOT NULL 
+      AND ${columna('FAMILIA')} <> ''
+      AND UPPER(TRIM(${columna('FAMILIA')})) NOT IN (${placeholders})
+    ORDER BY
+      FAMILIA;
+  `;
+
+  try {
+    // Pasamos el array de exclusión como parámetros para mayor seguridad
+    const familias = await principal.query(sql, excluir);
+
+    res.json(familias);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Nuevo Endpoint para obtener las existencias de MULT02 (caché 1 min)
+// Acepta Accept: application/x-ndjson | text/csv (o ?formato=) para descargar en streaming
+app.get('/existencias', cacheRespuesta(60), async (req, res, next) => {
+  const sqlExistencias = (filtroLote = '', paginado = '') => `
+    SELECT
+      CVE_ART,
+      CVE_ALM,
+      EXIST
+    FROM
+      ${principal.tabla('MULT')}
+    WHERE
+      CVE_ALM IN (${almacenesDeEmpresa(principal.id).join(', ')}) ${filtroLote}
+    ORDER BY
+      CVE_ART, CVE_ALM ${paginado};
+  `;
+
+  const formato = formatoStreaming(req);
+  if (formato) {
+    // La clave de paginación es (CVE_ART, CVE_ALM), igual que el ORDER BY
+    const lotes = leerPorLotes((ultimo, tamano) => ultimo
+      ? principal.query(
+        sqlExistencias('AND (CVE_ART > ? OR (CVE_ART = ? AND CVE_ALM > ?))', 'ROWS ?'),
+        [ultimo.CVE_ART, ultimo.CVE_ART, ultimo.CVE_ALM, tamano]
+      )
+      : principal.query(sqlExistencias('', 'ROWS ?'), [tamano]));
+    return enviarPorLotes(res, { formato, lotes, nombreArchivo: 'existencias' });
+  }
+
+  try {
+    const existencias = await principal.query(sqlExistencias());
+    res.json(existencias);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Nuevo Endpoint para obtener la información base de INVE02 (DESCR, FCH_ULTCOM, ULT_COSTO), enriquecida con PERFIL (campo libre)
+app.get('/inventario', async (req, res, next) => {
+  const sql = `
+    SELECT
+      T1.CVE_ART,
+      T1.DESCR,
+      T1.FCH_ULTCOM,
+      T1.ULT_COSTO,
+      T1.UNI_MED,
+      ${columnasSelect('T4', ['PERFIL'])}  -- Campo obtenido de la tabla INVE_CLIB02
+    FROM
+      ${principal.tabla('INVE')} T1
+    LEFT JOIN
+      ${principal.tabla('INVE_CLIB')} T4 ON T1.CVE_ART = T4.CVE_PROD -- Unión para obtener campos libres
+    WHERE
+      T1.STATUS = 'A'
+    ORDER BY
+      T1.CVE_ART;
+  `;
+
+  try {
+    const inventario = await principal.query(sql);
+    res.json(inventario);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Endpoint para obtener información de productos con sus claves alternas y proveedores
+app.get('/clavesalternas', async (req, res, next) => {
+  // Consulta SQL para combinar INVE02, CVES_ALTER02, PROV02 y AHORA INVE_CLIB02
+  const sql = `
+    SELECT
+      T1.CVE_ART,         -- Clave de Producto (INVE02)
+      T1.DESCR,           -- Descripción (INVE02)
+      T1.UNI_MED,         -- Unidad de Medida (INVE02)
+      T1.FCH_ULTCOM,      -- Fecha Última Compra (INVE02)
+      T1.ULT_COSTO,       -- Último Costo (INVE02)
+      T2.CVE_ALTER,       -- Clave Alterna (CVES_ALTER02)
+      T2.CVE_CLPV,        -- Clave de Proveedor (CVES_ALTER02)
+      T3.NOMBRE,          -- Nombre del Proveedor (PROV02)
+      -- Nuevos campos de INVE_CLIB02 T4
+      ${columnasSelect('T4')}
+    FROM
+      ${principal.tabla('INVE')} T1 -- Tabla Principal: Productos
+    LEFT JOIN
+      ${principal.tabla('CVES_ALTER')} T2 -- JOIN 1: Claves Alternas
+      ON T1.CVE_ART = T2.CVE_ART
+    LEFT JOIN
+      ${principal.tabla('PROV')} T3 -- JOIN 2: Proveedores
+      ON T2.CVE_CLPV = T3.CLAVE
+    LEFT JOIN
+      ${principal.tabla('INVE_CLIB')} T4 -- <--- ¡NUEVO JOIN para campos libres!
+      ON T1.CVE_ART = T4.CVE_PROD
+    WHERE
+      T2.TIPO = 'P' -- Filtro requerido: Solo claves alternas de TIPO "P" (Proveedor)
+    ORDER BY
+      T1.CVE_ART, T2.CVE_ALTER;
+  `;
+
+  try {
+    const resultados = await principal.query(sql);
+    res.json(resultados);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Adaptadores de los buscadores históricos sobre la búsqueda unificada (services/busquedaProductos.js).
+ * Conservan parámetros y forma de respuesta; para nuevos desarrollos usar GET /api/busqueda.
+ */
+
+// Coincidencia parcial en clave, claves alternas, descripción y descripción e-commerce (sin paginar)
+app.get('/clavesalternas/search', async (req, res, next) => {
+  const { query, SUCURSAL } = req.query;
+  const searchTerm = query ? query.toUpperCase().trim() : '';
+
+  // Este buscador usa SUCURSAL como lista de precios de la Empresa 02
+  const cvePrecio = SUCURSAL ? SUCURSAL.toString() : '1';
+
+  if (!searchTerm) {
+    return next(new ErrorPeticion('Debes proporcionar un término de búsqueda.'));
+  }
+
+  try {
+    const { data } = await buscarProductos({
+      termino: searchTerm,
+      modos: ['contiene', 'alterna', 'descripcion', 'ecommerce'],
+      soloActivos: false,
+      usarIndice: false, // Conserva la coincidencia SQL original
+      limite: null,
+      incluir: ['precios', 'existencias_otras_empresas'],
+      listaPrecios: cvePrecio
+    });
+    res.json(data);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Clave exacta, clave alterna o descripción (sin paginar)
+app.get('/clavesalternas/search2', async (req, res, next) => {
+  const { query, SUCURSAL } = req.query;
+  const searchTerm = query ? query.toUpperCase().trim() : '';
+  const cvePrecio = SUCURSAL ? SUCURSAL.toString() : '1';
+
+  if (!searchTerm) return next(new ErrorPeticion('Query requerido'));
+
+  try {
+    const { data } = await buscarProductos({
+      termino: searchTerm,
+      modos: ['clave', 'alterna', 'descripcion'],
+      soloActivos: false,
+      usarIndice: false, // Conserva la coincidencia SQL original
+      limite: null,
+      incluir: ['precios', 'existencias_otras_empresas'],
+      listaPrecios: cvePrecio
+    });
+    res.json(data); // Estructura original: devuelve el array directamente
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Clave parcial de productos activos con los datos técnicos de /catalogo (primeros 20)
+app.get('/clavesalternas/search3', async (req, res, next) => {
+  const q = req.query.q || req.query.query;
+
+  if (!q || q.length < 2) {
+    return res.json([]);
+  }
+
+  try {
+    const { data } = await buscarProductos({
+      termino: q,
+      modos: ['contiene'],
+      usarIndice: false, // Conserva la coincidencia SQL original
+      limite: 20,
+      incluir: ['precios', 'ultimo_costo', 'proveedor_qro', 'existencias_otras_empresas']
+    });
+    res.json(data);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Familias e-commerce que el catálogo trata como una sola (los filtros v2 buscan ambas)
+const FAMILIAS_UNIFICADAS = ['SELLOS U', 'SELLOS DE VASTAGO'];
+
+/**
+ * Filtro de familia (CAT_ECOMM) de los endpoints v2, con la unificación de sellos.
+ */
+const filtroFamiliaUnificada = (familia) => {
+  const limpioFamilia = (familia || '').trim().toUpperCase();
+  return FAMILIAS_UNIFICADAS.includes(limpioFamilia)
+    ? en(texto('CAT_ECOMM', 'T4'), FAMILIAS_UNIFICADAS)
+    : igual(texto('CAT_ECOMM', 'T4'), limpioFamilia);
+};
+
+/**
+ * Respuesta común de los endpoints de catálogo filtrado: conteo, página de productos (ver db/consulta.js),
+ * precios, último costo y existencias por sucursal.
+ * @param {{ sql: string, params: Array }} filtros Resultado de donde().
+ * @param {{ ultimoProveedor?: boolean }} [opciones] ultimoProveedor agrega el último proveedor de Querétaro.
+ */
+const responderCatalogo = async (req, res, filtros, { ultimoProveedor = true } = {}) => {
+  const { lista_precios, SUCURSAL } = req.query;
+  const pagina = paginar(req.query, { limite: 10 });
+
+  const countSql = `SELECT COUNT(DISTINCT T1.CVE_ART) AS TOTAL FROM ${principal.tabla('INVE')} T1 LEFT JOIN ${principal.tabla('INVE_CLIB')} T4 ON T1.CVE_ART = T4.CVE_PROD ${filtros.sql}`;
+  const countRes = await principal.query(countSql, filtros.params);
+  const totalRecords = countRes[0]?.TOTAL || 0;
+
+  const dataSql = `
+    SELECT
+        T1.CVE_ART, T1.DESCR, T1.UNI_MED, T1.FCH_ULTCOM, 
+        T1.ULT_COSTO AS COSTO_PROM, T1.LIN_PROD,
+        ${columnasSelect('T4')},
+        ${columnasExistencia(principal.id, 'T6')}
+    FROM ${principal.tabla('INVE')} T1
+    LEFT JOIN ${principal.tabla('INVE_CLIB')} T4 ON T1.CVE_ART = T4.CVE_PROD
+    LEFT JOIN ${principal.tabla('MULT')} T6 ON T1.CVE_ART = T6.CVE_ART
+    ${filtros.sql}
+    ${agruparPorPosicion(6)}
+    ${ordenar(columnaConsulta('CVE_ART', 'T1'))}
+    ${pagina.sql}
+  `;
+
+  let dataResult = await principal.query(dataSql, [...filtros.params, ...pagina.params]);
+  dataResult = await enrichWithPrecios(dataResult, SUCURSAL, lista_precios);
+  dataResult = await enrichWithUltimoCosto(dataResult);
+  if (ultimoProveedor) {
+    dataResult = await enrichWithUltimoProveedorQro(dataResult);  //se agrega último proveedor para ver si es el 46
+  }
+
+  // Inyección de existencias de sucursales en otras empresas (Fresnillo)
+  dataResult = await agregarExistenciasOtrasEmpresas(dataResult);
+
+  res.json({
+    data: processExistencias(dataResult),
+    pagination: {
+      currentPage: pagina.pagina,
+      totalPages: Math.ceil(totalRecords / pagina.limite),
+      totalRecords,
+      limit: pagina.limite
+    }
+  });
+};
+
+app.get('/clavesalternas/filter-ranges', async (req, res, next) => {
+  const { 
+    familia, linea, perfil,
+    diam_int_min, diam_int_max, diam_ext_min, diam_ext_max, altura_min, altura_max
+  } = req.query;
+
+  try {
+    const filtros = donde(
+      // Rangos dimensionales
+      rango(numeroDeTexto('DIAM_INT', 'T4'), { min: diam_int_min, max: diam_int_max }),
+      rango(numeroDeTexto('DIAM_EXT', 'T4'), { min: diam_ext_min, max: diam_ext_max }),
+      rango(numeroDeTexto('ALTURA', 'T4'), { min: altura_min, max: altura_max }),
+      // Familia -> CAT_ECOMM, Perfil -> PERFIL, Línea -> LIN_PROD
+      igual(texto('CAT_ECOMM', 'T4'), familia),
+      igual(texto('PERFIL', 'T4'), perfil),
+      igual(texto('LIN_PROD', 'T1'), linea)
+    );
+
+    await responderCatalogo(req, res, filtros);
+  } catch (error) {
+    next(error);
+  }
+});
+
+
+app.get('/clavesalternas/filter', async (req, res, next) => {
+  const { familia, linea, perfil, diam_int, diam_ext, altura, seccion } = req.query;
+
+  try {
+    const filtros = donde(
+      // 1. Filtros dimensionales (Exactos/Cercanos)
+      igual(numeroDeTexto('DIAM_INT', 'T4'), diam_int, { tolerancia: 0.001 }),
+      igual(numeroDeTexto('DIAM_EXT', 'T4'), diam_ext, { tolerancia: 0.001 }),
+      igual(numeroDeTexto('ALTURA', 'T4'), altura, { tolerancia: 0.001 }),
+      igual(numeroDeTexto('SECCION', 'T4'), seccion, { tolerancia: 0.001 }),
+      // 2. Familia (categoría e-commerce, CAT_ECOMM), 3. Perfil y 4. Línea (LIN_PROD)
+      igual(texto('CAT_ECOMM', 'T4'), familia),
+      igual(texto('PERFIL', 'T4'), perfil),
+      igual(texto('LIN_PROD', 'T1'), linea)
+    );
+
+    await responderCatalogo(req, res, filtros);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * ==========================================
+ * ENDPOINTS VERSION 2.0 (SOPORTE MULTI-PERFIL)
+ * ==========================================
+ */
+
+/**
+ * 2. GET /api/clavesalternas/filter-ranges-v2
+ * Búsqueda Acotada por Rangos para Equivalencias.
+ * Evalúa estrictamente Familia, Sistema de Medición, y rangos de Diámetro Interior y Exterior.
+ */
+app.get('/api/clavesalternas/filter-ranges-v2', async (req, res, next) => {
+  const { familia, sist_med, diam_int_min, diam_int_max, diam_ext_min, diam_ext_max } = req.query;
+
+  try {
+    const filtros = donde(
+      // 1. Rangos dimensionales acotados exclusivamente a DI y DE
+      rango(numeroDeTexto('DIAM_INT', 'T4'), { min: diam_int_min, max: diam_int_max }),
+      rango(numeroDeTexto('DIAM_EXT', 'T4'), { min: diam_ext_min, max: diam_ext_max }),
+      // 2. Familia (CAT_ECOMM) con Unificación de Sellos
+      filtroFamiliaUnificada(familia),
+      // 3. Sistema de Medición (SIST_MED), capturado en minúsculas
+      igual(recortado('SIST_MED', 'T4'), sist_med?.toLowerCase())
+    );
+
+    await responderCatalogo(req, res, filtros);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/clavesalternas/filter-v2
+ * Búsqueda Estricta de Productos.
+ * Evalúa coincidencias exactas de dimensiones, perfiles y líneas, 
+ * con soporte para unificación de familias y múltiples perfiles.
+ */
+app.get('/api/clavesalternas/filter-v2', async (req, res, next) => {
+  const { familia, sist_med, linea, perfil, diam_int, diam_ext, altura, seccion } = req.query;
+
+  try {
+    const filtros = donde(
+      // 1. Familia (CAT_ECOMM) con Unificación de Sellos
+      filtroFamiliaUnificada(familia),
+      // 2. Sistema de Medición (SIST_MED) blindado a minúsculas
+      igual(recortado('SIST_MED', 'T4'), sist_med?.toLowerCase()),
+      // 3. Línea (LIN_PROD)
+      igual(texto('LIN_PROD', 'T1'), linea),
+      // 4. Múltiples Perfiles separados por coma
+      en(texto('PERFIL', 'T4'), (perfil || '').split(',')),
+      // 5. Filtros Dimensionales Exactos (DI, DE, ALT, SEC), coma decimal -> punto
+      igual(numeroDeTexto('DIAM_INT', 'T4'), diam_int),
+      igual(numeroDeTexto('DIAM_EXT', 'T4'), diam_ext),
+      igual(numeroDeTexto('ALTURA', 'T4'), altura),
+      igual(numeroDeTexto('SECCION', 'T4'), seccion)
+    );
+
+    await responderCatalogo(req, res, filtros);
+  } catch (error) {
+    next(error);
+  }
+});
+
+
+app.get('/clavesalternas/catalogo', async (req, res, next) => {
+  const { lista_precios, SUCURSAL } = req.query;
+
+  // Determinar tabla de precios para el filtro inicial (nombre de la lista permitida de db/index.js)
+  const priceTable = (getEmpresaDeSucursal(SUCURSAL) || principal).tabla('PRECIO_X_PROD');
+  const cveLista = lista_precios ? lista_precios.toString() : '4';
+
+  try {
+    // FILTROS: 
+    // 1. CAT_ECOMM no sea NULL
+    // 2. Tenga Costo > 0 O tenga Precio > 0 en la lista seleccionada
+    const filtros = donde(
+      condicion(`${columna('CAT_ECOMM', 'T4')} IS NOT NULL`),
+      condicion(
+        `(T1.ULT_COSTO > 0 OR EXISTS (SELECT 1 FROM ${priceTable} P WHERE P.CVE_ART = T1.CVE_ART AND TRIM(P.CVE_PRECIO) = CAST(? AS VARCHAR(10)) AND P.PRECIO > 0))`,
+        cveLista
+      )
+    );
+
+    await responderCatalogo(req, res, filtros, { ultimoProveedor: false });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/clavesalternas/catalogo/:clave', async (req, res, next) => {
+  const { clave } = req.params;
+  const { lista_precios, SUCURSAL } = req.query;
+
+  try {
+    const sql = `
+      SELECT
+          T1.CVE_ART, T1.DESCR, T1.UNI_MED, T1.FCH_ULTCOM, 
+          T1.ULT_COSTO AS COSTO_PROM, T1.LIN_PROD,
+          ${columnasSelect('T4')},
+          ${columnasExistencia(principal.id, 'T6')}
+      FROM ${principal.tabla('INVE')} T1
+      LEFT JOIN ${principal.tabla('INVE_CLIB')} T4 ON T1.CVE_ART = T4.CVE_PROD
+      LEFT JOIN ${principal.tabla('MULT')} T6 ON T1.CVE_ART = T6.CVE_ART
+      WHERE T1.CVE_ART = ?
+      ${agruparPorPosicion(6)}
+    `;
+
+    let dataResult = await principal.query(sql, [clave]);
+
+    if (dataResult.length === 0) {
+      return next(new ErrorNoEncontrado('Producto no encontrado.'));
+    }
+
+    // Enriquecimiento (Precios, Último Costo y Existencia Empresa 3)
+    dataResult = await enrichWithPrecios(dataResult, SUCURSAL, lista_precios);
+    dataResult = await enrichWithUltimoCosto(dataResult);
+
+    dataResult = await agregarExistenciasOtrasEmpresas(dataResult);
+
+    const finalData = processExistencias(dataResult);
+    res.json(finalData[0]);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Endpoint para obtener datos internos de productos específicos por claves
+//Se utiliza en la tienda, es llamado por /envios/surtir para informar a quien surtirá
+//un pedido, dónde se compró la última vez un producto y en cuánto. También informa en qué
+//sucursales hay existencia.
+app.post('/envios/datos-internos', async (req, res, next) => {
+  //recibe las claves en un arreglo
+  const { claves, lista_precios, SUCURSAL } = req.body;
+  
+  // Validación: debe recibir un arreglo de claves
+  if (!Array.isArray(claves) || claves.length === 0) {
+    return next(new ErrorPeticion('Se requiere un arreglo no vacío de claves de producto.'));
+  }
+
+  // Limitar el número de claves por seguridad (ej. máximo 100)
+  if (claves.length > 100) {
+    return next(new ErrorPeticion('Demasiadas claves. Máximo permitido: 100.'));
+  }
+
+  try {
+    // Crear placeholders para la cláusula IN
+    const placeholders = claves.map(() => '?').join(', ');
+    
+    // Consulta principal: datos de productos específicos
+    const sql = `
+      SELECT 
+        T1.CVE_ART, 
+        T1.DESCR, 
+        T1.UNI_MED, 
+        T1.FCH_ULTCOM, 
+        T1.ULT_COSTO AS COSTO_PROM, 
+        T1.LIN_PROD,
+        ${columnasSelect('T4')},
+        ${columnasExistencia(principal.id, 'T6')}
+      FROM ${principal.tabla('INVE')} T1
+      LEFT JOIN ${principal.tabla('INVE_CLIB')} T4 ON T1.CVE_ART = T4.CVE_PROD
+      LEFT JOIN ${principal.tabla('MULT')} T6 ON T1.CVE_ART = T6.CVE_ART
+      WHERE T1.CVE_ART IN (${placeholders})
+      ${agruparPorPosicion(6)}
+      ORDER BY T1.CVE_ART;
+    `;
+
+    // Ejecutar consulta con las claves
+    let dataResult = await principal.query(sql, claves);
+    
+    // Verificar si se encontraron productos
+    if (dataResult.length === 0) {
+      return next(new ErrorNoEncontrado('No se encontraron productos con las claves proporcionadas.'));
+    }
+
+    // Enriquecer con precios (misma lógica que filter)
+    dataResult = await enrichWithPrecios(dataResult, SUCURSAL, lista_precios);
+    
+    // Enriquecer con último costo y proveedor
+    dataResult = await enrichWithUltimoCosto(dataResult);
+
+    // Enriquecer con existencias de sucursales en otras empresas (Fresnillo)
+    dataResult = await agregarExistenciasOtrasEmpresas(dataResult);
+
+    // Procesar existencias a formato de objeto
+    const processedData = processExistencias(dataResult);
+
+    // Responder con los datos
+    res.json({
+      success: true,
+      count: processedData.length,
+      data: processedData,
+      metadata: {
+        claves_solicitadas: claves.length,
+        claves_encontradas: processedData.length,
+        lista_precios: lista_precios || '4',
+        sucursal: SUCURSAL || '1'
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Endpoint para análisis de precios sin paginación
+// Acepta Accept: application/x-ndjson | text/csv (o ?formato=) para descargar en streaming
+app.get('/clavesalternas/analisis-precios', async (req, res, next) => {
+  // 1. Consulta SQL con el JOIN a PRECIO_X_PROD02 (filtroLote/paginado sólo en la descarga por lotes)
+  const sqlAnalisis = (filtroLote = '', paginado = '') => `
+    SELECT 
+        T1.CVE_ART, 
+        T1.DESCR,
+        T1.EXIST,
+        T1.ULT_COSTO, 
+        T1.LIN_PROD,
+        ${columnasSelect('T4', ['CLA_SYR', 'CLA_LC', 'GENERO', 'FAMILIA'])},
+        T5.PRECIO -- Obtenemos el precio de la nueva tabla
+    FROM ${principal.tabla('INVE')} T1
+    LEFT JOIN ${principal.tabla('INVE_CLIB')} T4 ON T1.CVE_ART = T4.CVE_PROD
+    -- Unimos con la tabla de precios filtrando por la lista 1
+    LEFT JOIN ${principal.tabla('PRECIO_X_PROD')} T5 ON T1.CVE_ART = T5.CVE_ART AND T5.CVE_PRECIO = 1
+    WHERE T1.STATUS = 'A' ${filtroLote}
+    ORDER BY T1.CVE_ART ${paginado};
+  `;
+
+  // 3. Mapeo final incluyendo el nuevo campo 'precio'
+  const mapearAnalisis = (prod) => ({
+    clave: (prod.CVE_ART || '').trim(),
+    descripcion: (prod.DESCR || '').trim(),
+    existencia: prod.EXIST || 0,
+    costo_prom: prod.ULT_COSTO || 0,
+    linea: (prod.LIN_PROD || '').trim(),
+    cla_syr: (prod.CLA_SYR || '').trim(),
+    cla_lc: (prod.CLA_LC || '').trim(),
+    genero: (prod.GENERO || '').trim(),
+    familia: (prod.FAMILIA || '').trim(),
+    precio: prod.PRECIO || 0, // Nuevo campo solicitado
+    ultimo_costo: prod.COSTO_FINAL || 0 // Valor obtenido por enrichWithUltimoCosto2
+  });
+
+  const formato = formatoStreaming(req);
+  if (formato) {
+    // El último costo se calcula por lote; la fila ya mapeada trae la clave como "clave"
+    const lotes = leerPorLotes(async (ultimo, tamano) => {
+      const productos = ultimo
+        ? await principal.query(sqlAnalisis('AND T1.CVE_ART > ?', 'ROWS ?'), [ultimo.clave, tamano])
+        : await principal.query(sqlAnalisis('', 'ROWS ?'), [tamano]);
+      return (await enrichWithUltimoCosto2(productos)).map(mapearAnalisis);
+    });
+    return enviarPorLotes(res, { formato, lotes, nombreArchivo: 'analisis-precios' });
+  }
+
+  try {
+    const productos = await principal.query(sqlAnalisis());
+
+    if (!productos || productos.length === 0) {
+      return res.json([]);
+    }
+
+    // 2. Enriquecer con el último costo desde MINVE02 (Compras CVE_CPTO = 1)
+    const productosEnriquecidos = await enrichWithUltimoCosto2(productos);
+
+    res.json(productosEnriquecidos.map(mapearAnalisis));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Endpoint para Autocomplete / Buscador rápido
+app.get('/clavesalternas/buscar', async (req, res, next) => {
+  const { q } = req.query; // El texto que el usuario escribe
+
+  if (!q || q.length < 2) {
+    return res.json([]); // No buscar si hay menos de 2 caracteres
+  }
+
+  try {
+    // Clave o descripción de productos activos, 10 resultados y sin detalle.
+    // Se responde desde el índice en memoria (tolerante a acentos y errores) en cuanto está listo.
+    const { data } = await buscarProductos({
+      termino: q,
+      modos: ['contiene', 'descripcion'],
+      limite: 10,
+      detalle: false
+    });
+
+    res.json(data.map(p => ({
+      CLAVE: (p.CVE_ART || '').trim(),
+      DESCRIPCION: (p.DESCR || '').trim()
+    })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Columnas de la exportación a Excel de la auditoría de márgenes (?format=xlsx)
+const COLUMNAS_EXCEL_AUDITORIA = [
+  { encabezado: 'Clave', campo: 'clave_art' },
+  { encabezado: 'Descripción', campo: 'descripcion', ancho: 45 },
+  { encabezado: 'Almacén', campo: 'almacen', tipo: 'entero' },
+  { encabezado: 'Concepto', campo: 'cve_cpto', tipo: 'entero' },
+  { encabezado: 'Fecha documento', campo: 'fecha_docu', tipo: 'fecha' },
+  { encabezado: 'Tipo documento', campo: 'tipo_doc' },
+  { encabezado: 'Referencia', campo: 'refer' },
+  { encabezado: 'Cliente', campo: 'cliente' },
+  { encabezado: 'Vendedor', campo: 'vendedor' },
+  { encabezado: 'Cantidad', campo: 'cantidad', tipo: 'numero' },
+  { encabezado: 'Precio', campo: 'precio', tipo: 'moneda' },
+  { encabezado: 'Costo', campo: 'costo', tipo: 'moneda' },
+  { encabezado: 'Fecha elaboración', campo: 'fecha_elab', tipo: 'fecha' },
+  { encabezado: 'Costo prom. inicial', campo: 'costo_prom_ini', tipo: 'moneda' },
+  { encabezado: 'Costo prom. final', campo: 'costo_prom_fin', tipo: 'moneda' },
+  { encabezado: 'Costo prom. general', campo: 'costo_prom_gral', tipo: 'moneda' },
+  { encabezado: 'Línea', campo: 'linea' },
+  { encabezado: 'Última compra', campo: 'fecha_ult_compra', tipo: 'fecha' },
+  { encabezado: 'Existencia', campo: 'existencia', tipo: 'numero' },
+  { encabezado: 'Costo promedio', campo: 'costo_promedio', tipo: 'moneda' },
+  { encabezado: 'Último costo', campo: 'ultimo_costo', tipo: 'moneda' },
+  { encabezado: 'Género', campo: 'genero' },
+  { encabezado: 'Familia', campo: 'familia' },
+  { encabezado: 'Categoría e-commerce', campo: 'cat_ecomm' }
+];
+
+app.post('/clavesalternas/auditoria-margenes1', async (req, res, next) => {
+  const { fechaInicio, fechaFin, almacen, cliente, vendedor } = req.body;
+
+  // Las fechas van a la consulta y al nombre del archivo de Excel: sólo AAAA-MM-DD
+  for (const [campo, valor] of [['fechaInicio', fechaInicio], ['fechaFin', fechaFin]]) {
+    if (valor !== undefined && valor !== null && valor !== '' && (typeof valor !== 'string' || !esFecha(valor))) {
+      return next(new ErrorPeticion(`${campo} debe ser una fecha con formato AAAA-MM-DD.`));
+    }
+  }
+
+  // Lógica para determinar el rango de fechas
+  let f_inicio = fechaInicio;
+  let f_fin = fechaFin;
+
+  // Si no se recibe intervalo, usamos la fecha actual
+  if (!f_inicio || !f_fin) {
+    const hoy = new Date().toISOString().split('T')[0]; // Formato YYYY-MM-DD
+    f_inicio = hoy;
+    f_fin = hoy;
+  }
+
+  let sql = `
+    SELECT 
+      M.CVE_ART, M.ALMACEN, M.CVE_CPTO, M.FECHA_DOCU, M.TIPO_DOC, M.REFER, 
+      M.CLAVE_CLPV, M.VEND, M.CANT, M.PRECIO, M.COSTO, M.FECHAELAB, 
+      M.COSTO_PROM_INI, M.COSTO_PROM_FIN, M.COSTO_PROM_GRAL,
+      I.DESCR, I.LIN_PROD, I.FCH_ULTCOM, I.EXIST, I.COSTO_PROM, I.ULT_COSTO,
+      ${columnasSelect('C', ['GENERO', 'FAMILIA', 'CAT_ECOMM'])}
+    FROM ${principal.tabla('MINVE')} M
+    LEFT JOIN ${principal.tabla('INVE')} I ON M.CVE_ART = I.CVE_ART
+    LEFT JOIN ${principal.tabla('INVE_CLIB')} C ON M.CVE_ART = C.CVE_PROD
+    WHERE M.CVE_CPTO = 51
+      AND CAST(M.FECHAELAB AS DATE) BETWEEN ? AND ?
+  `;
+
+  const params = [f_inicio, f_fin];
+
+  // Filtro de Fechas (Obligatorio o sugerido para rendimiento)
+  /* if (fechaInicio && fechaFin) {
+    sql += ` AND M.FECHAELAB BETWEEN ? AND ? `;
+    params.push(fechaInicio, fechaFin);
+  } */
+
+  // Filtros adicionales opcionales
+  if (almacen) {
+    sql += ` AND TRIM(M.ALMACEN) = ? `;
+    params.push(String(almacen).trim());
+  }
+  if (cliente) {
+    sql += ` AND TRIM(M.CLAVE_CLPV) = ? `;
+    params.push(String(cliente).trim());
+  }
+  if (vendedor) {
+    sql += ` AND TRIM(M.VEND) = ? `;
+    params.push(String(vendedor).trim());
+  }
+
+  sql += ` ORDER BY M.FECHAELAB ASC `;
+
+  try {
+    const data = await principal.query(sql, params);
+    
+    // Mapeo para limpiar espacios y formatear respuesta
+    const resultado = data.map(row => ({
+      clave_art: (row.CVE_ART || '').trim(),
+      almacen: row.ALMACEN,
+      cve_cpto: row.CVE_CPTO,
+      fecha_docu: row.FECHA_DOCU,
+      tipo_doc: row.TIPO_DOC,
+      refer: (row.REFER || '').trim(),
+      cliente: (row.CLAVE_CLPV || '').trim(),
+      vendedor: (row.VEND || '').trim(),
+      cantidad: row.CANT,
+      precio: row.PRECIO,
+      costo: row.COSTO,
+      fecha_elab: row.FECHAELAB,
+      costo_prom_ini: row.COSTO_PROM_INI,
+      costo_prom_fin: row.COSTO_PROM_FIN,
+      costo_prom_gral: row.COSTO_PROM_GRAL,
+      descripcion: (row.DESCR || '').trim(),
+      linea: (row.LIN_PROD || '').trim(),
+      fecha_ult_compra: row.FCH_ULTCOM,
+      existencia: row.EXIST,
+      costo_promedio: row.COSTO_PROM,
+      ultimo_costo: row.ULT_COSTO,
+      genero: (row.GENERO || '').trim(),
+      familia: (row.FAMILIA || '').trim(),
+      cat_ecomm: (row.CAT_ECOMM || '').trim()
+    }));
+
+    if (solicitaExcel(req)) {
+      return enviarLibro(res, {
+        nombreArchivo: `auditoria-margenes-${f_inicio}-${f_fin}`,
+        resumen: [
+          { concepto: 'Fecha inicio', valor: f_inicio },
+          { concepto: 'Fecha fin', valor: f_fin },
+          { concepto: 'Almacén', valor: almacen || 'Todos' },
+          { concepto: 'Cliente', valor: cliente || 'Todos' },
+          { concepto: 'Vendedor', valor: vendedor || 'Todos' },
+          { concepto: 'Movimientos', valor: resultado.length, tipo: 'entero' }
+        ],
+        hojas: [{ nombre: 'Movimientos', columnas: COLUMNAS_EXCEL_AUDITORIA, filas: resultado }]
+      });
+    }
+
+    res.json(resultado);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rutas inexistentes y manejador central de errores: siempre responden { error, codigo, detalle }
+app.use(rutaNoEncontrada);
+app.use(manejadorErrores);
+
+module.exports = app;
@@ -0,0 +1,38 @@
+// src/cache/index.js
+// Caché de respuestas compartido por la API. Por defecto vive en memoria del proceso;
+// se puede sustituir por otro almacén con la misma interfaz (ver cache/memoria.js).
+const { crearAlmacenMemoria } = require('./memoria');
+const { config } = require('../config');
+
+let almacen = crearAlmacenMemoria({
+  maxEntradas: config.cache.maxEntradas
+});
+
+/**
+ * Almacén activo.
+ */
+const getAlmacen = () => almacen;
+
+/**
+ * Reemplaza el almacén activo (por ejemplo, uno respaldado por Redis).
+ * @param {{ obtener: Function, guardar: Function, eliminarPorPrefijo: Function, estadisticas: Function }} nuevo
+ */
+const setAlmacen = (nuevo) => {
+  const faltantes = ['obtener', 'guardar', 'eliminarPorPrefijo', 'estadisticas']
+    .filter(metodo => typeof nuevo?.[metodo] !== 'function');
+  if (faltantes.length > 0) {
+    throw new Error(`Almacén de caché incompleto, faltan: ${faltantes.join(', ')}`);
+  }
+  almacen = nuevo;
+};
+
+/**
+ * Caché desactivado globalmente con CACHE_DESACTIVADO=1 (útil al depurar contra el ERP).
+ */
+const cacheActivo = () => !config.cache.desactivado;
+
+module.exports = {
+  getAlmacen,
+  setAlmacen,
+  cacheActivo
+};
@@ -0,0 +1,68 @@
+// src/cache/memoria.js
+// Almacén de caché en memoria del proceso con desalojo LRU.
+
+/**
+ * Crea un almacén LRU en memoria.
+ * Todos los almacenes exponen la misma interfaz asíncrona para que uno externo (Redis, etc.)
+ * pueda sustituirlo sin cambiar el middleware:
+ *   obtener(clave) -> { valor, expiraEn } | null
+ *   guardar(clave, valor, ttlSegundos)
+ *   eliminarPorPrefijo(prefijo) -> número de entradas eliminadas
+ *   estadisticas() -> objeto informativo
+ *
+ * @param {Object} [opciones]
+ * @param {number} [opciones.maxEntradas=500] Al rebasarlo se desaloja la entrada usada hace más tiempo.
+ */
+const crearAlmacenMemoria = ({ maxEntradas = 500 } = {}) => {
+  // Map conserva el orden de inserción: la primera clave es la menos usada recientemente
+  const entradas = new Map();
+  let aciertos = 0;
+  let fallos = 0;
+
+  const obtener = async (clave) => {
+    const entrada = entradas.get(clave);
+    if (!entrada || entrada.expiraEn <= Date.now()) {
+      if (entrada) entradas.delete(clave);
+      fallos++;
+      return null;
+    }
+
+    // Reinsertar la mueve al final (más reciente)
+    entradas.delete(clave);
+    entradas.set(clave, entrada);
+    aciertos++;
+    return entrada;
+  };
+
+  const guardar = async (clave, valor, ttlSegundos) => {
+    entradas.delete(clave);
+    entradas.set(clave, { valor, expiraEn: Date.now() + ttlSegundos * 1000 });
+
+    while (entradas.size > maxEntradas) {
+      entradas.delete(entradas.keys().next().value);
+    }
+  };
+
+  const eliminarPorPrefijo = async (prefijo = '') => {
+    let eliminadas = 0;
+    for (const clave of Array.from(entradas.keys())) {
+      if (clave.startsWith(prefijo)) {
+        entradas.delete(clave);
+        eliminadas++;
+      }
+    }
+    return eliminadas;
+  };
+
+  const estadisticas = async () => ({
+    tipo: 'memoria',
+    entradas: entradas.size,
+    maxEntradas,
+    aciertos,
+    fallos
+  });
+
+  return { obtener, guardar, eliminarPorPrefijo, estadisticas };
+};
+
+module.exports = { crearAlmacenMemoria };
@@ -0,0 +1,123 @@
+// src/config/atributos.js
+// Esquema de los campos libres de producto (INVE_CLIBxx): qué significa cada CAMPLIB,
+// de qué tipo es y con qué nombre lo expone la API.
+
+/**
+ * Atributos semánticos por nombre de API.
+ * - campo: columna física en INVE_CLIBxx.
+ * - tipo: 'numero' (capturado como texto, con coma o punto decimal) o 'texto'.
+ * - unidad: unidad de los atributos numéricos.
+ * - etiqueta: nombre legible (exportaciones y reportes).
+ * - filtro: nombre del parámetro de query con el que se filtra, si aplica.
+ * - proveedor: clave de proveedor cuya clave alterna vive en este campo, si aplica.
+ *
+ * FAMILIA (CAMPLIB22) es la familia comercial que usan compras e inventarios;
+ * el filtro "familia" de catálogo/búsqueda apunta a la categoría e-commerce (CAMPLIB24).
+ */
+const ATRIBUTOS = {
+  DIAM_INT: { campo: 'CAMPLIB1', tipo: 'numero', unidad: 'mm', etiqueta: 'Diámetro Interior', filtro: 'diam_int' },
+  DIAM_EXT: { campo: 'CAMPLIB2', tipo: 'numero', unidad: 'mm', etiqueta: 'Diámetro Exterior', filtro: 'diam_ext' },
+  ALTURA: { campo: 'CAMPLIB3', tipo: 'numero', unidad: 'mm', etiqueta: 'Altura', filtro: 'altura' },
+  SECCION: { campo: 'CAMPLIB7', tipo: 'numero', unidad: 'mm', etiqueta: 'Sección', filtro: 'seccion' },
+  PERFIL: { campo: 'CAMPLIB13', tipo: 'texto', etiqueta: 'Perfil', filtro: 'perfil' },
+  CLA_SYR: { campo: 'CAMPLIB15', tipo: 'texto', etiqueta: 'Clave SYR', proveedor: '35' },
+  CLA_LC: { campo: 'CAMPLIB16', tipo: 'texto', etiqueta: 'Clave LC', proveedor: '3' },
+  SIST_MED: { campo: 'CAMPLIB17', tipo: 'texto', etiqueta: 'Sistema de Medición', filtro: 'sist_med' },
+  DESC_ECOMM: { campo: 'CAMPLIB19', tipo: 'texto', etiqueta: 'Descripción E-commerce' },
+  GENERO: { campo: 'CAMPLIB21', tipo: 'texto', etiqueta: 'Genero', filtro: 'genero' },
+  FAMILIA: { campo: 'CAMPLIB22', tipo: 'texto', etiqueta: 'Familia' },
+  CAT_ECOMM: { campo: 'CAMPLIB24', tipo: 'texto', etiqueta: 'Categoría E-commerce', filtro: 'familia' },
+  COLOCACION: { campo: 'CAMPLIB28', tipo: 'texto', etiqueta: 'Colocación' }
+};
+
+/**
+ * Atributos que devuelven los endpoints de catálogo, búsqueda y filtros (en este orden).
+ */
+const ATRIBUTOS_CATALOGO = [
+  'DIAM_INT', 'DIAM_EXT', 'ALTURA', 'SECCION', 'PERFIL', 'CLA_SYR', 'CLA_LC',
+  'SIST_MED', 'DESC_ECOMM', 'GENERO', 'FAMILIA', 'COLOCACION', 'CAT_ECOMM'
+];
+
+const getAtributo = (nombre) => {
+  const atributo = ATRIBUTOS[nombre];
+  if (!atributo) throw new Error(`Atributo de producto desconocido: ${nombre}`);
+  return atributo;
+};
+
+/**
+ * Columna física de un atributo, opcionalmente calificada con el alias de INVE_CLIBxx.
+ * @param {string} nombre Ej. 'PERFIL'
+ * @param {string} [alias] Ej. 'T4' -> 'T4.CAMPLIB13'
+ */
+const columna = (nombre, alias) => {
+  const { campo } = getAtributo(nombre);
+  return alias ? `${alias}.${campo}` : campo;
+};
+
+/**
+ * Lista SELECT "T4.CAMPLIB1 AS DIAM_INT, ..." para los atributos indicados.
+ * @param {string} alias Alias de INVE_CLIBxx en la consulta.
+ * @param {string[]} [nombres] Por defecto ATRIBUTOS_CATALOGO.
+ */
+const columnasSelect = (alias, nombres = ATRIBUTOS_CATALOGO) =>
+  nombres.map(nombre => `${columna(nombre, alias)} AS ${nombre}`).join(', ');
+
+/**
+ * GROUP BY por posición de las columnas previas y los atributos de columnasSelect, en ese orden
+ * (las columnas agregadas, como las existencias, van después y no se agrupan).
+ * @param {number} columnasPrevias Columnas del SELECT antes de los atributos.
+ * @param {string[]} [nombres] Los mismos que se pasaron a columnasSelect.
+ */
+const agruparPorPosicion = (columnasPrevias, nombres = ATRIBUTOS_CATALOGO) =>
+  `GROUP BY ${Array.from({ length: columnasPrevias + nombres.length }, (_, i) => i + 1).join(',')}`;
+
+/**
+ * Expresión de texto normalizada (mayúsculas, sin espacios, sin NULL) para comparar atributos.
+ */
+const textoNormalizado = (nombre, alias) => `UPPER(TRIM(COALESCE(${columna(nombre, alias)}, '')))`;
+
+/**
+ * Expresión numérica de un atributo dimensional: vacío cuenta como 0 y la coma decimal se convierte a punto.
+ */
+const expresionNumerica = (nombre, alias) => {
+  if (getAtributo(nombre).tipo !== 'numero') {
+    throw new Error(`El atributo ${nombre} no es numérico.`);
+  }
+  return `CAST(REPLACE(COALESCE(NULLIF(TRIM(${columna(nombre, alias)}), ''), '0'), ',', '.') AS NUMERIC(15, 4))`;
+};
+
+/**
+ * Convierte el valor capturado por el usuario ("12,5", " 12.5 ") a número.
+ * @returns {number|null} null si no es un número válido.
+ */
+const parseNumero = (valor) => {
+  if (valor === undefined || valor === null) return null;
+  const numero = parseFloat(String(valor).trim().replace(',', '.'));
+  return Number.isNaN(numero) ? null : numero;
+};
+
+/**
+ * Atributo asociado a un parámetro de filtro ('familia' -> 'CAT_ECOMM').
+ */
+const atributoDeFiltro = (filtro) =>
+  Object.keys(ATRIBUTOS).find(nombre => ATRIBUTOS[nombre].filtro === filtro) || null;
+
+/**
+ * Atributo donde se guarda la clave alterna de un proveedor ('35' -> 'CLA_SYR').
+ */
+const atributoDeProveedor = (idProveedor) =>
+  Object.keys(ATRIBUTOS).find(nombre => ATRIBUTOS[nombre].proveedor === String(idProveedor).trim()) || null;
+
+module.exports = {
+  ATRIBUTOS,
+  ATRIBUTOS_CATALOGO,
+  getAtributo,
+  columna,
+  columnasSelect,
+  agruparPorPosicion,
+  textoNormalizado,
+  expresionNumerica,
+  parseNumero,
+  atributoDeFiltro,
+  atributoDeProveedor
+};
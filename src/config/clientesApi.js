@@ -0,0 +1,165 @@
+// src/config/clientesApi.js
+// Registro de clientes de la API: cada integración tiene su propia llave (guardada como hash SHA-256),
+// sus scopes y, opcionalmente, las sucursales que puede consultar y una fecha de expiración.
+const fs = require('fs');
+const log = require('../log');
+const { config } = require('./index');
+const { hashLlave } = require('./llaves');
+
+/**
+ * Scopes que reconoce la API (ver x-scope en docs/openapi.js). '*' da acceso a todo.
+ */
+const SCOPES = [
+  'catalogo:read',
+  'ventas:read',
+  'cobranza:read',
+  'compras:read',
+  'inventarios:read',
+  'clientes:read',
+  'proveedores:resolve',
+  'admin',
+  '*'
+];
+
+/**
+ * Límites por defecto de cada cliente (ver middlewares/limites.js y db/cuotas.js):
+ * - peticionesPorMinuto: peticiones sostenidas por minuto (también es la ráfaga máxima).
+ * - consultasConcurrentes: consultas simultáneas del cliente en cada pool de empresa; las demás esperan turno.
+ */
+const LIMITES_POR_DEFECTO = {
+  peticionesPorMinuto: config.limites.peticionesPorMinuto,
+  consultasConcurrentes: config.limites.consultasConcurrentes
+};
+
+const normalizarLimites = (nombre, limites = {}) => {
+  const resultado = { ...LIMITES_POR_DEFECTO };
+  for (const campo of Object.keys(LIMITES_POR_DEFECTO)) {
+    if (limites[campo] === undefined) continue;
+    const valor = parseInt(limites[campo], 10);
+    if (!Number.isInteger(valor) || valor < 1) {
+      throw new Error(`El límite "${campo}" del cliente "${nombre}" debe ser un entero mayor que cero.`);
+    }
+    resultado[campo] = valor;
+  }
+  return resultado;
+};
+
+/**
+ * Normaliza y valida la definición de un cliente.
+ * Formato: { nombre, hash, activa?, scopes, sucursales?, expira?, limites? }
+ * - hash: SHA-256 en hexadecimal de la llave (npm run generar-llave).
+ * - sucursales: ids de config/sucursales.js; omitido = todas. Con sucursales, la llave no puede usar las rutas
+ *   que entregan datos de todas las sucursales (ver autorizar en middlewares/autenticacion.js).
+ * - expira: fecha ISO; después de ella la llave se rechaza.
+ * - limites: { peticionesPorMinuto?, consultasConcurrentes? }; lo omitido toma LIMITES_POR_DEFECTO.
+ */
+const normalizarCliente = (def) => {
+  if (!def.nombre) throw new Error('Cada cliente de la API requiere un "nombre".');
+
+  const hash = String(def.hash || '').trim().toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(hash)) {
+    throw new Error(`El cliente "${def.nombre}" requiere el hash SHA-256 (hex) de su llave.`);
+  }
+
+  const scopes = (def.scopes || []).map(s => String(s).trim());
+  const desconocidos = scopes.filter(s => !SCOPES.includes(s));
+  if (scopes.length === 0 || desconocidos.length > 0) {
+    throw new Error(`Scopes inválidos para "${def.nombre}": ${desconocidos.join(', ') || '(ninguno)'}. ` +
+      `Disponibles: ${SCOPES.join(', ')}.`);
+  }
+
+  const sucursales = Array.isArray(def.sucursales) ? def.sucursales.map(s => parseInt(s, 10)) : null;
+  if (sucursales && sucursales.some(s => !Number.isInteger(s))) {
+    throw new Error(`Las sucursales del cliente "${def.nombre}" deben ser ids numéricos.`);
+  }
+
+  const expira = def.expira ? new Date(def.expira) : null;
+  if (expira && Number.isNaN(expira.getTime())) {
+    throw new Error(`Fecha de expiración inválida para "${def.nombre}": ${def.expira}`);
+  }
+
+  return {
+    nombre: String(def.nombre).trim(),
+    hash,
+    activa: def.activa !== false,
+    scopes,
+    sucursales,
+    expira,
+    limites: normalizarLimites(def.nombre, def.limites)
+  };
+};
+
+/**
+ * Lee los clientes del archivo JSON indicado en API_CLIENTES_CONFIG (arreglo con el formato de normalizarCliente).
+ * INTERNAL_SECRET se conserva como el cliente "interno" con acceso total para no romper los consumidores actuales;
+ * sus límites se pueden ajustar con LIMITE_INTERNO_PETICIONES_POR_MINUTO y LIMITE_INTERNO_CONSULTAS_CONCURRENTES.
+ */
+const cargarClientes = () => {
+  const definiciones = config.seguridad.clientesArchivo
+    ? JSON.parse(fs.readFileSync(config.seguridad.clientesArchivo, 'utf8'))
+    : [];
+
+  if (!Array.isArray(definiciones)) {
+    throw new Error('API_CLIENTES_CONFIG debe apuntar a un arreglo de clientes.');
+  }
+
+  const clientes = definiciones.map(normalizarCliente);
+
+  if (config.seguridad.secretoInterno) {
+    clientes.push(normalizarCliente({
+      nombre: 'interno',
+      hash: hashLlave(config.seguridad.secretoInterno),
+      scopes: ['*'],
+      limites: {
+        peticionesPorMinuto: config.limites.internoPeticionesPorMinuto,
+        consultasConcurrentes: config.limites.internoConsultasConcurrentes
+      }
+    }));
+  }
+
+  const nombres = new Set();
+  const hashes = new Set();
+  for (const c of clientes) {
+    if (nombres.has(c.nombre)) throw new Error(`Cliente de la API duplicado: ${c.nombre}`);
+    if (hashes.has(c.hash)) throw new Error(`La llave del cliente "${c.nombre}" ya está asignada a otro cliente.`);
+    nombres.add(c.nombre);
+    hashes.add(c.hash);
+  }
+
+  if (clientes.length === 0) {
+    log.warn('No hay clientes de la API configurados (API_CLIENTES_CONFIG / INTERNAL_SECRET): se rechazarán todas las peticiones.');
+  }
+
+  return clientes;
+};
+
+let clientes = cargarClientes();
+let porHash = new Map(clientes.map(c => [c.hash, c]));
+
+/**
+ * Vuelve a leer el registro (altas, revocaciones) sin reiniciar el servidor.
+ * Si el archivo es inválido se lanza el error y se conserva el registro anterior.
+ */
+const recargarClientes = () => {
+  const nuevos = cargarClientes();
+  clientes = nuevos;
+  porHash = new Map(nuevos.map(c => [c.hash, c]));
+  return clientes.length;
+};
+
+const listarClientes = () => clientes;
+
+/**
+ * Cliente dueño de una llave en texto plano, o null si ninguna coincide.
+ * La búsqueda es por hash, así que la llave nunca se compara en claro.
+ */
+const buscarClientePorLlave = (llave) => (llave ? porHash.get(hashLlave(llave)) || null : null);
+
+module.exports = {
+  SCOPES,
+  LIMITES_POR_DEFECTO,
+  hashLlave,
+  recargarClientes,
+  listarClientes,
+  buscarClientePorLlave
+};
@@ -0,0 +1,138 @@
+// src/config/empresas.js
+// Definición de las empresas SAE a las que se conecta la API.
+const fs = require('fs');
+const { config, ErrorConfiguracion } = require('./index');
+
+// Valores por defecto del pool de cada empresa; cada una puede fijar los suyos en EMPRESAS_CONFIG.
+// DB_POOL_INACTIVIDAD_MS = 0 mantiene abiertas las conexiones libres indefinidamente.
+const POOL_TAMANO = config.db.poolTamano;
+const POOL_INACTIVIDAD_MS = config.db.poolInactividadMs;
+const RECONEXION_MS = config.db.reconexionMs;
+
+/**
+ * Empresas por defecto, construidas a partir de las variables de entorno históricas
+ * (DB_DATABASE para Empresa 02 y DB_DATABASE_EMP3 para Empresa 03).
+ * Se pueden reemplazar por completo con un archivo JSON indicado en EMPRESAS_CONFIG.
+ */
+const empresasPorDefecto = () => [
+  {
+    id: '02',
+    nombre: 'Principal',
+    database: config.db.databasePrincipal,
+    sufijo: '02',
+    clienteInterno: '4239', // Cliente de traspasos internos, se excluye de ventas y cartera
+    principal: true
+  },
+  {
+    id: '03',
+    nombre: 'Fresnillo',
+    database: config.db.databaseFresnillo,
+    sufijo: '03',
+    clienteInterno: '2257',
+    // Sin Fresnillo la API sigue atendiendo a la principal (existencias y tableros marcan la empresa no disponible)
+    requerida: false
+  }
+];
+
+/**
+ * Lee el archivo de empresas si EMPRESAS_CONFIG está definido.
+ * Formato: arreglo de objetos { id, nombre, database, sufijo, poolSize?, inactividadMs?, reconexionMs?,
+ * clienteInterno, principal, requerida?, host?, port?, user?, password? }. requerida (por defecto true) indica si la API
+ * debe reportarse como no lista (/health/ready) cuando la empresa no responde; entre las empresas por defecto sólo lo es la principal. Los datos de conexión omitidos se toman de DB_HOST, DB_PORT, etc.
+ */
+const leerArchivoEmpresas = (rutaAbsoluta) => {
+  const contenido = JSON.parse(fs.readFileSync(rutaAbsoluta, 'utf8'));
+
+  if (!Array.isArray(contenido) || contenido.length === 0) {
+    throw new ErrorConfiguracion([`EMPRESAS_CONFIG: el archivo ${rutaAbsoluta} debe contener un arreglo no vacío.`]);
+  }
+  return contenido;
+};
+
+/**
+ * Campo entero de una empresa; omitido toma el valor por defecto. Un valor inválido se agrega
+ * a errores en lugar de sustituirse en silencio por el valor por defecto.
+ */
+const campoEntero = (def, campo, { min, max, porDefecto }, errores) => {
+  const valor = def[campo];
+  if (valor === undefined || valor === null || valor === '') return porDefecto;
+
+  const texto = String(valor).trim();
+  const numero = /^-?\d+$/.test(texto) ? parseInt(texto, 10) : NaN;
+  let problema = null;
+  if (Number.isNaN(numero)) problema = 'debe ser un número entero';
+  else if (min !== undefined && numero < min) problema = `debe ser mayor o igual a ${min}`;
+  else if (max !== undefined && numero > max) problema = `debe ser menor o igual a ${max}`;
+
+  if (problema) {
+    errores.push(`EMPRESAS_CONFIG: ${campo} de la empresa ${def.id} ${problema} (valor: ${JSON.stringify(valor)}).`);
+    return porDefecto;
+  }
+  return numero;
+};
+
+/**
+ * Normaliza y valida una definición de empresa; los problemas se agregan a errores.
+ */
+const normalizarEmpresa = (def, errores) => {
+  if (!def.id) {
+    errores.push('EMPRESAS_CONFIG: cada empresa requiere un "id".');
+    return null;
+  }
+
+  const sufijo = String(def.sufijo || def.id).trim();
+  if (!/^\d{2}$/.test(sufijo)) {
+    errores.push(`EMPRESAS_CONFIG: el sufijo de tablas de la empresa ${def.id} debe ser de dos dígitos (ej. "02").`);
+  }
+
+  return {
+    id: String(def.id).trim(),
+    nombre: def.nombre || `Empresa ${def.id}`,
+    sufijo,
+    poolSize: campoEntero(def, 'poolSize', { min: 1, porDefecto: POOL_TAMANO }, errores),
+    // Tiempo que una conexión libre puede quedar sin usarse antes de cerrarla (ver db/adaptadores/firebird.js)
+    inactividadMs: campoEntero(def, 'inactividadMs', { min: 0, porDefecto: POOL_INACTIVIDAD_MS }, errores),
+    // Cadena vacía cuando no hay cliente interno: "TRIM(CVE_CLPV) <> ''" no excluye ventas reales
+    clienteInterno: def.clienteInterno ? String(def.clienteInterno).trim() : '',
+    principal: def.principal === true,
+    requerida: def.requerida !== false,
+    conexion: {
+      host: def.host || config.db.host,
+      port: campoEntero(def, 'port', { min: 1, max: 65535, porDefecto: config.db.puerto }, errores),
+      database: def.database,
+      user: def.user || config.db.usuario,
+      password: def.password || config.db.password,
+      role: null,
+      charset: 'UTF8',
+      // Espera de node-firebird antes de reconectar una conexión que perdió el socket
+      retryConnectionInterval: campoEntero(def, 'reconexionMs', { min: 0, porDefecto: RECONEXION_MS }, errores)
+    }
+  };
+};
+
+/**
+ * Empresas normalizadas a partir de EMPRESAS_CONFIG o de las empresas por defecto.
+ * @param {Array<Object>} [definiciones] Definiciones a normalizar (por defecto las de la configuración).
+ * @throws {ErrorConfiguracion} con todos los problemas de las definiciones.
+ */
+const cargarEmpresas = (definiciones = config.db.empresasArchivo
+  ? leerArchivoEmpresas(config.db.empresasArchivo)
+  : empresasPorDefecto()) => {
+  const errores = [];
+  const empresas = definiciones.map(def => normalizarEmpresa(def, errores)).filter(Boolean);
+
+  const ids = new Set();
+  empresas.forEach(e => {
+    if (ids.has(e.id)) errores.push(`EMPRESAS_CONFIG: empresa duplicada: ${e.id}.`);
+    ids.add(e.id);
+  });
+
+  if (errores.length > 0) throw new ErrorConfiguracion(errores);
+
+  // Si ninguna empresa se marcó como principal, la primera lo es
+  if (!empresas.some(e => e.principal)) empresas[0].principal = true;
+
+  return empresas;
+};
+
+module.exports = { cargarEmpresas };
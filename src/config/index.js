@@ -0,0 +1,241 @@
+// src/config/index.js
+// Configuración de la API: único lugar donde se lee el entorno (process.env y el .env, con dotenv).
+// Cada ajuste se declara en ESQUEMA con su variable, tipo y valor por defecto; al cargar el módulo se
+// validan todos y, si alguno es inválido, el arranque falla con la lista completa de errores en lugar
+// de descubrirlos después como consultas fallidas. El resto del código usa require('./config').config.
+require('dotenv').config({ quiet: true }); // Sin avisos en stdout: el log es JSON (ver src/log.js)
+const fs = require('fs');
+const path = require('path');
+
+// Secreto que traían los .env de ejemplo y el código anterior; no se acepta en producción
+const SECRETO_POR_DEFECTO = 'CambiaEsteTokenProvisional';
+
+const NIVELES_LOG = ['debug', 'info', 'warn', 'error'];
+const MODOS_BD = ['firebird', 'grabar', 'reproducir'];
+
+/**
+ * Error de arranque con todos los problemas encontrados (uno por variable).
+ */
+class ErrorConfiguracion extends Error {
+  constructor(errores) {
+    super(`Configuración inválida:\n${errores.map(e => `  - ${e}`).join('\n')}`);
+    this.name = 'ErrorConfiguracion';
+    this.errores = errores;
+  }
+}
+
+// --- Tipos ---
+// Cada tipo convierte el texto de la variable o lanza un mensaje con el valor esperado.
+
+const TIPOS = {
+  texto: (valor) => valor,
+  entero: (valor, { min, max }) => {
+    if (!/^-?\d+$/.test(valor)) throw new Error('debe ser un número entero');
+    const numero = parseInt(valor, 10);
+    if (min !== undefined && numero < min) throw new Error(`debe ser mayor o igual a ${min}`);
+    if (max !== undefined && numero > max) throw new Error(`debe ser menor o igual a ${max}`);
+    return numero;
+  },
+  decimal: (valor, { min }) => {
+    const numero = Number(valor);
+    if (!Number.isFinite(numero)) throw new Error('debe ser un número');
+    if (min !== undefined && numero < min) throw new Error(`debe ser mayor o igual a ${min}`);
+    return numero;
+  },
+  // Acepta los valores que ya se usaban (CACHE_DESACTIVADO=1, ERRORES_DETALLADOS=true)
+  booleano: (valor) => {
+    const texto = valor.toLowerCase();
+    if (['1', 'true', 'si', 'sí'].includes(texto)) return true;
+    if (['0', 'false', 'no'].includes(texto)) return false;
+    throw new Error('debe ser true o false');
+  },
+  opcion: (valor, { valores }) => {
+    const texto = valor.toLowerCase();
+    if (!valores.includes(texto)) throw new Error(`debe ser uno de: ${valores.join(', ')}`);
+    return texto;
+  },
+  // Fecha AAAA-MM-DD (medianoche UTC) u hora ISO
+  fecha: (valor) => {
+    const fecha = new Date(/^\d{4}-\d{2}-\d{2}$/.test(valor) ? `${valor}T00:00:00Z` : valor);
+    if (Number.isNaN(fecha.getTime())) throw new Error('debe ser una fecha AAAA-MM-DD');
+    return fecha;
+  },
+  // Lista separada por comas (ej. DB_GRABAR_ENMASCARAR=RFC,EMAIL)
+  lista: (valor) => valor.split(',').map(v => v.trim()).filter(Boolean),
+  // Ruta relativa al directorio de trabajo; con existe, el archivo debe existir al arrancar
+  ruta: (valor, { existe }) => {
+    const ruta = path.resolve(valor);
+    if (existe && !fs.existsSync(ruta)) throw new Error(`no existe el archivo ${ruta}`);
+    return ruta;
+  }
+};
+
+/**
+ * Ajustes agrupados por área. Cada hoja indica:
+ * - variable: nombre en el entorno.
+ * - tipo: ver TIPOS (con sus opciones: min, max, valores, existe).
+ * - porDefecto: valor (ya convertido) cuando la variable falta o está vacía; sin él queda undefined.
+ * - secreto: no se muestra en el resumen del arranque.
+ */
+const ESQUEMA = {
+  servidor: {
+    entorno: { variable: 'NODE_ENV', tipo: 'texto', porDefecto: 'development' },
+    puerto: { variable: 'API_PORT', tipo: 'entero', min: 1, max: 65535, porDefecto: 3010 },
+    // Tiempo máximo para que terminen las peticiones en curso al apagar (ver src/index.js)
+    apagadoLimiteMs: { variable: 'APAGADO_LIMITE_MS', tipo: 'entero', min: 0, porDefecto: 25000 }
+  },
+  log: {
+    nivel: { variable: 'LOG_NIVEL', tipo: 'opcion', valores: NIVELES_LOG, porDefecto: 'info' },
+    erroresDetallados: { variable: 'ERRORES_DETALLADOS', tipo: 'booleano', porDefecto: false }
+  },
+  seguridad: {
+    secretoInterno: { variable: 'INTERNAL_SECRET', tipo: 'texto', secreto: true },
+    clientesArchivo: { variable: 'API_CLIENTES_CONFIG', tipo: 'ruta', existe: true },
+    metricasToken: { variable: 'METRICAS_TOKEN', tipo: 'texto', secreto: true }
+  },
+  limites: {
+    peticionesPorMinuto: { variable: 'LIMITE_PETICIONES_POR_MINUTO', tipo: 'entero', min: 1, porDefecto: 120 },
+    consultasConcurrentes: { variable: 'LIMITE_CONSULTAS_CONCURRENTES', tipo: 'entero', min: 1, porDefecto: 5 },
+    internoPeticionesPorMinuto: { variable: 'LIMITE_INTERNO_PETICIONES_POR_MINUTO', tipo: 'entero', min: 1 },
+    internoConsultasConcurrentes: { variable: 'LIMITE_INTERNO_CONSULTAS_CONCURRENTES', tipo: 'entero', min: 1 },
+    factorCola: { variable: 'LIMITE_FACTOR_COLA', tipo: 'entero', min: 1, porDefecto: 4 },
+    esperaConsultaMs: { variable: 'LIMITE_ESPERA_CONSULTA_MS', tipo: 'entero', min: 1, porDefecto: 15000 }
+  },
+  db: {
+    host: { variable: 'DB_HOST', tipo: 'texto' },
+    puerto: { variable: 'DB_PORT', tipo: 'entero', min: 1, max: 65535, porDefecto: 3050 },
+    usuario: { variable: 'DB_USER', tipo: 'texto' },
+    password: { variable: 'DB_PASSWORD', tipo: 'texto', secreto: true },
+    // Bases de las empresas por defecto (ver config/empresas.js) cuando no hay EMPRESAS_CONFIG
+    databasePrincipal: { variable: 'DB_DATABASE', tipo: 'texto' },
+    databaseFresnillo: { variable: 'DB_DATABASE_EMP3', tipo: 'texto' },
+    empresasArchivo: { variable: 'EMPRESAS_CONFIG', tipo: 'ruta', existe: true },
+    sucursalesArchivo: { variable: 'SUCURSALES_CONFIG', tipo: 'ruta', existe: true },
+    poolTamano: { variable: 'DB_POOL_TAMANO', tipo: 'entero', min: 1, porDefecto: 15 },
+    // 0 mantiene abiertas las conexiones libres indefinidamente
+    poolInactividadMs: { variable: 'DB_POOL_INACTIVIDAD_MS', tipo: 'entero', min: 0, porDefecto: 5 * 60 * 1000 },
+    reconexionMs: { variable: 'DB_RECONEXION_MS', tipo: 'entero', min: 0, porDefecto: 1000 },
+    tiempoLimiteMs: { variable: 'CONSULTA_TIEMPO_LIMITE_MS', tipo: 'entero', min: 1, porDefecto: 30000 },
+    tiempoLimiteAnaliticoMs: { variable: 'CONSULTA_TIEMPO_LIMITE_ANALITICO_MS', tipo: 'entero', min: 1, porDefecto: 120000 },
+    modo: { variable: 'DB_MODO', tipo: 'opcion', valores: MODOS_BD, porDefecto: 'firebird' },
+    grabacionesDirectorio: { variable: 'DB_GRABACIONES_DIR', tipo: 'ruta', porDefecto: path.resolve('grabaciones') },
+    columnasEnmascaradas: {
+      variable: 'DB_GRABAR_ENMASCARAR', tipo: 'lista', porDefecto: ['RFC', 'EMAIL', 'EMAILPRED', 'TELEFONO']
+    }
+  },
+  circuito: {
+    fallos: { variable: 'CIRCUITO_FALLOS', tipo: 'entero', min: 1, porDefecto: 5 },
+    esperaMs: { variable: 'CIRCUITO_ESPERA_MS', tipo: 'entero', min: 1, porDefecto: 30000 }
+  },
+  consultasLentas: {
+    umbralMs: { variable: 'CONSULTAS_LENTAS_UMBRAL_MS', tipo: 'entero', min: 1, porDefecto: 2000 },
+    archivo: { variable: 'CONSULTAS_LENTAS_ARCHIVO', tipo: 'ruta', porDefecto: path.resolve('logs/consultas-lentas.log') },
+    tamanoMb: { variable: 'CONSULTAS_LENTAS_TAMANO_MB', tipo: 'decimal', min: 0.01, porDefecto: 10 },
+    archivosRotados: { variable: 'CONSULTAS_LENTAS_ARCHIVOS', tipo: 'entero', min: 1, porDefecto: 5 }
+  },
+  cache: {
+    maxEntradas: { variable: 'CACHE_MAX_ENTRADAS', tipo: 'entero', min: 1, porDefecto: 500 },
+    desactivado: { variable: 'CACHE_DESACTIVADO', tipo: 'booleano', porDefecto: false }
+  },
+  salud: {
+    tiempoLimiteMs: { variable: 'SALUD_TIEMPO_LIMITE_MS', tipo: 'entero', min: 1, porDefecto: 3000 }
+  },
+  exportacion: {
+    tamanoLote: { variable: 'EXPORTACION_TAMANO_LOTE', tipo: 'entero', min: 1, porDefecto: 2000 }
+  },
+  indiceProductos: {
+    // 0 desactiva el refresco periódico (el índice se construye sólo al arrancar)
+    refrescoMin: { variable: 'INDICE_PRODUCTOS_REFRESCO_MIN', tipo: 'entero', min: 0, porDefecto: 15 }
+  },
+  auditoria: {
+    directorio: { variable: 'AUDITORIA_DIR', tipo: 'ruta', porDefecto: path.resolve('logs/auditoria') }
+  },
+  versiones: {
+    // Fecha a partir de la cual las rutas anteriores a /api/v1 pueden retirarse (cabecera Sunset)
+    retiroLegado: { variable: 'API_LEGADO_RETIRO', tipo: 'fecha', porDefecto: new Date('2027-04-30T00:00:00Z') }
+  }
+};
+
+/**
+ * Reglas entre variables, sobre la configuración ya convertida. Regresan los mensajes de error.
+ */
+const validarConjunto = (config) => {
+  const errores = [];
+  const { db, seguridad, servidor } = config;
+
+  // En modo reproducir las respuestas salen de las grabaciones y no se conecta a Firebird
+  if (db.modo !== 'reproducir') {
+    if (!db.host) errores.push('DB_HOST es obligatorio (o DB_MODO=reproducir).');
+    if (!db.usuario) errores.push('DB_USER es obligatorio (o DB_MODO=reproducir).');
+    if (!db.password) errores.push('DB_PASSWORD es obligatorio (o DB_MODO=reproducir).');
+    if (!db.empresasArchivo) {
+      if (!db.databasePrincipal) errores.push('DB_DATABASE es obligatorio si no se define EMPRESAS_CONFIG.');
+      if (!db.databaseFresnillo) errores.push('DB_DATABASE_EMP3 es obligatorio si no se define EMPRESAS_CONFIG.');
+    }
+  }
+
+  if (servidor.produccion && seguridad.secretoInterno === SECRETO_POR_DEFECTO) {
+    errores.push('INTERNAL_SECRET tiene el valor por defecto; genere uno propio antes de arrancar en producción.');
+  }
+
+  return errores;
+};
+
+const recorrer = (esquema, fn) => Object.fromEntries(
+  Object.entries(esquema).map(([clave, def]) => [clave, def.variable ? fn(def) : recorrer(def, fn)])
+);
+
+const congelar = (objeto) => {
+  Object.values(objeto).forEach(v => v && typeof v === 'object' && congelar(v));
+  return Object.freeze(objeto);
+};
+
+/**
+ * Convierte y valida el entorno indicado.
+ * @param {Object} [entorno] Variables a leer (por defecto process.env).
+ * @returns {Object} Configuración congelada con la forma de ESQUEMA.
+ * @throws {ErrorConfiguracion} con todos los errores encontrados.
+ */
+const cargarConfiguracion = (entorno = process.env) => {
+  const errores = [];
+
+  const config = recorrer(ESQUEMA, (def) => {
+    const texto = entorno[def.variable]?.trim();
+    if (!texto) return def.porDefecto;
+    try {
+      return TIPOS[def.tipo](texto, def);
+    } catch (error) {
+      errores.push(`${def.variable} ${error.message} (valor: ${def.secreto ? '****' : `"${texto}"`}).`);
+      return def.porDefecto;
+    }
+  });
+  config.servidor.produccion = config.servidor.entorno === 'production';
+
+  errores.push(...validarConjunto(config));
+  if (errores.length > 0) throw new ErrorConfiguracion(errores);
+
+  return congelar(config);
+};
+
+/**
+ * Variables y valores efectivos para el log de arranque; los secretos sólo indican si están definidos.
+ */
+const resumenConfiguracion = (config) => {
+  const resumen = {};
+  const agregar = (esquema, valores) => Object.entries(esquema).forEach(([clave, def]) => {
+    if (!def.variable) return agregar(def, valores[clave]);
+    const valor = valores[clave];
+    resumen[def.variable] = def.secreto ? (valor ? '****' : null) : (valor ?? null);
+  });
+  agregar(ESQUEMA, config);
+  return resumen;
+};
+
+const config = cargarConfiguracion();
+
+module.exports = {
+  config,
+  ErrorConfiguracion,
+  cargarConfiguracion,
+  resumenConfiguracion
+};
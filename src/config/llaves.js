@@ -0,0 +1,13 @@
+// src/config/llaves.js
+// Hash de las llaves de la API. No carga la configuración: lo usa también el script generar-llave,
+// que corre sin las variables de conexión a la base de datos.
+const crypto = require('crypto');
+
+/**
+ * SHA-256 en hexadecimal de una llave; es lo único que se guarda en API_CLIENTES_CONFIG.
+ */
+const hashLlave = (llave) => crypto.createHash('sha256').update(String(llave), 'utf8').digest('hex');
+
+module.exports = {
+  hashLlave
+};
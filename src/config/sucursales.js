@@ -0,0 +1,109 @@
+// src/config/sucursales.js
+// Registro único de sucursales: a qué empresa pertenecen y qué almacenes físicos las componen.
+const fs = require('fs');
+const { config } = require('./index');
+
+/**
+ * Sucursales por defecto.
+ * - id: identificador que usa la API (y los frontends) para la sucursal.
+ * - empresa: id de la empresa SAE (ver config/empresas.js).
+ * - almacenes: números de almacén (CVE_ALM / NUM_ALMA) de esa empresa que forman la sucursal.
+ * - sumaExistencia: si su existencia cuenta para los totales de inventario (EXISTENCIA).
+ *
+ * Fresnillo opera en la Empresa 03 con el almacén 3 y se expone con el id 10
+ * para no chocar con los almacenes de la Empresa 02.
+ */
+const SUCURSALES_POR_DEFECTO = [
+  { id: 1, nombre: 'Durango', empresa: '02', almacenes: [1], sumaExistencia: true },
+  { id: 5, nombre: 'Mazatlán', empresa: '02', almacenes: [5], sumaExistencia: false },
+  { id: 6, nombre: 'Zacatecas', empresa: '02', almacenes: [6], sumaExistencia: true },
+  { id: 7, nombre: 'Querétaro', empresa: '02', almacenes: [7], sumaExistencia: false },
+  { id: 10, nombre: 'Fresnillo', empresa: '03', almacenes: [3], sumaExistencia: false }
+];
+
+const normalizarSucursal = (def) => {
+  const id = parseInt(def.id, 10);
+  const almacenes = (def.almacenes || []).map(a => parseInt(a, 10));
+
+  // Los números se insertan directo en el SQL, por eso se exige que sean enteros
+  if (!Number.isInteger(id)) throw new Error(`Id de sucursal inválido: ${def.id}`);
+  if (almacenes.length === 0 || almacenes.some(a => !Number.isInteger(a))) {
+    throw new Error(`La sucursal ${id} requiere al menos un almacén numérico.`);
+  }
+  if (!def.empresa) throw new Error(`La sucursal ${id} no indica su empresa.`);
+
+  return {
+    id,
+    nombre: def.nombre || `Sucursal ${id}`,
+    empresa: String(def.empresa).trim(),
+    almacenes,
+    sumaExistencia: def.sumaExistencia === true
+  };
+};
+
+/**
+ * Carga las sucursales; SUCURSALES_CONFIG puede apuntar a un JSON con el mismo formato.
+ */
+const cargarSucursales = () => {
+  const definiciones = config.db.sucursalesArchivo
+    ? JSON.parse(fs.readFileSync(config.db.sucursalesArchivo, 'utf8'))
+    : SUCURSALES_POR_DEFECTO;
+
+  return definiciones.map(normalizarSucursal);
+};
+
+const SUCURSALES = cargarSucursales();
+
+const listarSucursales = () => SUCURSALES;
+
+const getSucursal = (id) => SUCURSALES.find(s => s.id === parseInt(id, 10)) || null;
+
+const sucursalesDeEmpresa = (empresaId) => SUCURSALES.filter(s => s.empresa === String(empresaId));
+
+/**
+ * Almacenes físicos de una empresa que pertenecen a alguna sucursal.
+ * @param {string} empresaId
+ * @param {{ soloTotales?: boolean }} opciones soloTotales: sólo los que suman a la existencia total.
+ */
+const almacenesDeEmpresa = (empresaId, { soloTotales = false } = {}) =>
+  sucursalesDeEmpresa(empresaId)
+    .filter(s => !soloTotales || s.sumaExistencia)
+    .flatMap(s => s.almacenes);
+
+/**
+ * Sucursal a la que pertenece un movimiento/documento de cierta empresa y almacén.
+ * Si la empresa tiene una sola sucursal, todo lo de esa empresa se le atribuye
+ * (ej. Fresnillo: cualquier NUM_ALMA de la Empresa 03).
+ */
+const sucursalDeAlmacen = (empresaId, almacen) => {
+  const propias = sucursalesDeEmpresa(empresaId);
+  const numAlma = parseInt(almacen, 10);
+  const exacta = propias.find(s => s.almacenes.includes(numAlma));
+  if (exacta) return exacta;
+  return propias.length === 1 ? propias[0] : null;
+};
+
+/**
+ * Columnas pivotadas ALM_<id>_EXIST para las sucursales de una empresa.
+ * Cada almacén se toma con MAX para no duplicar existencias cuando hay JOINs que multiplican filas.
+ * @param {string} empresaId
+ * @param {string} alias Alias de la tabla MULTxx en la consulta (ej. 'T6').
+ */
+const columnasExistencia = (empresaId, alias) =>
+  sucursalesDeEmpresa(empresaId)
+    .map(s => {
+      const porAlmacen = s.almacenes.map(a =>
+        `COALESCE(MAX(CASE WHEN ${alias}.CVE_ALM = ${a} THEN ${alias}.EXIST ELSE NULL END), 0)`
+      );
+      return `${porAlmacen.join(' + ')} AS ALM_${s.id}_EXIST`;
+    })
+    .join(',\n');
+
+module.exports = {
+  listarSucursales,
+  getSucursal,
+  sucursalesDeEmpresa,
+  almacenesDeEmpresa,
+  sucursalDeAlmacen,
+  columnasExistencia
+};
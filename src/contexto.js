@@ -0,0 +1,64 @@
+// src/contexto.js
+// Contexto de la petición en curso (cliente de la API, etc.) disponible en cualquier punto
+// de la cadena asíncrona, incluida la capa de base de datos, sin pasarlo como parámetro.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const almacen = new AsyncLocalStorage();
+
+/**
+ * Ejecuta fn con el contexto indicado; todo lo asíncrono que derive de fn lo hereda.
+ */
+const ejecutarConContexto = (contexto, fn) => almacen.run(contexto, fn);
+
+/**
+ * AbortSignal que se dispara si el cliente cierra la conexión antes de recibir la respuesta completa;
+ * la capa de datos la toma del contexto para abandonar las consultas que ya nadie va a leer.
+ * @param {import('express').Response} res
+ */
+const senalDeDesconexion = (res) => {
+  const controlador = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controlador.abort();
+  });
+  return controlador.signal;
+};
+
+/**
+ * Contexto de la petición actual, o null fuera de una petición (tareas de arranque, índice, etc.).
+ */
+const contextoActual = () => almacen.getStore() || null;
+
+/**
+ * Anota en la petición actual una fuente de datos (empresa) que no respondió, para que la respuesta
+ * la marque como parcial (ver middlewares/datosParciales.js). Fuera de una petición no hace nada.
+ * @param {{ empresa: string, nombre: string, sucursales: string[], codigo: string }} fuente
+ */
+const reportarFuenteNoDisponible = (fuente) => {
+  const contexto = contextoActual();
+  if (!contexto) return;
+  contexto.fuentesNoDisponibles = contexto.fuentesNoDisponibles || new Map();
+  contexto.fuentesNoDisponibles.set(fuente.empresa, fuente);
+};
+
+/**
+ * Fuentes reportadas como no disponibles en la petición actual (arreglo vacío si no hubo).
+ */
+const fuentesNoDisponibles = () => Array.from(contextoActual()?.fuentesNoDisponibles?.values() || []);
+
+/**
+ * Suma las filas que regresó una consulta de la petición actual (ver db/pool.js); fuera de una petición no hace nada.
+ * El registro de auditoría (middlewares/auditoria.js) las reporta por petición.
+ */
+const sumarFilasLeidas = (filas) => {
+  const contexto = contextoActual();
+  if (contexto) contexto.filasLeidas = (contexto.filasLeidas || 0) + filas;
+};
+
+module.exports = {
+  ejecutarConContexto,
+  senalDeDesconexion,
+  contextoActual,
+  reportarFuenteNoDisponible,
+  fuentesNoDisponibles,
+  sumarFilasLeidas
+};
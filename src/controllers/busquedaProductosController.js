@@ -0,0 +1,73 @@
+const { buscarProductos, MODOS_DISPONIBLES, ENRIQUECIMIENTOS_DISPONIBLES } = require('../services/busquedaProductos');
+const { ErrorPeticion } = require('../errores');
+
+const LIMITE_POR_DEFECTO = 20;
+const LIMITE_MAXIMO = 100;
+
+// Parámetros separados por comas a arreglo limpio en minúsculas
+const parseLista = (param) => {
+    if (!param) return [];
+    const str = Array.isArray(param) ? param.join(',') : String(param);
+    return str.split(',').map(s => s.trim().toLowerCase()).filter(s => s !== '');
+};
+
+/**
+ * GET /api/busqueda?q=...&modos=clave,alterna&incluir=precios,ultimo_costo&limit=20&offset=0
+ * Búsqueda de productos con relevancia (clave exacta, alterna, descripción) y enriquecimientos opcionales.
+ */
+const buscar = async (req, res, next) => {
+    try {
+        const { q, modos, incluir, limit, offset, SUCURSAL, lista_precios } = req.query;
+        const termino = String(q || '').trim();
+
+        if (termino.length < 2) {
+            return next(new ErrorPeticion("El parámetro 'q' es obligatorio y debe tener al menos 2 caracteres."));
+        }
+
+        const listaModos = parseLista(modos);
+        const modosInvalidos = listaModos.filter(m => !MODOS_DISPONIBLES.includes(m));
+        if (modosInvalidos.length > 0) {
+            return next(new ErrorPeticion(
+                `Modos no soportados: ${modosInvalidos.join(', ')}. Disponibles: ${MODOS_DISPONIBLES.join(', ')}.`
+            ));
+        }
+
+        const listaIncluir = parseLista(incluir);
+        const incluirInvalidos = listaIncluir.filter(e => !ENRIQUECIMIENTOS_DISPONIBLES.includes(e));
+        if (incluirInvalidos.length > 0) {
+            return next(new ErrorPeticion(
+                `Enriquecimientos no soportados: ${incluirInvalidos.join(', ')}. Disponibles: ${ENRIQUECIMIENTOS_DISPONIBLES.join(', ')}.`
+            ));
+        }
+
+        const numLimit = Math.min(parseInt(limit) || LIMITE_POR_DEFECTO, LIMITE_MAXIMO);
+        const numOffset = Math.max(parseInt(offset) || 0, 0);
+
+        const { data, total } = await buscarProductos({
+            termino,
+            modos: listaModos.length > 0 ? listaModos : undefined,
+            incluir: listaIncluir,
+            limite: numLimit,
+            offset: numOffset,
+            sucursal: SUCURSAL,
+            listaPrecios: lista_precios
+        });
+
+        res.json({
+            data,
+            pagination: {
+                currentPage: Math.floor(numOffset / numLimit) + 1,
+                totalPages: Math.ceil(total / numLimit),
+                totalRecords: total,
+                limit: numLimit
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    buscar
+};
@@ -1,4 +1,5 @@
 const repo = require('../repositories/dashboardComprasRepository');
+const { solicitaExcel, enviarLibro } = require('../services/excel');
 
 // Función auxiliar de redondeo estándar a 2 decimales
 const round2 = (num) => Math.round((num + Number.EPSILON) * 100) / 100;
@@ -11,10 +12,62 @@ const parseQueryArray = (param) => {
     return arr.length > 0 ? arr : null;
 };
 
+// Columnas de la exportación a Excel (los alias del repositorio ya vienen en español)
+const COLUMNAS_EXCEL = [
+    { encabezado: 'Documento', campo: 'Documento' },
+    { encabezado: 'Clave proveedor', campo: 'Clave Prov' },
+    { encabezado: 'Factura', campo: 'Factura' },
+    { encabezado: 'Fecha', campo: 'Fecha', tipo: 'fecha' },
+    { encabezado: 'Origen', campo: 'Origen', ancho: 30 },
+    { encabezado: 'Almacén', campo: 'Almacen', tipo: 'entero' },
+    { encabezado: 'Clave', campo: 'Clave' },
+    { encabezado: 'Descripción', campo: 'Descripción', ancho: 45 },
+    { encabezado: 'Línea', campo: 'Línea' },
+    { encabezado: 'Perfil', campo: 'Perfil' },
+    { encabezado: 'Género', campo: 'Genero' },
+    { encabezado: 'Familia', campo: 'Familia' },
+    { encabezado: 'Cantidad', campo: 'Cantidad', tipo: 'numero' },
+    { encabezado: 'Costo', campo: 'Costo', tipo: 'moneda' },
+    { encabezado: 'Subtotal documento', campo: 'Subtotal', tipo: 'moneda' },
+    { encabezado: 'Importe total documento', campo: 'Importe Total', tipo: 'moneda' }
+];
+
+/**
+ * Libro de Excel con las métricas en la hoja Resumen y todas las partidas filtradas (sin paginar).
+ */
+const enviarExcel = (res, respuesta, partidas) => {
+    const { periodo, filtros_aplicados: filtros, metricas } = respuesta;
+    const listaFiltro = (valores) => (valores ? valores.join(', ') : 'Todos');
+
+    return enviarLibro(res, {
+        nombreArchivo: `compras-origen-${periodo.anio}-${String(periodo.mes).padStart(2, '0')}`,
+        resumen: [
+            { concepto: 'Mes', valor: periodo.mes, tipo: 'entero' },
+            { concepto: 'Año', valor: periodo.anio },
+            { concepto: 'Almacenes', valor: listaFiltro(filtros.almacenes) },
+            { concepto: 'Líneas', valor: listaFiltro(filtros.lineas) },
+            { concepto: 'Perfiles', valor: listaFiltro(filtros.perfiles) },
+            { concepto: 'Géneros', valor: listaFiltro(filtros.generos) },
+            { concepto: 'Familias', valor: listaFiltro(filtros.familias) },
+            { concepto: 'Partidas totales', valor: metricas.partidas.total, tipo: 'entero' },
+            { concepto: 'Partidas de reposición', valor: metricas.partidas.reposicion_cantidad, tipo: 'entero' },
+            { concepto: 'Partidas de reposición (%)', valor: metricas.partidas.reposicion_porcentaje, tipo: 'porcentaje' },
+            { concepto: 'Partidas de pedido especial', valor: metricas.partidas.pedido_especial_cantidad, tipo: 'entero' },
+            { concepto: 'Partidas de pedido especial (%)', valor: metricas.partidas.pedido_especial_porcentaje, tipo: 'porcentaje' },
+            { concepto: 'Monto total', valor: metricas.montos.total, tipo: 'moneda' },
+            { concepto: 'Monto de reposición', valor: metricas.montos.reposicion_monto, tipo: 'moneda' },
+            { concepto: 'Monto de reposición (%)', valor: metricas.montos.reposicion_porcentaje, tipo: 'porcentaje' },
+            { concepto: 'Monto de pedido especial', valor: metricas.montos.pedido_especial_monto, tipo: 'moneda' },
+            { concepto: 'Monto de pedido especial (%)', valor: metricas.montos.pedido_especial_porcentaje, tipo: 'porcentaje' }
+        ],
+        hojas: [{ nombre: 'Partidas', columnas: COLUMNAS_EXCEL, filas: partidas }]
+    });
+};
+
 /**
  * Controlador para analizar el origen de las compras con Filtros Responsivos.
  */
-const getAnalisisOrigenCompras = async (req, res) => {
+const getAnalisisOrigenCompras = async (req, res, next) => {
     try {
         const { 
             mes, anio, 
@@ -118,7 +171,7 @@ const getAnalisisOrigenCompras = async (req, res) => {
         const ordenarAlfa = (a, b) => a.localeCompare(b);
         const datosPaginados = datosFiltrados.slice(offset, offset + pLimit);
 
-        res.json({
+        const respuesta = {
             periodo: { mes: fMes, anio: fAnio },
             filtros_aplicados: { 
                 almacenes: targetAlmacenes, 
@@ -140,11 +193,15 @@ const getAnalisisOrigenCompras = async (req, res) => {
             },
             paginacion: { total_registros: totalPartidas, pagina_actual: pPage, limite: pLimit, total_paginas: Math.ceil(totalPartidas / pLimit) },
             data: datosPaginados
-        });
+        };
+
+        // ?format=xlsx: mismas métricas, con todas las partidas en lugar de la página
+        if (solicitaExcel(req)) return enviarExcel(res, respuesta, datosFiltrados);
+
+        res.json(respuesta);
 
     } catch (error) {
-        console.error("Error en getAnalisisOrigenCompras:", error.message);
-        res.status(500).json({ error: "Error interno al analizar origen", detalle: error.message });
+        next(error);
     }
 };
 
@@ -1,17 +1,16 @@
 const repo = require('../repositories/dashboardInventariosRepository');
+const { ErrorPeticion } = require('../errores');
 
 /**
  * Maneja la petición HTTP para calcular la asertividad del inventario cíclico
  * SOPORTA: Múltiples movimientos de corrección por producto (Neteo de mercancía)
  */
-const getAsertividadCiclico = async (req, res) => {
+const getAsertividadCiclico = async (req, res, next) => {
     try {
         const { refer, productos } = req.body;
 
         if (!refer || !productos || !Array.isArray(productos)) {
-            return res.status(400).json({ 
-                error: "Los parámetros 'refer' (string) y 'productos' (array de strings) son obligatorios." 
-            });
+            return next(new ErrorPeticion("Los parámetros 'refer' (string) y 'productos' (array de strings) son obligatorios."));
         }
 
         if (productos.length === 0) {
@@ -94,8 +93,7 @@ const getAsertividadCiclico = async (req, res) => {
         return res.json(respuestaFinal);
 
     } catch (error) {
-        console.error("Error en getAsertividadCiclico (Controller):", error.message);
-        return res.status(500).json({ error: "Error interno del servidor", detalle: error.message });
+        next(error);
     }
 };
 
@@ -0,0 +1,76 @@
+// src/db/adaptadores/falso.js
+// Adaptador en memoria para las pruebas: responde cada consulta con las filas de la respuesta
+// registrada cuyo SQL coincide (por fragmento normalizado o por huella), sin servidor Firebird.
+const { normalizarSql, huellaSql } = require('../huellaSql');
+
+/**
+ * Crea un adaptador falso. Se instala con db.usarAdaptador(falso.fabrica).
+ *
+ * Cada respuesta registrada con responder():
+ *   - sql: fragmento que debe aparecer en el SQL; ambos se comparan normalizados (ver db/huellaSql.js),
+ *     así que no importan espacios, mayúsculas ni valores literales.
+ *   - huella: alternativa a sql, la huella exacta de la consulta completa.
+ *   - empresa: id de empresa ('02', '03'); sin él aplica a todas.
+ *   - filas: arreglo de filas o función (params, empresaId) => filas.
+ *   - error: Error que se lanza en lugar de regresar filas (ej. una empresa caída).
+ * Se busca de la respuesta más reciente a la más antigua, así una prueba puede cambiar las comunes.
+ */
+const crearAdaptadorFalso = () => {
+  let respuestas = [];
+  const consultas = [];
+
+  const coincide = (respuesta, empresaId, sql) => {
+    if (respuesta.empresa && respuesta.empresa !== empresaId) return false;
+    if (respuesta.huella) return respuesta.huella === huellaSql(sql);
+    return normalizarSql(sql).includes(normalizarSql(respuesta.sql));
+  };
+
+  const consultar = async (empresaId, sql, params) => {
+    consultas.push({ empresa: empresaId, sql: normalizarSql(sql), params });
+
+    const respuesta = [...respuestas].reverse().find(r => coincide(r, empresaId, sql));
+    if (!respuesta) {
+      throw new Error(`Adaptador falso sin respuesta para la Empresa ${empresaId}: ${normalizarSql(sql)}`);
+    }
+    if (respuesta.error) throw respuesta.error;
+
+    const filas = typeof respuesta.filas === 'function' ? respuesta.filas(params, empresaId) : respuesta.filas;
+    // Copia: los repositorios modifican las filas (ej. processExistencias borra las columnas ALM_*)
+    return structuredClone(filas);
+  };
+
+  const fabrica = (empresa) => ({
+    obtenerConexion: async () => ({
+      consultar: (sql, params) => consultar(empresa.id, sql, params),
+      liberar: () => {},
+      descartar: () => {}
+    }),
+    estado: () => ({ enUso: 0, libres: empresa.poolSize, maximo: empresa.poolSize, enEspera: 0 }),
+    cerrar: async () => {}
+  });
+
+  return {
+    fabrica,
+
+    /**
+     * Registra respuestas (ver arriba).
+     */
+    responder: (...nuevas) => {
+      respuestas.push(...nuevas);
+    },
+
+    /**
+     * Consultas recibidas, { empresa, sql (normalizado), params }; opcionalmente sólo las que contienen el fragmento.
+     */
+    consultas: (fragmento) => (fragmento
+      ? consultas.filter(c => c.sql.includes(normalizarSql(fragmento)))
+      : consultas.slice()),
+
+    reiniciar: () => {
+      respuestas = [];
+      consultas.length = 0;
+    }
+  };
+};
+
+module.exports = { crearAdaptadorFalso };
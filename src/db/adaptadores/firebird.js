@@ -0,0 +1,110 @@
+// src/db/adaptadores/firebird.js
+// Adaptador de node-firebird: pool de conexiones a la base SAE de una empresa.
+//
+// Interfaz de los adaptadores de base de datos (la consume db/pool.js; ver también adaptadores/falso.js):
+//   obtenerConexion(): Promise<Conexion>, con
+//     conexion.consultar(sql, params): Promise<Array<Object>>
+//     conexion.liberar()    regresa la conexión al pool
+//     conexion.descartar()  la saca del pool con una consulta en curso (tiempo agotado o cancelación)
+//   estado(): { enUso, libres, maximo, enEspera }
+//   cerrar(): Promise<void>
+const Firebird = require('node-firebird');
+
+/**
+ * Saca del pool una conexión cuya consulta ya no se va a esperar.
+ * node-firebird no implementa la cancelación (op_cancel): se cierra el socket, con lo que Firebird
+ * aborta la consulta de la conexión perdida, y se avisa al pool para que libere su lugar sin reutilizarla.
+ */
+const descartarConexion = (db) => {
+  db.connection._isDetach = true; // Evita la reconexión automática de node-firebird al cerrarse el socket
+  clearTimeout(db.connection._retry_connection_id); // ... o la cancela si ya estaba programada
+  db.connection._socket?.destroy();
+  db.emit('detach', false);
+};
+
+// Conexión que perdió su socket (node-firebird la está reconectando o ya no puede usarse)
+const estaCaida = (db) => db.connection._isClosed || db.connection._isOpened === false;
+
+/**
+ * Cierra una conexión libre del pool: op_detach si sigue abierta (Firebird libera el attachment
+ * de inmediato) o sólo el socket si ya estaba caída. Debe haberse sacado antes de pool.pooldb.
+ */
+const cerrarLibre = (db) => new Promise(resolve => {
+  db.connection._pooled = false; // El pool la olvida al recibir 'detach' (ver node-firebird/lib/pool.js)
+  if (estaCaida(db)) {
+    descartarConexion(db);
+    return resolve();
+  }
+  db.detach(() => resolve(), true);
+});
+
+/**
+ * @param {Object} empresa Definición normalizada (ver config/empresas.js): poolSize, inactividadMs y
+ *        conexion (con retryConnectionInterval, la espera de node-firebird antes de reconectar una conexión caída).
+ */
+const crearAdaptadorFirebird = (empresa) => {
+  const pool = Firebird.pool(empresa.poolSize, empresa.conexion);
+  const ultimoUso = new WeakMap();
+
+  // Las conexiones libres que pasan inactividadMs sin usarse se cierran para no dejar attachments
+  // abiertos en el servidor fuera de las horas de uso; el pool abre otras cuando se necesiten.
+  let barrido = null;
+  if (empresa.inactividadMs > 0) {
+    barrido = setInterval(() => {
+      const limite = Date.now() - empresa.inactividadMs;
+      const inactivas = pool.pooldb.filter(db => (ultimoUso.get(db) || 0) < limite);
+      inactivas.forEach(db => {
+        pool.pooldb.splice(pool.pooldb.indexOf(db), 1);
+        cerrarLibre(db);
+      });
+    }, Math.min(empresa.inactividadMs, 60000));
+    barrido.unref();
+  }
+
+  const envolver = (db) => ({
+    consultar: (sql, params) => new Promise((resolve, reject) => {
+      db.query(sql, params, (err, result) => (err ? reject(err) : resolve(result)));
+    }),
+    liberar: () => {
+      ultimoUso.set(db, Date.now());
+      db.detach();
+    },
+    descartar: () => descartarConexion(db)
+  });
+
+  const obtener = () => new Promise((resolve, reject) => {
+    pool.get((err, db) => (err ? reject(err) : resolve(db)));
+  });
+
+  return {
+    // Una conexión libre que perdió el socket (reinicio del servidor, red) se descarta y se pide otra
+    // en lugar de encolar la consulta mientras node-firebird intenta reconectarla
+    obtenerConexion: async () => {
+      let db = await obtener();
+      while (estaCaida(db)) {
+        descartarConexion(db);
+        db = await obtener();
+      }
+      return envolver(db);
+    },
+
+    // Contadores internos de node-firebird (dbinuse, pooldb, pending)
+    estado: () => ({
+      enUso: pool.dbinuse,
+      libres: pool.pooldb.length,
+      maximo: pool.max,
+      enEspera: pool.pending.length
+    }),
+
+    // Cierra las libres con op_detach y corta las que siguen en uso (consultas que no terminaron
+    // antes del apagado). No se usa pool.destroy(): espera para siempre a las conexiones en uso.
+    cerrar: async () => {
+      clearInterval(barrido);
+      const libres = pool.pooldb.splice(0);
+      pool.internaldb.filter(db => !libres.includes(db)).forEach(descartarConexion);
+      await Promise.all(libres.map(cerrarLibre));
+    }
+  };
+};
+
+module.exports = { crearAdaptadorFirebird };
@@ -0,0 +1,31 @@
+// src/db/adaptadores/grabador.js
+// Adaptador que delega en otro (normalmente el de Firebird) y guarda cada respuesta exitosa
+// en los archivos de grabaciones (DB_MODO=grabar, ver db/grabaciones.js).
+
+/**
+ * @param {Object} adaptador Adaptador real (ver adaptadores/firebird.js).
+ * @param {Object} empresa Definición normalizada (ver config/empresas.js).
+ * @param {Object} grabadora Resultado de crearGrabadora() (db/grabaciones.js).
+ */
+const crearAdaptadorGrabador = (adaptador, empresa, grabadora) => ({
+  obtenerConexion: async () => {
+    const conexion = await adaptador.obtenerConexion();
+    return {
+      ...conexion,
+      consultar: async (sql, params) => {
+        const filas = await conexion.consultar(sql, params);
+        grabadora.grabar(empresa.id, sql, params, filas);
+        return filas;
+      }
+    };
+  },
+
+  estado: () => adaptador.estado(),
+
+  cerrar: async () => {
+    await grabadora.pendientes();
+    await adaptador.cerrar();
+  }
+});
+
+module.exports = { crearAdaptadorGrabador };
@@ -0,0 +1,31 @@
+// src/db/adaptadores/reproductor.js
+// Adaptador sin servidor Firebird que responde con las grabaciones (DB_MODO=reproducir, ver db/grabaciones.js).
+const { huellaSql } = require('../huellaSql');
+
+/**
+ * @param {Object} empresa Definición normalizada (ver config/empresas.js).
+ * @param {Object} reproductora Resultado de crearReproductora() (db/grabaciones.js).
+ */
+const crearAdaptadorReproductor = (empresa, reproductora) => {
+  const conexion = {
+    consultar: async (sql, params) => {
+      const filas = await reproductora.buscar(empresa.id, sql, params);
+      if (!filas) {
+        // Se reporta como error de base de datos: la ruta responde 500 y el detalle indica qué falta grabar
+        throw new Error(`Sin grabación para la Empresa ${empresa.id} (huella ${huellaSql(sql)}, ` +
+          `parámetros ${JSON.stringify(params)}); grábela con DB_MODO=grabar.`);
+      }
+      return filas;
+    },
+    liberar: () => {},
+    descartar: () => {}
+  };
+
+  return {
+    obtenerConexion: async () => conexion,
+    estado: () => ({ enUso: 0, libres: empresa.poolSize, maximo: empresa.poolSize, enEspera: 0 }),
+    cerrar: async () => {}
+  };
+};
+
+module.exports = { crearAdaptadorReproductor };
@@ -0,0 +1,93 @@
+// src/db/circuito.js
+// Cortacircuitos por empresa: tras CIRCUITO_FALLOS fallos seguidos de disponibilidad (sin conexión o
+// tiempo agotado) las consultas a la empresa se rechazan de inmediato durante CIRCUITO_ESPERA_MS, en lugar
+// de que cada petición ocupe una conexión y espere su tiempo límite. Pasada la espera se deja pasar una
+// consulta de prueba (semiabierto): si la base responde el circuito se cierra; si no, se vuelve a abrir.
+const { ErrorBaseDatos } = require('../errores');
+const log = require('../log');
+const { config } = require('../config');
+
+const FALLOS = config.circuito.fallos;
+const ESPERA_MS = config.circuito.esperaMs;
+
+// Códigos (ver src/errores.js) que indican que la empresa no está disponible; los demás errores
+// (parámetros inválidos, bloqueos, cancelaciones) son respuestas de una base que sí funciona.
+const CODIGOS_NO_DISPONIBLE = ['BD_NO_DISPONIBLE', 'TIEMPO_AGOTADO'];
+
+const esFalloDeDisponibilidad = (error) => CODIGOS_NO_DISPONIBLE.includes(error?.codigo);
+
+/**
+ * @param {string} etiqueta Ej. 'Empresa 03', para los mensajes.
+ * @param {{ fallos?: number, esperaMs?: number }} [opciones]
+ */
+const crearCircuito = (etiqueta, { fallos = FALLOS, esperaMs = ESPERA_MS } = {}) => {
+  let estado = 'cerrado';
+  let consecutivos = 0;
+  let abiertoEn = 0;
+  let pruebaEnCurso = false;
+
+  const abrir = () => {
+    if (estado !== 'abierto') log.error('Circuito abierto', { circuito: etiqueta, fallosConsecutivos: consecutivos });
+    estado = 'abierto';
+    abiertoEn = Date.now();
+  };
+
+  const restanteMs = () => Math.max(abiertoEn + esperaMs - Date.now(), 0);
+
+  /**
+   * Autoriza una consulta o lanza BD_NO_DISPONIBLE (503) si el circuito está abierto.
+   * En semiabierto sólo pasa la consulta de prueba; las demás se rechazan hasta conocer su resultado.
+   */
+  const autorizar = () => {
+    if (estado === 'abierto' && restanteMs() === 0) estado = 'semiabierto';
+
+    if (estado === 'cerrado') return;
+    if (estado === 'semiabierto' && !pruebaEnCurso) {
+      pruebaEnCurso = true;
+      return;
+    }
+
+    const segundos = Math.max(Math.ceil(restanteMs() / 1000), 1);
+    throw new ErrorBaseDatos('Base de datos no disponible', {
+      status: 503, codigo: 'BD_NO_DISPONIBLE', retryAfter: segundos,
+      detalle: `La ${etiqueta} no respondió en los últimos intentos; se volverá a consultar en ${segundos} s.`
+    });
+  };
+
+  /**
+   * Resultado de una consulta autorizada (error null si terminó bien).
+   */
+  const registrar = (error) => {
+    const eraPrueba = pruebaEnCurso;
+    pruebaEnCurso = false;
+
+    if (esFalloDeDisponibilidad(error)) {
+      consecutivos++;
+      if (eraPrueba || consecutivos >= fallos) abrir();
+      return;
+    }
+
+    // Una cancelación no dice nada de la base: la siguiente consulta hace la prueba
+    if (error?.codigo === 'PETICION_CANCELADA') return;
+
+    if (estado !== 'cerrado') log.info('Circuito cerrado: la base volvió a responder', { circuito: etiqueta });
+    estado = 'cerrado';
+    consecutivos = 0;
+  };
+
+  return {
+    autorizar,
+    registrar,
+    estado: () => ({
+      estado: estado === 'abierto' && restanteMs() === 0 ? 'semiabierto' : estado,
+      fallosConsecutivos: consecutivos,
+      ...(estado === 'abierto' ? { reintentoEnMs: restanteMs() } : {})
+    })
+  };
+};
+
+module.exports = {
+  CODIGOS_NO_DISPONIBLE,
+  esFalloDeDisponibilidad,
+  crearCircuito
+};
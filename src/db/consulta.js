@@ -0,0 +1,261 @@
+// src/db/consulta.js
+// Constructor de consultas para los endpoints con filtros dinámicos: cada filtro produce un fragmento
+// de SQL con sus parámetros, de modo que los valores del usuario siempre viajan como parámetros y
+// los identificadores (columnas, alias) se validan contra una lista permitida.
+//
+//   const filtros = donde(
+//     igual(texto('CAT_ECOMM', 'T4'), familia),
+//     rango(numeroDeTexto('DIAM_INT', 'T4'), { min: diam_int_min, max: diam_int_max })
+//   );
+//   const pagina = paginar(req.query);
+//   await principal.query(`SELECT ... ${filtros.sql} ${ordenar(columna('CVE_ART', 'T1'))} ${pagina.sql}`,
+//     [...filtros.params, ...pagina.params]);
+//
+// Un filtro sin valor (undefined, '' o un número inválido) se omite, así los endpoints no necesitan un if por parámetro.
+const { ATRIBUTOS, columna: columnaAtributo, expresionNumerica, parseNumero } = require('../config/atributos');
+const { ErrorPeticion } = require('../errores');
+
+// Columnas físicas de SAE que pueden aparecer en filtros y ordenamientos. Los campos libres
+// (INVE_CLIBxx) se referencian por su nombre de atributo (ver config/atributos.js).
+const COLUMNAS = ['CVE_ART', 'DESCR', 'LIN_PROD', 'UNI_MED', 'STATUS', 'EXIST', 'ULT_COSTO', 'FCH_ULTCOM', 'FECHA_DOC'];
+
+const ALIAS_VALIDO = /^[A-Z][A-Z0-9_]{0,30}$/i;
+
+// Marca de las expresiones creadas por este módulo: los filtros no aceptan texto SQL arbitrario
+const EXPRESION = Symbol('expresion');
+
+const crearExpresion = (sql, { numerica = false, preparar = valor => valor } = {}) =>
+  Object.freeze({ [EXPRESION]: true, sql, numerica, preparar });
+
+const validarExpresion = (expresion) => {
+  if (!expresion?.[EXPRESION]) {
+    throw new Error('Expresión de consulta inválida: usa columna(), texto(), recortado() o numeroDeTexto().');
+  }
+  return expresion;
+};
+
+/**
+ * Columna calificada y validada: un atributo de producto ('PERFIL' -> 'T4.CAMPLIB13') o una columna de COLUMNAS.
+ * @param {string} nombre
+ * @param {string} [alias] Alias de la tabla en la consulta (ej. 'T1').
+ */
+const columna = (nombre, alias) => {
+  if (alias !== undefined && !ALIAS_VALIDO.test(alias)) throw new Error(`Alias de tabla inválido: ${alias}`);
+  if (ATRIBUTOS[nombre]) return crearExpresion(columnaAtributo(nombre, alias));
+  if (!COLUMNAS.includes(nombre)) throw new Error(`Columna no permitida en consultas: ${nombre}`);
+  return crearExpresion(alias ? `${alias}.${nombre}` : nombre);
+};
+
+const sinVacio = (sql) => `COALESCE(${sql}, '')`;
+
+/**
+ * Texto comparado sin importar mayúsculas ni espacios: UPPER(TRIM(COALESCE(col, ''))); el valor se recorta y pasa a mayúsculas.
+ */
+const texto = (nombre, alias) => crearExpresion(`UPPER(TRIM(${sinVacio(columna(nombre, alias).sql)}))`, {
+  preparar: valor => String(valor).trim().toUpperCase()
+});
+
+/**
+ * Texto recortado tal cual: TRIM(COALESCE(col, '')); el valor sólo se recorta (ej. SIST_MED, capturado en minúsculas).
+ */
+const recortado = (nombre, alias) => crearExpresion(`TRIM(${sinVacio(columna(nombre, alias).sql)})`, {
+  preparar: valor => String(valor).trim()
+});
+
+/**
+ * Atributo dimensional capturado como texto, comparado como número (ver expresionNumerica).
+ * El valor acepta coma decimal; uno inválido omite el filtro.
+ */
+const numeroDeTexto = (nombre, alias) => {
+  columna(nombre, alias);
+  return crearExpresion(expresionNumerica(nombre, alias), { numerica: true, preparar: parseNumero });
+};
+
+// --- Filtros ---
+
+const vacio = (valor) => valor === undefined || valor === null || String(valor).trim() === '';
+
+const marcador = (expresion) => (expresion.numerica ? 'CAST(? AS NUMERIC(15, 4))' : '?');
+
+/**
+ * Valor listo para parámetro; null si el filtro debe omitirse.
+ */
+const preparar = (expresion, valor) => {
+  if (vacio(valor)) return null;
+  const preparado = expresion.preparar(valor);
+  return preparado === null || preparado === undefined ? null : preparado;
+};
+
+const filtro = (sql, params = []) => ({ sql, params });
+
+/**
+ * expr = ?; con tolerancia (sólo numéricas) ABS(expr - ?) <= tolerancia.
+ * @param {{ tolerancia?: number }} [opciones]
+ */
+const igual = (expresion, valor, { tolerancia } = {}) => {
+  validarExpresion(expresion);
+  const param = preparar(expresion, valor);
+  if (param === null) return null;
+
+  if (tolerancia !== undefined) {
+    if (!expresion.numerica || !Number.isFinite(tolerancia)) throw new Error('La tolerancia sólo aplica a expresiones numéricas.');
+    return filtro(`ABS(${expresion.sql} - ${marcador(expresion)}) <= ${Number(tolerancia)}`, [param]);
+  }
+  return filtro(`${expresion.sql} = ${marcador(expresion)}`, [param]);
+};
+
+/**
+ * expr IN (?, ?, ...); los valores vacíos se descartan y sin valores se omite.
+ */
+const en = (expresion, valores) => {
+  validarExpresion(expresion);
+  const params = [...new Set((valores || []).map(valor => preparar(expresion, valor)).filter(valor => valor !== null))];
+  if (params.length === 0) return null;
+  if (params.length === 1) return filtro(`${expresion.sql} = ${marcador(expresion)}`, params);
+  return filtro(`${expresion.sql} IN (${params.map(() => marcador(expresion)).join(', ')})`, params);
+};
+
+/**
+ * min <= expr <= max; cualquiera de los dos extremos puede faltar.
+ * @param {{ min?: *, max?: * }} extremos
+ */
+const rango = (expresion, { min, max } = {}) => {
+  validarExpresion(expresion);
+  const desde = preparar(expresion, min);
+  const hasta = preparar(expresion, max);
+
+  const partes = [];
+  const params = [];
+  if (desde !== null) {
+    partes.push(`${expresion.sql} >= ${marcador(expresion)}`);
+    params.push(desde);
+  }
+  if (hasta !== null) {
+    partes.push(`${expresion.sql} <= ${marcador(expresion)}`);
+    params.push(hasta);
+  }
+  return partes.length ? filtro(partes.join(' AND '), params) : null;
+};
+
+/**
+ * expr STARTING WITH ? (aprovecha los índices de Firebird).
+ */
+const empiezaCon = (expresion, valor) => {
+  validarExpresion(expresion);
+  const param = preparar(expresion, valor);
+  return param === null ? null : filtro(`${expresion.sql} STARTING WITH ?`, [param]);
+};
+
+/**
+ * (expr1 CONTAINING ? OR expr2 CONTAINING ? ...); CONTAINING no distingue mayúsculas.
+ * @param {Object|Object[]} expresiones
+ */
+const contiene = (expresiones, valor) => {
+  const lista = [].concat(expresiones).map(validarExpresion);
+  if (vacio(valor)) return null;
+  const param = String(valor).trim();
+  const partes = lista.map(expresion => `${expresion.sql} CONTAINING ?`);
+  return filtro(partes.length > 1 ? `(${partes.join(' OR ')})` : partes[0], lista.map(() => param));
+};
+
+/**
+ * expr no es NULL ni texto vacío.
+ */
+const noVacio = (expresion) => {
+  validarExpresion(expresion);
+  return filtro(`${expresion.sql} IS NOT NULL AND ${expresion.sql} <> ''`);
+};
+
+/**
+ * Condición con SQL fijo escrito en el código (nunca texto del usuario) y sus parámetros,
+ * para lo que no cubren los filtros anteriores (ej. un EXISTS).
+ */
+const condicion = (sql, ...params) => filtro(sql, params);
+
+/**
+ * Une los filtros con AND; los omitidos (null) se ignoran.
+ * @returns {{ sql: string, params: Array }} sql es 'WHERE ...' o '' si no hay filtros.
+ */
+const donde = (...filtros) => {
+  const activos = filtros.flat().filter(Boolean);
+  if (activos.length === 0) return { sql: '', params: [] };
+  return {
+    sql: `WHERE ${activos.map(f => f.sql).join(' AND ')}`,
+    params: activos.flatMap(f => f.params)
+  };
+};
+
+// --- Orden y paginación ---
+
+/**
+ * ORDER BY con una expresión validada. Con un mapa de campos permitidos, el campo pedido por el
+ * usuario debe ser una de sus llaves (si no, 400).
+ * @param {Object|Object<string, Object>} campos Expresión o mapa nombre de API -> expresión.
+ * @param {{ campo?: string, direccion?: string }} [pedido]
+ */
+const ordenar = (campos, { campo, direccion = 'asc' } = {}) => {
+  let expresion = campos;
+  if (!campos?.[EXPRESION]) {
+    const permitidos = Object.keys(campos);
+    const elegido = campo ?? permitidos[0];
+    if (!permitidos.includes(elegido)) {
+      throw new ErrorPeticion(`Campo de orden inválido: ${elegido}. Valores permitidos: ${permitidos.join(', ')}.`);
+    }
+    expresion = campos[elegido];
+  }
+  validarExpresion(expresion);
+
+  const sentido = String(direccion).toLowerCase();
+  if (!['asc', 'desc'].includes(sentido)) {
+    throw new ErrorPeticion(`Dirección de orden inválida: ${direccion}. Valores permitidos: asc, desc.`);
+  }
+  return `ORDER BY ${expresion.sql} ${sentido.toUpperCase()}`;
+};
+
+const entero = (valor) => {
+  const numero = Number(valor);
+  return Number.isInteger(numero) ? numero : null;
+};
+
+/**
+ * Paginación con ROWS ? TO ? (va al final de la consulta, después del ORDER BY).
+ * Acepta limit + offset o page + limit; los valores inválidos toman el valor por defecto.
+ * @param {{ limit?: *, offset?: *, page?: * }} pedido Normalmente req.query.
+ * @param {{ limite?: number, maximo?: number }} [opciones]
+ * @returns {{ sql: string, params: number[], limite: number, desplazamiento: number, pagina: number }}
+ */
+const paginar = ({ limit, offset, page } = {}, { limite: porDefecto = 10, maximo = Infinity } = {}) => {
+  const pedido = entero(limit);
+  const limite = Math.min(pedido > 0 ? pedido : porDefecto, maximo);
+
+  const numeroPagina = entero(page);
+  const desplazamiento = page !== undefined
+    ? ((numeroPagina > 0 ? numeroPagina : 1) - 1) * limite
+    : Math.max(entero(offset) || 0, 0);
+
+  return {
+    sql: 'ROWS ? TO ?',
+    params: [desplazamiento + 1, desplazamiento + limite],
+    limite,
+    desplazamiento,
+    pagina: Math.floor(desplazamiento / limite) + 1
+  };
+};
+
+module.exports = {
+  COLUMNAS,
+  columna,
+  texto,
+  recortado,
+  numeroDeTexto,
+  igual,
+  en,
+  rango,
+  empiezaCon,
+  contiene,
+  noVacio,
+  condicion,
+  donde,
+  ordenar,
+  paginar
+};
@@ -0,0 +1,157 @@
+// src/db/consultasLentas.js
+// Registro de consultas lentas: toda consulta que tarda más de CONSULTAS_LENTAS_UMBRAL_MS se escribe
+// (una línea JSON) en un archivo que rota por tamaño y se acumula por huella del SQL para
+// GET /api/admin/consultas-lentas. Cada registro lleva el X-Request-Id de la petición que la originó.
+const fs = require('fs');
+const path = require('path');
+const { normalizarSql, huellaSql } = require('./huellaSql');
+const log = require('../log');
+const { config } = require('../config');
+
+const UMBRAL_MS = config.consultasLentas.umbralMs;
+const ARCHIVO = config.consultasLentas.archivo;
+const TAMANO_MAXIMO = config.consultasLentas.tamanoMb * 1024 * 1024;
+const ARCHIVOS_ROTADOS = config.consultasLentas.archivosRotados;
+
+// Huellas distintas que se conservan en memoria; al llenarse se descarta la de menor tiempo acumulado
+const MAXIMO_HUELLAS = 500;
+
+// --- Archivo con rotación ---
+
+let tamanoActual = null;
+let escritura = Promise.resolve();
+let errorReportado = false;
+
+const rotar = async () => {
+  for (let i = ARCHIVOS_ROTADOS - 1; i >= 1; i--) {
+    await fs.promises.rename(`${ARCHIVO}.${i}`, `${ARCHIVO}.${i + 1}`).catch(() => {});
+  }
+  await fs.promises.rename(ARCHIVO, `${ARCHIVO}.1`);
+  tamanoActual = 0;
+};
+
+const escribirLinea = async (linea) => {
+  if (tamanoActual === null) {
+    await fs.promises.mkdir(path.dirname(ARCHIVO), { recursive: true });
+    tamanoActual = await fs.promises.stat(ARCHIVO).then(s => s.size, () => 0);
+  }
+  const bytes = Buffer.byteLength(linea);
+  if (tamanoActual > 0 && tamanoActual + bytes > TAMANO_MAXIMO) await rotar();
+
+  await fs.promises.appendFile(ARCHIVO, linea);
+  tamanoActual += bytes;
+};
+
+/**
+ * Encola la escritura para que las líneas no se intercalen ni compitan con la rotación.
+ * Un fallo del disco no debe afectar a las consultas: se reporta una vez y se sigue acumulando en memoria.
+ */
+const escribir = (registro) => {
+  escritura = escritura
+    .then(() => escribirLinea(JSON.stringify(registro) + '\n'))
+    .catch(error => {
+      if (!errorReportado) log.error('No se pudo escribir el registro de consultas lentas', { archivo: ARCHIVO, error: error.message });
+      errorReportado = true;
+    });
+};
+
+// --- Acumulado por huella ---
+
+// huella -> { huella, sql, consultas, rutas, empresas, veces, totalMs, maximoMs, errores, ultima }
+const acumulado = new Map();
+const desde = new Date().toISOString();
+
+const acumular = (registro) => {
+  let entrada = acumulado.get(registro.huella);
+  if (!entrada) {
+    if (acumulado.size >= MAXIMO_HUELLAS) {
+      const menor = Array.from(acumulado.values()).reduce((a, b) => (a.totalMs <= b.totalMs ? a : b));
+      acumulado.delete(menor.huella);
+    }
+    entrada = {
+      huella: registro.huella, sql: registro.sql, consultas: new Set(), rutas: new Set(), empresas: new Set(),
+      veces: 0, totalMs: 0, maximoMs: 0, errores: 0, ultima: null
+    };
+    acumulado.set(registro.huella, entrada);
+  }
+
+  entrada.consultas.add(registro.consulta);
+  if (registro.ruta) entrada.rutas.add(registro.ruta);
+  entrada.empresas.add(registro.empresa);
+  entrada.veces++;
+  entrada.totalMs += registro.duracionMs;
+  entrada.maximoMs = Math.max(entrada.maximoMs, registro.duracionMs);
+  if (registro.error) entrada.errores++;
+  entrada.ultima = registro;
+};
+
+/**
+ * Registra una consulta terminada (o abandonada por tiempo agotado) si rebasó el umbral.
+ * @param {Object} datos
+ * @param {string} datos.empresa
+ * @param {string} datos.sql
+ * @param {number} datos.parametros Número de parámetros (los valores no se guardan).
+ * @param {number|null} datos.filas null si la consulta no terminó.
+ * @param {string} datos.consulta Nombre de la consulta (ver db/pool.js).
+ * @param {string} [datos.ruta] Ruta de la petición que la originó.
+ * @param {string} [datos.cliente]
+ * @param {string} [datos.requestId] X-Request-Id de la petición.
+ * @param {number} datos.duracionMs Desde que se pidió la conexión al pool.
+ * @param {number} datos.esperaMs Parte de la duración que se esperó una conexión.
+ * @param {string} [datos.error] Código del error, si no terminó bien.
+ */
+const registrarConsulta = ({ sql, ...datos }) => {
+  if (datos.duracionMs < UMBRAL_MS) return;
+
+  const sqlNormalizado = normalizarSql(sql);
+  const registro = {
+    fecha: new Date().toISOString(),
+    huella: huellaSql(sql),
+    ...datos,
+    duracionMs: Math.round(datos.duracionMs),
+    esperaMs: Math.round(datos.esperaMs),
+    sql: sqlNormalizado
+  };
+
+  log.warn('Consulta lenta', {
+    empresa: registro.empresa, consulta: registro.consulta, duracionMs: registro.duracionMs, huella: registro.huella
+  });
+  acumular(registro);
+  escribir(registro);
+};
+
+const ORDENES = {
+  total: (a, b) => b.totalMs - a.totalMs,
+  maximo: (a, b) => b.maximoMs - a.maximoMs,
+  veces: (a, b) => b.veces - a.veces
+};
+
+/**
+ * Consultas lentas acumuladas desde el arranque, de la más costosa a la menos.
+ * @param {{ limite?: number, orden?: 'total'|'maximo'|'veces' }} [opciones]
+ */
+const consultasMasLentas = ({ limite = 20, orden = 'total' } = {}) => Array.from(acumulado.values())
+  .sort(ORDENES[orden] || ORDENES.total)
+  .slice(0, limite)
+  .map(e => ({
+    huella: e.huella,
+    sql: e.sql,
+    veces: e.veces,
+    totalMs: e.totalMs,
+    promedioMs: Math.round(e.totalMs / e.veces),
+    maximoMs: e.maximoMs,
+    errores: e.errores,
+    consultas: Array.from(e.consultas),
+    rutas: Array.from(e.rutas),
+    empresas: Array.from(e.empresas),
+    ultima: { fecha: e.ultima.fecha, duracionMs: e.ultima.duracionMs, parametros: e.ultima.parametros, filas: e.ultima.filas }
+  }));
+
+const resumen = () => ({ umbralMs: UMBRAL_MS, archivo: ARCHIVO, desde, huellas: acumulado.size });
+
+module.exports = {
+  ORDENES: Object.keys(ORDENES),
+  registrarConsulta,
+  consultasMasLentas,
+  resumen
+};
@@ -0,0 +1,102 @@
+// src/db/cuotas.js
+// Cupos de consultas simultáneas por cliente de la API en cada pool de empresa.
+// Un cliente que dispara muchas consultas a la vez espera turno en lugar de acaparar
+// las conexiones del pool; las consultas fuera de una petición (arranque, índice) no tienen cupo.
+const { AsyncResource } = require('async_hooks');
+const { contextoActual } = require('../contexto');
+const { ErrorLimite } = require('../errores');
+const { config } = require('../config');
+
+const ESPERA_MAXIMA_MS = config.limites.esperaConsultaMs;
+
+/**
+ * Cupo agotado: la consulta esperó turno más de ESPERA_MAXIMA_MS (se responde 429).
+ */
+const errorCupo = (cliente, empresaId) => new ErrorLimite(
+  `El cliente ${cliente} superó su cupo de consultas simultáneas en la Empresa ${empresaId}; intente más tarde.`,
+  Math.ceil(ESPERA_MAXIMA_MS / 1000)
+);
+
+// `${empresaId}|${cliente}` -> { empresaId, cliente, limite, activas, cola: [{ iniciar }] }
+const cupos = new Map();
+
+const obtenerCupo = (empresaId, cliente) => {
+  const llave = `${empresaId}|${cliente.nombre}`;
+  let cupo = cupos.get(llave);
+  if (!cupo) {
+    cupo = { empresaId, cliente: cliente.nombre, limite: 0, activas: 0, cola: [] };
+    cupos.set(llave, cupo);
+  }
+  // El límite se toma del cliente en cada consulta para respetar las recargas del registro
+  cupo.limite = cliente.limites.consultasConcurrentes;
+  return cupo;
+};
+
+const liberar = (cupo) => {
+  cupo.activas--;
+  while (cupo.activas < cupo.limite && cupo.cola.length > 0) {
+    cupo.activas++;
+    cupo.cola.shift().iniciar();
+  }
+};
+
+/**
+ * Ejecuta la consulta dentro del cupo del cliente de la petición actual en la empresa indicada.
+ * @param {string} empresaId
+ * @param {() => Promise} consulta
+ */
+const conCupo = (empresaId, consulta) => {
+  const cliente = contextoActual()?.cliente;
+  if (!cliente) return consulta();
+
+  const cupo = obtenerCupo(empresaId, cliente);
+
+  const ejecutar = () => consulta().finally(() => liberar(cupo));
+
+  if (cupo.activas < cupo.limite) {
+    cupo.activas++;
+    return ejecutar();
+  }
+
+  return new Promise((resolve, reject) => {
+    // El turno lo inicia la consulta que libera el cupo: se ata al contexto de esta petición
+    // para que la consulta use su señal, su ruta y su X-Request-Id y no los de la otra
+    const turno = {
+      iniciar: AsyncResource.bind(() => {
+        clearTimeout(temporizador);
+        ejecutar().then(resolve, reject);
+      })
+    };
+    const temporizador = setTimeout(() => {
+      cupo.cola.splice(cupo.cola.indexOf(turno), 1);
+      reject(errorCupo(cliente.nombre, empresaId));
+    }, ESPERA_MAXIMA_MS);
+
+    cupo.cola.push(turno);
+  });
+};
+
+/**
+ * Consultas en espera del cliente en todas las empresas (para rechazar peticiones nuevas si se acumulan).
+ */
+const consultasEnEspera = (nombreCliente) => {
+  let total = 0;
+  for (const cupo of cupos.values()) {
+    if (cupo.cliente === nombreCliente) total += cupo.cola.length;
+  }
+  return total;
+};
+
+/**
+ * Uso actual de los cupos: consultas activas y en espera por empresa y cliente.
+ */
+const estadoCupos = () => Array.from(cupos.values())
+  .filter(c => c.activas > 0 || c.cola.length > 0)
+  .map(c => ({ empresa: c.empresaId, cliente: c.cliente, limite: c.limite, activas: c.activas, enEspera: c.cola.length }));
+
+module.exports = {
+  ESPERA_MAXIMA_MS,
+  conCupo,
+  consultasEnEspera,
+  estadoCupos
+};
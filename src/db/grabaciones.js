@@ -0,0 +1,204 @@
+// src/db/grabaciones.js
+// Grabaciones de respuestas de Firebird para correr la API sin acceso al ERP (DB_MODO=grabar / reproducir).
+// Un archivo por empresa y huella del SQL (ver db/huellaSql.js): <directorio>/<empresa>/<huella>.json con
+//   { huella, sql (normalizado), respuestas: [{ sql, params, filas }] }
+// Cada respuesta se identifica por el SQL exacto (sin espacios repetidos) y sus parámetros, porque
+// consultas con distintos valores literales comparten huella.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizarSql, huellaSql } = require('./huellaSql');
+const log = require('../log');
+const { config } = require('../config');
+
+// firebird, grabar o reproducir (validado en config/index.js)
+const MODO = config.db.modo;
+const DIRECTORIO = config.db.grabacionesDirectorio;
+
+// Columnas que se enmascaran al grabar (por nombre, sin importar mayúsculas)
+const COLUMNAS_ENMASCARADAS = config.db.columnasEnmascaradas.map(c => c.toUpperCase());
+
+// --- Formato de los archivos ---
+
+// JSON no conserva fechas ni buffers: se guardan etiquetados y se reconstruyen al leer
+// para que los servicios reciban los mismos tipos que entrega node-firebird.
+function codificar(clave, valor) {
+  const original = this[clave];
+  if (original instanceof Date) return { $fecha: original.toISOString() };
+  if (Buffer.isBuffer(original)) return { $buffer: original.toString('base64') };
+  return valor;
+}
+
+const decodificar = (clave, valor) => {
+  if (valor && typeof valor === 'object' && !Array.isArray(valor)) {
+    if ('$fecha' in valor) return new Date(valor.$fecha);
+    if ('$buffer' in valor) return Buffer.from(valor.$buffer, 'base64');
+  }
+  return valor;
+};
+
+const sqlCompacto = (sql) => String(sql).replace(/\s+/g, ' ').trim();
+
+/**
+ * Llave de una respuesta dentro de su archivo: SQL exacto más parámetros.
+ */
+const llaveRespuesta = (sql, params = []) => JSON.stringify([sqlCompacto(sql), params], codificar);
+
+const rutaArchivo = (directorio, empresaId, sql) => path.join(directorio, empresaId, `${huellaSql(sql)}.json`);
+
+/**
+ * Lee el archivo de grabaciones de una consulta; null si no existe.
+ */
+const leerArchivo = async (ruta) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(ruta, 'utf8'), decodificar);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Archivo de grabaciones inválido (${ruta}): ${error.message}`);
+  }
+};
+
+const escribirArchivo = async (ruta, contenido) => {
+  await fs.promises.mkdir(path.dirname(ruta), { recursive: true });
+  await fs.promises.writeFile(ruta, JSON.stringify(contenido, codificar, 2) + '\n');
+};
+
+// --- Enmascarado ---
+
+/**
+ * Valor sustituto estable: el mismo dato siempre produce la misma máscara, así los cruces entre
+ * consultas (ej. deduplicar clientes por RFC) siguen funcionando con la grabación.
+ */
+const enmascararValor = (valor) => {
+  const texto = String(valor).trim().toUpperCase();
+  if (texto === '') return valor;
+
+  const hash = crypto.createHash('sha1').update(texto).digest('hex').slice(0, 10).toUpperCase();
+  return texto.includes('@') ? `${hash.toLowerCase()}@ejemplo.invalid` : `MASC${hash}`;
+};
+
+// Palabras del SQL que pueden quedar entre la columna y su parámetro (TRIM(UPPER(RFC)) = CAST(? AS ...))
+const PALABRAS_SQL = new Set([
+  'AND', 'OR', 'NOT', 'WHERE', 'ON', 'AS', 'IN', 'IS', 'LIKE', 'STARTING', 'WITH', 'CONTAINING', 'BETWEEN',
+  'CAST', 'VARCHAR', 'CHAR', 'UPPER', 'LOWER', 'TRIM', 'COALESCE', 'ROWS', 'FIRST', 'SKIP', 'TO'
+]);
+
+/**
+ * Columna a la que se compara cada parámetro del SQL (null si no se identifica). Es la última columna
+ * escrita antes de cada "?"; los "?" seguidos de una lista IN (?, ?) heredan la del primero.
+ */
+const columnasDeParametros = (sql) => {
+  const tramos = String(sql).replace(/'(?:[^']|'')*'/g, "''").split('?').slice(0, -1);
+  let anterior = null;
+
+  return tramos.map(tramo => {
+    const columnas = (tramo.match(/[A-Za-z_$][\w$]*/g) || []).filter(p => !PALABRAS_SQL.has(p.toUpperCase()));
+    if (columnas.length > 0) anterior = columnas[columnas.length - 1].toUpperCase();
+    else if (!/^[\s,]*$/.test(tramo)) anterior = null;
+    return anterior;
+  });
+};
+
+/**
+ * Enmascara las columnas indicadas de las filas y los parámetros que se comparan con ellas
+ * (ej. el RFC que se buscó), con la misma máscara que tendría el valor en las filas, para poder
+ * repetir la búsqueda con el valor enmascarado al reproducir aunque la consulta no haya regresado filas.
+ * Los demás parámetros con un valor enmascarado en las filas también se sustituyen.
+ * @returns {{ filas: Array<Object>, params: Array }}
+ */
+const enmascarar = (filas, params, columnas, sql = '') => {
+  const sustituidos = new Map();
+
+  const filasEnmascaradas = filas.map(fila => {
+    const copia = { ...fila };
+    Object.keys(copia).forEach(columna => {
+      const valor = copia[columna];
+      if (!columnas.includes(columna.toUpperCase()) || valor === null || valor === undefined) return;
+
+      copia[columna] = enmascararValor(valor);
+      sustituidos.set(String(valor).trim().toUpperCase(), copia[columna]);
+    });
+    return copia;
+  });
+
+  const columnasParams = columnasDeParametros(sql);
+  const paramsEnmascarados = params.map((param, i) => {
+    if (typeof param !== 'string') return param;
+    if (columnas.includes(columnasParams[i])) return enmascararValor(param);
+    return sustituidos.get(param.trim().toUpperCase()) ?? param;
+  });
+
+  return { filas: filasEnmascaradas, params: paramsEnmascarados };
+};
+
+// --- Grabación y reproducción ---
+
+/**
+ * Guarda respuestas en los archivos de grabaciones. Las escrituras de un mismo archivo se encadenan
+ * y cada respuesta sustituye a la anterior con el mismo SQL y parámetros, así una sesión de grabación
+ * completa (o actualiza) la captura de sesiones anteriores.
+ * @param {{ directorio?: string, columnas?: string[] }} [opciones]
+ */
+const crearGrabadora = ({ directorio = DIRECTORIO, columnas = COLUMNAS_ENMASCARADAS } = {}) => {
+  const escrituras = new Map(); // ruta -> promesa de la última escritura
+
+  const grabar = (empresaId, sql, params = [], filas = []) => {
+    const ruta = rutaArchivo(directorio, empresaId, sql);
+    const respuesta = { sql: sqlCompacto(sql), ...enmascarar(filas, params, columnas, sql) };
+    const llave = llaveRespuesta(sql, respuesta.params);
+
+    const escritura = (escrituras.get(ruta) || Promise.resolve())
+      .then(async () => {
+        const archivo = await leerArchivo(ruta) || { huella: huellaSql(sql), sql: normalizarSql(sql), respuestas: [] };
+        archivo.respuestas = archivo.respuestas.filter(r => llaveRespuesta(r.sql, r.params) !== llave);
+        archivo.respuestas.push(respuesta);
+        await escribirArchivo(ruta, archivo);
+      })
+      .catch(error => log.error('No se pudo grabar la respuesta', { archivo: ruta, error: error.message }));
+
+    escrituras.set(ruta, escritura);
+    return escritura;
+  };
+
+  // Espera las escrituras pendientes (al cerrar los pools)
+  const pendientes = () => Promise.all(escrituras.values());
+
+  return { grabar, pendientes };
+};
+
+/**
+ * Busca respuestas en los archivos de grabaciones. Cada archivo se lee una vez.
+ * @param {{ directorio?: string }} [opciones]
+ */
+const crearReproductora = ({ directorio = DIRECTORIO } = {}) => {
+  const archivos = new Map(); // ruta -> Promise<Map<llave, filas> | null>
+
+  const cargar = (ruta) => {
+    if (!archivos.has(ruta)) {
+      archivos.set(ruta, leerArchivo(ruta).then(archivo => archivo && new Map(
+        archivo.respuestas.map(r => [llaveRespuesta(r.sql, r.params), r.filas])
+      )));
+    }
+    return archivos.get(ruta);
+  };
+
+  /**
+   * Filas grabadas para la consulta; null si no hay grabación.
+   */
+  const buscar = async (empresaId, sql, params = []) => {
+    const respuestas = await cargar(rutaArchivo(directorio, empresaId, sql));
+    const filas = respuestas?.get(llaveRespuesta(sql, params));
+    return filas ? structuredClone(filas) : null;
+  };
+
+  return { buscar };
+};
+
+module.exports = {
+  MODO,
+  DIRECTORIO,
+  COLUMNAS_ENMASCARADAS,
+  enmascararValor,
+  crearGrabadora,
+  crearReproductora
+};
@@ -0,0 +1,28 @@
+// src/db/huellaSql.js
+// Huella de una consulta SQL: identifica las consultas que sólo cambian en sus valores
+// (registro de consultas lentas, adaptador falso de las pruebas).
+const crypto = require('crypto');
+
+/**
+ * SQL normalizado: sin comentarios ni espacios repetidos, con literales como ? y las listas
+ * IN (?, ?, ...) colapsadas, para que las consultas que sólo cambian de valores compartan huella.
+ */
+const normalizarSql = (sql) => String(sql)
+  .replace(/--[^\n]*/g, ' ')
+  .replace(/\/\*[\s\S]*?\*\//g, ' ')
+  .replace(/'(?:[^']|'')*'/g, '?')
+  .replace(/\b\d+(\.\d+)?\b/g, '?')
+  .replace(/\s+/g, ' ')
+  .replace(/\(\s*\?(\s*,\s*\?)+\s*\)/g, '(?+)')
+  .trim()
+  .toUpperCase();
+
+/**
+ * Primeros 12 caracteres del SHA-1 del SQL normalizado.
+ */
+const huellaSql = (sql) => crypto.createHash('sha1').update(normalizarSql(sql)).digest('hex').slice(0, 12);
+
+module.exports = {
+  normalizarSql,
+  huellaSql
+};
@@ -0,0 +1,171 @@
+// src/db/index.js
+// Registro de empresas: entrega la función de consulta y los nombres de tabla SAE de cada una.
+const { cargarEmpresas } = require('../config/empresas');
+const { getSucursal, sucursalesDeEmpresa } = require('../config/sucursales');
+const { reportarFuenteNoDisponible } = require('../contexto');
+const { esFalloDeDisponibilidad } = require('./circuito');
+const { crearPool, TIEMPO_LIMITE_CONSULTA_MS, TIEMPO_LIMITE_ANALITICO_MS } = require('./pool');
+const { crearAdaptadorFirebird } = require('./adaptadores/firebird');
+const { crearAdaptadorGrabador } = require('./adaptadores/grabador');
+const { crearAdaptadorReproductor } = require('./adaptadores/reproductor');
+const { MODO, DIRECTORIO, crearGrabadora, crearReproductora } = require('./grabaciones');
+const log = require('../log');
+
+/**
+ * Tablas SAE que se consultan por nombre lógico (sin sufijo de empresa).
+ * Restringir la lista evita que un nombre arbitrario termine dentro del SQL.
+ */
+const TABLAS = [
+  'ALMACENES', 'CLIE', 'COMPC', 'CUEN_DET', 'CVES_ALTER', 'FACTF', 'FACTR',
+  'INVE', 'INVE_CLIB', 'MINVE', 'MULT', 'PRECIO_X_PROD', 'PROV'
+];
+
+/**
+ * Adaptador de cada empresa según DB_MODO: Firebird (por defecto), Firebird grabando las respuestas
+ * o las grabaciones sin servidor (ver db/grabaciones.js).
+ */
+const fabricaPorModo = () => {
+  if (MODO === 'grabar') {
+    const grabadora = crearGrabadora();
+    return def => crearAdaptadorGrabador(crearAdaptadorFirebird(def), def, grabadora);
+  }
+  if (MODO === 'reproducir') {
+    const reproductora = crearReproductora();
+    return def => crearAdaptadorReproductor(def, reproductora);
+  }
+  return crearAdaptadorFirebird;
+};
+
+if (MODO !== 'firebird') log.info('Base de datos en modo de grabaciones', { modo: MODO, directorio: DIRECTORIO });
+
+const definiciones = cargarEmpresas();
+const fabricaInicial = fabricaPorModo();
+const empresas = new Map();
+
+// Pool vigente de cada empresa. Las empresas delegan en él para que cambiar de adaptador
+// (usarAdaptador) alcance también a los módulos que ya guardaron su empresa al cargar.
+const pools = new Map();
+
+definiciones.forEach(def => {
+  pools.set(def.id, crearPool(def, fabricaInicial(def)));
+
+  empresas.set(def.id, {
+    id: def.id,
+    nombre: def.nombre,
+    sufijo: def.sufijo,
+    clienteInterno: def.clienteInterno,
+    principal: def.principal,
+    requerida: def.requerida,
+    query: (sql, params, opciones) => pools.get(def.id).query(sql, params, opciones),
+    destroy: () => pools.get(def.id).destroy(),
+    estadoPool: () => pools.get(def.id).estado(),
+    /**
+     * Resuelve el nombre físico de una tabla SAE para esta empresa.
+     * @param {string} nombreLogico Ej. 'FACTF' -> 'FACTF02'
+     */
+    tabla(nombreLogico) {
+      if (!TABLAS.includes(nombreLogico)) {
+        throw new Error(`Tabla SAE desconocida: ${nombreLogico}`);
+      }
+      return `${nombreLogico}${def.sufijo}`;
+    }
+  });
+});
+
+/**
+ * Obtiene una empresa configurada por su id ('02', '03', ...).
+ */
+const getEmpresa = (id) => {
+  const empresa = empresas.get(String(id));
+  if (!empresa) throw new Error(`Empresa no configurada: ${id}`);
+  return empresa;
+};
+
+/**
+ * Empresa principal (la que concentra catálogo, claves alternas y compras).
+ */
+const getPrincipal = () => Array.from(empresas.values()).find(e => e.principal);
+
+/**
+ * Todas las empresas configuradas, la principal siempre primero.
+ */
+const listarEmpresas = () => Array.from(empresas.values())
+  .sort((a, b) => Number(b.principal) - Number(a.principal));
+
+/**
+ * Resuelve la empresa que corresponde al parámetro SUCURSAL que envían los frontends.
+ * Acepta el id de sucursal (1, 5, 10...) o, por compatibilidad, el número de empresa
+ * ('3' = Empresa 03). Regresa null si el valor viene vacío o no se reconoce.
+ */
+const getEmpresaDeSucursal = (valor) => {
+  if (valor === undefined || valor === null || String(valor).trim() === '') return null;
+
+  const sucursal = getSucursal(valor);
+  if (sucursal) return getEmpresa(sucursal.empresa);
+
+  const numero = parseInt(valor, 10);
+  return listarEmpresas().find(e => parseInt(e.id, 10) === numero) || null;
+};
+
+/**
+ * Ejecuta fn(empresa) tolerando que la empresa no esté disponible (sin conexión, tiempo agotado o
+ * circuito abierto, ver db/circuito.js): en ese caso regresa null y la reporta en la petición para que
+ * la respuesta la marque en fuentes_no_disponibles, en lugar de rellenar sus datos con ceros.
+ * Los demás errores, y cualquier falla de la empresa principal, se propagan.
+ * @template T
+ * @param {Object} empresa
+ * @param {(empresa: Object) => Promise<T>} fn
+ * @returns {Promise<T|null>}
+ */
+const siDisponible = async (empresa, fn) => {
+  try {
+    return await fn(empresa);
+  } catch (error) {
+    if (empresa.principal || !esFalloDeDisponibilidad(error)) throw error;
+
+    log.warn('Datos parciales: empresa no disponible', { empresa: empresa.id, codigo: error.codigo });
+    reportarFuenteNoDisponible({
+      empresa: empresa.id,
+      nombre: empresa.nombre,
+      sucursales: sucursalesDeEmpresa(empresa.id).map(s => s.nombre),
+      codigo: error.codigo
+    });
+    return null;
+  }
+};
+
+/**
+ * siDisponible sobre todas las empresas en paralelo, en el orden de listarEmpresas().
+ * @returns {Promise<Array>} Un resultado por empresa; null en las que no respondieron.
+ */
+const consultarEmpresas = (fn) => Promise.all(listarEmpresas().map(empresa => siDisponible(empresa, fn)));
+
+/**
+ * Sustituye el adaptador de base de datos de todas las empresas y cierra los pools anteriores.
+ * Lo usan las pruebas con el adaptador falso (ver db/adaptadores/falso.js).
+ * @param {(empresa: Object) => Object} fabrica Recibe la definición de cada empresa (config/empresas.js).
+ */
+const usarAdaptador = async (fabrica) => {
+  const anteriores = Array.from(pools.values());
+  definiciones.forEach(def => pools.set(def.id, crearPool(def, fabrica(def))));
+  await Promise.all(anteriores.map(pool => pool.destroy()));
+};
+
+/**
+ * Cierra los pools de todas las empresas (apagado del servidor, ver src/index.js).
+ */
+const cerrarPools = () => Promise.all(Array.from(pools.values()).map(pool => pool.destroy()));
+
+module.exports = {
+  TABLAS,
+  TIEMPO_LIMITE_CONSULTA_MS,
+  TIEMPO_LIMITE_ANALITICO_MS,
+  getEmpresa,
+  getPrincipal,
+  listarEmpresas,
+  getEmpresaDeSucursal,
+  siDisponible,
+  consultarEmpresas,
+  usarAdaptador,
+  cerrarPools
+};
@@ -0,0 +1,166 @@
+// src/db/pool.js
+// Consultas de una empresa sobre su adaptador de base de datos (ver db/adaptadores): cupos por cliente,
+// tiempo límite, cancelación, cortacircuitos, métricas y registro de consultas lentas.
+const { conCupo } = require('./cuotas');
+const { crearCircuito } = require('./circuito');
+const { registrarConsulta } = require('./consultasLentas');
+const { huellaSql } = require('./huellaSql');
+const { traducirErrorFirebird, ErrorTiempoAgotado, ErrorCancelada } = require('../errores');
+const { contextoActual, sumarFilasLeidas } = require('../contexto');
+const metricas = require('../metricas');
+const log = require('../log');
+const { config } = require('../config');
+
+// Tiempo límite por consulta (incluye la espera de una conexión del pool). Los tableros y reportes
+// que recorren meses de movimientos pueden pedir el presupuesto analítico.
+const TIEMPO_LIMITE_CONSULTA_MS = config.db.tiempoLimiteMs;
+const TIEMPO_LIMITE_ANALITICO_MS = config.db.tiempoLimiteAnaliticoMs;
+
+/**
+ * Crea el pool de conexiones de una empresa y expone su función de consulta.
+ * @param {Object} empresa Definición normalizada (ver config/empresas.js).
+ * @param {Object} adaptador Conexiones a la base (ver adaptadores/firebird.js).
+ * @returns {{ query: Function, destroy: Function, estado: Function }}
+ */
+const crearPool = (empresa, adaptador) => {
+  const etiqueta = `Empresa ${empresa.id}`;
+  let ultimoError = null;
+  const circuito = crearCircuito(etiqueta);
+
+  const registrarError = (err) => {
+    const traducido = traducirErrorFirebird(err, etiqueta);
+    ultimoError = { fecha: new Date().toISOString(), codigo: traducido.codigo, mensaje: traducido.message };
+    metricas.contarError(empresa.id, traducido);
+    return traducido;
+  };
+
+  /**
+   * Ejecuta una consulta. Cada consulta ocupa un lugar del cupo del cliente de la API en esta empresa (ver db/cuotas.js).
+   * Si se agota el tiempo límite o la señal se cancela, la promesa se rechaza de inmediato y la conexión
+   * se descarta; en cualquier otro caso la conexión regresa al pool. Las que rebasan el umbral quedan
+   * en el registro de consultas lentas (ver db/consultasLentas.js). Con el circuito de la empresa abierto
+   * se rechaza de inmediato con BD_NO_DISPONIBLE (ver db/circuito.js).
+   * @param {string} sql
+   * @param {Array} [params]
+   * @param {Object} [opciones]
+   * @param {string} [opciones.nombre] Identifica la consulta en las métricas;
+   *        por defecto se usa la ruta de la petición (ej. "GET /api/dashboard/ventas-resumen").
+   * @param {number} [opciones.tiempoLimiteMs] Por defecto TIEMPO_LIMITE_CONSULTA_MS; 0 = sin límite.
+   * @param {AbortSignal} [opciones.senal] Por defecto la de la petición en curso (se cancela si el cliente se desconecta).
+   */
+  const query = (sql, params = [], { nombre, tiempoLimiteMs = TIEMPO_LIMITE_CONSULTA_MS, senal } = {}) => conCupo(empresa.id, () => {
+    const contexto = contextoActual();
+    const consulta = nombre || contexto?.ruta || 'interna';
+    const cancelacion = senal || contexto?.senal;
+    const solicitada = process.hrtime.bigint();
+
+    try {
+      circuito.autorizar();
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      let db = null;
+      let inicio = null;
+      let terminada = false;
+      let temporizador = null;
+
+      const terminar = (error, resultado) => {
+        terminada = true;
+        clearTimeout(temporizador);
+        cancelacion?.removeEventListener('abort', cancelar);
+        circuito.registrar(error);
+
+        const fin = process.hrtime.bigint();
+        const registro = {
+          empresa: empresa.id,
+          consulta,
+          filas: error ? null : resultado?.length ?? null,
+          duracionMs: Number(fin - solicitada) / 1e6,
+          esperaMs: Number((inicio || fin) - solicitada) / 1e6,
+          ...(error ? { error: error.codigo } : {})
+        };
+        log.debug('Consulta terminada', { ...registro, huella: huellaSql(sql) });
+        registrarConsulta({
+          ...registro,
+          sql,
+          parametros: params.length,
+          ruta: contexto?.ruta,
+          cliente: contexto?.cliente?.nombre,
+          requestId: contexto?.requestId
+        });
+
+        if (error) reject(error);
+        else resolve(resultado);
+      };
+
+      // Deja de esperar la consulta; si ya tenía conexión, ésta no puede volver al pool con la consulta en curso
+      const abandonar = (error) => {
+        if (terminada) return;
+        if (db) db.descartar();
+        terminar(error);
+      };
+
+      const cancelar = () => abandonar(
+        new ErrorCancelada(`El cliente se desconectó antes de que terminara la consulta ${consulta}.`)
+      );
+
+      if (cancelacion?.aborted) return cancelar();
+      cancelacion?.addEventListener('abort', cancelar, { once: true });
+
+      if (tiempoLimiteMs > 0) {
+        temporizador = setTimeout(() => {
+          log.error('Tiempo agotado', { empresa: empresa.id, consulta, tiempoLimiteMs });
+          abandonar(registrarError(new ErrorTiempoAgotado(
+            `La consulta a la ${etiqueta} no terminó en ${tiempoLimiteMs / 1000} s; acote el periodo o los filtros.`
+          )));
+        }, tiempoLimiteMs);
+      }
+
+      adaptador.obtenerConexion().then(conexion => {
+        metricas.observarEsperaPool(empresa.id, solicitada);
+
+        // La conexión llegó cuando ya no se esperaba: regresa al pool sin usarse
+        if (terminada) return conexion.liberar();
+
+        db = conexion;
+        inicio = process.hrtime.bigint();
+        return db.consultar(sql, params).then(result => {
+          if (terminada) return; // Conexión ya descartada
+          db.liberar(); // Importante: liberar la conexión al pool
+          metricas.observarConsulta(empresa.id, consulta, inicio);
+          sumarFilasLeidas(result?.length || 0);
+          terminar(null, result);
+        }, err => {
+          if (terminada) return;
+          db.liberar();
+          metricas.observarConsulta(empresa.id, consulta, inicio);
+          log.error('Error al ejecutar la consulta', { empresa: empresa.id, consulta, error: err });
+          terminar(registrarError(err));
+        });
+      }, err => {
+        metricas.observarEsperaPool(empresa.id, solicitada);
+        log.error('Error al obtener la conexión del pool', { empresa: empresa.id, consulta, error: err });
+        if (!terminada) terminar(registrarError(err));
+      });
+    });
+  });
+
+  const destroy = () => adaptador.cerrar();
+
+  /**
+   * Uso del pool (conexiones en uso, libres y peticiones esperando una), estado del circuito y el último error de consulta.
+   */
+  const estado = () => ({ ...adaptador.estado(), circuito: circuito.estado(), ultimoError });
+
+  metricas.registrarPool(empresa.id, estado);
+
+  return { query, destroy, estado };
+};
+
+module.exports = {
+  TIEMPO_LIMITE_CONSULTA_MS,
+  TIEMPO_LIMITE_ANALITICO_MS,
+  crearPool
+};
@@ -0,0 +1,1146 @@
+// src/docs/openapi.js
+// Documento OpenAPI 3 de la API. Es la fuente de verdad de parámetros y cuerpos: el middleware
+// middlewares/validacion.js valida cada petición contra este documento, así que al agregar o
+// cambiar una ruta hay que actualizarlo aquí.
+const { MODOS_DISPONIBLES, ENRIQUECIMIENTOS_DISPONIBLES } = require('../services/busquedaProductos');
+const { ORDENES: ORDENES_CONSULTAS_LENTAS } = require('../db/consultasLentas');
+const { RUTAS_V1, SUCESORAS } = require('./versiones');
+const { config } = require('../config');
+const { version } = require('../../package.json');
+
+// --- Helpers para no repetir la estructura de OpenAPI en cada ruta ---
+
+const ref = (nombre) => ({ $ref: `#/components/schemas/${nombre}` });
+const refParam = (nombre) => ({ $ref: `#/components/parameters/${nombre}` });
+
+const query = (name, schema, description, required = false) => ({ name, in: 'query', required, description, schema });
+const path = (name, description, schema = { type: 'string', minLength: 1 }) => ({ name, in: 'path', required: true, description, schema });
+
+// Listas separadas por comas (?familias=A,B); el validador también acepta el parámetro repetido
+const queryLista = (name, description, items = { type: 'string' }) => ({
+    name, in: 'query', required: false, description, style: 'form', explode: false, schema: { type: 'array', items }
+});
+
+const json = (schema, description = 'OK') => ({ description, content: { 'application/json': { schema } } });
+const arreglo = (items) => ({ type: 'array', items });
+
+const errores = (...codigos) => Object.fromEntries(codigos.map(codigo => [codigo, { $ref: `#/components/responses/Error${codigo}` }]));
+
+// Respuesta estándar de descarga en streaming (ver services/exportacion.js)
+const conStreaming = (respuesta) => ({
+    ...respuesta,
+    content: {
+        ...respuesta.content,
+        'application/x-ndjson': { schema: { type: 'string', description: 'Un objeto JSON por línea.' } },
+        'text/csv': { schema: { type: 'string', description: 'CSV con encabezados y BOM UTF-8.' } }
+    }
+});
+
+// Respuesta estándar de descarga en Excel (ver services/excel.js)
+const conExcel = (respuesta) => ({
+    ...respuesta,
+    content: {
+        ...respuesta.content,
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+            schema: { type: 'string', format: 'binary', description: 'Libro con hoja Resumen y hojas de detalle.' }
+        }
+    }
+});
+
+/**
+ * Scope que necesita la llave del cliente para cada grupo de rutas (ver middlewares/autenticacion.js).
+ * Sin scope (Estado, Documentación) basta con una llave válida.
+ */
+const SCOPE_POR_TAG = {
+    'Productos': 'catalogo:read',
+    'Existencias': 'catalogo:read',
+    'Búsqueda': 'catalogo:read',
+    'Catálogos': 'catalogo:read',
+    'Claves alternas': 'catalogo:read',
+    'Envíos': 'catalogo:read',
+    'Dashboard': 'ventas:read',
+    'Cobranza': 'cobranza:read',
+    'Compras': 'compras:read',
+    'Inventarios': 'inventarios:read',
+    'Clientes': 'clientes:read',
+    'Proveedores': 'proveedores:resolve',
+    'Administración': 'admin'
+};
+
+/**
+ * Grupos de rutas que no entregan datos por sucursal (x-sin-sucursal). Las llaves limitadas a ciertas
+ * sucursales sólo pueden usar estas rutas y las que declaran un parámetro x-sucursal.
+ */
+const TAGS_SIN_SUCURSAL = ['Estado', 'Documentación', 'Catálogos', 'Proveedores'];
+
+// security: [] marca las rutas que no requieren API Key (health)
+// auditoria: la ruta expone datos fiscales o financieros y cada lectura queda en el registro de
+// auditoría (x-auditoria, ver middlewares/auditoria.js)
+const operacion = (tags, summary, {
+    parameters = [], requestBody, responses, description, security, scope = SCOPE_POR_TAG[tags], auditoria = false,
+    sinSucursal = TAGS_SIN_SUCURSAL.includes(tags)
+} = {}) => ({
+    tags: [tags],
+    summary,
+    ...(description ? { description } : {}),
+    ...(parameters.length > 0 ? { parameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    ...(security ? { security } : {}),
+    ...(scope ? { 'x-scope': scope } : {}),
+    ...(auditoria ? { 'x-auditoria': true } : {}),
+    ...(sinSucursal ? { 'x-sin-sucursal': true } : {}),
+    responses
+});
+
+// Fecha (AAAA-MM-DD) u hora ISO con zona opcional, para búsquedas por periodo
+const FECHA_O_FECHA_HORA = '^\\d{4}-\\d{2}-\\d{2}(T[0-9:.]+(Z|[+-]\\d{2}:\\d{2})?)?$';
+
+const cuerpo = (schema) => ({ required: true, content: { 'application/json': { schema } } });
+
+// --- Componentes ---
+
+const parameters = {
+    // x-sucursal: el parámetro elige sucursal/empresa y se restringe para llaves limitadas a ciertas sucursales
+    SUCURSAL: {
+        ...query('SUCURSAL', { type: 'string' },
+            'Sucursal (1, 5, 10...) o número de empresa (3 = Empresa 03) para elegir la tabla de precios.'),
+        'x-sucursal': true
+    },
+    lista_precios: query('lista_precios', { type: 'string' }, 'Lista de precios (CVE_PRECIO).'),
+    limit10: query('limit', { type: 'integer', minimum: 1, default: 10 }, 'Registros por página.'),
+    offset: query('offset', { type: 'integer', minimum: 0, default: 0 }, 'Registros a saltar.'),
+    mes: query('mes', { type: 'integer', minimum: 1, maximum: 12 }, 'Mes (por defecto el actual).'),
+    anio: query('anio', { type: 'integer', minimum: 2000, maximum: 2100 }, 'Año (por defecto el actual).'),
+    familia: query('familia', { type: 'string' }, 'Categoría e-commerce (CAT_ECOMM).'),
+    sist_med: query('sist_med', { type: 'string' }, 'Sistema de medición (CAMPLIB17), ej. MM o PULG.'),
+    linea: query('linea', { type: 'string' }, 'Línea de producto (LIN_PROD).'),
+    perfil: query('perfil', { type: 'string' }, 'Perfil (CAMPLIB13).'),
+    formatoStreaming: query('formato', { type: 'string', enum: ['ndjson', 'csv'] },
+        'Descarga en streaming; equivale a Accept: application/x-ndjson o text/csv.'),
+    formatoExcel: query('format', { type: 'string', enum: ['xlsx'] }, 'Descarga el reporte como libro de Excel.')
+};
+
+// Dimensiones: se reciben como texto y aceptan coma decimal ("12,5")
+const dimension = (name, description) => query(name, { type: 'string', pattern: '^\\s*-?\\d+([.,]\\d+)?\\s*$' }, description);
+
+const schemas = {
+    // Las claves de SAE son texto, pero algunos clientes las envían como número
+    Clave: { oneOf: [{ type: 'string', minLength: 1 }, { type: 'number' }] },
+    Error: {
+        type: 'object',
+        required: ['error', 'codigo'],
+        properties: {
+            error: { type: 'string' },
+            codigo: {
+                type: 'string',
+                description: 'Código estable del error (ver src/errores.js).',
+                enum: [
+                    'PETICION_INVALIDA', 'NO_ENCONTRADO', 'ACCESO_DENEGADO', 'LIMITE_EXCEDIDO',
+                    'CONVERSION_INVALIDA', 'VALOR_FUERA_DE_RANGO', 'DEMASIADOS_PARAMETROS', 'CONFLICTO_BLOQUEO',
+                    'BD_NO_DISPONIBLE', 'TIEMPO_AGOTADO', 'PETICION_CANCELADA', 'ERROR_BASE_DATOS', 'ERROR_INTERNO'
+                ]
+            },
+            detalle: { type: 'string' },
+            errores: arreglo(ref('ErrorValidacion')),
+            depuracion: { type: 'object', description: 'Sólo con ERRORES_DETALLADOS=true: mensaje original, SQLCODE y stack.' }
+        }
+    },
+    ErrorValidacion: {
+        type: 'object',
+        properties: {
+            ubicacion: { type: 'string', enum: ['path', 'query', 'body'] },
+            parametro: { type: 'string' },
+            mensaje: { type: 'string' }
+        }
+    },
+    Paginacion: {
+        type: 'object',
+        properties: {
+            currentPage: { type: 'integer' },
+            totalPages: { type: 'integer' },
+            totalRecords: { type: 'integer' },
+            limit: { type: 'integer' }
+        }
+    },
+    Existencia: {
+        type: 'object',
+        properties: {
+            CVE_ART: { type: 'string' },
+            CVE_ALM: { type: 'integer' },
+            EXIST: { type: 'number' }
+        }
+    },
+    // Columnas de catálogo (INVE02 + campos libres); las rutas agregan precios, costos y existencias por sucursal
+    ProductoCatalogo: {
+        type: 'object',
+        additionalProperties: true,
+        properties: {
+            CVE_ART: { type: 'string' },
+            DESCR: { type: 'string' },
+            UNI_MED: { type: 'string' },
+            LIN_PROD: { type: 'string' },
+            FCH_ULTCOM: { type: 'string', format: 'date-time', nullable: true },
+            ULT_COSTO: { type: 'number', nullable: true },
+            DIAM_INT: { type: 'string', nullable: true },
+            DIAM_EXT: { type: 'string', nullable: true },
+            ALTURA: { type: 'string', nullable: true },
+            SECCION: { type: 'string', nullable: true },
+            PERFIL: { type: 'string', nullable: true },
+            CLA_SYR: { type: 'string', nullable: true },
+            CLA_LC: { type: 'string', nullable: true },
+            SIST_MED: { type: 'string', nullable: true },
+            DESC_ECOMM: { type: 'string', nullable: true },
+            GENERO: { type: 'string', nullable: true },
+            FAMILIA: { type: 'string', nullable: true },
+            CAT_ECOMM: { type: 'string', nullable: true },
+            COLOCACION: { type: 'string', nullable: true },
+            PRECIO: { type: 'number', nullable: true },
+            COSTO_FINAL: { type: 'number', nullable: true }
+        }
+    },
+    ListadoCatalogo: {
+        type: 'object',
+        properties: {
+            data: arreglo(ref('ProductoCatalogo')),
+            pagination: ref('Paginacion'),
+            fuentes_no_disponibles: arreglo(ref('FuenteNoDisponible'))
+        }
+    },
+    // Empresa que no respondió al armar la respuesta (ver siDisponible en db/index.js)
+    FuenteNoDisponible: {
+        type: 'object',
+        description: 'Sólo presente si la respuesta es parcial; los datos de sus sucursales vienen en null, no en 0.',
+        properties: {
+            empresa: { type: 'string', example: '03' },
+            nombre: { type: 'string', example: 'Fresnillo' },
+            sucursales: arreglo({ type: 'string' }),
+            codigo: { type: 'string', enum: ['BD_NO_DISPONIBLE', 'TIEMPO_AGOTADO'] }
+        }
+    },
+    ResultadoBusqueda: {
+        allOf: [
+            ref('ProductoCatalogo'),
+            {
+                type: 'object',
+                properties: {
+                    RANGO: { type: 'integer', description: '0 = clave exacta ... 5 = descripción e-commerce.' },
+                    COINCIDENCIA: { type: 'string', enum: ['clave', 'alterna', 'prefijo', 'contiene', 'descripcion', 'ecommerce'] }
+                }
+            }
+        ]
+    },
+    Sugerencias: {
+        type: 'object',
+        properties: {
+            opciones_di: arreglo({ type: 'number' }),
+            opciones_de: arreglo({ type: 'number' }),
+            opciones_altura: arreglo({ type: 'number' }),
+            opciones_seccion: arreglo({ type: 'number' }),
+            opciones_perfiles: arreglo({ type: 'string' }),
+            opciones_lineas: arreglo({ type: 'string' })
+        }
+    },
+    Salud: {
+        type: 'object',
+        properties: {
+            estado: { type: 'string', enum: ['lista', 'no_lista', 'apagando'] },
+            empresas: arreglo({
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    nombre: { type: 'string' },
+                    requerida: { type: 'boolean' },
+                    disponible: { type: 'boolean' },
+                    latenciaMs: { type: 'integer' },
+                    error: { type: 'object', properties: { codigo: { type: 'string' }, mensaje: { type: 'string' } } },
+                    pool: {
+                        type: 'object',
+                        properties: {
+                            enUso: { type: 'integer' },
+                            libres: { type: 'integer' },
+                            maximo: { type: 'integer' },
+                            enEspera: { type: 'integer' },
+                            circuito: {
+                                type: 'object',
+                                description: 'Cortacircuitos de la empresa: abierto = las consultas se rechazan sin intentar la conexión.',
+                                properties: {
+                                    estado: { type: 'string', enum: ['cerrado', 'abierto', 'semiabierto'] },
+                                    fallosConsecutivos: { type: 'integer' },
+                                    reintentoEnMs: { type: 'integer', description: 'Sólo con el circuito abierto.' }
+                                }
+                            },
+                            ultimoError: {
+                                type: 'object',
+                                nullable: true,
+                                properties: {
+                                    fecha: { type: 'string', format: 'date-time' },
+                                    codigo: { type: 'string' },
+                                    mensaje: { type: 'string' }
+                                }
+                            }
+                        }
+                    }
+                }
+            })
+        }
+    },
+    ClienteApi: {
+        type: 'object',
+        properties: {
+            nombre: { type: 'string' },
+            activa: { type: 'boolean' },
+            scopes: arreglo({ type: 'string' }),
+            sucursales: { ...arreglo({ type: 'integer' }), nullable: true, description: 'null = todas.' },
+            expira: { type: 'string', format: 'date-time', nullable: true },
+            limites: ref('LimitesCliente')
+        }
+    },
+    LimitesCliente: {
+        type: 'object',
+        properties: {
+            peticionesPorMinuto: { type: 'integer' },
+            consultasConcurrentes: { type: 'integer', description: 'Consultas simultáneas por pool de empresa.' }
+        }
+    },
+    UsoLimites: {
+        type: 'object',
+        properties: {
+            nombre: { type: 'string' },
+            limites: ref('LimitesCliente'),
+            peticionesDisponibles: { type: 'integer' },
+            consultas: arreglo({
+                type: 'object',
+                properties: { empresa: { type: 'string' }, activas: { type: 'integer' }, enEspera: { type: 'integer' } }
+            })
+        }
+    },
+    ConsultasLentas: {
+        type: 'object',
+        properties: {
+            umbralMs: { type: 'integer' },
+            archivo: { type: 'string' },
+            desde: { type: 'string', format: 'date-time' },
+            huellas: { type: 'integer' },
+            orden: { type: 'string' },
+            consultas: arreglo({
+                type: 'object',
+                properties: {
+                    huella: { type: 'string' },
+                    sql: { type: 'string', description: 'SQL normalizado (literales como ?, listas IN colapsadas).' },
+                    veces: { type: 'integer' },
+                    totalMs: { type: 'integer' },
+                    promedioMs: { type: 'integer' },
+                    maximoMs: { type: 'integer' },
+                    errores: { type: 'integer' },
+                    consultas: arreglo({ type: 'string' }),
+                    rutas: arreglo({ type: 'string' }),
+                    empresas: arreglo({ type: 'string' }),
+                    ultima: {
+                        type: 'object',
+                        properties: {
+                            fecha: { type: 'string', format: 'date-time' },
+                            duracionMs: { type: 'integer' },
+                            parametros: { type: 'integer' },
+                            filas: { type: 'integer', nullable: true }
+                        }
+                    }
+                }
+            })
+        }
+    },
+    AccesoAuditado: {
+        type: 'object',
+        properties: {
+            fecha: { type: 'string', format: 'date-time' },
+            requestId: { type: 'string' },
+            cliente: { type: 'string' },
+            llave: { type: 'string', description: 'Primeras posiciones del hash SHA-256 de la llave usada.' },
+            ip: { type: 'string' },
+            metodo: { type: 'string' },
+            ruta: { type: 'string', description: 'Plantilla de la ruta, ej. /api/clientes/rfc/{rfc}.' },
+            parametros: { type: 'object', additionalProperties: true, description: 'Path, query y cuerpo; los RFC van parcialmente enmascarados.' },
+            estado: { type: 'integer' },
+            filas: { type: 'integer', description: 'Filas leídas de Firebird (0 si la respuesta salió del caché).' },
+            cache: { type: 'boolean' },
+            interrumpida: { type: 'boolean', description: 'El cliente se desconectó antes de recibir la respuesta completa.' },
+            duracionMs: { type: 'integer' }
+        }
+    },
+    UsoRutaLegado: {
+        type: 'object',
+        properties: {
+            metodo: { type: 'string' },
+            ruta: { type: 'string', description: 'Plantilla de la ruta heredada.' },
+            sucesora: { type: 'string', nullable: true, description: 'Ruta v1 que la sustituye.' },
+            total: { type: 'integer' },
+            clientes: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Peticiones por cliente.' },
+            ultimoUso: { type: 'string', format: 'date-time' }
+        }
+    },
+    ResolucionClaveProveedor: {
+        type: 'object',
+        properties: {
+            claveprove: { type: 'string' },
+            clave: { type: 'string', nullable: true },
+            origen: { type: 'string' }
+        }
+    }
+};
+
+const responses = {
+    Error400: json(ref('Error'), 'Petición inválida'),
+    Error403: json(ref('Error'), 'Acceso denegado'),
+    Error404: json(ref('Error'), 'No encontrado'),
+    Error500: json(ref('Error'), 'Error interno')
+};
+
+// --- Rutas ---
+
+const P = parameters;
+const productos = arreglo(ref('ProductoCatalogo'));
+
+const paths = {
+    '/': {
+        get: operacion('Estado', 'Comprueba que la API responde', {
+            responses: { 200: { description: 'OK', content: { 'text/plain': { schema: { type: 'string' } } } } }
+        })
+    },
+    '/health/live': {
+        get: operacion('Estado', 'El proceso está vivo (no consulta la base de datos)', {
+            security: [],
+            responses: {
+                200: json({ type: 'object', properties: { estado: { type: 'string' }, uptimeSeg: { type: 'integer' } } })
+            }
+        })
+    },
+    '/health/ready': {
+        get: operacion('Estado', 'Disponibilidad de cada empresa (SELECT 1 FROM RDB$DATABASE con tiempo límite)', {
+            security: [],
+            description: 'Responde 503 si alguna empresa marcada como requerida no respondió, o con estado ' +
+                '"apagando" (sin probar las empresas) mientras el servidor termina las peticiones en curso.',
+            responses: {
+                200: json(ref('Salud'), 'Todas las empresas requeridas responden'),
+                503: json(ref('Salud'), 'Alguna empresa requerida no responde o el servidor se está apagando')
+            }
+        })
+    },
+
+    '/metrics': {
+        get: operacion('Estado', 'Métricas en formato de texto de Prometheus', {
+            security: [],
+            description: 'Peticiones por ruta y estado, duración de consultas por empresa, espera y conexiones del pool '
+                + 'y errores de Firebird. Si METRICAS_TOKEN está definido se exige "Authorization: Bearer <token>".',
+            responses: {
+                200: { description: 'OK', content: { 'text/plain': { schema: { type: 'string' } } } },
+                ...errores(403)
+            }
+        })
+    },
+
+    // --- Productos y existencias ---
+    '/existenciaalm/{clave}': {
+        get: operacion('Existencias', 'Existencia por almacén de un producto (Empresa 02)', {
+            parameters: [path('clave', 'Clave del producto (CVE_ART).')],
+            responses: { 200: json(arreglo(ref('Existencia'))), ...errores(404, 500) }
+        })
+    },
+    '/existencias-masiva-filtrada': {
+        post: operacion('Existencias', 'Existencias por almacén de varias claves', {
+            requestBody: cuerpo({
+                type: 'object',
+                required: ['claves'],
+                properties: { claves: { type: 'array', minItems: 1, items: ref('Clave') } }
+            }),
+            responses: { 200: json(arreglo(ref('Existencia'))), ...errores(400, 500) }
+        })
+    },
+    '/existencias': {
+        get: operacion('Existencias', 'Existencias de todos los productos por almacén (caché 1 min)', {
+            parameters: [P.formatoStreaming],
+            responses: { 200: conStreaming(json(arreglo(ref('Existencia')))), ...errores(500) }
+        })
+    },
+    '/productos': {
+        get: operacion('Productos', 'Tabla PRODUCTOS (heredada)', {
+            responses: { 200: json(arreglo({ type: 'object', additionalProperties: true })), ...errores(500) }
+        })
+    },
+    '/productos/{id}': {
+        get: operacion('Productos', 'Producto de la tabla PRODUCTOS por ID (heredada)', {
+            parameters: [path('id', 'ID del producto.')],
+            responses: { 200: json({ type: 'object', additionalProperties: true }), ...errores(404, 500) }
+        })
+    },
+    '/inventariocompleto/{clave}': {
+        get: operacion('Productos', 'Datos de un producto con existencia total y precio lista 1', {
+            parameters: [path('clave', 'Clave del producto (CVE_ART).')],
+            responses: {
+                200: json({
+                    type: 'object',
+                    properties: {
+                        CVE_ART: { type: 'string' },
+                        DESCR: { type: 'string' },
+                        FCH_ULTCOM: { type: 'string', format: 'date-time', nullable: true },
+                        ULT_COSTO: { type: 'number' },
+                        EXISTENCIA: { type: 'number' },
+                        PRECIO: { type: 'number', nullable: true }
+                    }
+                }),
+                ...errores(404, 500)
+            }
+        })
+    },
+    '/productos-detallado': {
+        get: operacion('Productos', 'Productos activos con existencia total y precio lista 1 (caché 5 min)', {
+            parameters: [P.formatoStreaming],
+            responses: { 200: conStreaming(json(productos)), ...errores(500) }
+        })
+    },
+    '/precios': {
+        get: operacion('Productos', 'Precios de la lista 1', {
+            parameters: [
+                query('limit', { type: 'integer', minimum: 1, default: 1000 }, 'Reservado; actualmente se regresan todos los precios.'),
+                P.offset
+            ],
+            responses: {
+                200: json(arreglo({ type: 'object', properties: { CVE_ART: { type: 'string' }, PRECIO: { type: 'number' } } })),
+                ...errores(500)
+            }
+        })
+    },
+    '/familias': {
+        get: operacion('Catálogos', 'Categorías e-commerce (CAT_ECOMM) con nombre FAMILIA (caché 30 min)', {
+            responses: { 200: json(arreglo({ type: 'object', properties: { FAMILIA: { type: 'string' } } })), ...errores(500) }
+        })
+    },
+    '/familias2': {
+        get: operacion('Catálogos', 'Familias (CAMPLIB22) (caché 30 min)', {
+            responses: { 200: json(arreglo({ type: 'object', properties: { FAMILIA: { type: 'string' } } })), ...errores(500) }
+        })
+    },
+    '/inventario': {
+        get: operacion('Productos', 'Datos base de productos activos con perfil', {
+            responses: { 200: json(productos), ...errores(500) }
+        })
+    },
+    '/api/productos': {
+        get: operacion('Productos', 'Catálogo paginado con filtros y claves alternas de proveedor', {
+            parameters: [
+                query('page', { type: 'integer', minimum: 1, default: 1 }, 'Página.'),
+                query('limit', { type: 'integer', minimum: 1, default: 50 }, 'Registros por página.'),
+                query('search', { type: 'string' }, 'Texto contenido en la clave o la descripción.'),
+                P.linea,
+                P.perfil,
+                query('genero', { type: 'string' }, 'Género (CAMPLIB21).'),
+                P.familia,
+                query('download', { type: 'string', enum: ['true', 'false'] }, 'true regresa todos los productos sin paginar.'),
+                P.formatoStreaming,
+                P.formatoExcel
+            ],
+            responses: {
+                200: conExcel(conStreaming(json({
+                    oneOf: [
+                        {
+                            type: 'object',
+                            properties: {
+                                total: { type: 'integer' },
+                                pag: { type: 'integer' },
+                                limite: { type: 'integer' },
+                                data: productos
+                            }
+                        },
+                        productos
+                    ]
+                }, 'Objeto paginado, o arreglo completo con download=true'))),
+                ...errores(400, 500)
+            }
+        })
+    },
+
+    // --- Claves alternas y filtros de catálogo ---
+    '/clavesalternas': {
+        get: operacion('Claves alternas', 'Productos con sus claves alternas de proveedor', {
+            responses: { 200: json(productos), ...errores(500) }
+        })
+    },
+    '/clavesalternas/search': {
+        get: operacion('Búsqueda', 'Búsqueda por clave, alterna y descripciones (heredada, sin paginar)', {
+            parameters: [
+                query('query', { type: 'string', minLength: 1 }, 'Texto a buscar.', true),
+                query('SUCURSAL', { type: 'string' }, 'Lista de precios de la Empresa 02 (por defecto 1).')
+            ],
+            responses: { 200: json(arreglo(ref('ResultadoBusqueda'))), ...errores(400, 500) }
+        })
+    },
+    '/clavesalternas/search2': {
+        get: operacion('Búsqueda', 'Búsqueda por clave exacta, alterna o descripción (heredada, sin paginar)', {
+            parameters: [query('query', { type: 'string', minLength: 1 }, 'Texto a buscar.', true), P.SUCURSAL],
+            responses: { 200: json(arreglo(ref('ResultadoBusqueda'))), ...errores(400, 500) }
+        })
+    },
+    '/clavesalternas/search3': {
+        get: operacion('Búsqueda', 'Clave parcial de productos activos, primeros 20 (heredada)', {
+            parameters: [
+                query('q', { type: 'string' }, 'Texto a buscar.'),
+                query('query', { type: 'string' }, 'Alias de q.')
+            ],
+            responses: { 200: json(arreglo(ref('ResultadoBusqueda'))), ...errores(500) }
+        })
+    },
+    '/clavesalternas/buscar': {
+        get: operacion('Búsqueda', 'Autocompletado: 10 productos activos por clave o descripción', {
+            parameters: [query('q', { type: 'string' }, 'Texto capturado; con menos de 2 caracteres regresa [].')],
+            responses: {
+                200: json(arreglo({ type: 'object', properties: { CLAVE: { type: 'string' }, DESCRIPCION: { type: 'string' } } })),
+                ...errores(500)
+            }
+        })
+    },
+    '/clavesalternas/filter-ranges': {
+        get: operacion('Claves alternas', 'Catálogo filtrado por rangos de dimensiones', {
+            parameters: [
+                P.lista_precios, P.SUCURSAL, P.familia, P.linea, P.perfil,
+                dimension('diam_int_min', 'Diámetro interior mínimo.'),
+                dimension('diam_int_max', 'Diámetro interior máximo.'),
+                dimension('diam_ext_min', 'Diámetro exterior mínimo.'),
+                dimension('diam_ext_max', 'Diámetro exterior máximo.'),
+                dimension('altura_min', 'Altura mínima.'),
+                dimension('altura_max', 'Altura máxima.'),
+                refParam('limit10'), refParam('offset')
+            ],
+            responses: { 200: json(ref('ListadoCatalogo')), ...errores(400, 500) }
+        })
+    },
+    '/clavesalternas/filter': {
+        get: operacion('Claves alternas', 'Catálogo filtrado por dimensiones exactas', {
+            parameters: [
+                P.lista_precios, P.SUCURSAL, P.familia, P.linea, P.perfil,
+                dimension('diam_int', 'Diámetro interior.'),
+                dimension('diam_ext', 'Diámetro exterior.'),
+                dimension('altura', 'Altura.'),
+                dimension('seccion', 'Sección.'),
+                refParam('limit10'), refParam('offset')
+            ],
+            responses: { 200: json(ref('ListadoCatalogo')), ...errores(400, 500) }
+        })
+    },
+    '/api/clavesalternas/filter-ranges-v2': {
+        get: operacion('Claves alternas', 'Catálogo filtrado por rangos de diámetros y sistema de medición', {
+            parameters: [
+                P.lista_precios, P.SUCURSAL, P.familia, P.sist_med,
+                dimension('diam_int_min', 'Diámetro interior mínimo.'),
+                dimension('diam_int_max', 'Diámetro interior máximo.'),
+                dimension('diam_ext_min', 'Diámetro exterior mínimo.'),
+                dimension('diam_ext_max', 'Diámetro exterior máximo.'),
+                refParam('limit10'), refParam('offset')
+            ],
+            responses: { 200: json(ref('ListadoCatalogo')), ...errores(400, 500) }
+        })
+    },
+    '/api/clavesalternas/filter-v2': {
+        get: operacion('Claves alternas', 'Catálogo filtrado por dimensiones exactas y sistema de medición', {
+            parameters: [
+                P.lista_precios, P.SUCURSAL, P.familia, P.sist_med, P.linea, P.perfil,
+                dimension('diam_int', 'Diámetro interior.'),
+                dimension('diam_ext', 'Diámetro exterior.'),
+                dimension('altura', 'Altura.'),
+                dimension('seccion', 'Sección.'),
+                refParam('limit10'), refParam('offset')
+            ],
+            responses: { 200: json(ref('ListadoCatalogo')), ...errores(400, 500) }
+        })
+    },
+    '/clavesalternas/catalogo': {
+        get: operacion('Claves alternas', 'Catálogo e-commerce paginado', {
+            parameters: [P.lista_precios, P.SUCURSAL, refParam('limit10'), refParam('offset')],
+            responses: { 200: json(ref('ListadoCatalogo')), ...errores(400, 500) }
+        })
+    },
+    '/clavesalternas/catalogo/{clave}': {
+        get: operacion('Claves alternas', 'Ficha de un producto del catálogo e-commerce', {
+            parameters: [path('clave', 'Clave del producto (CVE_ART).'), P.lista_precios, P.SUCURSAL],
+            responses: { 200: json(ref('ProductoCatalogo')), ...errores(404, 500) }
+        })
+    },
+    '/clavesalternas/analisis-precios': {
+        get: operacion('Claves alternas', 'Precio lista 1 contra último costo de compra de productos activos', {
+            parameters: [P.formatoStreaming],
+            responses: {
+                200: conStreaming(json(arreglo({
+                    type: 'object',
+                    properties: {
+                        clave: { type: 'string' },
+                        descripcion: { type: 'string' },
+                        existencia: { type: 'number' },
+                        costo_prom: { type: 'number' },
+                        linea: { type: 'string' },
+                        cla_syr: { type: 'string' },
+                        cla_lc: { type: 'string' },
+                        genero: { type: 'string' },
+                        familia: { type: 'string' },
+                        precio: { type: 'number' },
+                        ultimo_costo: { type: 'number' }
+                    }
+                }))),
+                ...errores(500)
+            }
+        })
+    },
+    '/clavesalternas/auditoria-margenes1': {
+        post: operacion('Claves alternas', 'Auditoría de márgenes de ventas (MINVE02, concepto 51)', {
+            scope: 'ventas:read',
+            auditoria: true,
+            parameters: [P.formatoExcel],
+            requestBody: {
+                required: false,
+                content: {
+                    'application/json': {
+                        schema: {
+                            type: 'object',
+                            properties: {
+                                fechaInicio: { type: 'string', format: 'date', description: 'Por defecto hoy.' },
+                                fechaFin: { type: 'string', format: 'date', description: 'Por defecto hoy.' },
+                                almacen: { oneOf: [{ type: 'string' }, { type: 'integer' }] },
+                                cliente: { type: 'string' },
+                                vendedor: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            },
+            responses: { 200: conExcel(json(arreglo({ type: 'object', additionalProperties: true }))), ...errores(400, 500) }
+        })
+    },
+    '/envios/datos-internos': {
+        post: operacion('Envíos', 'Datos internos (precios, costos, existencias) de hasta 100 claves', {
+            requestBody: cuerpo({
+                type: 'object',
+                required: ['claves'],
+                properties: {
+                    claves: { type: 'array', minItems: 1, maxItems: 100, items: ref('Clave') },
+                    lista_precios: { oneOf: [{ type: 'string' }, { type: 'integer' }] },
+                    SUCURSAL: { oneOf: [{ type: 'string' }, { type: 'integer' }], 'x-sucursal': true }
+                }
+            }),
+            responses: {
+                200: json({
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        count: { type: 'integer' },
+                        data: productos,
+                        metadata: { type: 'object', additionalProperties: true }
+                    }
+                }),
+                ...errores(400, 404, 500)
+            }
+        })
+    },
+
+    // --- Búsqueda unificada ---
+    '/api/busqueda': {
+        get: operacion('Búsqueda', 'Búsqueda de productos por relevancia con enriquecimientos opcionales', {
+            parameters: [
+                query('q', { type: 'string', minLength: 2 }, 'Texto a buscar.', true),
+                queryLista('modos', 'Modos de coincidencia (por defecto todos).', { type: 'string', enum: MODOS_DISPONIBLES }),
+                queryLista('incluir', 'Enriquecimientos a agregar.', { type: 'string', enum: ENRIQUECIMIENTOS_DISPONIBLES }),
+                query('limit', { type: 'integer', minimum: 1, default: 20 }, 'Registros por página (máximo efectivo 100).'),
+                refParam('offset'),
+                P.SUCURSAL,
+                P.lista_precios
+            ],
+            responses: {
+                200: json({ type: 'object', properties: { data: arreglo(ref('ResultadoBusqueda')), pagination: ref('Paginacion') } }),
+                ...errores(400, 500)
+            }
+        })
+    },
+
+    // --- Catálogos ---
+    '/api/catalogos/almacenes': {
+        get: operacion('Catálogos', 'Almacenes activos para listas desplegables', {
+            responses: {
+                200: json(arreglo({ type: 'object', properties: { id: { type: 'integer' }, nombre: { type: 'string' } } })),
+                ...errores(500)
+            }
+        })
+    },
+    '/api/catalogos/jerarquia': {
+        get: operacion('Catálogos', 'Líneas y sus perfiles para una familia (caché 30 min)', {
+            parameters: [query('familia', { type: 'string', minLength: 1 }, 'Categoría e-commerce (CAT_ECOMM).', true), P.sist_med],
+            responses: {
+                200: json(arreglo({ type: 'object', properties: { linea: { type: 'string' }, perfiles: arreglo({ type: 'string' }) } })),
+                ...errores(400, 500)
+            }
+        })
+    },
+    '/api/catalogos/sugerencias': {
+        get: operacion('Catálogos', 'Medidas existentes para autocompletar dimensiones', {
+            parameters: [
+                query('familia', { type: 'string', minLength: 1 }, 'Categoría e-commerce (CAT_ECOMM).', true),
+                query('sist_med', { type: 'string', minLength: 1 }, 'Sistema de medición (CAMPLIB17).', true),
+                query('perfiles', { type: 'string' }, 'Perfiles separados por comas.'),
+                dimension('diam_int', 'Diámetro interior.'),
+                dimension('diam_ext', 'Diámetro exterior.'),
+                dimension('altura', 'Altura.'),
+                dimension('seccion', 'Sección.')
+            ],
+            responses: { 200: json(ref('Sugerencias')), ...errores(400, 500) }
+        })
+    },
+    '/api/catalogos/sugerencias-v2': {
+        get: operacion('Catálogos', 'Medidas, perfiles y líneas existentes con filtrado cruzado', {
+            parameters: [
+                query('familia', { type: 'string', minLength: 1 }, 'Categoría e-commerce (CAT_ECOMM).', true),
+                query('sist_med', { type: 'string', minLength: 1 }, 'Sistema de medición (CAMPLIB17).', true),
+                query('perfiles', { type: 'string' }, 'Perfiles separados por comas.'),
+                dimension('diam_int', 'Diámetro interior.'),
+                dimension('diam_ext', 'Diámetro exterior.'),
+                dimension('altura', 'Altura.'),
+                dimension('seccion', 'Sección.')
+            ],
+            responses: { 200: json(ref('Sugerencias')), ...errores(400, 500) }
+        })
+    },
+
+    // --- Dashboards ---
+    '/api/dashboard/ventas-resumen': {
+        get: operacion('Dashboard', 'Ventas del mes por sucursal (facturas y remisiones)', {
+            parameters: [refParam('mes'), refParam('anio')],
+            responses: {
+                200: json({
+                    type: 'object',
+                    properties: {
+                        periodo: { type: 'object', properties: { mes: { type: 'integer' }, anio: { type: 'integer' } } },
+                        resumen_global: {
+                            type: 'object',
+                            description: 'Suma de las sucursales disponibles.',
+                            properties: { facturas: { type: 'number' }, remisiones: { type: 'number' }, total: { type: 'number' } }
+                        },
+                        detalle_sucursales: arreglo({
+                            type: 'object',
+                            description: 'Importes en null si la empresa de la sucursal no respondió.',
+                            additionalProperties: true
+                        }),
+                        fuentes_no_disponibles: arreglo(ref('FuenteNoDisponible'))
+                    }
+                }),
+                ...errores(400, 500)
+            }
+        })
+    },
+    '/api/dashboard/ventas-tendencia': {
+        get: operacion('Dashboard', 'Ventas mensuales por sucursal (caché 10 min)', {
+            parameters: [
+                query('rango', { type: 'integer', minimum: 1, maximum: 60, default: 3 }, 'Meses hacia atrás, incluido el actual (3, 6, 12 o 24 en los tableros).'),
+                refParam('anio')
+            ],
+            responses: {
+                200: json(arreglo({
+                    type: 'object',
+                    description: 'etiqueta y periodo, más una propiedad numérica por sucursal ' +
+                        '(null si su empresa no respondió; ver X-Fuentes-No-Disponibles).',
+                    properties: { etiqueta: { type: 'string' }, periodo: { type: 'string' } },
+                    additionalProperties: { type: 'number', nullable: true }
+                })),
+                ...errores(400, 500)
+            }
+        })
+    },
+    '/api/dashboard/cxc-resumen': {
+        get: operacion('Cobranza', 'Cobrabilidad, antigüedad de saldos y principales deudores (caché 5 min)', {
+            auditoria: true,
+            parameters: [refParam('mes'), refParam('anio'), P.formatoExcel],
+            responses: {
+                200: conExcel(json({
+                    type: 'object',
+                    properties: {
+                        periodo: { type: 'object', properties: { mes: { type: 'integer' }, anio: { type: 'integer' } } },
+                        cobrabilidad: {
+                            type: 'object',
+                            properties: {
+                                total_facturado: { type: 'number' },
+                                total_cobrado: { type: 'number' },
+                                indice_cobrabilidad: { type: 'number' }
+                            }
+                        },
+                        antiguedad_saldos: arreglo({ type: 'object', properties: { etiqueta: { type: 'string' }, monto: { type: 'number' } } }),
+                        top_deudores: arreglo({ type: 'object', properties: { nombre: { type: 'string' }, monto: { type: 'number' } } }),
+                        fuentes_no_disponibles: arreglo(ref('FuenteNoDisponible'))
+                    }
+                })),
+                ...errores(400, 500)
+            }
+        })
+    },
+    '/api/dashboard/cxc-overview': {
+        get: operacion('Cobranza', 'Cartera vencida a más de 30 días consolidada', {
+            auditoria: true,
+            responses: {
+                200: json({
+                    type: 'object',
+                    properties: {
+                        total_vencido: { type: 'number' },
+                        fecha_corte: { type: 'string', format: 'date-time' },
+                        fuentes_no_disponibles: arreglo(ref('FuenteNoDisponible'))
+                    }
+                }),
+                ...errores(500)
+            }
+        })
+    },
+    '/api/dashboard-compras/analisis-origen': {
+        get: operacion('Compras', 'Compras del mes por origen (reposición o pedido especial) con filtros responsivos', {
+            parameters: [
+                refParam('mes'),
+                refParam('anio'),
+                queryLista('almacenes', 'Almacenes; "SIN ASIGNAR" para partidas sin valor.'),
+                queryLista('lineas', 'Líneas.'),
+                queryLista('perfiles', 'Perfiles.'),
+                queryLista('generos', 'Géneros.'),
+                queryLista('familias', 'Familias.'),
+                query('page', { type: 'integer', minimum: 1, default: 1 }, 'Página.'),
+                query('limit', { type: 'integer', minimum: 1, default: 50 }, 'Partidas por página.'),
+                P.formatoExcel
+            ],
+            responses: {
+                200: conExcel(json({
+                    type: 'object',
+                    properties: {
+                        periodo: { type: 'object', additionalProperties: true },
+                        filtros_aplicados: { type: 'object', additionalProperties: true },
+                        opciones_filtros: { type: 'object', additionalProperties: arreglo({ type: 'string' }) },
+                        metricas: { type: 'object', additionalProperties: true },
+                        paginacion: { type: 'object', additionalProperties: true },
+                        data: arreglo({ type: 'object', additionalProperties: true })
+                    }
+                })),
+                ...errores(400, 500)
+            }
+        })
+    },
+    '/api/dashboard-inventarios/asertividad-ciclico': {
+        post: operacion('Inventarios', 'Resultado neto (ajuste o merma) de un inventario cíclico', {
+            requestBody: cuerpo({
+                type: 'object',
+                required: ['refer', 'productos'],
+                properties: {
+                    refer: { type: 'string', minLength: 1, description: 'Referencia del conteo.' },
+                    productos: { type: 'array', items: ref('Clave') }
+                }
+            }),
+            responses: {
+                200: json(arreglo({
+                    type: 'object',
+                    properties: {
+                        CVE_ART: { type: 'string' },
+                        REFER: { type: 'string' },
+                        CVE_CPTO: { type: 'integer', nullable: true },
+                        COSTO: { type: 'number', nullable: true },
+                        CANT: { type: 'number', nullable: true },
+                        FAMILIA: { type: 'string' },
+                        GENERO: { type: 'string' },
+                        CATEGORIA: { type: 'string' },
+                        RESULTADO: { type: 'string', enum: ['SIN CAMBIO', 'AJUSTE', 'MERMA'] }
+                    }
+                })),
+                ...errores(400, 500)
+            }
+        })
+    },
+
+    // --- Clientes y proveedores ---
+    '/api/clientes/rfc/{rfc}': {
+        get: operacion('Clientes', 'Clientes por RFC en una o todas las empresas', {
+            auditoria: true,
+            parameters: [
+                path('rfc', 'RFC del cliente.', { type: 'string', minLength: 9 }),
+                { ...query('sucursal', { type: 'string' }, 'Sucursal o número de empresa; sin valor busca en todas.'), 'x-sucursal': true }
+            ],
+            responses: {
+                200: json({
+                    type: 'object',
+                    properties: { total_encontrados: { type: 'integer' }, data: arreglo({ type: 'object', additionalProperties: true }) }
+                }),
+                ...errores(400, 404, 500)
+            }
+        })
+    },
+    '/api/getclavesprovee': {
+        get: operacion('Proveedores', 'Clave interna para una clave de proveedor', {
+            parameters: [
+                query('rfc', { type: 'string', minLength: 1 }, 'RFC del proveedor.', true),
+                query('clave_proveedor', { type: 'string' }, 'Clave del proveedor (requerida si no se envía clave).'),
+                query('clave', { type: 'string' }, 'Alias de clave_proveedor.')
+            ],
+            responses: { 200: json(ref('ResolucionClaveProveedor')), ...errores(400, 404, 500) }
+        }),
+        post: operacion('Proveedores', 'Claves internas para varias claves de proveedor', {
+            requestBody: cuerpo({
+                type: 'object',
+                required: ['rfc', 'claves'],
+                properties: {
+                    rfc: { type: 'string', minLength: 1 },
+                    claves: { type: 'array', items: ref('Clave') }
+                }
+            }),
+            responses: {
+                200: json({ type: 'object', properties: { cve_clpv: { type: 'string' }, partidas: arreglo(ref('ResolucionClaveProveedor')) } }),
+                ...errores(400, 404, 500)
+            }
+        })
+    },
+
+    // --- Administración ---
+    '/api/admin/cache': {
+        get: operacion('Administración', 'Estadísticas del caché de respuestas', {
+            responses: { 200: json({ type: 'object', additionalProperties: true }), ...errores(500) }
+        }),
+        delete: operacion('Administración', 'Invalida el caché por prefijo de ruta', {
+            parameters: [query('prefijo', { type: 'string', pattern: '^/' }, 'Prefijo de ruta, ej. /api/dashboard. Sin valor vacía todo.')],
+            responses: {
+                200: json({ type: 'object', properties: { prefijo: { type: 'string', nullable: true }, eliminadas: { type: 'integer' } } }),
+                ...errores(400, 500)
+            }
+        })
+    },
+    '/api/admin/clientes-api': {
+        get: operacion('Administración', 'Clientes de la API registrados (sin sus llaves)', {
+            responses: { 200: json(arreglo(ref('ClienteApi'))), ...errores(500) }
+        })
+    },
+    '/api/admin/clientes-api/recargar': {
+        post: operacion('Administración', 'Vuelve a leer el registro de llaves (altas y revocaciones sin reiniciar)', {
+            responses: { 200: json({ type: 'object', properties: { clientes: { type: 'integer' } } }), ...errores(500) }
+        })
+    },
+    '/api/admin/limites': {
+        get: operacion('Administración', 'Límites por cliente y uso actual de peticiones y consultas', {
+            responses: { 200: json(arreglo(ref('UsoLimites'))), ...errores(500) }
+        })
+    },
+    '/api/admin/consultas-lentas': {
+        get: operacion('Administración', 'Consultas que rebasaron el umbral de lentitud, agrupadas por huella del SQL', {
+            description: 'El umbral es CONSULTAS_LENTAS_UMBRAL_MS; cada ejecución se escribe además como una línea JSON ' +
+                'en CONSULTAS_LENTAS_ARCHIVO (rota por tamaño).',
+            parameters: [
+                query('limite', { type: 'integer', minimum: 1, maximum: 500, default: 20 }, 'Número de huellas a regresar.'),
+                query('orden', { type: 'string', enum: ORDENES_CONSULTAS_LENTAS, default: 'total' },
+                    'total = tiempo acumulado, maximo = peor ejecución, veces = número de ejecuciones lentas.')
+            ],
+            responses: { 200: json(ref('ConsultasLentas')), ...errores(400, 500) }
+        })
+    },
+    '/api/admin/auditoria': {
+        get: operacion('Administración', 'Búsqueda en el registro de auditoría de lecturas de datos sensibles', {
+            description: 'Las rutas auditadas llevan x-auditoria en este documento. Cada lectura se guarda como una línea ' +
+                'JSON en AUDITORIA_DIR (un archivo por mes, sólo se agregan líneas). Sin fechas se buscan los últimos 30 días.',
+            parameters: [
+                query('cliente', { type: 'string' }, 'Nombre del cliente de la API.'),
+                query('ruta', { type: 'string', pattern: '^/' }, 'Prefijo de la plantilla de la ruta, ej. /api/dashboard/cxc.'),
+                query('desde', { type: 'string', pattern: FECHA_O_FECHA_HORA }, 'Fecha (AAAA-MM-DD) u hora ISO inicial.'),
+                query('hasta', { type: 'string', pattern: FECHA_O_FECHA_HORA }, 'Fecha (AAAA-MM-DD, incluye todo el día) u hora ISO final.'),
+                query('limite', { type: 'integer', minimum: 1, maximum: 1000, default: 100 }, 'Accesos a regresar (los más recientes).')
+            ],
+            responses: {
+                200: json({
+                    type: 'object',
+                    properties: {
+                        desde: { type: 'string', format: 'date-time' },
+                        hasta: { type: 'string', format: 'date-time' },
+                        total: { type: 'integer', description: 'Accesos que coinciden (puede ser mayor que los regresados).' },
+                        accesos: arreglo(ref('AccesoAuditado'))
+                    }
+                }),
+                ...errores(400, 500)
+            }
+        })
+    },
+    '/api/admin/rutas-legado': {
+        get: operacion('Administración', 'Uso de las rutas obsoletas (anteriores a /api/v1) por cliente', {
+            description: 'Cuenta las peticiones a cada ruta heredada desde el arranque, por cliente, con la fecha del ' +
+                'último uso; también se exponen en /metrics (http_legacy_requests_total). Una ruta sin uso ' +
+                'reciente se puede retirar.',
+            responses: { 200: json(arreglo(ref('UsoRutaLegado'))), ...errores(500) }
+        })
+    },
+    '/api/docs/openapi.json': {
+        get: operacion('Documentación', 'Este documento', {
+            responses: { 200: json({ type: 'object' }) }
+        })
+    }
+};
+
+// --- Versión 1 (/api/v1) ---
+// Las operaciones v1 se generan de las heredadas (ver docs/versiones.js): mismos parámetros, scope y
+// auditoría, con la respuesta JSON dentro del sobre { data, meta }. Las heredadas quedan como obsoletas.
+
+const RETIRO_LEGADO = config.versiones.retiroLegado.toISOString().slice(0, 10);
+
+/**
+ * Esquema de la respuesta v1 (ver envolverV1 en middlewares/versiones.js): si la ruta heredada
+ * regresaba un objeto con data, data se conserva y los demás campos (totales, paginación) van en meta;
+ * cualquier otra respuesta va completa en data.
+ */
+const sobreV1 = (esquema) => {
+    const destino = esquema.$ref ? schemas[esquema.$ref.split('/').pop()] : esquema;
+    if (destino.oneOf) return { oneOf: destino.oneOf.map(sobreV1) };
+
+    const { data, ...meta } = destino.properties || {};
+    if (!data) return { type: 'object', required: ['data'], properties: { data: esquema } };
+    return { type: 'object', required: ['data'], properties: { data, meta: { type: 'object', properties: meta } } };
+};
+
+const respuestasV1 = (responses) => Object.fromEntries(Object.entries(responses).map(([codigo, respuesta]) => {
+    const contenido = respuesta.content?.['application/json'];
+    if (Number(codigo) >= 400 || !contenido) return [codigo, respuesta];
+    return [codigo, { ...respuesta, content: { ...respuesta.content, 'application/json': { schema: sobreV1(contenido.schema) } } }];
+}));
+
+const conOperaciones = (operaciones, fn) =>
+    Object.fromEntries(Object.entries(operaciones).map(([metodo, op]) => [metodo, fn(op, metodo)]));
+
+const pathsV1 = Object.fromEntries(RUTAS_V1.map(({ ruta, legado }) => {
+    if (!paths[legado]) throw new Error(`La ruta v1 ${ruta} apunta a una ruta no documentada: ${legado}`);
+    return [ruta, conOperaciones(paths[legado], op => ({ ...op, responses: respuestasV1(op.responses) }))];
+}));
+
+for (const [legado, sucesora] of SUCESORAS) {
+    paths[legado] = conOperaciones(paths[legado], (op, metodo) => ({
+        ...op,
+        deprecated: true,
+        description: [
+            sucesora ? `Obsoleta: usar ${metodo.toUpperCase()} ${sucesora}.` : 'Obsoleta, sin reemplazo.',
+            `Responde con las cabeceras Deprecation y Sunset; puede retirarse a partir del ${RETIRO_LEGADO}.`,
+            op.description
+        ].filter(Boolean).join(' ')
+    }));
+}
+
+module.exports = {
+    openapi: '3.0.3',
+    info: {
+        title: 'API de solo lectura SAE (Firebird)',
+        version,
+        description: 'Catálogo, existencias, precios y tableros de las empresas SAE. ' +
+            'Todas las rutas requieren la cabecera x-api-key; x-scope indica el scope que debe tener la llave. ' +
+            'Las peticiones se validan contra este documento y los parámetros inválidos regresan 400 con ' +
+            '{ error, codigo, detalle, errores }. Todos los errores usan el mismo formato con un código estable; ' +
+            'al rebasar los límites del cliente se responde 429 con Retry-After y una consulta que excede su ' +
+            'tiempo límite responde 504 (TIEMPO_AGOTADO). Si una empresa distinta de la principal no responde, ' +
+            'las rutas que consolidan varias empresas contestan con los datos disponibles: los de sus sucursales ' +
+            'en null (nunca en 0), la cabecera X-Fuentes-No-Disponibles y, en las respuestas de tipo objeto, ' +
+            'el campo fuentes_no_disponibles. Cada respuesta trae la cabecera X-Request-Id (la que envió el cliente ' +
+            'si es válida, de hasta 128 letras, dígitos, _ . : -, o una generada) para localizar la petición en los logs. ' +
+            'Las rutas bajo /api/v1 son la versión vigente y responden { data, meta }; las anteriores siguen ' +
+            'disponibles como alias obsoletos (deprecated) con las cabeceras Deprecation, Sunset y Link a su sucesora.'
+    },
+    security: [{ ApiKey: [] }],
+    paths: { ...pathsV1, ...paths },
+    components: {
+        securitySchemes: { ApiKey: { type: 'apiKey', in: 'header', name: 'x-api-key' } },
+        parameters,
+        schemas,
+        responses
+    }
+};
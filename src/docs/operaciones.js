@@ -0,0 +1,73 @@
+// src/docs/operaciones.js
+// Localiza la operación del documento OpenAPI que corresponde a una petición (método + ruta).
+// La usan la validación de parámetros y la autorización por scopes.
+const documento = require('./openapi');
+
+const METODOS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Resuelve referencias locales "#/components/..." del documento
+const resolver = (objeto) => {
+    if (!objeto || !objeto.$ref) return objeto;
+    const destino = objeto.$ref.replace(/^#\//, '').split('/').reduce((nodo, parte) => nodo?.[parte], documento);
+    if (!destino) throw new Error(`Referencia OpenAPI no encontrada: ${objeto.$ref}`);
+    return resolver(destino);
+};
+
+/**
+ * Rutas del documento compiladas a expresiones regulares. Las rutas fijas se prueban antes
+ * que las que llevan parámetros ("/clavesalternas/catalogo" antes que "/clavesalternas/catalogo/{clave}").
+ */
+const compilarRutas = () => Object.entries(documento.paths)
+    .flatMap(([plantilla, operaciones]) => {
+        const nombres = [];
+        const patron = plantilla
+            .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+            .replace(/\{([^}]+)\}/g, (_, nombre) => {
+                nombres.push(nombre);
+                return '([^/]+)';
+            });
+        const regex = new RegExp(`^${patron}/?$`, 'i');
+
+        return METODOS
+            .filter(metodo => operaciones[metodo])
+            .map(metodo => ({ metodo: metodo.toUpperCase(), plantilla, regex, nombres, operacion: operaciones[metodo] }));
+    })
+    .sort((a, b) => a.nombres.length - b.nombres.length);
+
+const rutas = compilarRutas();
+
+const buscarOperacion = (metodo, ruta) => {
+    for (const r of rutas) {
+        if (r.metodo !== metodo) continue;
+        const match = r.regex.exec(ruta);
+        if (!match) continue;
+
+        const params = {};
+        r.nombres.forEach((nombre, i) => {
+            try {
+                params[nombre] = decodeURIComponent(match[i + 1]);
+            } catch {
+                params[nombre] = match[i + 1];
+            }
+        });
+        return { operacion: r.operacion, plantilla: r.plantilla, params };
+    }
+    return null;
+};
+
+/**
+ * Operación que corresponde a la petición, o null si la ruta no está en el documento.
+ * Se guarda en req para que métricas, autorización y validación no la busquen cada una;
+ * la primera llamada debe hacerse a nivel de app, donde req.path es la ruta completa.
+ */
+const operacionDePeticion = (req) => {
+    if (req.operacionOpenApi === undefined) {
+        req.operacionOpenApi = buscarOperacion(req.method === 'HEAD' ? 'GET' : req.method, req.path);
+    }
+    return req.operacionOpenApi;
+};
+
+module.exports = {
+    resolver,
+    operacionDePeticion
+};
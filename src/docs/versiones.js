@@ -0,0 +1,87 @@
+// src/docs/versiones.js
+// Rutas de la versión 1 (/api/v1) y las rutas anteriores que quedan como alias obsoletos.
+// Cada ruta v1 se atiende con el mismo manejador que su ruta heredada (ver middlewares/versiones.js):
+// comparten parámetros, scope y validación, y la v1 responde siempre con el sobre { data, meta }.
+// docs/openapi.js genera las operaciones v1 a partir de esta tabla y marca las heredadas como deprecated.
+
+// Fecha en que las rutas heredadas se declararon obsoletas (cabecera Deprecation)
+const FECHA_OBSOLESCENCIA = '2026-10-19T00:00:00Z';
+
+/**
+ * Alias: ruta v1 -> ruta heredada con el mismo método y los mismos parámetros de path.
+ */
+const RUTAS_V1 = [
+    // Productos y existencias
+    { ruta: '/api/v1/productos', legado: '/api/productos' },
+    { ruta: '/api/v1/productos/detallado', legado: '/productos-detallado' },
+    { ruta: '/api/v1/productos/base', legado: '/inventario' },
+    { ruta: '/api/v1/productos/claves-alternas', legado: '/clavesalternas' },
+    { ruta: '/api/v1/productos/{clave}/inventario', legado: '/inventariocompleto/{clave}' },
+    { ruta: '/api/v1/productos/{clave}/existencias', legado: '/existenciaalm/{clave}' },
+    { ruta: '/api/v1/existencias', legado: '/existencias' },
+    { ruta: '/api/v1/existencias/consulta', legado: '/existencias-masiva-filtrada' },
+    { ruta: '/api/v1/precios', legado: '/precios' },
+    { ruta: '/api/v1/precios/analisis', legado: '/clavesalternas/analisis-precios' },
+
+    // Catálogo e-commerce y sus filtros
+    { ruta: '/api/v1/catalogo', legado: '/clavesalternas/catalogo' },
+    { ruta: '/api/v1/catalogo/{clave}', legado: '/clavesalternas/catalogo/{clave}' },
+    { ruta: '/api/v1/catalogo/filtros/rangos', legado: '/api/clavesalternas/filter-ranges-v2' },
+    { ruta: '/api/v1/catalogo/filtros/medidas', legado: '/api/clavesalternas/filter-v2' },
+    { ruta: '/api/v1/catalogos/almacenes', legado: '/api/catalogos/almacenes' },
+    { ruta: '/api/v1/catalogos/familias', legado: '/familias' },
+    { ruta: '/api/v1/catalogos/familias-sae', legado: '/familias2' },
+    { ruta: '/api/v1/catalogos/jerarquia', legado: '/api/catalogos/jerarquia' },
+    { ruta: '/api/v1/catalogos/sugerencias', legado: '/api/catalogos/sugerencias-v2' },
+
+    // Búsqueda
+    { ruta: '/api/v1/busqueda', legado: '/api/busqueda' },
+    { ruta: '/api/v1/busqueda/autocompletar', legado: '/clavesalternas/buscar' },
+
+    // Envíos
+    { ruta: '/api/v1/envios/datos-internos', legado: '/envios/datos-internos' },
+
+    // Tableros: un recurso por área en lugar de /api/dashboard, /api/dashboard-compras, etc.
+    { ruta: '/api/v1/ventas/resumen', legado: '/api/dashboard/ventas-resumen' },
+    { ruta: '/api/v1/ventas/tendencia', legado: '/api/dashboard/ventas-tendencia' },
+    { ruta: '/api/v1/ventas/auditoria-margenes', legado: '/clavesalternas/auditoria-margenes1' },
+    { ruta: '/api/v1/cartera/resumen', legado: '/api/dashboard/cxc-resumen' },
+    { ruta: '/api/v1/cartera/panorama', legado: '/api/dashboard/cxc-overview' },
+    { ruta: '/api/v1/compras/analisis-origen', legado: '/api/dashboard-compras/analisis-origen' },
+    { ruta: '/api/v1/inventarios/asertividad-ciclico', legado: '/api/dashboard-inventarios/asertividad-ciclico' },
+
+    // Clientes y proveedores
+    { ruta: '/api/v1/clientes/rfc/{rfc}', legado: '/api/clientes/rfc/{rfc}' },
+    { ruta: '/api/v1/proveedores/claves', legado: '/api/getclavesprovee' }
+];
+
+/**
+ * Rutas heredadas sin alias propio en v1: se reemplazan por otra ruta (sucesora) o se retiran sin
+ * reemplazo (sucesora null). También son obsoletas y se cuentan igual que los alias.
+ */
+const RUTAS_REEMPLAZADAS = [
+    { legado: '/clavesalternas/search', sucesora: '/api/v1/busqueda' },
+    { legado: '/clavesalternas/search2', sucesora: '/api/v1/busqueda' },
+    { legado: '/clavesalternas/search3', sucesora: '/api/v1/busqueda' },
+    { legado: '/clavesalternas/filter-ranges', sucesora: '/api/v1/catalogo/filtros/rangos' },
+    { legado: '/clavesalternas/filter', sucesora: '/api/v1/catalogo/filtros/medidas' },
+    { legado: '/api/catalogos/sugerencias', sucesora: '/api/v1/catalogos/sugerencias' },
+    // Tabla PRODUCTOS ajena a SAE; el catálogo de productos es /api/v1/productos
+    { legado: '/productos', sucesora: null },
+    { legado: '/productos/{id}', sucesora: null }
+];
+
+/**
+ * Rutas heredadas obsoletas -> ruta que la sustituye (plantilla v1 o null).
+ */
+const SUCESORAS = new Map([
+    ...RUTAS_V1.map(({ ruta, legado }) => [legado, ruta]),
+    ...RUTAS_REEMPLAZADAS.map(({ legado, sucesora }) => [legado, sucesora])
+]);
+
+module.exports = {
+    FECHA_OBSOLESCENCIA,
+    RUTAS_V1,
+    RUTAS_REEMPLAZADAS,
+    SUCESORAS
+};
@@ -0,0 +1,249 @@
+// src/errores.js
+// Modelo de errores de la API: errores tipados, traducción de los errores de Firebird
+// y el manejador central que responde siempre con { error, codigo, detalle }.
+// Los detalles internos (mensaje original, SQLCODE, stack) sólo se exponen con ERRORES_DETALLADOS=true.
+const log = require('./log');
+const { config } = require('./config');
+
+const ERRORES_DETALLADOS = config.log.erroresDetallados;
+
+/**
+ * Error de la aplicación con estado HTTP y código estable para los consumidores.
+ * - detalle: explicación para el consumidor (se muestra siempre).
+ * - extra: campos adicionales del cuerpo de la respuesta (ej. errores de validación).
+ * - causa: error original (sólo se muestra con ERRORES_DETALLADOS).
+ * - retryAfter: segundos para la cabecera Retry-After.
+ */
+class AppError extends Error {
+  constructor(mensaje, { status = 500, codigo = 'ERROR_INTERNO', detalle, extra, causa, retryAfter } = {}) {
+    super(mensaje);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.codigo = codigo;
+    this.detalle = detalle;
+    this.extra = extra;
+    this.causa = causa;
+    this.retryAfter = retryAfter;
+  }
+}
+
+class ErrorPeticion extends AppError {
+  constructor(detalle, opciones = {}) {
+    super('Petición inválida', { status: 400, codigo: 'PETICION_INVALIDA', detalle, ...opciones });
+  }
+}
+
+class ErrorNoEncontrado extends AppError {
+  constructor(mensaje, opciones = {}) {
+    super(mensaje, { status: 404, codigo: 'NO_ENCONTRADO', ...opciones });
+  }
+}
+
+class ErrorAcceso extends AppError {
+  constructor(detalle, opciones = {}) {
+    super('Acceso no autorizado.', { status: 403, codigo: 'ACCESO_DENEGADO', detalle, ...opciones });
+  }
+}
+
+class ErrorLimite extends AppError {
+  constructor(detalle, retryAfter, opciones = {}) {
+    super('Demasiadas peticiones.', { status: 429, codigo: 'LIMITE_EXCEDIDO', detalle, retryAfter, ...opciones });
+  }
+}
+
+/**
+ * La consulta no terminó dentro de su tiempo límite (ver db/pool.js).
+ */
+class ErrorTiempoAgotado extends AppError {
+  constructor(detalle, opciones = {}) {
+    super('La consulta excedió el tiempo límite.', { status: 504, codigo: 'TIEMPO_AGOTADO', detalle, ...opciones });
+  }
+}
+
+/**
+ * El cliente cerró la conexión antes de recibir la respuesta; 499 como en nginx (nadie la va a leer).
+ */
+class ErrorCancelada extends AppError {
+  constructor(detalle, opciones = {}) {
+    super('Petición cancelada por el cliente.', { status: 499, codigo: 'PETICION_CANCELADA', detalle, ...opciones });
+  }
+}
+
+class ErrorBaseDatos extends AppError {
+  constructor(mensaje, opciones = {}) {
+    super(mensaje, { status: 500, codigo: 'ERROR_BASE_DATOS', ...opciones });
+  }
+}
+
+// --- Traducción de errores de Firebird ---
+
+// Errores de red de Node al hablar con el servidor Firebird
+const CODIGOS_RED = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EHOSTUNREACH', 'ENOTFOUND'];
+
+/**
+ * Errores conocidos: se reconocen por gdscode, SQLCODE o texto del mensaje.
+ * gdscode: isc_convert_error, isc_arith_except, isc_imp_exc, isc_deadlock, isc_lock_conflict,
+ * isc_lock_timeout, isc_network_error, isc_net_read_err, isc_net_write_err, isc_shutdown, isc_att_shutdown.
+ */
+const ERRORES_FIREBIRD = [
+  {
+    gdscodes: [335544334],
+    patron: /conversion error/i,
+    crear: causa => new ErrorBaseDatos('Valor con formato inválido', {
+      status: 400, codigo: 'CONVERSION_INVALIDA', causa,
+      detalle: 'Algún parámetro no tiene el tipo que espera la consulta (ej. texto donde se espera un número o fecha).'
+    })
+  },
+  {
+    gdscodes: [335544321],
+    patron: /arithmetic exception|numeric overflow|string truncation/i,
+    crear: causa => new ErrorBaseDatos('Valor fuera de rango', {
+      status: 400, codigo: 'VALOR_FUERA_DE_RANGO', causa,
+      detalle: 'Algún parámetro es demasiado largo o está fuera del rango permitido.'
+    })
+  },
+  {
+    gdscodes: [335544382],
+    patron: /implementation limit exceeded|too many (values|parameters)/i,
+    crear: causa => new ErrorBaseDatos('Demasiados parámetros', {
+      status: 400, codigo: 'DEMASIADOS_PARAMETROS', causa,
+      detalle: 'La consulta excede el límite de parámetros de Firebird; envíe menos claves por petición.'
+    })
+  },
+  {
+    gdscodes: [335544336, 335544345, 335544510],
+    patron: /lock conflict|deadlock|lock time-?out/i,
+    crear: causa => new ErrorBaseDatos('Conflicto de bloqueo en la base de datos', {
+      status: 409, codigo: 'CONFLICTO_BLOQUEO', causa, retryAfter: 1,
+      detalle: 'Los registros consultados están bloqueados por otra transacción; reintente en unos segundos.'
+    })
+  },
+  {
+    red: true,
+    gdscodes: [335544721, 335544726, 335544727, 335544528, 335544856],
+    patron: /connection (is )?(closed|lost|shutdown|refused)|network error|connection shutdown/i,
+    crear: causa => new ErrorBaseDatos('Base de datos no disponible', {
+      status: 503, codigo: 'BD_NO_DISPONIBLE', causa, retryAfter: 5,
+      detalle: 'Se perdió la conexión con el servidor Firebird; reintente en unos segundos.'
+    })
+  }
+];
+
+const sqlcodeDe = (error) => {
+  const match = /SQL error code = (-?\d+)/i.exec(error.message || '');
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Convierte un error del driver de Firebird en un AppError con estado y código significativos.
+ * Los que no se reconocen quedan como ERROR_BASE_DATOS (500).
+ * @param {Error} error
+ * @param {string} [origen] Ej. 'Empresa 02', para el mensaje genérico.
+ */
+const traducirErrorFirebird = (error, origen) => {
+  if (error instanceof AppError) return error;
+
+  const conocido = CODIGOS_RED.includes(error.code)
+    ? ERRORES_FIREBIRD.find(e => e.red)
+    : ERRORES_FIREBIRD.find(e => e.gdscodes.includes(error.gdscode) || e.patron.test(error.message || ''));
+  if (conocido) return conocido.crear(error);
+
+  return new ErrorBaseDatos('Error al consultar la base de datos', {
+    causa: error,
+    detalle: origen ? `La consulta a la ${origen} no se pudo completar.` : undefined
+  });
+};
+
+// --- Respuesta y manejador central ---
+
+/**
+ * Normaliza cualquier error a AppError (incluidos los de express.json y los errores sin tipo).
+ */
+const normalizarError = (error) => {
+  if (error instanceof AppError) return error;
+
+  // express.json: cuerpo mal formado o demasiado grande
+  if (error.type === 'entity.parse.failed') {
+    return new ErrorPeticion('El cuerpo de la petición no es JSON válido.', { causa: error });
+  }
+  if (error.status >= 400 && error.status < 500) {
+    return new AppError(error.expose ? error.message : 'Petición inválida', {
+      status: error.status, codigo: 'PETICION_INVALIDA', causa: error
+    });
+  }
+
+  if (error.gdscode || sqlcodeDe(error) !== null) return traducirErrorFirebird(error);
+
+  return new AppError('Error interno del servidor', { causa: error });
+};
+
+/**
+ * Cuerpo de la respuesta de error: { error, codigo, detalle?, ...extra, depuracion? }.
+ */
+const cuerpoError = (error) => {
+  const cuerpo = { error: error.message, codigo: error.codigo };
+  if (error.detalle) cuerpo.detalle = error.detalle;
+  Object.assign(cuerpo, error.extra);
+
+  if (ERRORES_DETALLADOS) {
+    const causa = error.causa || error;
+    cuerpo.depuracion = {
+      mensaje: causa.message,
+      ...(causa.gdscode ? { gdscode: causa.gdscode } : {}),
+      ...(sqlcodeDe(causa) !== null ? { sqlcode: sqlcodeDe(causa) } : {}),
+      stack: causa.stack
+    };
+  }
+  return cuerpo;
+};
+
+/**
+ * Responde un error con el formato estándar. Para usos fuera de la cadena de Express
+ * (ej. descargas que fallan antes de enviar el primer lote).
+ */
+const responderError = (res, errorOriginal) => {
+  const error = normalizarError(errorOriginal);
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  res.status(error.status).json(cuerpoError(error));
+};
+
+/**
+ * Manejador central de Express (va al final de la cadena). Registra los 5xx con su causa.
+ * Express lo reconoce como manejador de errores por sus cuatro parámetros.
+ */
+const manejadorErrores = (errorOriginal, req, res, next) => {
+  const error = normalizarError(errorOriginal);
+
+  if (error.status >= 500) {
+    log.error('Error al atender la petición', {
+      requestId: req.id, metodo: req.method, url: req.originalUrl, codigo: error.codigo, error: error.causa || error
+    });
+  }
+
+  // Si ya se empezó a responder (descargas) sólo queda cortar la conexión
+  if (res.headersSent) return res.destroy(error);
+
+  responderError(res, error);
+};
+
+/**
+ * Rutas que no existen: 404 con el mismo formato que el resto de los errores.
+ */
+const rutaNoEncontrada = (req, res, next) => {
+  next(new ErrorNoEncontrado('Ruta no encontrada', { detalle: `No existe ${req.method} ${req.path}.` }));
+};
+
+module.exports = {
+  AppError,
+  ErrorPeticion,
+  ErrorNoEncontrado,
+  ErrorAcceso,
+  ErrorLimite,
+  ErrorTiempoAgotado,
+  ErrorCancelada,
+  ErrorBaseDatos,
+  traducirErrorFirebird,
+  responderError,
+  manejadorErrores,
+  rutaNoEncontrada
+};
@@ -1,1877 +1,92 @@
 // src/index.js
-require('dotenv').config();
-const express = require('express');
-const morgan = require('morgan');
-const db = require('./db');
-const db3 = require('./db3');
-const cors = require('cors');
-const dashboardRoutes = require('./routes/dashboard');
-const dashboardCobranza = require('./routes/cobranza');
-const rutasProveedores = require('./routes/proveedores');
-const rutasCatalogos = require('./routes/catalogos');
-const rutasInventarios = require('./routes/inventarios');
-const rutasDashboardInventarios = require('./routes/dashboardInventarios');
-const rutasClientes = require('./routes/clientes');
-const rutasDashboardCompras = require('./routes/dashboardCompras');
-
-const app = express();
-const port = process.env.API_PORT || 3010;
-
-// Definir el token para la hora local
-morgan.token('localdate', (req, res) => {
-    return new Date().toLocaleString('es-MX', {
-        timeZone: 'America/Mexico_City', // Ajusta según tu zona
-        hour12: false,
-        day: '2-digit',
-        month: '2-digit',
-        year: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit'
-    });
-});
-
-const corsOptions = {
-  origin: '*',
-  methods: 'GET,HEAD,PUT,PATCH,POST,DELETE', // Permite todos los métodos necesarios
-  credentials: true, // Si necesitas enviar cookies o cabeceras de autorización
-};
-
-app.use(cors(corsOptions));
-
-// 2. Middleware de Validación de API Key Interna (Capa 2)
-const validateInternalKey = (req, res, next) => {
-  const apiKey = req.header('x-api-key');
-  const secret = process.env.INTERNAL_SECRET || 'CambiaEsteTokenProvisional';
-  
-  if (apiKey && apiKey === secret) {
-    next();
-  } else {
-    // Extraemos el método y la URL original para el reporte
-    const { method, originalUrl, ip } = req;
-    
-    console.warn(`[!] BLOQUEADO: ${method} ${originalUrl} - IP: ${ip} - (Razón: Llave ausente o inválida)`);
-    
-    res.status(403).json({ 
-      error: 'Acceso no autorizado.',
-      detalles: 'Se requiere una API Key válida para acceder a este recurso.' 
-    });
-  }
-};
-
-app.use(validateInternalKey);
-
-// Middleware para parsear JSON en las solicitudes (aunque no lo necesitemos para solo lectura, es una buena práctica)
-app.use(express.json());
-
-// 3. Logs detallados (Para ver quién entra y cuánto tarda)
-app.use(morgan(':localdate :remote-addr - :method :url :status :response-time ms'));
-
-app.use('/api/catalogos', rutasCatalogos);
-
-app.use('/api/dashboard', dashboardRoutes);
-
-app.use('/api/dashboard', dashboardCobranza);
-
-app.use('/api', rutasProveedores);
-
-app.use('/api', rutasInventarios);
-
-app.use('/api/dashboard-inventarios', rutasDashboardInventarios);
-
-app.use('/api/clientes', rutasClientes);
-
-app.use('/api/dashboard-compras', rutasDashboardCompras);
-
-// Constantes de mapeo de almacenes (Sucursales)
-const ALMACENES = {
-  '1': 'Durango',
-  //'3': 'Fresnillo',
-  '5': 'Mazatlán',
-  '6': 'Zacatecas',
-  '7': 'Querétaro',
-  '10': 'Fresnillo'
-};
-
-/**
- * Transforma las columnas pivotadas de existencia (ALM_X_EXIST)
- * en el objeto 'existencias' requerido y limpia las columnas originales.
- * @param {Array<Object>} data Resultados crudos de la consulta SQL.
- * @returns {Array<Object>} Datos transformados.
- */
-function processExistencias(data) {
-  return data.map(item => {
-    const existencias = {};
-
-    Object.keys(ALMACENES).forEach(key => {
-      const rawKey = `ALM_${key}_EXIST`;
-      // Asigna el valor o 0 si es NULL/missing, y limpia el campo temporal
-      existencias[ALMACENES[key]] = item[rawKey] ? parseFloat(item[rawKey]) : 0;
-      delete item[rawKey];
-    });
-
-    item.existencias = existencias;
-    return item;
-  });
+// La configuración se valida antes de cargar lo demás: con un entorno inválido no se arranca (ver config/index.js)
+let configuracion;
+try {
+  configuracion = require('./config');
+  // La capa de datos valida las empresas (EMPRESAS_CONFIG) al cargarse
+  require('./db');
+} catch (error) {
+  // Sin configuración válida tampoco hay log (LOG_NIVEL es parte de ella): la línea JSON se escribe directo
+  process.stderr.write(JSON.stringify({
+    fecha: new Date().toISOString(),
+    nivel: 'error',
+    mensaje: 'Configuración inválida; el servidor no arranca',
+    errores: error.errores || [error.message]
+  }) + '\n');
+  process.exit(1);
 }
+const { config, resumenConfiguracion } = configuracion;
+const app = require('./app');
+const indiceProductos = require('./services/indiceProductos');
+const { cerrarPools } = require('./db');
+const { marcarApagando } = require('./services/salud');
+const log = require('./log');
 
-async function enrichWithUltimoCosto(data) {
-  if (!data || data.length === 0) return data;
-
-  // Solo tomamos los IDs de los 10 registros actuales
-  const ids = data.map(item => item.CVE_ART.trim());
-  const placeholders = ids.map(() => '?').join(',');
-
-  // Consultamos MINVE02 solo para esos 10 productos
-  const sqlMinve = `
-        SELECT CVE_ART, CLAVE_CLPV, COSTO, NUM_MOV
-        FROM MINVE02
-        WHERE CVE_CPTO = 1 AND CVE_ART IN (${placeholders})
-        ORDER BY NUM_MOV DESC
-    `;
+const port = config.servidor.puerto;
 
-  try {
-    const movimientos = await db.query(sqlMinve, ids);
-
-    // Mapa para guardar solo el movimiento más reciente de cada artículo
-    const movMap = {};
-    movimientos.forEach(m => {
-      const art = m.CVE_ART.trim();
-      if (!movMap[art]) {
-        movMap[art] = {
-          proveedor: m.CLAVE_CLPV ? m.CLAVE_CLPV.trim() : '',
-          costo: m.COSTO || 0
-        };
-      }
-    });
-
-    // Inyectamos los datos en el array original de 10 registros
-    return data.map(item => {
-      const info = movMap[item.CVE_ART.trim()];
-      return {
-        ...item,
-        ULTIMO_PROVEEDOR: info ? info.proveedor : '',
-        ULT_COSTO: info ? info.costo : 0
-      };
-    });
-  } catch (error) {
-    console.error("Error en MINVE02:", error);
-    return data.map(item => ({ ...item, ULTIMO_PROVEEDOR: '', ULT_COSTO: 0 }));
-  }
-};
+// Tiempo máximo para que terminen las peticiones en curso al apagar; después se cortan sus conexiones
+// (y con ellas sus consultas, ver db/pool.js). Debe ser menor al periodo de gracia del supervisor.
+const APAGADO_LIMITE_MS = config.servidor.apagadoLimiteMs;
+// Margen adicional para cerrar los pools antes de salir a la fuerza
+const CIERRE_POOLS_LIMITE_MS = 5000;
 
-const enrichWithUltimoCosto2 = async (data) => {
-  if (!data || data.length === 0) return data;
+let apagando = false;
 
-  // Extraemos las claves únicas
-  const clavesOriginales = [...new Set(data.map(prod => (prod.CVE_ART || '').trim()))];
-  
-  // Dividimos en lotes de 500 para evitar límites de Firebird
-  const CHUNK_SIZE = 500; 
-  const resultsMap = {};
+log.info('Configuración cargada', { variables: resumenConfiguracion(config) });
 
-  try {
-    for (let i = 0; i < clavesOriginales.length; i += CHUNK_SIZE) {
-      const chunk = clavesOriginales.slice(i, i + CHUNK_SIZE);
-      const placeholders = chunk.map(() => '?').join(',');
-
-      // TU CONSULTA ORIGINAL (Recuperada y Adaptada)
-      const sqlMinve = `
-        SELECT TRIM(CVE_ART) AS ART, COSTO, NUM_MOV
-        FROM MINVE02
-        WHERE CVE_CPTO = 1 AND CVE_ART IN (${placeholders})
-        ORDER BY NUM_MOV DESC
-      `;
-
-      const resMinve = await db.query(sqlMinve, chunk);
-      
-      // Al estar ordenado por NUM_MOV DESC, el primer registro de cada producto
-      // que procesemos será el más reciente.
-      resMinve.forEach(row => {
-        const art = row.ART;
-        if (resultsMap[art] === undefined) {
-          resultsMap[art] = row.COSTO;
-        }
-      });
-    }
-
-    // Inyectamos el costo en el array original
-    return data.map(item => ({
-      ...item,
-      COSTO_FINAL: resultsMap[(item.CVE_ART || '').trim()] || 0
-    }));
-
-  } catch (error) {
-    console.error('Error en enrichWithUltimoCosto2 con lógica original:', error);
-    return data;
-  }
-};
-
-/**
- * Obtiene los precios de la tabla correspondiente (02 o 03) según la SUCURSAL
- * y la lista_precios solicitada.
- */
-async function enrichWithPrecios(data, sucursal, listaPrecios) {
-  
-  if (!data || data.length === 0) return data;
-  const ids = data.map(item => item.CVE_ART.trim());
-  const placeholders = ids.map(() => '?').join(',');
-  const cveLista = listaPrecios ? listaPrecios.toString() : '4';
-
-  // Usamos toString() para que '3' == 3
-  const esSucursal3 = sucursal && sucursal.toString() === '3';
-  const connection = esSucursal3 ? db3 : db;
-  const table = esSucursal3 ? 'PRECIO_X_PROD03' : 'PRECIO_X_PROD02';
-
-  const sql = `SELECT TRIM(CVE_ART) AS ART, PRECIO FROM ${table} WHERE TRIM(CVE_PRECIO) = CAST(? AS VARCHAR(10)) AND CVE_ART IN (${placeholders})`;
-
-  try {
-    const results = await connection.query(sql, [cveLista, ...ids]);
-    const priceMap = {};
-    results.forEach(r => {
-      priceMap[r.ART] = r.PRECIO;
-    });
-
-    return data.map(item => ({
-      ...item,
-      PRECIO: priceMap[item.CVE_ART.trim()] !== undefined ? priceMap[item.CVE_ART.trim()] : 0.00
-    }));
-  } catch (error) {
-    console.error(`Error en enrichWithPrecios (${table}) para lista ${cveLista}:`, error.message);
-    return data.map(item => ({ ...item, PRECIO: 0.00 }));
-  }
-}
-
-  async function enrichWithUltimoProveedorQro(data) {
-  if (!data || data.length === 0) return data;
-
-  // Limpiamos IDs y recortamos estrictamente a 16 caracteres
-  const ids = [...new Set(data.map(item => 
-    item.CVE_ART.trim().substring(0, 16)
-  ).filter(id => id !== ''))];
-  
-  if (ids.length === 0) return data;
-
-  const placeholders = ids.map(() => '?').join(',');
-
-  // Forzamos el CAST a VARCHAR(16) para asegurar compatibilidad total con el índice
-  const sql = `
-    SELECT M.CVE_ART, M.CLAVE_CLPV, M.FECHA_DOCU
-    FROM MINVE02 M
-    WHERE M.ALMACEN = 7 
-      AND M.CVE_CPTO = 1 
-      AND CAST(M.CVE_ART AS VARCHAR(16)) IN (${placeholders})
-    ORDER BY M.FECHA_DOCU DESC
-  `;
-
-  try {
-    const movimientos = await db.query(sql, ids);
-
-    const provMap = {};
-    if (movimientos && movimientos.length > 0) {
-      movimientos.forEach(m => {
-        const art = m.CVE_ART.trim();
-        if (!provMap[art]) {
-          provMap[art] = m.CLAVE_CLPV ? m.CLAVE_CLPV.trim() : '';
-        }
-      });
-    }
-
-    return data.map(item => ({
-      ...item,
-      ULT_PROV_QRO: provMap[item.CVE_ART.trim()] || ''
-    }));
-  } catch (error) {
-    console.error("Error en enrichWithUltimoProveedorQro:", error.message);
-    return data.map(item => ({ ...item, ULT_PROV_QRO: '' }));
-  }
-}
-
-// Endpoint de prueba
-app.get('/', (req, res) => {
-  res.send('API de solo lectura para Firebird está en funcionamiento!');
-});
-
-// src/index.js (Servidor 'Z' - Nuevo Endpoint /existencia-alm/:clave)
-
-// Endpoint para obtener la existencia de un producto por almacén
-app.get('/existenciaalm/:clave', async (req, res) => {
-  const { clave } = req.params;
-
-  // Consulta SQL para obtener todos los registros de MULT02 para una clave específica
-  const sql = `
-    SELECT
-      CVE_ART,
-      CVE_ALM,
-      EXIST
-    FROM
-      MULT02
-    WHERE
-      CVE_ART = ?
-    ORDER BY
-      CVE_ALM;
-  `;
-
-  try {
-    // Nota: El conector node-firebird usa un array para los parámetros [clave]
-    const existencias = await db.query(sql, [clave]);
-
-    if (existencias.length === 0) {
-      // Devolvemos un 404 si el producto no tiene registros de existencia en MULT02
-      return res.status(404).json({ error: 'No se encontraron registros de existencia para la clave de producto especificada.' });
-    }
-
-    // Devolvemos el array de existencias (una fila por almacén)
-    res.json(existencias);
-  } catch (error) {
-    console.error('Error al ejecutar la consulta de existencia por almacén:', error);
-    res.status(500).json({
-      error: 'Error interno del servidor al consultar existencia por almacén.',
-      detalles: error.message
-    });
-  }
-});
-
-// index.js (Nuevo Endpoint POST para existencias filtradas)
-
-app.post('/existencias-masiva-filtrada', async (req, res) => {
-  const claves = req.body.claves;
-
-  if (!Array.isArray(claves) || claves.length === 0) {
-    return res.status(400).json({ error: 'Se requiere un arreglo no vacío de claves de producto.' });
-  }
-
-  // 1. Crear una cadena de placeholders '?' para la cláusula IN
-  // Esto previene inyecciones SQL (SQL Injection).
-  const placeholders = claves.map(() => '?').join(', ');
-
-  // 2. Consulta SQL con doble filtro: por las claves enviadas Y por almacén (1 y 6)
-  const sql = `
-    SELECT
-      CVE_ART,
-      CVE_ALM,
-      EXIST
-    FROM
-      MULT02
-    WHERE
-      CVE_ART IN (${placeholders}) AND CVE_ALM IN (1, 5, 6, 7)
-    ORDER BY
-      CVE_ART, CVE_ALM;
-  `;
-
-  try {
-    // 3. Ejecutar la consulta pasando el arreglo de claves como parámetros
-    const existencias = await db.query(sql, claves);
-    res.json(existencias);
-  } catch (error) {
-    console.error('Error al ejecutar la consulta de existencias masivas filtradas:', error);
-    res.status(500).json({
-      error: 'Error al consultar la base de datos para obtener las existencias filtradas.',
-      detalles: error.message
-    });
-  }
-});
-
-// Endpoint para obtener todos los productos
-app.get('/productos', async (req, res) => {
-  const sql = 'SELECT * FROM PRODUCTOS';
-  try {
-    const productos = await db.query(sql);
-    res.json(productos);
-  } catch (error) {
-    res.status(500).json({ error: 'Error al consultar la base de datos.' });
-  }
-});
-
-// Endpoint consolidado para obtener todos los datos de un solo producto, este
-//es el que se utiliza para ProductDetailPage
-app.get('/inventariocompleto/:clave', async (req, res) => {
-  const { clave } = req.params;
-
-  const sql = `
-    SELECT
-      T1.CVE_ART,
-      T1.DESCR,
-      T1.FCH_ULTCOM,
-      T1.ULT_COSTO,
-      COALESCE(T2_AGGR.EXISTENCIA, 0) AS EXISTENCIA, -- Existencia de subconsulta
-      T3_AGGR.PRECIO -- Precio de subconsulta
-    FROM
-      INVE02 T1
-    LEFT JOIN
-      -- SUBQUERY 1: AGREGACIÓN DE EXISTENCIAS (Garantiza 1 fila por producto)
-      (
-        SELECT
-          CVE_ART,
-          SUM(EXIST) AS EXISTENCIA
-        FROM
-          MULT02
-        WHERE
-          CVE_ALM IN (1, 6)
-        GROUP BY
-          CVE_ART
-      ) T2_AGGR ON T1.CVE_ART = T2_AGGR.CVE_ART
-    LEFT JOIN
-      -- SUBQUERY 2: EXTRACCIÓN DE PRECIO (Garantiza 1 fila por producto)
-      (
-        SELECT
-          CVE_ART,
-          PRECIO
-        FROM
-          PRECIO_X_PROD02
-        WHERE
-          CVE_PRECIO = 1
-      ) T3_AGGR ON T1.CVE_ART = T3_AGGR.CVE_ART
-    WHERE
-      T1.CVE_ART = ?  -- FILTRO POR CLAVE ÚNICA
-    GROUP BY
-      T1.CVE_ART,
-      T1.DESCR,
-      T1.FCH_ULTCOM,
-      T1.ULT_COSTO,
-      T2_AGGR.EXISTENCIA,
-      T3_AGGR.PRECIO;
-  `;
-
-  try {
-    const resultado = await db.query(sql, [clave]);
-
-    // ... (rest of the logic remains the same)
-    if (resultado.length === 0) {
-      return res.status(404).json({ error: 'Producto no encontrado en la base de datos de Firebird.' });
-    }
-
-    res.json(resultado[0]);
-  } catch (error) {
-    // ... (error handling)
-    console.error('Error al ejecutar la consulta consolidada por clave (corregida):', error);
-    res.status(500).json({
-      error: 'Error interno del servidor al obtener datos consolidados.',
-      detalles: error.message
-    });
-  }
-});
-
-// Endpoint para obtener un producto por su ID
-app.get('/productos/:id', async (req, res) => {
-  const { id } = req.params;
-  const sql = 'SELECT * FROM PRODUCTOS WHERE ID = ?';
-  try {
-    const producto = await db.query(sql, [id]);
-    if (producto.length > 0) {
-      res.json(producto[0]);
-    } else {
-      res.status(404).json({ message: 'Producto no encontrado.' });
-    }
-  } catch (error) {
-    res.status(500).json({ error: 'Error al consultar la base de datos.' });
-  }
-});
-
-
-// Endpoint para obtener información detallada de productos
-app.get('/productos-detallado', async (req, res) => {
-  const sql = `
-    SELECT
-      T1.CVE_ART,
-      T1.DESCR,
-      T1.LIN_PROD,
-      T1.FCH_ULTCOM,
-      T1.ULT_COSTO,
-      T1.STATUS,
-      T1.CVE_UNIDAD,
-      -- Usamos COALESCE para asegurar que si no hay registros de stock, EXISTENCIA sea 0 en lugar de NULL
-      COALESCE(T2_AGGR.EXISTENCIA, 0) AS EXISTENCIA, 
-      T3_AGGR.PRECIO
-    FROM
-      INVE02 T1
-    LEFT JOIN
-      -- SUBQUERY 1: Agregación de Existencias (MULT02)
-      (
-        SELECT
-          CVE_ART,
-          SUM(EXIST) AS EXISTENCIA
-        FROM
-          MULT02
-        WHERE
-          CVE_ALM IN (1, 6) -- Filtrar SOLO almacenes 1 y 6
-        GROUP BY
-          CVE_ART
-      ) T2_AGGR ON T1.CVE_ART = T2_AGGR.CVE_ART
-    LEFT JOIN
-      -- SUBQUERY 2: Extracción de Precio Específico (PRECIO_X_PROD02)
-      (
-        SELECT
-          CVE_ART,
-          PRECIO
-        FROM
-          PRECIO_X_PROD02
-        WHERE
-          CVE_PRECIO = 1 -- Filtrar SOLO el precio tipo 1
-      ) T3_AGGR ON T1.CVE_ART = T3_AGGR.CVE_ART
-    WHERE
-      T1.STATUS = 'A'
-    ORDER BY
-      T1.CVE_ART;
-  `;
-
-  try {
-    const productos = await db.query(sql);
-    res.json(productos);
-  } catch (error) {
-    console.error('Error al ejecutar la consulta detallada:', error);
-    res.status(500).json({ error: 'Error al consultar la base de datos para obtener los detalles de los productos.' });
-  }
-});
-
-// Nuevo Endpoint para obtener solo precios
-app.get('/precios', async (req, res) => {
-  // Opcional: Implementa paginación aquí también si tienes muchos precios
-  const limit = parseInt(req.query.limit) || 1000;
-  const offset = parseInt(req.query.offset) || 0;
-
-  const sql = `
-    SELECT
-      CVE_ART,
-      PRECIO
-    FROM
-      PRECIO_X_PROD02
-    WHERE
-      CVE_PRECIO = 1
-    ORDER BY
-      CVE_ART;
-  `;
-
-
-  try {
-    const precios = await db.query(sql);
-    res.json(precios);
-  } catch (error) {
-    console.error('Error al ejecutar la consulta de precios:', error);
-    // Dejamos un mensaje detallado para ayudar en la depuración si falla
-    res.status(500).json({ error: 'Error al consultar la base de datos para obtener los precios.', detalles: error.message });
-  }
-});
-
-app.get('/familias', async (req, res) => {
-  // Lista de familias a excluir
-  const excluir = [
-    'ACC. ANCLAJE', 'ADHES', 'AJUSTADOR', 'ANILLO', 'BARRA', 'BUJE',
-    'COMP. SIST. HIDR.', 'COMPRESOR', 'CONEXIONES', 'COPA', 'COPA PISTON',
-    'DRING', 'EMBOLOS', 'ESTOPEROS', 'ESTUC', 'HERRAM', 'KIT', 'LUBRIC',
-    'MANGUERAS', 'SELLO MECANICO', 'SUJETADOR', 'TAPAS', 'TUBO'
-  ];
-
-  // Generamos los placeholders (?, ?, ...) para la consulta
-  const placeholders = excluir.map(() => '?').join(', ');
-
-  const sql = `
-    SELECT DISTINCT
-      CAMPLIB24 AS FAMILIA
-    FROM
-      INVE_CLIB02
-    WHERE
-      CAMPLIB24 IS NOT NULL 
-      AND CAMPLIB24 <> ''
-      AND UPPER(TRIM(CAMPLIB24)) NOT IN (${placeholders})
-    ORDER BY
-      FAMILIA;
-  `;
-
-  try {
-    // Pasamos el array de exclusión como parámetros para mayor seguridad
-    const familias = await db.query(sql, excluir);
-
-    res.json(familias);
-  } catch (error) {
-    console.error('Error al ejecutar la consulta de familias filtradas:', error);
-    res.status(500).json({
-      error: 'Error interno del servidor al obtener las familias.',
-      detalles: error.message
-    });
-  }
-});
-
-app.get('/familias2', async (req, res) => {
-  // Lista de familias a excluir
-  const excluir = [
-    'ACC. ANCLAJE', 'ADHES', 'AJUSTADOR', 'ANILLO', 'BARRA', 'BUJE',
-    'COMP. SIST. HIDR.', 'COMPRESOR', 'CONEXIONES', 'COPA', 'COPA PISTON',
-    'DRING', 'EMBOLOS', 'ESTOPEROS', 'ESTUC', 'HERRAM', 'KIT', 'LUBRIC',
-    'MANGUERAS', 'SELLO MECANICO', 'SUJETADOR', 'TAPAS', 'TUBO'
-  ];
-
-  // Generamos los placeholders (?, ?, ...) para la consulta
-  const placeholders = excluir.map(() => '?').join(', ');
-
-  const sql = `
-    SELECT DISTINCT
-      CAMPLIB22 AS FAMILIA
-    FROM
-      INVE_CLIB02
-    WHERE
-      CAMPLIB22 IS NOT NULL 
-      AND CAMPLIB22 <> ''
-      AND UPPER(TRIM(CAMPLIB22)) NOT IN (${placeholders})
-    ORDER BY
-      FAMILIA;
-  `;
-
-  try {
-    // Pasamos el array de exclusión como parámetros para mayor seguridad
-    const familias = await db.query(sql, excluir);
-
-    res.json(familias);
-  } catch (error) {
-    console.error('Error al ejecutar la consulta de familias filtradas:', error);
-    res.status(500).json({
-      error: 'Error interno del servidor al obtener las familias.',
-      detalles: error.message
-    });
-  }
-});
-
-// Nuevo Endpoint para obtener las existencias de MULT02
-app.get('/existencias', async (req, res) => {
-  const sql = `
-    SELECT
-      CVE_ART,
-      CVE_ALM,
-      EXIST
-    FROM
-      MULT02
-    WHERE
-      CVE_ALM IN (1, 5, 6, 7)
-    ORDER BY
-      CVE_ART, CVE_ALM;
-  `;
-
-  try {
-    const existencias = await db.query(sql);
-    res.json(existencias);
-  } catch (error) {
-    console.error('Error al ejecutar la consulta de existencias:', error);
-    // Devolvemos el error detallado para ayudar en la depuración
-    res.status(500).json({ error: 'Error al consultar la base de datos para obtener las existencias.', detalles: error.message });
-  }
-});
-
-// Nuevo Endpoint para obtener la información base de INVE02 (DESCR, FCH_ULTCOM, ULT_COSTO), enriquecida con PERFIL de CAMPLIB13
-app.get('/inventario', async (req, res) => {
-  const sql = `
-    SELECT
-      T1.CVE_ART,
-      T1.DESCR,
-      T1.FCH_ULTCOM,
-      T1.ULT_COSTO,
-      T1.UNI_MED,
-      T4.CAMPLIB13 AS PERFIL  -- Campo obtenido de la tabla INVE_CLIB02
-    FROM
-      INVE02 T1
-    LEFT JOIN
-      INVE_CLIB02 T4 ON T1.CVE_ART = T4.CVE_PROD -- Unión para obtener campos libres
-    WHERE
-      T1.STATUS = 'A'
-    ORDER BY
-      T1.CVE_ART;
-  `;
-
-  try {
-    const inventario = await db.query(sql);
-    res.json(inventario);
-  } catch (error) {
-    console.error('Error al ejecutar la consulta de inventario base:', error);
-    res.status(500).json({
-      error: 'Error al consultar la base de datos para obtener el inventario base.',
-      detalles: error.message
-    });
-  }
-});
-
-// Endpoint para obtener información de productos con sus claves alternas y proveedores
-app.get('/clavesalternas', async (req, res) => {
-  // Consulta SQL para combinar INVE02, CVES_ALTER02, PROV02 y AHORA INVE_CLIB02
-  const sql = `
-    SELECT
-      T1.CVE_ART,         -- Clave de Producto (INVE02)
-      T1.DESCR,           -- Descripción (INVE02)
-      T1.UNI_MED,         -- Unidad de Medida (INVE02)
-      T1.FCH_ULTCOM,      -- Fecha Última Compra (INVE02)
-      T1.ULT_COSTO,       -- Último Costo (INVE02)
-      T2.CVE_ALTER,       -- Clave Alterna (CVES_ALTER02)
-      T2.CVE_CLPV,        -- Clave de Proveedor (CVES_ALTER02)
-      T3.NOMBRE,          -- Nombre del Proveedor (PROV02)
-      -- Nuevos campos de INVE_CLIB02 T4
-      T4.CAMPLIB1 AS DIAM_INT,
-      T4.CAMPLIB2 AS DIAM_EXT,
-      T4.CAMPLIB3 AS ALTURA,
-      T4.CAMPLIB7 AS SECCION,
-      T4.CAMPLIB15 AS CLA_SYR,
-      T4.CAMPLIB16 AS CLA_LC,
-      T4.CAMPLIB17 AS SIST_MED,
-      T4.CAMPLIB19 AS DESC_ECOMM,
-      T4.CAMPLIB21 AS GENERO,
-      T4.CAMPLIB22 AS FAMILIA
-    FROM
-      INVE02 T1 -- Tabla Principal: Productos
-    LEFT JOIN
-      CVES_ALTER02 T2 -- JOIN 1: Claves Alternas
-      ON T1.CVE_ART = T2.CVE_ART
-    LEFT JOIN
-      PROV02 T3 -- JOIN 2: Proveedores
-      ON T2.CVE_CLPV = T3.CLAVE
-    LEFT JOIN
-      INVE_CLIB02 T4 -- <--- ¡NUEVO JOIN para campos libres!
-      ON T1.CVE_ART = T4.CVE_PROD
-    WHERE
-      T2.TIPO = 'P' -- Filtro requerido: Solo claves alternas de TIPO "P" (Proveedor)
-    ORDER BY
-      T1.CVE_ART, T2.CVE_ALTER;
-  `;
-
-  try {
-    const resultados = await db.query(sql);
-    res.json(resultados);
-  } catch (error) {
-    console.error('Error al ejecutar la consulta de claves alternas:', error);
-    res.status(500).json({
-      error: 'Error interno del servidor al obtener las claves alternas.',
-      detalles: error.message
-    });
-  }
-});
-
-app.get('/clavesalternas/search', async (req, res) => {
-  const { query, SUCURSAL } = req.query;
-  const searchTerm = query ? query.toUpperCase().trim() : '';
-  const likeTerm = `%${searchTerm}%`;
-
-  // CORRECCIÓN 1: Manejar SUCURSAL como String y asegurar el tipo para Firebird
-  const cvePrecio = SUCURSAL ? SUCURSAL.toString() : '1';
-
-  if (!searchTerm) {
-    return res.status(400).json({ error: 'Debes proporcionar un término de búsqueda.' });
-  }
-
-  // CORRECCIÓN 2: Consulta optimizada con LEFT JOINS y CASTs para evitar el error -303
-  const sql = `
-        SELECT 
-            T1.CVE_ART, T1.DESCR, T1.UNI_MED, T1.FCH_ULTCOM, T1.ULT_COSTO, T1.LIN_PROD,
-            T4.CAMPLIB1 AS DIAM_INT, T4.CAMPLIB2 AS DIAM_EXT, T4.CAMPLIB3 AS ALTURA,
-            T4.CAMPLIB7 AS SECCION, T4.CAMPLIB13 AS PERFIL, 
-            T4.CAMPLIB15 AS CLA_SYR, T4.CAMPLIB16 AS CLA_LC,
-            T4.CAMPLIB17 AS SIST_MED, T4.CAMPLIB19 AS DESC_ECOMM, T4.CAMPLIB21 AS GENERO,
-            T4.CAMPLIB22 AS FAMILIA, T4.CAMPLIB28 AS COLOCACION,
-            COALESCE(MAX(T5.PRECIO), 0.00) AS PRECIO, 
-            MAX(CASE WHEN TRIM(T2.CVE_CLPV) = '3' THEN T2.CVE_ALTER ELSE NULL END) AS PROV1, 
-            MAX(CASE WHEN TRIM(T2.CVE_CLPV) = '35' THEN T2.CVE_ALTER ELSE NULL END) AS PROV2,
-            COALESCE(MAX(CASE WHEN T6.CVE_ALM = 1 THEN T6.EXIST ELSE NULL END), 0) AS ALM_1_EXIST,
-            COALESCE(MAX(CASE WHEN T6.CVE_ALM = 3 THEN T6.EXIST ELSE NULL END), 0) AS ALM_3_EXIST,
-            COALESCE(MAX(CASE WHEN T6.CVE_ALM = 5 THEN T6.EXIST ELSE NULL END), 0) AS ALM_5_EXIST,
-            COALESCE(MAX(CASE WHEN T6.CVE_ALM = 6 THEN T6.EXIST ELSE NULL END), 0) AS ALM_6_EXIST,
-            COALESCE(MAX(CASE WHEN T6.CVE_ALM = 7 THEN T6.EXIST ELSE NULL END), 0) AS ALM_7_EXIST
-        FROM INVE02 T1
-        LEFT JOIN CVES_ALTER02 T2 ON T1.CVE_ART = T2.CVE_ART
-        LEFT JOIN INVE_CLIB02 T4 ON T1.CVE_ART = T4.CVE_PROD
-        -- Colocamos el filtro de precio en el ON y usamos CAST para evitar truncation
-        LEFT JOIN PRECIO_X_PROD02 T5 ON (T1.CVE_ART = T5.CVE_ART AND TRIM(T5.CVE_PRECIO) = CAST(? AS VARCHAR(10)))
-        LEFT JOIN MULT02 T6 ON T1.CVE_ART = T6.CVE_ART
-        WHERE 
-            UPPER(T1.CVE_ART) LIKE CAST(? AS VARCHAR(100)) OR 
-            UPPER(T1.DESCR) LIKE CAST(? AS VARCHAR(100)) OR 
-            UPPER(COALESCE(T2.CVE_ALTER, '')) LIKE CAST(? AS VARCHAR(100)) OR
-            UPPER(COALESCE(T4.CAMPLIB19, '')) LIKE CAST(? AS VARCHAR(100))
-        GROUP BY 1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18
-        ORDER BY T1.CVE_ART;
-    `;
-
-  try {
-    // Ejecutar consulta con los parámetros limpios
-    let dataResult = await db.query(sql, [cvePrecio, likeTerm, likeTerm, likeTerm, likeTerm]);
-
-    if (dataResult.length > 0) {
-      const articulosIds = dataResult.map(item => item.CVE_ART.trim());
-      const sqlEmp3 = `
-                SELECT TRIM(CVE_ART) AS ART, EXIST 
-                FROM MULT03 
-                WHERE CVE_ALM = 3 AND CVE_ART IN (${articulosIds.map(() => '?').join(',')})
-            `;
-
-      try {
-        const resEmp3 = await db3.query(sqlEmp3, articulosIds);
-        const existenciaEmp3Map = {};
-        resEmp3.forEach(row => { existenciaEmp3Map[row.ART] = row.EXIST; });
-
-        dataResult = dataResult.map(item => ({
-          ...item,
-          ALM_10_EXIST: existenciaEmp3Map[item.CVE_ART.trim()] || 0
-        }));
-      } catch (err3) {
-        dataResult = dataResult.map(item => ({ ...item, ALM_10_EXIST: 0 }));
-      }
-    }
-
-    dataResult = processExistencias(dataResult);
-    res.json(dataResult);
-
-  } catch (error) {
-    console.error('Error en search corregido:', error);
-    res.status(500).json({ error: 'Error interno del servidor.', detalles: error.message });
-  }
-});
-
-app.get('/clavesalternas/search2', async (req, res) => {
-  const { query, SUCURSAL } = req.query;
-  const searchTerm = query ? query.toUpperCase().trim() : '';
-  const cvePrecio = SUCURSAL ? SUCURSAL.toString() : '1';
-
-  if (!searchTerm) return res.status(400).json({ error: 'Query requerido' });
-
-  const sql = `
-        SELECT 
-            T1.CVE_ART, T1.DESCR, T1.UNI_MED, T1.FCH_ULTCOM, T1.ULT_COSTO, T1.LIN_PROD,
-            T4.CAMPLIB1 AS DIAM_INT, T4.CAMPLIB2 AS DIAM_EXT, T4.CAMPLIB3 AS ALTURA,
-            T4.CAMPLIB7 AS SECCION, T4.CAMPLIB13 AS PERFIL, 
-            T4.CAMPLIB15 AS CLA_SYR, T4.CAMPLIB16 AS CLA_LC,
-            T4.CAMPLIB17 AS SIST_MED, T4.CAMPLIB19 AS DESC_ECOMM, T4.CAMPLIB21 AS GENERO,
-            T4.CAMPLIB22 AS FAMILIA, T4.CAMPLIB28 AS COLOCACION,
-            COALESCE(MAX(T5.PRECIO), 0.00) AS PRECIO,
-            COALESCE(MAX(CASE WHEN T6.CVE_ALM = 1 THEN T6.EXIST ELSE NULL END), 0) AS ALM_1_EXIST,
-            COALESCE(MAX(CASE WHEN T6.CVE_ALM = 3 THEN T6.EXIST ELSE NULL END), 0) AS ALM_3_EXIST,
-            COALESCE(MAX(CASE WHEN T6.CVE_ALM = 5 THEN T6.EXIST ELSE NULL END), 0) AS ALM_5_EXIST,
-            COALESCE(MAX(CASE WHEN T6.CVE_ALM = 6 THEN T6.EXIST ELSE NULL END), 0) AS ALM_6_EXIST,
-            COALESCE(MAX(CASE WHEN T6.CVE_ALM = 7 THEN T6.EXIST ELSE NULL END), 0) AS ALM_7_EXIST
-        FROM INVE02 T1
-        LEFT JOIN CVES_ALTER02 T2 ON T1.CVE_ART = T2.CVE_ART
-        LEFT JOIN INVE_CLIB02 T4 ON T1.CVE_ART = T4.CVE_PROD
-        LEFT JOIN PRECIO_X_PROD02 T5 ON (T1.CVE_ART = T5.CVE_ART AND TRIM(T5.CVE_PRECIO) = CAST(? AS VARCHAR(10)))
-        LEFT JOIN MULT02 T6 ON T1.CVE_ART = T6.CVE_ART
-        WHERE 
-            T1.CVE_ART = CAST(? AS VARCHAR(100)) OR
-            UPPER(T2.CVE_ALTER) = CAST(? AS VARCHAR(100)) OR
-            UPPER(T1.DESCR) LIKE CAST(? AS VARCHAR(100))
-        GROUP BY 1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18
-        ORDER BY T1.CVE_ART
-    `;
-
-  try {
-    const likeTerm = `%${searchTerm}%`;
-    let dataResult = await db.query(sql, [cvePrecio, searchTerm, searchTerm, likeTerm]);
-
-    // Enriquecer con Empresa 3
-    if (dataResult.length > 0) {
-      const ids = dataResult.map(item => item.CVE_ART.trim());
-      const sql3 = `SELECT TRIM(CVE_ART) AS ART, EXIST FROM MULT03 WHERE CVE_ALM = 3 AND CVE_ART IN (${ids.map(() => '?').join(',')})`;
-      const res3 = await db3.query(sql3, ids);
-      const map3 = {};
-      res3.forEach(r => map3[r.ART] = r.EXIST);
-      dataResult = dataResult.map(item => ({ ...item, ALM_10_EXIST: map3[item.CVE_ART.trim()] || 0 }));
-    }
-
-    dataResult = processExistencias(dataResult);
-    res.json(dataResult); // Estructura original: devuelve el array directamente
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-app.get('/clavesalternas/search3', async (req, res) => {
-  const q = req.query.q || req.query.query;
-  const sucursal = req.query.sucursal || req.query.SUCURSAL;
-
-  if (!q || q.length < 2) {
-    return res.json([]);
-  }
-
-  const queryTerm = `%${q.toUpperCase()}%`;
-
-  // SQL basado estrictamente en tu lógica de /search (Línea 266 del archivo)
-  // Pero seleccionando los campos técnicos que requiere /catalogo
-  const sql = `
-    SELECT FIRST 20 DISTINCT
-      I.CVE_ART, I.DESCR, I.UNI_MED, I.LIN_PROD, 
-      I.COSTO_PROM, I.ULT_COSTO, I.FCH_ULTCOM,
-      C.CAMPLIB1 AS DIAM_INT, C.CAMPLIB2 AS DIAM_EXT, C.CAMPLIB3 AS ALTURA,
-      C.CAMPLIB7 AS SECCION, C.CAMPLIB13 AS PERFIL, C.CAMPLIB17 AS SIST_MED,
-      C.CAMPLIB19 AS DESC_ECOMM, C.CAMPLIB21 AS GENERO, C.CAMPLIB22 AS FAMILIA,
-      C.CAMPLIB24 AS CAT_ECOMM, C.CAMPLIB28 AS COLOCACION, 
-      C.CAMPLIB15 AS CLA_SYR, C.CAMPLIB16 AS CLA_LC,
-      COALESCE(MAX(CASE WHEN T6.CVE_ALM = 1 THEN T6.EXIST ELSE NULL END), 0) AS ALM_1_EXIST,
-      COALESCE(MAX(CASE WHEN T6.CVE_ALM = 3 THEN T6.EXIST ELSE NULL END), 0) AS ALM_3_EXIST,
-      COALESCE(MAX(CASE WHEN T6.CVE_ALM = 5 THEN T6.EXIST ELSE NULL END), 0) AS ALM_5_EXIST,
-      COALESCE(MAX(CASE WHEN T6.CVE_ALM = 6 THEN T6.EXIST ELSE NULL END), 0) AS ALM_6_EXIST,
-      COALESCE(MAX(CASE WHEN T6.CVE_ALM = 7 THEN T6.EXIST ELSE NULL END), 0) AS ALM_7_EXIST
-    FROM INVE02 I
-    LEFT JOIN INVE_CLIB02 C ON I.CVE_ART = C.CVE_PROD
-    -- LEFT JOIN PRECIO_X_PROD02 P ON I.CVE_ART = P.CVE_ART
-    LEFT JOIN MULT02 T6 ON I.CVE_ART = T6.CVE_ART
-    WHERE I.STATUS = 'A' 
-      AND (
-        UPPER(I.CVE_ART) LIKE ?
-      )
-    GROUP BY 1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20
-      ORDER BY I.CVE_ART;
-  `;
-
-  try {
-    const productos = await db.query(sql, [queryTerm]);
-    //console.log("Productoss: ",productos);
-    // Usamos tus funciones de enriquecimiento tal cual están en tu index.js
-    // 1. Enriquecer con Precios (Línea 1056 aprox)
-    let productosConPrecios = await enrichWithPrecios(productos);
-    
-    // 2. Enriquecer con Último Costo (Línea 1076 aprox)
-    let productosCompletos = await enrichWithUltimoCosto(productosConPrecios);
-    productosCompletos = await enrichWithUltimoProveedorQro(productosCompletos);  //se agrega último proveedor para ver si es el 46
-
-    //Se agrega la existencia de ALM 3 (ROSA QUEZADA)
-    /* if (productosCompletos.length > 0) {
-      const ids = productosCompletos.map(item => item.CVE_ART.trim());
-      const sql3 = `SELECT TRIM(CVE_ART) AS ART, EXIST FROM MULT03 WHERE CVE_ALM = 3 AND CVE_ART IN (${ids.map(() => '?').join(',')})`;
-      const res3 = await db3.query(sql3, ids);
-      const map3 = {};
-      res3.forEach(r => map3[r.ART] = r.EXIST);
-      productosCompletos = productosCompletos.map(item => ({ ...item, ALM_3_EXIST: map3[item.CVE_ART.trim()] || 0 }));
-    } */
-
-    if (productosCompletos.length > 0) {
-      const articulosIds = productosCompletos.map(item => item.CVE_ART.trim());
-      const sqlEmp3 = `SELECT TRIM(CVE_ART) AS ART, EXIST FROM MULT03 WHERE CVE_ALM = 3 AND CVE_ART IN (${articulosIds.map(() => '?').join(',')})`;
-
-      try {
-        const resEmp3 = await db3.query(sqlEmp3, articulosIds);
-        const existenciaEmp3Map = {};
-        resEmp3.forEach(row => { existenciaEmp3Map[row.ART] = row.EXIST; });
-
-        productosCompletos = productosCompletos.map(item => ({
-          ...item,
-          ALM_10_EXIST: existenciaEmp3Map[item.CVE_ART.trim()] || 0
-        }));
-      } catch (err3) {
-        productosCompletos = productosCompletos.map(item => ({ ...item, ALM_10_EXIST: 0 }));
-      }
-    }
-
-    productosCompletos = processExistencias(productosCompletos);
-
-    //console.log(productosCompletos);
-
-    res.json(productosCompletos);
-
-  } catch (error) {
-    console.error('Error en /search3:', error.message);
-    res.status(500).json({ error: 'Error interno', detalle: error.message });
-  }
-});
-
-
-app.get('/clavesalternas/filter-ranges', async (req, res) => {
-  const { 
-    lista_precios, SUCURSAL, familia, linea, perfil,
-    diam_int_min, diam_int_max, diam_ext_min, diam_ext_max, altura_min, altura_max, 
-    limit, offset 
-  } = req.query;
-
-  const numLimit = parseInt(limit) || 10;
-  const numOffset = parseInt(offset) || 0;
-
-  let whereClauses = ["1=1"];
-  let params = [];
-
-  // Rangos dimensionales
-  const rangeFilters = [
-    { min: diam_int_min, max: diam_int_max, col: 'T4.CAMPLIB1' },
-    { min: diam_ext_min, max: diam_ext_max, col: 'T4.CAMPLIB2' },
-    { min: altura_min, max: altura_max, col: 'T4.CAMPLIB3' }
-  ];
-
-  rangeFilters.forEach(filter => {
-    if (filter.min || filter.max) {
-      const dbNum = `CAST(REPLACE(COALESCE(NULLIF(TRIM(${filter.col}), ''), '0'), ',', '.') AS NUMERIC(15, 4))`;
-      if (filter.min) {
-        whereClauses.push(`${dbNum} >= CAST(? AS NUMERIC(15, 4))`);
-        params.push(parseFloat(filter.min.replace(',', '.')));
-      }
-      if (filter.max) {
-        whereClauses.push(`${dbNum} <= CAST(? AS NUMERIC(15, 4))`);
-        params.push(parseFloat(filter.max.replace(',', '.')));
-      }
-    }
-  });
-
-  // Filtro de Familia -> CAMPLIB24
-  if (familia) {
-    whereClauses.push(`UPPER(TRIM(COALESCE(T4.CAMPLIB24, ''))) = UPPER(TRIM(?))`);
-    params.push(familia);
-  }
-
-  // Filtro de Perfil -> CAMPLIB13
-  if (perfil) {
-    whereClauses.push(`UPPER(TRIM(COALESCE(T4.CAMPLIB13, ''))) = UPPER(TRIM(?))`);
-    params.push(perfil);
-  }
-
-  // Filtro de Línea -> LIN_PROD
-  if (linea) {
-    whereClauses.push(`UPPER(TRIM(COALESCE(T1.LIN_PROD, ''))) = UPPER(TRIM(?))`);
-    params.push(linea);
-  }
-
-  const whereString = `WHERE ${whereClauses.join(' AND ')}`;
-
-  try {
-    const countSql = `SELECT COUNT(DISTINCT T1.CVE_ART) AS TOTAL FROM INVE02 T1 LEFT JOIN INVE_CLIB02 T4 ON T1.CVE_ART = T4.CVE_PROD ${whereString}`;
-    const countRes = await db.query(countSql, params);
-    const totalRecords = countRes[0]?.TOTAL || 0;
-
-    const dataSql = `
-      SELECT FIRST ${numLimit} SKIP ${numOffset}
-          T1.CVE_ART, T1.DESCR, T1.UNI_MED, T1.FCH_ULTCOM, 
-          T1.ULT_COSTO AS COSTO_PROM, T1.LIN_PROD,
-          T4.CAMPLIB1 AS DIAM_INT, T4.CAMPLIB2 AS DIAM_EXT, T4.CAMPLIB3 AS ALTURA,
-          T4.CAMPLIB7 AS SECCION, T4.CAMPLIB13 AS PERFIL, 
-          T4.CAMPLIB15 AS CLA_SYR, T4.CAMPLIB16 AS CLA_LC,
-          T4.CAMPLIB17 AS SIST_MED, T4.CAMPLIB19 AS DESC_ECOMM, T4.CAMPLIB21 AS GENERO,
-          T4.CAMPLIB22 AS FAMILIA, T4.CAMPLIB28 AS COLOCACION,
-          T4.CAMPLIB24 AS CAT_ECOMM,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 1 THEN T6.EXIST ELSE NULL END), 0) AS ALM_1_EXIST,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 5 THEN T6.EXIST ELSE NULL END), 0) AS ALM_5_EXIST,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 6 THEN T6.EXIST ELSE NULL END), 0) AS ALM_6_EXIST,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 7 THEN T6.EXIST ELSE NULL END), 0) AS ALM_7_EXIST
-      FROM INVE02 T1
-      LEFT JOIN INVE_CLIB02 T4 ON T1.CVE_ART = T4.CVE_PROD
-      LEFT JOIN MULT02 T6 ON T1.CVE_ART = T6.CVE_ART
-      ${whereString}
-      GROUP BY 1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19
-      ORDER BY T1.CVE_ART;
-    `;
-
-    let dataResult = await db.query(dataSql, params);
-    dataResult = await enrichWithPrecios(dataResult, SUCURSAL, lista_precios);
-    dataResult = await enrichWithUltimoCosto(dataResult);
-    dataResult = await enrichWithUltimoProveedorQro(dataResult);  //se agrega último proveedor para ver si es el 46
-
-    if (dataResult.length > 0) {
-      const ids = dataResult.map(item => item.CVE_ART.trim());
-      const sql3 = `SELECT TRIM(CVE_ART) AS ART, EXIST FROM MULT03 WHERE CVE_ALM = 3 AND CVE_ART IN (${ids.map(() => '?').join(',')})`;
-      const res3 = await db3.query(sql3, ids);
-      const map3 = {};
-      res3.forEach(r => map3[r.ART] = r.EXIST);
-      dataResult = dataResult.map(item => ({ ...item, ALM_10_EXIST: map3[item.CVE_ART.trim()] || 0 }));
-    }
-
-    res.json({
-      data: processExistencias(dataResult),
-      pagination: {
-        currentPage: Math.floor(numOffset / numLimit) + 1,
-        totalPages: Math.ceil(totalRecords / numLimit),
-        totalRecords,
-        limit: numLimit
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-
-app.get('/clavesalternas/filter', async (req, res) => {
-  // Extraemos linea y perfil de la query
-  const { lista_precios, SUCURSAL, familia, linea, perfil, limit, offset } = req.query;
-  const numLimit = parseInt(limit) || 10;
-  const numOffset = parseInt(offset) || 0;
-
-  let whereClauses = ["1=1"];
-  let params = [];
-
-  // 1. Filtros dimensionales (Exactos/Cercanos)
-  const dimensionalFields = {
-    diam_int: 'T4.CAMPLIB1',
-    diam_ext: 'T4.CAMPLIB2',
-    altura: 'T4.CAMPLIB3',
-    seccion: 'T4.CAMPLIB7'
-  };
-
-  for (const key in dimensionalFields) {
-    const val = req.query[key];
-    if (val) {
-      const numVal = parseFloat(val.replace(',', '.'));
-      if (!isNaN(numVal)) {
-        const dbNum = `CAST(REPLACE(COALESCE(NULLIF(TRIM(${dimensionalFields[key]}), ''), '0'), ',', '.') AS NUMERIC(15, 4))`;
-        whereClauses.push(`ABS(${dbNum} - CAST(? AS NUMERIC(15, 4))) <= 0.001`);
-        params.push(numVal);
-      }
-    }
-  }
-
-  // 2. Filtro de Familia (ahora en CAMPLIB24)
-  if (familia) {
-    whereClauses.push(`UPPER(TRIM(COALESCE(T4.CAMPLIB24, ''))) = UPPER(TRIM(?))`);
-    params.push(familia);
-  }
-
-  // 3. Filtro de Perfil (Exclusivo CAMPLIB13)
-  if (perfil) {
-    whereClauses.push(`UPPER(TRIM(COALESCE(T4.CAMPLIB13, ''))) = UPPER(TRIM(?))`);
-    params.push(perfil);
-  }
-
-  // 4. Filtro de Línea (Exclusivo LIN_PROD)
-  if (linea) {
-    whereClauses.push(`UPPER(TRIM(COALESCE(T1.LIN_PROD, ''))) = UPPER(TRIM(?))`);
-    params.push(linea);
-  }
-
-  const whereString = `WHERE ${whereClauses.join(' AND ')}`;
-  
-  try {
-    const countSql = `SELECT COUNT(DISTINCT T1.CVE_ART) AS TOTAL FROM INVE02 T1 LEFT JOIN INVE_CLIB02 T4 ON T1.CVE_ART = T4.CVE_PROD ${whereString}`;
-    const countRes = await db.query(countSql, params);
-    const totalRecords = countRes[0]?.TOTAL || 0;
-
-    const sql = `
-      SELECT FIRST ${numLimit} SKIP ${numOffset}
-          T1.CVE_ART, T1.DESCR, T1.UNI_MED, T1.FCH_ULTCOM, 
-          T1.ULT_COSTO AS COSTO_PROM, T1.LIN_PROD,
-          T4.CAMPLIB1 AS DIAM_INT, T4.CAMPLIB2 AS DIAM_EXT, T4.CAMPLIB3 AS ALTURA,
-          T4.CAMPLIB7 AS SECCION, T4.CAMPLIB13 AS PERFIL, 
-          T4.CAMPLIB15 AS CLA_SYR, T4.CAMPLIB16 AS CLA_LC,
-          T4.CAMPLIB17 AS SIST_MED, T4.CAMPLIB19 AS DESC_ECOMM, T4.CAMPLIB21 AS GENERO,
-          T4.CAMPLIB22 AS FAMILIA, T4.CAMPLIB28 AS COLOCACION,
-          T4.CAMPLIB24 AS CAT_ECOMM,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 1 THEN T6.EXIST ELSE NULL END), 0) AS ALM_1_EXIST,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 5 THEN T6.EXIST ELSE NULL END), 0) AS ALM_5_EXIST,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 6 THEN T6.EXIST ELSE NULL END), 0) AS ALM_6_EXIST,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 7 THEN T6.EXIST ELSE NULL END), 0) AS ALM_7_EXIST
-      FROM INVE02 T1
-      LEFT JOIN INVE_CLIB02 T4 ON T1.CVE_ART = T4.CVE_PROD
-      LEFT JOIN MULT02 T6 ON T1.CVE_ART = T6.CVE_ART
-      ${whereString}
-      GROUP BY 1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19
-      ORDER BY T1.CVE_ART;
-    `;
-
-    let dataResult = await db.query(sql, params);
-    dataResult = await enrichWithPrecios(dataResult, SUCURSAL, lista_precios);
-    dataResult = await enrichWithUltimoCosto(dataResult);
-    dataResult = await enrichWithUltimoProveedorQro(dataResult);  //se agrega último proveedor para ver si es el 46
-
-    if (dataResult.length > 0) {
-      const ids = dataResult.map(item => item.CVE_ART.trim());
-      const sql3 = `SELECT TRIM(CVE_ART) AS ART, EXIST FROM MULT03 WHERE CVE_ALM = 3 AND CVE_ART IN (${ids.map(() => '?').join(',')})`;
-      const res3 = await db3.query(sql3, ids);
-      const map3 = {};
-      res3.forEach(r => map3[r.ART] = r.EXIST);
-      dataResult = dataResult.map(item => ({ ...item, ALM_10_EXIST: map3[item.CVE_ART.trim()] || 0 }));
-    }
+// Iniciar el servidor
+const server = app.listen(port, () => {
+  log.info('Servidor escuchando', { url: `http://localhost:${port}` });
 
-    res.json({
-      data: processExistencias(dataResult),
-      pagination: {
-        currentPage: Math.floor(numOffset / numLimit) + 1,
-        totalPages: Math.ceil(totalRecords / numLimit),
-        totalRecords,
-        limit: numLimit
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+  // El índice de búsqueda se arma en segundo plano; mientras tanto la búsqueda usa SQL
+  indiceProductos.iniciar();
 });
 
-/**
- * ==========================================
- * ENDPOINTS VERSION 2.0 (SOPORTE MULTI-PERFIL)
- * ==========================================
- */
-
-/**
- * 2. GET /api/clavesalternas/filter-ranges-v2
- * Búsqueda Acotada por Rangos para Equivalencias.
- * Evalúa estrictamente Familia, Sistema de Medición, y rangos de Diámetro Interior y Exterior.
- */
-app.get('/api/clavesalternas/filter-ranges-v2', async (req, res) => {
-  const { 
-    lista_precios, SUCURSAL, familia, sist_med,
-    diam_int_min, diam_int_max, diam_ext_min, diam_ext_max,
-    limit, offset 
-  } = req.query;
-
-  const numLimit = parseInt(limit) || 10;
-  const numOffset = parseInt(offset) || 0;
-
-  let whereClauses = ["1=1"];
-  let params = [];
-
-  // 1. Rangos dimensionales acotados exclusivamente a DI y DE
-  const rangeFilters = [
-    { min: diam_int_min, max: diam_int_max, col: 'T4.CAMPLIB1' },
-    { min: diam_ext_min, max: diam_ext_max, col: 'T4.CAMPLIB2' }
-  ];
-
-  rangeFilters.forEach(filter => {
-    if (filter.min || filter.max) {
-      // Reemplazo nativo de comas por puntos para Firebird
-      const dbNum = `CAST(REPLACE(COALESCE(NULLIF(TRIM(${filter.col}), ''), '0'), ',', '.') AS NUMERIC(15, 4))`;
-      if (filter.min) {
-        whereClauses.push(`${dbNum} >= CAST(? AS NUMERIC(15, 4))`);
-        params.push(parseFloat(String(filter.min).replace(',', '.')));
-      }
-      if (filter.max) {
-        whereClauses.push(`${dbNum} <= CAST(? AS NUMERIC(15, 4))`);
-        params.push(parseFloat(String(filter.max).replace(',', '.')));
-      }
-    }
-  });
-
-  // 2. Filtro de Familia (CAMPLIB24) con Unificación de Sellos
-  if (familia) {
-    const limpioFamilia = familia.trim().toUpperCase();
-    if (limpioFamilia === 'SELLOS U' || limpioFamilia === 'SELLOS DE VASTAGO') {
-      whereClauses.push(`UPPER(TRIM(COALESCE(T4.CAMPLIB24, ''))) IN ('SELLOS U', 'SELLOS DE VASTAGO')`);
-    } else {
-      whereClauses.push(`UPPER(TRIM(COALESCE(T4.CAMPLIB24, ''))) = ?`);
-      params.push(limpioFamilia);
-    }
-  }
-
-  // 3. Filtro de Sistema de Medición (CAMPLIB17) blindado
-  if (sist_med) {
-    whereClauses.push(`TRIM(COALESCE(T4.CAMPLIB17, '')) = ?`);
-    params.push(sist_med.trim().toLowerCase());
-  }
-
-  const whereString = `WHERE ${whereClauses.join(' AND ')}`;
-
-  try {
-    const countSql = `SELECT COUNT(DISTINCT T1.CVE_ART) AS TOTAL FROM INVE02 T1 LEFT JOIN INVE_CLIB02 T4 ON T1.CVE_ART = T4.CVE_PROD ${whereString}`;
-    const countRes = await db.query(countSql, params);
-    const totalRecords = countRes[0]?.TOTAL || 0;
-
-    const dataSql = `
-      SELECT FIRST ${numLimit} SKIP ${numOffset}
-          T1.CVE_ART, T1.DESCR, T1.UNI_MED, T1.FCH_ULTCOM, 
-          T1.ULT_COSTO AS COSTO_PROM, T1.LIN_PROD,
-          T4.CAMPLIB1 AS DIAM_INT, T4.CAMPLIB2 AS DIAM_EXT, T4.CAMPLIB3 AS ALTURA,
-          T4.CAMPLIB7 AS SECCION, T4.CAMPLIB13 AS PERFIL, 
-          T4.CAMPLIB15 AS CLA_SYR, T4.CAMPLIB16 AS CLA_LC,
-          T4.CAMPLIB17 AS SIST_MED, T4.CAMPLIB19 AS DESC_ECOMM, T4.CAMPLIB21 AS GENERO,
-          T4.CAMPLIB22 AS FAMILIA, T4.CAMPLIB28 AS COLOCACION,
-          T4.CAMPLIB24 AS CAT_ECOMM,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 1 THEN T6.EXIST ELSE NULL END), 0) AS ALM_1_EXIST,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 5 THEN T6.EXIST ELSE NULL END), 0) AS ALM_5_EXIST,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 6 THEN T6.EXIST ELSE NULL END), 0) AS ALM_6_EXIST,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 7 THEN T6.EXIST ELSE NULL END), 0) AS ALM_7_EXIST
-      FROM INVE02 T1
-      LEFT JOIN INVE_CLIB02 T4 ON T1.CVE_ART = T4.CVE_PROD
-      LEFT JOIN MULT02 T6 ON T1.CVE_ART = T6.CVE_ART
-      ${whereString}
-      GROUP BY 1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19
-      ORDER BY T1.CVE_ART;
-    `;
-
-    let dataResult = await db.query(dataSql, params);
-    dataResult = await enrichWithPrecios(dataResult, SUCURSAL, lista_precios); //
-    dataResult = await enrichWithUltimoCosto(dataResult); //
-    dataResult = await enrichWithUltimoProveedorQro(dataResult); //
-
-    // Inyección de existencias de Empresa 3 (Fresnillo)
-    if (dataResult.length > 0) {
-      const ids = dataResult.map(item => item.CVE_ART.trim());
-      const sql3 = `SELECT TRIM(CVE_ART) AS ART, EXIST FROM MULT03 WHERE CVE_ALM = 3 AND CVE_ART IN (${ids.map(() => '?').join(',')})`;
-      const res3 = await db3.query(sql3, ids);
-      const map3 = {};
-      res3.forEach(r => map3[r.ART] = r.EXIST);
-      dataResult = dataResult.map(item => ({ ...item, ALM_10_EXIST: map3[item.CVE_ART.trim()] || 0 }));
-    }
-
-    res.json({
-      data: processExistencias(dataResult), //
-      pagination: {
-        currentPage: Math.floor(numOffset / numLimit) + 1,
-        totalPages: Math.ceil(totalRecords / numLimit),
-        totalRecords,
-        limit: numLimit
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+// Durante el apagado las respuestas cierran la conexión para que los clientes con keep-alive
+// abran la siguiente contra otra instancia
+server.on('request', (req, res) => {
+  if (apagando) res.setHeader('Connection', 'close');
 });
 
 /**
- * GET /api/clavesalternas/filter-v2
- * Búsqueda Estricta de Productos.
- * Evalúa coincidencias exactas de dimensiones, perfiles y líneas, 
- * con soporte para unificación de familias y múltiples perfiles.
+ * Apagado ordenado (SIGTERM del supervisor, Ctrl+C): deja de aceptar conexiones, espera las
+ * peticiones en curso hasta APAGADO_LIMITE_MS, detiene el índice y cierra los pools de cada empresa
+ * para no dejar attachments abiertos en Firebird. Una segunda señal sale de inmediato.
  */
-app.get('/api/clavesalternas/filter-v2', async (req, res) => {
-  const { 
-    lista_precios, SUCURSAL, familia, sist_med, linea, perfil,
-    diam_int, diam_ext, altura, seccion,
-    limit, offset 
-  } = req.query;
-
-  const numLimit = parseInt(limit) || 10;
-  const numOffset = parseInt(offset) || 0;
-
-  let whereClauses = ["1=1"];
-  let params = [];
-
-  // 1. Filtro de Familia (CAMPLIB24) con Unificación de Sellos
-  if (familia) {
-    const limpioFamilia = familia.trim().toUpperCase();
-    if (limpioFamilia === 'SELLOS U' || limpioFamilia === 'SELLOS DE VASTAGO') {
-      whereClauses.push(`UPPER(TRIM(COALESCE(T4.CAMPLIB24, ''))) IN ('SELLOS U', 'SELLOS DE VASTAGO')`);
-    } else {
-      whereClauses.push(`UPPER(TRIM(COALESCE(T4.CAMPLIB24, ''))) = ?`);
-      params.push(limpioFamilia);
-    }
-  }
-
-  // 2. Filtro de Sistema de Medición (CAMPLIB17) blindado a minúsculas
-  if (sist_med) {
-    whereClauses.push(`TRIM(COALESCE(T4.CAMPLIB17, '')) = ?`);
-    params.push(sist_med.trim().toLowerCase());
-  }
-
-  // 3. Filtro de Línea (LIN_PROD) evaluado directamente sin envolver en Firebird
-  if (linea) {
-    whereClauses.push(`UPPER(TRIM(COALESCE(T1.LIN_PROD, ''))) = ?`);
-    params.push(linea.trim().toUpperCase());
-  }
-
-  // 4. Filtro de Múltiples Perfiles (CAMPLIB13) con cláusulas OR dinámicas
-  if (perfil && perfil.trim() !== '') {
-    const listPerfiles = perfil.split(',').map(p => p.trim().toUpperCase()).filter(p => p !== '');
-    if (listPerfiles.length > 0) {
-      const orConditions = listPerfiles.map(() => `UPPER(TRIM(COALESCE(T4.CAMPLIB13, ''))) = ?`);
-      whereClauses.push(`(${orConditions.join(' OR ')})`);
-      params.push(...listPerfiles);
-    }
-  }
-
-  // 5. Filtros Dimensionales Exactos (DI, DE, ALT, SEC)
-  const dimFilters = [
-    { val: diam_int, col: 'T4.CAMPLIB1' },
-    { val: diam_ext, col: 'T4.CAMPLIB2' },
-    { val: altura, col: 'T4.CAMPLIB3' },
-    { val: seccion, col: 'T4.CAMPLIB7' }
-  ];
-
-  dimFilters.forEach(f => {
-    if (f.val) {
-      // Reemplazo nativo de comas por puntos y casteo a numérico para cruce exacto
-      const dbNum = `CAST(REPLACE(COALESCE(NULLIF(TRIM(${f.col}), ''), '0'), ',', '.') AS NUMERIC(15, 4))`;
-      whereClauses.push(`${dbNum} = CAST(? AS NUMERIC(15, 4))`);
-      params.push(parseFloat(String(f.val).replace(',', '.')));
-    }
-  });
-
-  const whereString = `WHERE ${whereClauses.join(' AND ')}`;
-
-  try {
-    const countSql = `SELECT COUNT(DISTINCT T1.CVE_ART) AS TOTAL FROM INVE02 T1 LEFT JOIN INVE_CLIB02 T4 ON T1.CVE_ART = T4.CVE_PROD ${whereString}`;
-    const countRes = await db.query(countSql, params);
-    const totalRecords = countRes[0]?.TOTAL || 0;
-
-    const dataSql = `
-      SELECT FIRST ${numLimit} SKIP ${numOffset}
-          T1.CVE_ART, T1.DESCR, T1.UNI_MED, T1.FCH_ULTCOM, 
-          T1.ULT_COSTO AS COSTO_PROM, T1.LIN_PROD,
-          T4.CAMPLIB1 AS DIAM_INT, T4.CAMPLIB2 AS DIAM_EXT, T4.CAMPLIB3 AS ALTURA,
-          T4.CAMPLIB7 AS SECCION, T4.CAMPLIB13 AS PERFIL, 
-          T4.CAMPLIB15 AS CLA_SYR, T4.CAMPLIB16 AS CLA_LC,
-          T4.CAMPLIB17 AS SIST_MED, T4.CAMPLIB19 AS DESC_ECOMM, T4.CAMPLIB21 AS GENERO,
-          T4.CAMPLIB22 AS FAMILIA, T4.CAMPLIB28 AS COLOCACION,
-          T4.CAMPLIB24 AS CAT_ECOMM,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 1 THEN T6.EXIST ELSE NULL END), 0) AS ALM_1_EXIST,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 5 THEN T6.EXIST ELSE NULL END), 0) AS ALM_5_EXIST,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 6 THEN T6.EXIST ELSE NULL END), 0) AS ALM_6_EXIST,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 7 THEN T6.EXIST ELSE NULL END), 0) AS ALM_7_EXIST
-      FROM INVE02 T1
-      LEFT JOIN INVE_CLIB02 T4 ON T1.CVE_ART = T4.CVE_PROD
-      LEFT JOIN MULT02 T6 ON T1.CVE_ART = T6.CVE_ART
-      ${whereString}
-      GROUP BY 1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19
-      ORDER BY T1.CVE_ART;
-    `;
-
-    let dataResult = await db.query(dataSql, params);
-    dataResult = await enrichWithPrecios(dataResult, SUCURSAL, lista_precios);
-    dataResult = await enrichWithUltimoCosto(dataResult);
-    dataResult = await enrichWithUltimoProveedorQro(dataResult);
-
-    // Inyección de existencias de Empresa 3 (Fresnillo)
-    if (dataResult.length > 0) {
-      const ids = dataResult.map(item => item.CVE_ART.trim());
-      const sql3 = `SELECT TRIM(CVE_ART) AS ART, EXIST FROM MULT03 WHERE CVE_ALM = 3 AND CVE_ART IN (${ids.map(() => '?').join(',')})`;
-      const res3 = await db3.query(sql3, ids);
-      const map3 = {};
-      res3.forEach(r => map3[r.ART] = r.EXIST);
-      dataResult = dataResult.map(item => ({ ...item, ALM_10_EXIST: map3[item.CVE_ART.trim()] || 0 }));
-    }
-
-    res.json({
-      data: processExistencias(dataResult),
-      pagination: {
-        currentPage: Math.floor(numOffset / numLimit) + 1,
-        totalPages: Math.ceil(totalRecords / numLimit),
-        totalRecords,
-        limit: numLimit
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-
-app.get('/clavesalternas/catalogo', async (req, res) => {
-  const { lista_precios, SUCURSAL, limit, offset } = req.query;
-  const numLimit = parseInt(limit) || 10;
-  const numOffset = parseInt(offset) || 0;
-
-  // Determinar tabla de precios para el filtro inicial
-  const esSucursal3 = SUCURSAL && SUCURSAL.toString() === '3';
-  const priceTable = esSucursal3 ? 'PRECIO_X_PROD03' : 'PRECIO_X_PROD02';
-  const cveLista = lista_precios ? lista_precios.toString() : '4';
-
-  // FILTROS: 
-  // 1. CAT_ECOMM no sea NULL
-  // 2. Tenga Costo > 0 O tenga Precio > 0 en la lista seleccionada
-  let whereClauses = [
-    "T4.CAMPLIB24 IS NOT NULL", 
-    ` (T1.ULT_COSTO > 0 OR EXISTS (SELECT 1 FROM ${priceTable} P WHERE P.CVE_ART = T1.CVE_ART AND TRIM(P.CVE_PRECIO) = CAST(? AS VARCHAR(10)) AND P.PRECIO > 0))`
-  ];
-  let params = [cveLista]; 
-  
-  const whereString = `WHERE ${whereClauses.join(' AND ')}`;
-
-  try {
-    const countSql = `SELECT COUNT(DISTINCT T1.CVE_ART) AS TOTAL FROM INVE02 T1 LEFT JOIN INVE_CLIB02 T4 ON T1.CVE_ART = T4.CVE_PROD ${whereString}`;
-    const countRes = await db.query(countSql, params);
-    const totalRecords = countRes[0]?.TOTAL || 0;
-
-    const sql = `
-      SELECT FIRST ${numLimit} SKIP ${numOffset}
-          T1.CVE_ART, T1.DESCR, T1.UNI_MED, T1.FCH_ULTCOM, 
-          T1.ULT_COSTO AS COSTO_PROM, T1.LIN_PROD,
-          T4.CAMPLIB1 AS DIAM_INT, T4.CAMPLIB2 AS DIAM_EXT, T4.CAMPLIB3 AS ALTURA,
-          T4.CAMPLIB7 AS SECCION, T4.CAMPLIB13 AS PERFIL, 
-          T4.CAMPLIB15 AS CLA_SYR, T4.CAMPLIB16 AS CLA_LC,
-          T4.CAMPLIB17 AS SIST_MED, T4.CAMPLIB19 AS DESC_ECOMM, T4.CAMPLIB21 AS GENERO,
-          T4.CAMPLIB22 AS FAMILIA, T4.CAMPLIB28 AS COLOCACION,
-          T4.CAMPLIB24 AS CAT_ECOMM,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 1 THEN T6.EXIST ELSE NULL END), 0) AS ALM_1_EXIST,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 5 THEN T6.EXIST ELSE NULL END), 0) AS ALM_5_EXIST,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 6 THEN T6.EXIST ELSE NULL END), 0) AS ALM_6_EXIST,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 7 THEN T6.EXIST ELSE NULL END), 0) AS ALM_7_EXIST
-      FROM INVE02 T1
-      LEFT JOIN INVE_CLIB02 T4 ON T1.CVE_ART = T4.CVE_PROD
-      LEFT JOIN MULT02 T6 ON T1.CVE_ART = T6.CVE_ART
-      ${whereString}
-      GROUP BY 1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19
-      ORDER BY T1.CVE_ART;
-    `;
-
-    let dataResult = await db.query(sql, params);
-
-    dataResult = await enrichWithPrecios(dataResult, SUCURSAL, lista_precios);
-    dataResult = await enrichWithUltimoCosto(dataResult);
-
-    if (dataResult.length > 0) {
-      const ids = dataResult.map(item => item.CVE_ART.trim());
-      const sql3 = `SELECT TRIM(CVE_ART) AS ART, EXIST FROM MULT03 WHERE CVE_ALM = 3 AND CVE_ART IN (${ids.map(() => '?').join(',')})`;
-      const res3 = await db3.query(sql3, ids);
-      const map3 = {};
-      res3.forEach(r => map3[r.ART] = r.EXIST);
-      dataResult = dataResult.map(item => ({ ...item, ALM_10_EXIST: map3[item.CVE_ART.trim()] || 0 }));
-    }
-
-    res.json({
-      data: processExistencias(dataResult),
-      pagination: {
-        currentPage: Math.floor(numOffset / numLimit) + 1,
-        totalPages: Math.ceil(totalRecords / numLimit),
-        totalRecords,
-        limit: numLimit
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-app.get('/clavesalternas/catalogo/:clave', async (req, res) => {
-  const { clave } = req.params;
-  const { lista_precios, SUCURSAL } = req.query;
-
-  try {
-    const sql = `
-      SELECT
-          T1.CVE_ART, T1.DESCR, T1.UNI_MED, T1.FCH_ULTCOM, 
-          T1.ULT_COSTO AS COSTO_PROM, T1.LIN_PROD,
-          T4.CAMPLIB1 AS DIAM_INT, T4.CAMPLIB2 AS DIAM_EXT, T4.CAMPLIB3 AS ALTURA,
-          T4.CAMPLIB7 AS SECCION, T4.CAMPLIB13 AS PERFIL, 
-          T4.CAMPLIB15 AS CLA_SYR, T4.CAMPLIB16 AS CLA_LC,
-          T4.CAMPLIB17 AS SIST_MED, T4.CAMPLIB19 AS DESC_ECOMM, T4.CAMPLIB21 AS GENERO,
-          T4.CAMPLIB22 AS FAMILIA, T4.CAMPLIB28 AS COLOCACION,
-          T4.CAMPLIB24 AS CAT_ECOMM, -- <--- Nuevo campo solicitado
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 1 THEN T6.EXIST ELSE NULL END), 0) AS ALM_1_EXIST,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 5 THEN T6.EXIST ELSE NULL END), 0) AS ALM_5_EXIST,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 6 THEN T6.EXIST ELSE NULL END), 0) AS ALM_6_EXIST,
-          COALESCE(MAX(CASE WHEN T6.CVE_ALM = 7 THEN T6.EXIST ELSE NULL END), 0) AS ALM_7_EXIST
-      FROM INVE02 T1
-      LEFT JOIN INVE_CLIB02 T4 ON T1.CVE_ART = T4.CVE_PROD
-      LEFT JOIN MULT02 T6 ON T1.CVE_ART = T6.CVE_ART
-      WHERE T1.CVE_ART = ?
-      GROUP BY 1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19
-    `;
-
-    let dataResult = await db.query(sql, [clave]);
-
-    if (dataResult.length === 0) {
-      return res.status(404).json({ error: 'Producto no encontrado.' });
-    }
-
-    // Enriquecimiento (Precios, Último Costo y Existencia Empresa 3)
-    dataResult = await enrichWithPrecios(dataResult, SUCURSAL, lista_precios);
-    dataResult = await enrichWithUltimoCosto(dataResult);
-
-    const id = dataResult[0].CVE_ART.trim();
-    const sql3 = `SELECT EXIST FROM MULT03 WHERE CVE_ALM = 3 AND CVE_ART = ?`;
-    const res3 = await db3.query(sql3, [id]);
-    dataResult[0].ALM_10_EXIST = res3.length > 0 ? res3[0].EXIST : 0;
-
-    const finalData = processExistencias(dataResult);
-    res.json(finalData[0]);
-
-  } catch (error) {
-    console.error("Error en detalle de catalogo:", error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Endpoint para obtener datos internos de productos específicos por claves
-//Se utiliza en la tienda, es llamado por /envios/surtir para informar a quien surtirá
-//un pedido, dónde se compró la última vez un producto y en cuánto. También informa en qué
-//sucursales hay existencia.
-app.post('/envios/datos-internos', async (req, res) => {
-  //recibe las claves en un arreglo
-  const { claves, lista_precios, SUCURSAL } = req.body;
-  
-  // Validación: debe recibir un arreglo de claves
-  if (!Array.isArray(claves) || claves.length === 0) {
-    return res.status(400).json({ 
-      error: 'Se requiere un arreglo no vacío de claves de producto.' 
-    });
-  }
-
-  // Limitar el número de claves por seguridad (ej. máximo 100)
-  if (claves.length > 100) {
-    return res.status(400).json({ 
-      error: 'Demasiadas claves. Máximo permitido: 100.' 
-    });
+const apagar = async (senal) => {
+  if (apagando) {
+    log.warn('Señal durante el apagado: saliendo sin esperar', { senal });
+    process.exit(1);
   }
+  apagando = true;
+  marcarApagando();
+  log.info('Apagando: esperando las peticiones en curso', { senal, limiteMs: APAGADO_LIMITE_MS });
 
-  try {
-    // Crear placeholders para la cláusula IN
-    const placeholders = claves.map(() => '?').join(', ');
-    
-    // Consulta principal: datos de productos específicos
-    const sql = `
-      SELECT 
-        T1.CVE_ART, 
-        T1.DESCR, 
-        T1.UNI_MED, 
-        T1.FCH_ULTCOM, 
-        T1.ULT_COSTO AS COSTO_PROM, 
-        T1.LIN_PROD,
-        T4.CAMPLIB1 AS DIAM_INT, 
-        T4.CAMPLIB2 AS DIAM_EXT, 
-        T4.CAMPLIB3 AS ALTURA,
-        T4.CAMPLIB7 AS SECCION, 
-        T4.CAMPLIB13 AS PERFIL, 
-        T4.CAMPLIB15 AS CLA_SYR, 
-        T4.CAMPLIB16 AS CLA_LC,
-        T4.CAMPLIB17 AS SIST_MED, 
-        T4.CAMPLIB19 AS DESC_ECOMM, 
-        T4.CAMPLIB21 AS GENERO,
-        T4.CAMPLIB22 AS FAMILIA, 
-        T4.CAMPLIB28 AS COLOCACION,
-        T4.CAMPLIB24 AS CAT_ECOMM,
-        COALESCE(MAX(CASE WHEN T6.CVE_ALM = 1 THEN T6.EXIST ELSE NULL END), 0) AS ALM_1_EXIST,
-        COALESCE(MAX(CASE WHEN T6.CVE_ALM = 5 THEN T6.EXIST ELSE NULL END), 0) AS ALM_5_EXIST,
-        COALESCE(MAX(CASE WHEN T6.CVE_ALM = 6 THEN T6.EXIST ELSE NULL END), 0) AS ALM_6_EXIST,
-        COALESCE(MAX(CASE WHEN T6.CVE_ALM = 7 THEN T6.EXIST ELSE NULL END), 0) AS ALM_7_EXIST
-      FROM INVE02 T1
-      LEFT JOIN INVE_CLIB02 T4 ON T1.CVE_ART = T4.CVE_PROD
-      LEFT JOIN MULT02 T6 ON T1.CVE_ART = T6.CVE_ART
-      WHERE T1.CVE_ART IN (${placeholders})
-      GROUP BY 
-        1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19
-      ORDER BY T1.CVE_ART;
-    `;
-
-    // Ejecutar consulta con las claves
-    let dataResult = await db.query(sql, claves);
-    
-    // Verificar si se encontraron productos
-    if (dataResult.length === 0) {
-      return res.status(404).json({ 
-        error: 'No se encontraron productos con las claves proporcionadas.' 
-      });
-    }
-
-    // Enriquecer con precios (misma lógica que filter)
-    dataResult = await enrichWithPrecios(dataResult, SUCURSAL, lista_precios);
-    
-    // Enriquecer con último costo y proveedor
-    dataResult = await enrichWithUltimoCosto(dataResult);
+  const limite = setTimeout(() => {
+    log.warn('Tiempo de apagado agotado: cerrando las conexiones que siguen abiertas');
+    server.closeAllConnections();
+  }, APAGADO_LIMITE_MS);
 
-    // Enriquecer con existencias de Empresa 3 (Fresnillo)
-    const ids = dataResult.map(item => item.CVE_ART.trim());
-    const sql3 = `
-      SELECT TRIM(CVE_ART) AS ART, EXIST 
-      FROM MULT03 
-      WHERE CVE_ALM = 3 AND CVE_ART IN (${ids.map(() => '?').join(',')})
-    `;
-    
-    try {
-      const res3 = await db3.query(sql3, ids);
-      const map3 = {};
-      res3.forEach(r => map3[r.ART] = r.EXIST);
-      
-      dataResult = dataResult.map(item => ({
-        ...item,
-        ALM_10_EXIST: map3[item.CVE_ART.trim()] || 0
-      }));
-    } catch (err3) {
-      console.error('Error al obtener existencias de Empresa 3:', err3);
-      dataResult = dataResult.map(item => ({ 
-        ...item, 
-        ALM_10_EXIST: 0 
-      }));
-    }
+  // close() ya no acepta conexiones y cierra las inactivas; termina cuando se cierra la última
+  await new Promise(resolve => server.close(resolve));
+  clearTimeout(limite);
 
-    // Procesar existencias a formato de objeto
-    const processedData = processExistencias(dataResult);
-
-    // Responder con los datos
-    res.json({
-      success: true,
-      count: processedData.length,
-      data: processedData,
-      metadata: {
-        claves_solicitadas: claves.length,
-        claves_encontradas: processedData.length,
-        lista_precios: lista_precios || '4',
-        sucursal: SUCURSAL || '1'
-      }
-    });
-
-  } catch (error) {
-    console.error('Error en /envios/datos-internos:', error);
-    res.status(500).json({ 
-      error: 'Error interno del servidor.',
-      detalles: error.message 
-    });
-  }
-});
+  indiceProductos.detener();
 
-// Endpoint para análisis de precios sin paginación
-app.get('/clavesalternas/analisis-precios', async (req, res) => {
-  // 1. Consulta SQL con el JOIN a PRECIO_X_PROD02
-  const sql = `
-    SELECT 
-        T1.CVE_ART, 
-        T1.DESCR,
-        T1.EXIST,
-        T1.ULT_COSTO, 
-        T1.LIN_PROD,
-        T4.CAMPLIB15, 
-        T4.CAMPLIB16, 
-        T4.CAMPLIB21, 
-        T4.CAMPLIB22,
-        T5.PRECIO -- Obtenemos el precio de la nueva tabla
-    FROM INVE02 T1
-    LEFT JOIN INVE_CLIB02 T4 ON T1.CVE_ART = T4.CVE_PROD
-    -- Unimos con la tabla de precios filtrando por la lista 1
-    LEFT JOIN PRECIO_X_PROD02 T5 ON T1.CVE_ART = T5.CVE_ART AND T5.CVE_PRECIO = 1
-    WHERE T1.STATUS = 'A'
-    ORDER BY T1.CVE_ART;
-  `;
+  const salidaForzada = setTimeout(() => {
+    log.error('Los pools no cerraron a tiempo; saliendo');
+    process.exit(1);
+  }, CIERRE_POOLS_LIMITE_MS);
 
   try {
-    const productos = await db.query(sql);
-
-    if (!productos || productos.length === 0) {
-      return res.json([]);
-    }
-
-    // 2. Enriquecer con el último costo desde MINVE02 (Compras CVE_CPTO = 1)
-    const productosEnriquecidos = await enrichWithUltimoCosto2(productos);
-
-    // 3. Mapeo final incluyendo el nuevo campo 'precio'
-    const resultadoFinal = productosEnriquecidos.map(prod => {
-      return {
-        clave: (prod.CVE_ART || '').trim(),
-        descripcion: (prod.DESCR || '').trim(),
-        existencia: prod.EXIST || 0,
-        costo_prom: prod.ULT_COSTO || 0,
-        linea: (prod.LIN_PROD || '').trim(),
-        cla_syr: (prod.CAMPLIB15 || '').trim(),
-        cla_lc: (prod.CAMPLIB16 || '').trim(),
-        genero: (prod.CAMPLIB21 || '').trim(),
-        familia: (prod.CAMPLIB22 || '').trim(),
-        precio: prod.PRECIO || 0, // Nuevo campo solicitado
-        ultimo_costo: prod.COSTO_FINAL || 0 // Valor obtenido por enrichWithUltimoCosto2
-      };
-    });
-
-    res.json(resultadoFinal);
+    await cerrarPools();
+    log.info('Pools cerrados; servidor detenido');
   } catch (error) {
-    console.error('Error en /clavesalternas/analisis-precios:', error);
-    res.status(500).json({ 
-      error: 'Error al procesar el análisis de precios.', 
-      detalles: error.message 
-    });
+    log.error('Error al cerrar los pools', { error: error.message });
   }
-});
-
-// Endpoint para Autocomplete / Buscador rápido
-app.get('/clavesalternas/buscar', async (req, res) => {
-  const { q } = req.query; // El texto que el usuario escribe
-
-  if (!q || q.length < 2) {
-    return res.json([]); // No buscar si hay menos de 2 caracteres
-  }
-
-  // Convertimos a mayúsculas para asegurar coincidencia en Firebird
-  const queryTerm = `%${q.toUpperCase()}%`;
-
-  // Buscamos en Clave y Descripción, limitando a 20 resultados
-  // Nota: FIRST 20 es la sintaxis de Firebird para limitar resultados
-  const sql = `
-    SELECT FIRST 10
-        TRIM(CVE_ART) AS clave,
-        TRIM(DESCR) AS descripcion
-    FROM INVE02
-    WHERE STATUS = 'A' 
-      AND (UPPER(CVE_ART) LIKE ? OR UPPER(DESCR) LIKE ?)
-    ORDER BY CVE_ART
-  `;
-
-  try {
-    const resultados = await db.query(sql, [queryTerm, queryTerm]);
-    res.json(resultados);
-  } catch (error) {
-    console.error('Error en el buscador autocomplete:', error);
-    res.status(500).json({ error: 'Error al buscar productos' });
-  }
-});
-
-app.post('/clavesalternas/auditoria-margenes1', async (req, res) => {
-  // LOG 1: Visualizar el payload que llega del frontend
-  /* console.log('--- Nueva petición a /auditoria-margenes1 ---');
-  console.log('Payload recibido:', JSON.stringify(req.body, null, 2)); */
-
-  const { fechaInicio, fechaFin, almacen, cliente, vendedor } = req.body;
-
-  // Lógica para determinar el rango de fechas
-  let f_inicio = fechaInicio;
-  let f_fin = fechaFin;
-
-  // Si no se recibe intervalo, usamos la fecha actual
-  if (!f_inicio || !f_fin) {
-    const hoy = new Date().toISOString().split('T')[0]; // Formato YYYY-MM-DD
-    f_inicio = hoy;
-    f_fin = hoy;
-    //console.log(`Consultando auditoría para la fecha actual: ${hoy}`);
-  }
-
-  let sql = `
-    SELECT 
-      M.CVE_ART, M.ALMACEN, M.CVE_CPTO, M.FECHA_DOCU, M.TIPO_DOC, M.REFER, 
-      M.CLAVE_CLPV, M.VEND, M.CANT, M.PRECIO, M.COSTO, M.FECHAELAB, 
-      M.COSTO_PROM_INI, M.COSTO_PROM_FIN, M.COSTO_PROM_GRAL,
-      I.DESCR, I.LIN_PROD, I.FCH_ULTCOM, I.EXIST, I.COSTO_PROM, I.ULT_COSTO,
-      C.CAMPLIB21 AS GENERO, C.CAMPLIB22 AS FAMILIA, C.CAMPLIB24 AS CAT_ECOMM
-    FROM MINVE02 M
-    LEFT JOIN INVE02 I ON M.CVE_ART = I.CVE_ART
-    LEFT JOIN INVE_CLIB02 C ON M.CVE_ART = C.CVE_PROD
-    WHERE M.CVE_CPTO = 51
-      AND CAST(M.FECHAELAB AS DATE) BETWEEN ? AND ?
-  `;
-
-  const params = [f_inicio, f_fin];
-
-  // Filtro de Fechas (Obligatorio o sugerido para rendimiento)
-  /* if (fechaInicio && fechaFin) {
-    sql += ` AND M.FECHAELAB BETWEEN ? AND ? `;
-    params.push(fechaInicio, fechaFin);
-  } */
-
-  // Filtros adicionales opcionales
-  if (almacen) {
-    sql += ` AND TRIM(M.ALMACEN) = ? `;
-    params.push(String(almacen).trim());
-  }
-  if (cliente) {
-    sql += ` AND TRIM(M.CLAVE_CLPV) = ? `;
-    params.push(String(cliente).trim());
-  }
-  if (vendedor) {
-    sql += ` AND TRIM(M.VEND) = ? `;
-    params.push(String(vendedor).trim());
-  }
-
-  sql += ` ORDER BY M.FECHAELAB ASC `;
-
-  // LOG 2: Verificar la SQL final y sus parámetros
-  /* console.log('SQL Ejecutada:', sql);
-  console.log('Parámetros:', params); */
-
-  try {
-    const data = await db.query(sql, params);
-    
-    // Mapeo para limpiar espacios y formatear respuesta
-    const resultado = data.map(row => ({
-      clave_art: (row.CVE_ART || '').trim(),
-      almacen: row.ALMACEN,
-      cve_cpto: row.CVE_CPTO,
-      fecha_docu: row.FECHA_DOCU,
-      tipo_doc: row.TIPO_DOC,
-      refer: (row.REFER || '').trim(),
-      cliente: (row.CLAVE_CLPV || '').trim(),
-      vendedor: (row.VEND || '').trim(),
-      cantidad: row.CANT,
-      precio: row.PRECIO,
-      costo: row.COSTO,
-      fecha_elab: row.FECHAELAB,
-      costo_prom_ini: row.COSTO_PROM_INI,
-      costo_prom_fin: row.COSTO_PROM_FIN,
-      costo_prom_gral: row.COSTO_PROM_GRAL,
-      descripcion: (row.DESCR || '').trim(),
-      linea: (row.LIN_PROD || '').trim(),
-      fecha_ult_compra: row.FCH_ULTCOM,
-      existencia: row.EXIST,
-      costo_promedio: row.COSTO_PROM,
-      ultimo_costo: row.ULT_COSTO,
-      genero: (row.GENERO || '').trim(),
-      familia: (row.FAMILIA || '').trim(),
-      cat_ecomm: (row.CAT_ECOMM || '').trim()
-    }));
-
-    res.json(resultado);
-  } catch (error) {
-    console.error('Error en auditoria-margenes1:', error);
-    res.status(500).json({ error: 'Error al consultar auditoría de márgenes.' });
-  }
-});
+  clearTimeout(salidaForzada);
+  process.exit(0);
+};
 
-// Iniciar el servidor
-app.listen(port, () => {
-  console.log(`Servidor escuchando en http://localhost:${port}`);
-});
\ No newline at end of file
+process.on('SIGTERM', () => apagar('SIGTERM'));
+process.on('SIGINT', () => apagar('SIGINT'));
@@ -0,0 +1,61 @@
+// src/log.js
+// Registro estructurado: una línea JSON por evento con fecha, nivel, mensaje, el id de la petición
+// en curso (X-Request-Id, ver middlewares/registro.js) y campos adicionales, lista para un agregador de logs.
+// LOG_NIVEL (debug, info, warn, error; por defecto info) fija el nivel mínimo que se escribe.
+// warn y error van a stderr; debug e info a stdout.
+const { contextoActual } = require('./contexto');
+const { config } = require('./config');
+
+const NIVELES = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const NIVEL = config.log.nivel;
+
+/**
+ * Error como objeto plano: JSON.stringify de un Error sólo conserva sus propiedades enumerables.
+ * Incluye el código de la API (ver errores.js) y el gdscode del error original de Firebird.
+ */
+const serializarError = (error) => ({
+  nombre: error.name,
+  mensaje: error.message,
+  ...(error.codigo || error.code ? { codigo: error.codigo || error.code } : {}),
+  ...(error.gdscode || error.causa?.gdscode ? { gdscode: error.gdscode || error.causa.gdscode } : {}),
+  ...(error.causa && error.causa !== error ? { causa: error.causa.message } : {}),
+  stack: error.stack
+});
+
+const valorSerializable = (clave, valor) => (valor instanceof Error ? serializarError(valor) : valor);
+
+const escribir = (nivel, mensaje, campos = {}) => {
+  if (NIVELES[nivel] < NIVELES[NIVEL]) return;
+
+  const contexto = contextoActual();
+  const base = {
+    fecha: new Date().toISOString(),
+    nivel,
+    mensaje,
+    ...(contexto?.requestId ? { requestId: contexto.requestId } : {}),
+    ...(contexto?.cliente ? { cliente: contexto.cliente.nombre } : {})
+  };
+
+  let texto;
+  try {
+    texto = JSON.stringify({ ...base, ...campos }, valorSerializable);
+  } catch (error) {
+    // Campos con referencias circulares: se conserva la línea sin ellos
+    texto = JSON.stringify({ ...base, camposNoSerializables: error.message });
+  }
+
+  (NIVELES[nivel] >= NIVELES.warn ? process.stderr : process.stdout).write(texto + '\n');
+};
+
+/**
+ * Cada función recibe el mensaje y, opcionalmente, campos adicionales (los Error se serializan con su stack).
+ * Ej. log.error('Error al ejecutar la consulta', { empresa: '02', error })
+ */
+module.exports = {
+  NIVELES,
+  debug: (mensaje, campos) => escribir('debug', mensaje, campos),
+  info: (mensaje, campos) => escribir('info', mensaje, campos),
+  warn: (mensaje, campos) => escribir('warn', mensaje, campos),
+  error: (mensaje, campos) => escribir('error', mensaje, campos)
+};
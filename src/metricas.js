@@ -0,0 +1,144 @@
+// src/metricas.js
+// Métricas de Prometheus (GET /metrics): peticiones HTTP por plantilla de ruta y estado,
+// duración de consultas por empresa y nombre de consulta, espera del pool, conexiones, cortacircuitos y errores de Firebird.
+// Los middlewares de HTTP están en middlewares/metricas.js; este módulo no depende de Express
+// para que la capa de datos (db/pool.js) pueda usarlo sin cargar el documento OpenAPI.
+const client = require('prom-client');
+
+const registro = new client.Registry();
+client.collectDefaultMetrics({ register: registro });
+
+// Cubetas pensadas para consultas de catálogo (ms) hasta tableros pesados (decenas de segundos)
+const CUBETAS_SEGUNDOS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const peticiones = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Peticiones HTTP atendidas por método, plantilla de ruta y estado.',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registro]
+});
+
+const duracionPeticiones = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Duración de las peticiones HTTP por método, plantilla de ruta y estado.',
+  labelNames: ['method', 'route', 'status'],
+  buckets: CUBETAS_SEGUNDOS,
+  registers: [registro]
+});
+
+const duracionConsultas = new client.Histogram({
+  name: 'db_query_duration_seconds',
+  help: 'Duración de las consultas a Firebird (sin la espera del pool) por empresa y nombre de consulta.',
+  labelNames: ['empresa', 'consulta'],
+  buckets: CUBETAS_SEGUNDOS,
+  registers: [registro]
+});
+
+const esperaPool = new client.Histogram({
+  name: 'db_pool_wait_seconds',
+  help: 'Tiempo de espera para obtener una conexión del pool por empresa.',
+  labelNames: ['empresa'],
+  buckets: CUBETAS_SEGUNDOS,
+  registers: [registro]
+});
+
+const erroresConsultas = new client.Counter({
+  name: 'db_errors_total',
+  help: 'Errores de Firebird por empresa, código de la API (ver src/errores.js) y gdscode.',
+  labelNames: ['empresa', 'codigo', 'gdscode'],
+  registers: [registro]
+});
+
+const peticionesLegado = new client.Counter({
+  name: 'http_legacy_requests_total',
+  help: 'Peticiones a rutas obsoletas (anteriores a /api/v1) por método, plantilla de ruta y cliente de la API.',
+  labelNames: ['method', 'route', 'client'],
+  registers: [registro]
+});
+
+// Las conexiones se leen del pool al momento de cada consulta de /metrics
+const fuentesPool = new Map();
+
+new client.Gauge({
+  name: 'db_pool_connections',
+  help: 'Conexiones del pool por empresa y estado (en_uso, libres, en_espera = peticiones esperando conexión).',
+  labelNames: ['empresa', 'estado'],
+  registers: [registro],
+  collect() {
+    this.reset();
+    for (const [empresa, estado] of fuentesPool) {
+      const { enUso, libres, enEspera } = estado();
+      this.set({ empresa, estado: 'en_uso' }, enUso);
+      this.set({ empresa, estado: 'libres' }, libres);
+      this.set({ empresa, estado: 'en_espera' }, enEspera);
+    }
+  }
+});
+
+const VALORES_CIRCUITO = { cerrado: 0, semiabierto: 1, abierto: 2 };
+
+new client.Gauge({
+  name: 'db_circuit_state',
+  help: 'Cortacircuitos por empresa: 0 = cerrado, 1 = semiabierto (consulta de prueba), 2 = abierto (consultas rechazadas).',
+  labelNames: ['empresa'],
+  registers: [registro],
+  collect() {
+    this.reset();
+    for (const [empresa, estado] of fuentesPool) {
+      const { circuito } = estado();
+      if (circuito) this.set({ empresa }, VALORES_CIRCUITO[circuito.estado]);
+    }
+  }
+});
+
+/**
+ * Registra la función de estado del pool de una empresa para el gauge de conexiones.
+ */
+const registrarPool = (empresaId, estado) => fuentesPool.set(empresaId, estado);
+
+const segundosDesde = (inicio) => Number(process.hrtime.bigint() - inicio) / 1e9;
+
+/**
+ * Registro de una consulta terminada; inicio es process.hrtime.bigint() al enviarla.
+ */
+const observarConsulta = (empresa, consulta, inicio) =>
+  duracionConsultas.observe({ empresa, consulta }, segundosDesde(inicio));
+
+const observarEsperaPool = (empresa, inicio) => esperaPool.observe({ empresa }, segundosDesde(inicio));
+
+/**
+ * Cuenta un error ya traducido (AppError) con el gdscode del error original de Firebird.
+ */
+const contarError = (empresa, error) => erroresConsultas.inc({
+  empresa,
+  codigo: error.codigo || 'ERROR_BASE_DATOS',
+  gdscode: String(error.causa?.gdscode || 'ninguno')
+});
+
+/**
+ * Registro de una petición HTTP terminada; route es la plantilla de la ruta, no la URL.
+ */
+const observarPeticion = (etiquetas, inicio) => {
+  peticiones.inc(etiquetas);
+  duracionPeticiones.observe(etiquetas, segundosDesde(inicio));
+};
+
+/**
+ * Cuenta una petición a una ruta obsoleta (ver middlewares/versiones.js).
+ */
+const contarRutaLegado = (etiquetas) => peticionesLegado.inc(etiquetas);
+
+/**
+ * Texto de todas las métricas en el formato de exposición de Prometheus.
+ */
+const exportarMetricas = async () => ({ contentType: registro.contentType, texto: await registro.metrics() });
+
+module.exports = {
+  registrarPool,
+  observarPeticion,
+  contarRutaLegado,
+  exportarMetricas,
+  observarConsulta,
+  observarEsperaPool,
+  contarError
+};
@@ -0,0 +1,51 @@
+// src/middlewares/auditoria.js
+// Auditoría de lecturas de datos sensibles: las operaciones marcadas con x-auditoria en docs/openapi.js
+// (RFC de clientes, cartera, márgenes) dejan un registro por petición en services/auditoria.js.
+const { operacionDePeticion } = require('../docs/operaciones');
+const { contextoActual } = require('../contexto');
+const { registrarAcceso, enmascararParametros } = require('../services/auditoria');
+
+// Posiciones del hash de la llave que se guardan: identifican la llave usada (ej. tras una rotación) sin exponerla
+const LARGO_HUELLA_LLAVE = 12;
+
+/**
+ * Middleware: va después de limitarPeticiones (necesita el contexto de la petición para contar
+ * las filas leídas de Firebird) y de express.json (registra el cuerpo de los POST).
+ * El registro se escribe al terminar la respuesta, también si fue un error o el cliente se desconectó.
+ */
+const auditarAccesos = (req, res, next) => {
+  const encontrada = operacionDePeticion(req);
+  if (!encontrada?.operacion['x-auditoria']) return next();
+
+  const contexto = contextoActual();
+  const inicio = Date.now();
+
+  const registrar = () => {
+    res.removeListener('finish', registrar);
+    res.removeListener('close', registrar);
+
+    const cuerpo = req.body && Object.keys(req.body).length > 0 ? req.body : undefined;
+    registrarAcceso({
+      fecha: new Date(inicio).toISOString(),
+      requestId: req.id,
+      cliente: req.cliente.nombre,
+      llave: req.cliente.hash.slice(0, LARGO_HUELLA_LLAVE),
+      ip: req.ip,
+      metodo: req.method,
+      ruta: encontrada.plantilla,
+      parametros: enmascararParametros({ ...encontrada.params, ...req.query, ...(cuerpo ? { cuerpo } : {}) }),
+      estado: res.statusCode,
+      // Filas leídas de Firebird; 0 si la respuesta salió del caché
+      filas: contexto?.filasLeidas || 0,
+      ...(res.get('X-Cache') === 'HIT' ? { cache: true } : {}),
+      ...(res.writableFinished ? {} : { interrumpida: true }),
+      duracionMs: Date.now() - inicio
+    });
+  };
+
+  res.on('finish', registrar);
+  res.on('close', registrar);
+  next();
+};
+
+module.exports = { auditarAccesos };
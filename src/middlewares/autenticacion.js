@@ -0,0 +1,130 @@
+// src/middlewares/autenticacion.js
+// Autenticación por llave de cliente (x-api-key) y autorización por scope y sucursal.
+// El scope de cada ruta y los parámetros de sucursal se declaran en docs/openapi.js (x-scope, x-sucursal).
+const { buscarClientePorLlave } = require('../config/clientesApi');
+const { getSucursal, sucursalesDeEmpresa } = require('../config/sucursales');
+const { resolver, operacionDePeticion } = require('../docs/operaciones');
+const { ErrorAcceso } = require('../errores');
+const log = require('../log');
+
+const rechazar = (req, next, razon, detalle) => {
+  const { method, originalUrl, ip } = req;
+  log.warn('Petición bloqueada', { metodo: method, url: originalUrl, ip, cliente: req.cliente?.nombre, razon });
+
+  next(new ErrorAcceso(detalle));
+};
+
+/**
+ * Middleware: identifica al cliente por su llave y lo deja en req.cliente.
+ * Responde 403 si la llave no existe, está desactivada o expiró.
+ */
+const autenticar = (req, res, next) => {
+  const cliente = buscarClientePorLlave(req.header('x-api-key'));
+
+  if (!cliente) {
+    return rechazar(req, next, 'Llave ausente o inválida', 'Se requiere una API Key válida para acceder a este recurso.');
+  }
+
+  req.cliente = cliente;
+
+  if (!cliente.activa) {
+    return rechazar(req, next, 'Llave revocada', 'La API Key de este cliente fue desactivada.');
+  }
+  if (cliente.expira && cliente.expira <= new Date()) {
+    return rechazar(req, next, 'Llave expirada', 'La API Key de este cliente expiró.');
+  }
+
+  next();
+};
+
+const tieneScope = (cliente, scope) => cliente.scopes.includes('*') || cliente.scopes.includes(scope);
+
+/**
+ * Parámetros marcados con x-sucursal en la operación: { en: 'query' | 'path' | 'body', nombre }.
+ */
+const parametrosSucursal = (operacion) => {
+  const parametros = (operacion.parameters || []).map(resolver)
+    .filter(p => p['x-sucursal'])
+    .map(p => ({ en: p.in, nombre: p.name }));
+
+  const esquema = resolver(resolver(operacion.requestBody)?.content?.['application/json']?.schema);
+  Object.entries(esquema?.properties || {})
+    .filter(([, propiedad]) => propiedad['x-sucursal'])
+    .forEach(([nombre]) => parametros.push({ en: 'body', nombre }));
+
+  return parametros;
+};
+
+const valorParametro = (req, params, { en, nombre }) => {
+  if (en === 'path') return params[nombre];
+  if (en === 'body') return req.body?.[nombre];
+  return req.query[nombre];
+};
+
+/**
+ * Sucursales que cubre un valor de sucursal: el id de una sucursal o el número de empresa
+ * (en ese caso, todas las sucursales de la empresa). Vacío si el valor no es un número entero:
+ * el parámetro todavía no pasó por la validación del documento.
+ */
+const sucursalesDeValor = (valor) => {
+  const texto = String(valor).trim();
+  if (!/^\d+$/.test(texto)) return [];
+
+  const sucursal = getSucursal(texto);
+  if (sucursal) return [sucursal.id];
+
+  return sucursalesDeEmpresa(texto.padStart(2, '0')).map(s => s.id);
+};
+
+/**
+ * Middleware: verifica que el cliente tenga el scope de la ruta y, si está limitado a ciertas
+ * sucursales, que la petición indique una sucursal (o empresa) que le corresponda. Las rutas que
+ * entregan datos de todas las sucursales sin un parámetro para elegirla (ni x-sin-sucursal) se le rechazan.
+ * Va después de express.json para revisar también el cuerpo, pero antes de la validación del documento:
+ * sucursalesDeValor no acepta valores que no sean números.
+ */
+const autorizar = (req, res, next) => {
+  const { cliente } = req;
+  const encontrada = operacionDePeticion(req);
+
+  // Rutas fuera del documento: sólo llaves con acceso total
+  if (!encontrada) {
+    if (tieneScope(cliente, '*')) return next();
+    return rechazar(req, next, 'Ruta sin scope declarado', 'Esta ruta no está disponible para la API Key del cliente.');
+  }
+
+  const { operacion, params } = encontrada;
+  const scope = operacion['x-scope'];
+
+  if (scope && !tieneScope(cliente, scope)) {
+    return rechazar(req, next, `Sin scope ${scope}`, `La API Key del cliente no tiene el scope '${scope}'.`);
+  }
+
+  if (cliente.sucursales) {
+    const parametros = parametrosSucursal(operacion);
+
+    if (parametros.length === 0 && !operacion['x-sin-sucursal']) {
+      return rechazar(req, next, 'Ruta con datos de todas las sucursales',
+        `Esta ruta entrega datos de todas las sucursales y la API Key del cliente sólo puede consultar las sucursales ${cliente.sucursales.join(', ')}.`);
+    }
+
+    for (const parametro of parametros) {
+      const valor = valorParametro(req, params, parametro);
+      const vacio = valor === undefined || valor === null || String(valor).trim() === '';
+      const cubiertas = vacio ? [] : sucursalesDeValor(valor);
+
+      if (cubiertas.length === 0 || cubiertas.some(id => !cliente.sucursales.includes(id))) {
+        return rechazar(req, next, `Sucursal no permitida (${vacio ? 'sin indicar' : valor})`,
+          `La API Key del cliente sólo puede consultar las sucursales ${cliente.sucursales.join(', ')}; ` +
+          'indique una de ellas en el parámetro de sucursal.');
+      }
+    }
+  }
+
+  next();
+};
+
+module.exports = {
+  autenticar,
+  autorizar
+};
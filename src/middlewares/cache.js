@@ -0,0 +1,79 @@
+// src/middlewares/cache.js
+// Middleware de caché de respuestas GET para endpoints pesados de catálogo y dashboard.
+const { getAlmacen, cacheActivo } = require('../cache');
+const { formatoStreaming } = require('../services/exportacion');
+const { fuentesNoDisponibles } = require('../contexto');
+const log = require('../log');
+
+/**
+ * Clave de caché: ruta completa más los parámetros de query ordenados por nombre.
+ * Los parámetros vacíos se descartan, así "?mes=3&anio=" y "?mes=3" comparten entrada.
+ * Empieza con la ruta para que se pueda invalidar por prefijo (ej. "/api/dashboard").
+ */
+const claveDePeticion = (req) => {
+  const ruta = `${req.baseUrl}${req.path}`.replace(/\/+$/, '') || '/';
+
+  const params = Object.keys(req.query)
+    .sort()
+    .map(nombre => {
+      const valor = req.query[nombre];
+      const texto = Array.isArray(valor) ? valor.map(v => String(v).trim()).join(',') : String(valor ?? '').trim();
+      return [nombre, texto];
+    })
+    .filter(([, texto]) => texto !== '')
+    .map(([nombre, texto]) => `${encodeURIComponent(nombre)}=${encodeURIComponent(texto)}`);
+
+  return params.length > 0 ? `${ruta}?${params.join('&')}` : ruta;
+};
+
+/**
+ * Cachea la respuesta JSON de la ruta durante ttlSegundos.
+ * - Sólo se guardan respuestas 200 completas (sin fuentes no disponibles, ver middlewares/datosParciales.js).
+ * - "Cache-Control: no-cache" en la petición fuerza consultar el ERP y refresca la entrada.
+ * - La respuesta indica X-Cache (HIT/MISS) y Cache-Control con el tiempo de vida restante.
+ * Las descargas en streaming (NDJSON/CSV) no pasan por el caché.
+ * Si el almacén falla se responde sin caché; nunca se bloquea la petición por él.
+ *
+ * @param {number} ttlSegundos
+ */
+const cacheRespuesta = (ttlSegundos) => async (req, res, next) => {
+  if (req.method !== 'GET' || !cacheActivo() || formatoStreaming(req)) return next();
+
+  const almacen = getAlmacen();
+  const clave = claveDePeticion(req);
+  const forzarRefresco = /no-cache/i.test(req.header('cache-control') || '');
+
+  if (!forzarRefresco) {
+    try {
+      const entrada = await almacen.obtener(clave);
+      if (entrada) {
+        const restante = Math.max(Math.ceil((entrada.expiraEn - Date.now()) / 1000), 0);
+        res.set('X-Cache', 'HIT');
+        res.vary('Accept');
+        res.set('Cache-Control', `private, max-age=${restante}`);
+        return res.json(entrada.valor);
+      }
+    } catch (error) {
+      log.error('Error al leer el caché', { clave, error: error.message });
+    }
+  }
+
+  const jsonOriginal = res.json.bind(res);
+  res.json = (cuerpo) => {
+    if (res.statusCode === 200 && fuentesNoDisponibles().length === 0) {
+      res.set('X-Cache', 'MISS');
+      res.vary('Accept');
+      res.set('Cache-Control', `private, max-age=${ttlSegundos}`);
+      almacen.guardar(clave, cuerpo, ttlSegundos)
+        .catch(error => log.error('Error al guardar en caché', { clave, error: error.message }));
+    }
+    return jsonOriginal(cuerpo);
+  };
+
+  next();
+};
+
+module.exports = {
+  claveDePeticion,
+  cacheRespuesta
+};
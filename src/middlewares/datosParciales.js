@@ -0,0 +1,25 @@
+// src/middlewares/datosParciales.js
+// Marca las respuestas armadas sin alguna empresa (ver siDisponible en db/index.js): el encabezado
+// X-Fuentes-No-Disponibles en todas y el campo fuentes_no_disponibles en las que responden un objeto.
+const { fuentesNoDisponibles } = require('../contexto');
+
+/**
+ * Middleware: va después de limitarPeticiones, que crea el contexto de la petición.
+ * Las respuestas que son un arreglo (ej. ventas-tendencia) sólo llevan el encabezado.
+ */
+const marcarDatosParciales = (req, res, next) => {
+  const jsonOriginal = res.json.bind(res);
+
+  res.json = (cuerpo) => {
+    const fuentes = fuentesNoDisponibles();
+    if (fuentes.length === 0 || res.statusCode >= 400) return jsonOriginal(cuerpo);
+
+    res.set('X-Fuentes-No-Disponibles', fuentes.map(f => f.empresa).join(', '));
+    const esObjeto = cuerpo !== null && typeof cuerpo === 'object' && !Array.isArray(cuerpo);
+    return jsonOriginal(esObjeto ? { ...cuerpo, fuentes_no_disponibles: fuentes } : cuerpo);
+  };
+
+  next();
+};
+
+module.exports = { marcarDatosParciales };
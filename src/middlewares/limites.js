@@ -0,0 +1,93 @@
+// src/middlewares/limites.js
+// Límite de peticiones por cliente de la API (cubeta de fichas) y rechazo temprano cuando
+// el cliente ya tiene demasiadas consultas esperando turno en los pools (ver db/cuotas.js).
+const { ejecutarConContexto, senalDeDesconexion } = require('../contexto');
+const log = require('../log');
+const { consultasEnEspera } = require('../db/cuotas');
+const { ErrorLimite } = require('../errores');
+const { operacionDePeticion } = require('../docs/operaciones');
+const { config } = require('../config');
+
+// Consultas en espera, en múltiplos del cupo del cliente, a partir de las cuales se rechazan peticiones nuevas
+const FACTOR_COLA_MAXIMA = config.limites.factorCola;
+
+// nombre del cliente -> { capacidad, fichas, actualizado }
+const cubetas = new Map();
+
+const rellenar = (cubeta, ahora) => {
+  const porSegundo = cubeta.capacidad / 60;
+  cubeta.fichas = Math.min(cubeta.capacidad, cubeta.fichas + ((ahora - cubeta.actualizado) / 1000) * porSegundo);
+  cubeta.actualizado = ahora;
+};
+
+/**
+ * Descuenta una ficha de la cubeta del cliente. La cubeta se llena a razón de
+ * peticionesPorMinuto / 60 fichas por segundo hasta peticionesPorMinuto.
+ * @returns {{ permitida: boolean, restantes: number, retryAfter: number }}
+ */
+const consumirFicha = (cliente) => {
+  const capacidad = cliente.limites.peticionesPorMinuto;
+  const porSegundo = capacidad / 60;
+  const ahora = Date.now();
+
+  const cubeta = cubetas.get(cliente.nombre) || { capacidad, fichas: capacidad, actualizado: ahora };
+  cubeta.capacidad = capacidad; // Puede cambiar al recargar el registro de clientes
+  rellenar(cubeta, ahora);
+  cubetas.set(cliente.nombre, cubeta);
+
+  if (cubeta.fichas < 1) {
+    return { permitida: false, restantes: 0, retryAfter: Math.ceil((1 - cubeta.fichas) / porSegundo) };
+  }
+
+  cubeta.fichas -= 1;
+  return { permitida: true, restantes: Math.floor(cubeta.fichas), retryAfter: 0 };
+};
+
+const rechazar = (req, next, retryAfter, razon, detalle) => {
+  log.warn('Petición limitada', { metodo: req.method, url: req.originalUrl, cliente: req.cliente.nombre, razon });
+  next(new ErrorLimite(detalle, retryAfter));
+};
+
+/**
+ * Middleware: aplica los límites del cliente (req.cliente) y deja la petición corriendo
+ * dentro de su contexto para que la capa de datos respete su cupo de consultas.
+ * Va después de autorizar (y de express.json, que no conserva el contexto asíncrono).
+ */
+const limitarPeticiones = (req, res, next) => {
+  const { cliente } = req;
+  const { permitida, restantes, retryAfter } = consumirFicha(cliente);
+
+  res.set('X-RateLimit-Limit', String(cliente.limites.peticionesPorMinuto));
+  res.set('X-RateLimit-Remaining', String(restantes));
+
+  if (!permitida) {
+    return rechazar(req, next, retryAfter, 'Límite de peticiones por minuto',
+      `El cliente tiene un límite de ${cliente.limites.peticionesPorMinuto} peticiones por minuto.`);
+  }
+
+  if (consultasEnEspera(cliente.nombre) >= cliente.limites.consultasConcurrentes * FACTOR_COLA_MAXIMA) {
+    return rechazar(req, next, 1, 'Consultas en espera',
+      'El cliente tiene demasiadas consultas en curso; espere a que terminen antes de enviar más peticiones.');
+  }
+
+  // ruta: nombre por defecto de las consultas de la petición en las métricas (ver db/pool.js)
+  // senal: cancela las consultas pendientes si el cliente se desconecta
+  const ruta = `${req.method} ${operacionDePeticion(req)?.plantilla || 'sin_ruta'}`;
+  // requestId: el de middlewares/registro.js, para el log
+  ejecutarConContexto({ requestId: req.id, cliente, ruta, senal: senalDeDesconexion(res) }, next);
+};
+
+/**
+ * Peticiones disponibles en este momento para un cliente (null si no ha hecho ninguna).
+ */
+const fichasDisponibles = (nombreCliente) => {
+  const cubeta = cubetas.get(nombreCliente);
+  if (!cubeta) return null;
+  rellenar(cubeta, Date.now());
+  return Math.floor(cubeta.fichas);
+};
+
+module.exports = {
+  limitarPeticiones,
+  fichasDisponibles
+};
@@ -0,0 +1,45 @@
+// src/middlewares/metricas.js
+// Medición de peticiones HTTP y exposición de las métricas de Prometheus (ver src/metricas.js).
+const { observarPeticion, exportarMetricas } = require('../metricas');
+const { operacionDePeticion } = require('../docs/operaciones');
+const { ErrorAcceso } = require('../errores');
+const { config } = require('../config');
+
+/**
+ * Middleware: mide cada petición al terminar de responder. La ruta es la plantilla del documento
+ * OpenAPI (ej. /clavesalternas/catalogo/{clave}) para no crear una serie por cada clave consultada.
+ */
+const medirPeticiones = (req, res, next) => {
+  const inicio = process.hrtime.bigint();
+  const plantilla = operacionDePeticion(req)?.plantilla || 'sin_ruta';
+
+  res.on('finish', () => {
+    observarPeticion({ method: req.method, route: plantilla, status: String(res.statusCode) }, inicio);
+  });
+
+  next();
+};
+
+/**
+ * GET /metrics en formato de texto de Prometheus.
+ * Si METRICAS_TOKEN está definido se exige "Authorization: Bearer <token>".
+ */
+const exponerMetricas = async (req, res, next) => {
+  const token = config.seguridad.metricasToken;
+  if (token && req.header('authorization') !== `Bearer ${token}`) {
+    return next(new ErrorAcceso('Se requiere el token de métricas (Authorization: Bearer).'));
+  }
+
+  try {
+    const { contentType, texto } = await exportarMetricas();
+    res.set('Content-Type', contentType);
+    res.end(texto);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  medirPeticiones,
+  exponerMetricas
+};
@@ -0,0 +1,53 @@
+// src/middlewares/registro.js
+// Id de correlación de cada petición (X-Request-Id) y registro de acceso en el log estructurado (ver src/log.js).
+const crypto = require('crypto');
+const { ejecutarConContexto } = require('../contexto');
+const log = require('../log');
+
+// Ids aceptados del cliente (ej. el UUID que genera la tienda); cualquier otro valor se sustituye
+const ID_VALIDO = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware: toma el X-Request-Id de la petición (o genera uno), lo deja en req.id, lo regresa
+ * en la respuesta y corre el resto de la cadena en un contexto con el id para que cada línea
+ * del log, incluidas las de la capa de datos, lo incluya. limitarPeticiones arma después
+ * el contexto completo con el mismo id (ver middlewares/limites.js).
+ */
+const asignarIdPeticion = (req, res, next) => {
+  const recibido = req.header('x-request-id');
+  req.id = recibido && ID_VALIDO.test(recibido) ? recibido : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  ejecutarConContexto({ requestId: req.id }, next);
+};
+
+/**
+ * Middleware: una línea de acceso por petición al terminar de responder (o al cortarse la conexión).
+ */
+const registrarAccesos = (req, res, next) => {
+  const inicio = process.hrtime.bigint();
+
+  const registrar = () => {
+    res.removeListener('finish', registrar);
+    res.removeListener('close', registrar);
+    log.info('Petición atendida', {
+      requestId: req.id,
+      cliente: req.cliente?.nombre,
+      ip: req.ip,
+      metodo: req.method,
+      url: req.originalUrl,
+      estado: res.statusCode,
+      duracionMs: Math.round(Number(process.hrtime.bigint() - inicio) / 1e4) / 100,
+      ...(res.writableFinished ? {} : { interrumpida: true })
+    });
+  };
+
+  res.on('finish', registrar);
+  res.on('close', registrar);
+  next();
+};
+
+module.exports = {
+  asignarIdPeticion,
+  registrarAccesos
+};
@@ -0,0 +1,206 @@
+// src/middlewares/validacion.js
+// Valida path, query y cuerpo de cada petición contra el documento OpenAPI (docs/openapi.js).
+// Las rutas que no están en el documento pasan sin validar.
+const { resolver, operacionDePeticion } = require('../docs/operaciones');
+const { ErrorPeticion } = require('../errores');
+
+// --- Validación de valores contra el subconjunto de JSON Schema que usa el documento ---
+
+const describirTipo = {
+  integer: 'un número entero',
+  number: 'numérico',
+  boolean: 'true o false',
+  string: 'texto',
+  array: 'un arreglo',
+  object: 'un objeto'
+};
+
+/**
+ * Convierte el texto de query/path al tipo del esquema; regresa undefined si no se puede.
+ */
+const desdeTexto = (texto, tipo) => {
+  if (tipo === 'integer') return /^\s*-?\d+\s*$/.test(texto) ? parseInt(texto, 10) : undefined;
+  if (tipo === 'number') return /^\s*-?\d+(\.\d+)?\s*$/.test(texto) ? parseFloat(texto) : undefined;
+  if (tipo === 'boolean') return texto === 'true' ? true : texto === 'false' ? false : undefined;
+  return texto;
+};
+
+// Fecha de calendario que existe: 2026-02-30 no pasa aunque Date la recorra al 2 de marzo
+const esFecha = (texto) => /^\d{4}-\d{2}-\d{2}$/.test(texto) &&
+  !Number.isNaN(Date.parse(`${texto}T00:00:00Z`)) && new Date(`${texto}T00:00:00Z`).toISOString().startsWith(texto);
+
+/**
+ * Formatos de texto (format del esquema) que se validan; los demás (ej. binary) se ignoran.
+ */
+const FORMATOS = {
+  date: { cumple: esFecha, descripcion: 'una fecha AAAA-MM-DD' },
+  'date-time': {
+    cumple: (texto) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(texto) &&
+      esFecha(texto.slice(0, 10)) && !Number.isNaN(Date.parse(texto)),
+    descripcion: 'una fecha y hora ISO 8601 con zona horaria'
+  }
+};
+
+const cumpleTipo = (valor, tipo) => {
+  switch (tipo) {
+    case 'integer': return Number.isInteger(valor);
+    case 'number': return typeof valor === 'number' && Number.isFinite(valor);
+    case 'boolean': return typeof valor === 'boolean';
+    case 'string': return typeof valor === 'string';
+    case 'array': return Array.isArray(valor);
+    case 'object': return valor !== null && typeof valor === 'object' && !Array.isArray(valor);
+    default: return true;
+  }
+};
+
+/**
+ * Valida un valor y regresa la lista de mensajes de error (vacía si es válido).
+ * @param {*} valor
+ * @param {Object} esquemaOriginal
+ * @param {string} nombre Nombre que se muestra en los mensajes.
+ * @param {boolean} comoTexto true para valores de query/path (llegan como texto).
+ */
+const validarValor = (valor, esquemaOriginal, nombre, comoTexto) => {
+  const esquema = resolver(esquemaOriginal);
+
+  if (valor === null && esquema.nullable) return [];
+
+  if (esquema.oneOf) {
+    const valida = esquema.oneOf.some(opcion => validarValor(valor, opcion, nombre, comoTexto).length === 0);
+    return valida ? [] : [`'${nombre}' no tiene un tipo válido.`];
+  }
+  if (esquema.allOf) {
+    return esquema.allOf.flatMap(parte => validarValor(valor, parte, nombre, comoTexto));
+  }
+
+  let v = valor;
+  if (comoTexto && esquema.type === 'array') {
+    // ?x=a,b o ?x=a&x=b
+    v = (Array.isArray(valor) ? valor : [valor])
+      .flatMap(item => String(item).split(','))
+      .map(item => item.trim())
+      .filter(item => item !== '');
+  } else if (comoTexto) {
+    if (Array.isArray(valor)) return [`'${nombre}' no debe enviarse más de una vez.`];
+    v = desdeTexto(String(valor), esquema.type);
+  }
+
+  if (v === undefined || !cumpleTipo(v, esquema.type)) {
+    return [`'${nombre}' debe ser ${describirTipo[esquema.type] || 'válido'}.`];
+  }
+
+  const errores = [];
+
+  if (esquema.enum && !esquema.enum.includes(v)) {
+    errores.push(`'${nombre}' debe ser uno de: ${esquema.enum.join(', ')}.`);
+  }
+
+  if (typeof v === 'string') {
+    const largo = v.trim().length;
+    if (esquema.minLength !== undefined && largo < esquema.minLength) {
+      errores.push(`'${nombre}' debe tener al menos ${esquema.minLength} caracteres.`);
+    }
+    if (esquema.maxLength !== undefined && largo > esquema.maxLength) {
+      errores.push(`'${nombre}' debe tener como máximo ${esquema.maxLength} caracteres.`);
+    }
+    if (esquema.pattern && !new RegExp(esquema.pattern).test(v)) {
+      errores.push(`'${nombre}' tiene un formato inválido.`);
+    }
+    const formato = FORMATOS[esquema.format];
+    if (formato && !formato.cumple(v)) {
+      errores.push(`'${nombre}' debe ser ${formato.descripcion}.`);
+    }
+  }
+
+  if (typeof v === 'number') {
+    if (esquema.minimum !== undefined && v < esquema.minimum) {
+      errores.push(`'${nombre}' debe ser mayor o igual a ${esquema.minimum}.`);
+    }
+    if (esquema.maximum !== undefined && v > esquema.maximum) {
+      errores.push(`'${nombre}' debe ser menor o igual a ${esquema.maximum}.`);
+    }
+  }
+
+  if (Array.isArray(v)) {
+    if (esquema.minItems !== undefined && v.length < esquema.minItems) {
+      errores.push(`'${nombre}' debe tener al menos ${esquema.minItems} elemento(s).`);
+    }
+    if (esquema.maxItems !== undefined && v.length > esquema.maxItems) {
+      errores.push(`'${nombre}' debe tener como máximo ${esquema.maxItems} elementos.`);
+    }
+    if (esquema.items) {
+      v.forEach((item, i) => errores.push(...validarValor(item, esquema.items, `${nombre}[${i}]`, comoTexto)));
+    }
+  }
+
+  if (esquema.type === 'object') {
+    (esquema.required || [])
+      .filter(prop => v[prop] === undefined || v[prop] === null)
+      .forEach(prop => errores.push(`Falta '${nombre ? `${nombre}.` : ''}${prop}'.`));
+
+    Object.entries(esquema.properties || {})
+      .filter(([prop]) => v[prop] !== undefined && v[prop] !== null)
+      .forEach(([prop, sub]) => errores.push(...validarValor(v[prop], sub, nombre ? `${nombre}.${prop}` : prop, false)));
+  }
+
+  return errores;
+};
+
+/**
+ * Errores de una petición contra su operación del documento.
+ * @returns {Array<{ ubicacion: string, parametro?: string, mensaje: string }>}
+ */
+const validarPeticion = (req, operacion, paramsRuta) => {
+  const errores = [];
+  const fuentes = { path: paramsRuta, query: req.query };
+
+  (operacion.parameters || []).map(resolver).forEach(param => {
+    const valor = fuentes[param.in]?.[param.name];
+    // Un parámetro vacío (?limit=) equivale a no enviarlo, igual que en las rutas
+    const ausente = valor === undefined || (typeof valor === 'string' && valor.trim() === '');
+
+    if (ausente) {
+      if (param.required) {
+        errores.push({ ubicacion: param.in, parametro: param.name, mensaje: `Falta el parámetro obligatorio '${param.name}'.` });
+      }
+      return;
+    }
+
+    validarValor(valor, param.schema, param.name, true)
+      .forEach(mensaje => errores.push({ ubicacion: param.in, parametro: param.name, mensaje }));
+  });
+
+  const requestBody = resolver(operacion.requestBody);
+  if (requestBody) {
+    const esquema = requestBody.content?.['application/json']?.schema;
+    const sinCuerpo = req.body === undefined || req.body === null ||
+      (typeof req.body === 'object' && !Array.isArray(req.body) && Object.keys(req.body).length === 0);
+
+    if (sinCuerpo && requestBody.required) {
+      errores.push({ ubicacion: 'body', mensaje: 'Se requiere un cuerpo JSON (Content-Type: application/json).' });
+    } else if (!sinCuerpo && esquema) {
+      validarValor(req.body, esquema, '', false)
+        .forEach(mensaje => errores.push({ ubicacion: 'body', mensaje }));
+    }
+  }
+
+  return errores;
+};
+
+/**
+ * Middleware: responde 400 { error, codigo, detalle, errores } si la petición no cumple con el documento.
+ */
+const validarContraOpenApi = (req, res, next) => {
+  const encontrada = operacionDePeticion(req);
+  if (!encontrada) return next();
+
+  const errores = validarPeticion(req, encontrada.operacion, encontrada.params);
+  if (errores.length === 0) return next();
+
+  next(new ErrorPeticion(errores.map(e => e.mensaje).join(' '), { extra: { errores } }));
+};
+
+module.exports = {
+  esFecha,
+  validarContraOpenApi
+};
@@ -0,0 +1,93 @@
+// src/middlewares/versiones.js
+// API v1 (/api/v1) sobre los manejadores existentes y avisos de obsolescencia en las rutas anteriores.
+// La correspondencia entre rutas está en docs/versiones.js.
+const { operacionDePeticion } = require('../docs/operaciones');
+const { RUTAS_V1, SUCESORAS, FECHA_OBSOLESCENCIA } = require('../docs/versiones');
+const { contarRutaLegado } = require('../metricas');
+const { config } = require('../config');
+
+// Plantilla v1 -> plantilla heredada que la atiende
+const LEGADO_DE_V1 = new Map(RUTAS_V1.map(({ ruta, legado }) => [ruta, legado]));
+
+// Deprecation (RFC 9745) lleva la fecha de obsolescencia en segundos; Sunset (RFC 8594) es una fecha HTTP
+const DEPRECATION = `@${Math.floor(Date.parse(FECHA_OBSOLESCENCIA) / 1000)}`;
+const SUNSET = config.versiones.retiroLegado.toUTCString();
+
+const rellenar = (plantilla, params) =>
+  plantilla.replace(/\{([^}]+)\}/g, (_, nombre) => encodeURIComponent(params[nombre]));
+
+/**
+ * Sobre de las respuestas v1: { data, meta }. Si la ruta heredada ya respondía un objeto con data,
+ * sus demás campos (totales, paginación, fuentes no disponibles) pasan a meta; cualquier otro cuerpo
+ * (arreglo u objeto) va completo en data. Los errores conservan su formato { error, codigo, detalle }.
+ */
+const envolverV1 = (cuerpo) => {
+  if (cuerpo !== null && typeof cuerpo === 'object' && !Array.isArray(cuerpo) && 'data' in cuerpo) {
+    const { data, ...meta } = cuerpo;
+    return Object.keys(meta).length > 0 ? { data, meta } : { data };
+  }
+  return { data: cuerpo };
+};
+
+// "MÉTODO plantilla" -> { metodo, ruta, sucesora, total, clientes, ultimoUso }, desde el arranque
+const usoLegado = new Map();
+
+const registrarUsoLegado = (req, ruta, sucesora) => {
+  const cliente = req.cliente?.nombre || 'sin_llave';
+  const clave = `${req.method} ${ruta}`;
+  const uso = usoLegado.get(clave) || { metodo: req.method, ruta, sucesora, total: 0, clientes: {}, ultimoUso: null };
+
+  uso.total++;
+  uso.clientes[cliente] = (uso.clientes[cliente] || 0) + 1;
+  uso.ultimoUso = new Date().toISOString();
+  usoLegado.set(clave, uso);
+
+  contarRutaLegado({ method: req.method, route: ruta, client: cliente });
+};
+
+/**
+ * Middleware: va antes que todos los que consultan la operación OpenAPI de la petición.
+ * - Ruta v1: se reescribe req.url a la ruta heredada para que la atienda el mismo manejador; la operación
+ *   v1 queda guardada en req, así que métricas, scopes, validación y auditoría la ven con su plantilla v1.
+ *   Las respuestas JSON se envuelven con envolverV1.
+ * - Ruta heredada obsoleta: cabeceras Deprecation, Sunset y Link a la sucesora, y se cuenta su uso al responder.
+ */
+const versionarRutas = (req, res, next) => {
+  const encontrada = operacionDePeticion(req);
+  if (!encontrada) return next();
+
+  const { plantilla, params } = encontrada;
+
+  const legado = LEGADO_DE_V1.get(plantilla);
+  if (legado) {
+    const inicioConsulta = req.url.indexOf('?');
+    req.url = rellenar(legado, params) + (inicioConsulta >= 0 ? req.url.slice(inicioConsulta) : '');
+
+    const jsonOriginal = res.json.bind(res);
+    res.json = (cuerpo) => jsonOriginal(res.statusCode < 400 ? envolverV1(cuerpo) : cuerpo);
+    return next();
+  }
+
+  if (SUCESORAS.has(plantilla)) {
+    const sucesora = SUCESORAS.get(plantilla);
+    res.set('Deprecation', DEPRECATION);
+    res.set('Sunset', SUNSET);
+    if (sucesora) res.set('Link', `<${rellenar(sucesora, params)}>; rel="successor-version"`);
+    res.on('finish', () => registrarUsoLegado(req, plantilla, sucesora));
+  }
+
+  next();
+};
+
+/**
+ * Uso de las rutas obsoletas desde el arranque, de la más usada a la menos usada.
+ */
+const usoRutasLegado = () => [...usoLegado.values()]
+  .map(uso => ({ ...uso, clientes: { ...uso.clientes } }))
+  .sort((a, b) => b.total - a.total);
+
+module.exports = {
+  envolverV1,
+  versionarRutas,
+  usoRutasLegado
+};
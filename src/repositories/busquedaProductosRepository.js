@@ -0,0 +1,153 @@
+const { getPrincipal } = require('../db');
+const { columnasExistencia } = require('../config/sucursales');
+const { columnasSelect, agruparPorPosicion, columna } = require('../config/atributos');
+const { paginar } = require('../db/consulta');
+
+const principal = getPrincipal(); // Empresa 02
+
+/**
+ * Criterios de coincidencia. "rango" ordena la relevancia (menor = más relevante):
+ * clave exacta, clave alterna exacta, prefijo de clave, clave/alterna parcial, descripción, descripción e-commerce.
+ * "patron" indica si el término se envuelve en %...% (LIKE).
+ */
+const CRITERIOS = {
+    claveExacta: { rango: 0, sql: `UPPER(T1.CVE_ART) = CAST(? AS VARCHAR(100))` },
+    alternaExacta: { rango: 1, sql: `UPPER(COALESCE(T2.CVE_ALTER, '')) = CAST(? AS VARCHAR(100))` },
+    clavePrefijo: { rango: 2, sql: `UPPER(T1.CVE_ART) STARTING WITH CAST(? AS VARCHAR(100))` },
+    claveContiene: { rango: 3, sql: `UPPER(T1.CVE_ART) LIKE CAST(? AS VARCHAR(100))`, patron: true },
+    alternaContiene: { rango: 3, sql: `UPPER(COALESCE(T2.CVE_ALTER, '')) LIKE CAST(? AS VARCHAR(100))`, patron: true },
+    descripcion: { rango: 4, sql: `UPPER(T1.DESCR) LIKE CAST(? AS VARCHAR(100))`, patron: true },
+    ecommerce: { rango: 5, sql: `UPPER(COALESCE(${columna('DESC_ECOMM', 'T4')}, '')) LIKE CAST(? AS VARCHAR(100))`, patron: true }
+};
+
+/**
+ * Modos de búsqueda que acepta la API y los criterios que activa cada uno.
+ */
+const MODOS = {
+    clave: ['claveExacta'],
+    prefijo: ['clavePrefijo'],
+    contiene: ['claveContiene'],
+    alterna: ['alternaExacta', 'alternaContiene'],
+    descripcion: ['descripcion'],
+    ecommerce: ['ecommerce']
+};
+
+/**
+ * Nombre del tipo de coincidencia para cada rango (columna COINCIDENCIA de la respuesta).
+ */
+const COINCIDENCIAS = ['clave', 'alterna', 'prefijo', 'contiene', 'descripcion', 'ecommerce'];
+
+const RANGO_SIN_COINCIDENCIA = 9;
+
+const FROM_BUSQUEDA = `
+    FROM ${principal.tabla('INVE')} T1
+    LEFT JOIN ${principal.tabla('CVES_ALTER')} T2 ON T1.CVE_ART = T2.CVE_ART
+    LEFT JOIN ${principal.tabla('INVE_CLIB')} T4 ON T1.CVE_ART = T4.CVE_PROD
+`;
+
+const valorCriterio = (criterio, termino) => (criterio.patron ? `%${termino}%` : termino);
+
+/**
+ * Arma el WHERE de la búsqueda con los criterios de los modos solicitados.
+ * @returns {{ where: string, params: Array }}
+ */
+const construirWhere = ({ termino, modos, soloActivos }) => {
+    const criterios = [...new Set(modos.flatMap(modo => MODOS[modo]))].map(nombre => CRITERIOS[nombre]);
+
+    const condiciones = [`(${criterios.map(c => c.sql).join(' OR ')})`];
+    if (soloActivos) condiciones.push(`T1.STATUS = 'A'`);
+
+    return {
+        where: `WHERE ${condiciones.join(' AND ')}`,
+        params: criterios.map(c => valorCriterio(c, termino))
+    };
+};
+
+/**
+ * Expresión de relevancia: se evalúan todos los criterios aunque no estén en los modos,
+ * para que una clave exacta quede primero aunque se haya buscado por "contiene".
+ */
+const construirRango = (termino) => {
+    const criterios = Object.values(CRITERIOS).sort((a, b) => a.rango - b.rango);
+    return {
+        sql: `MIN(CASE ${criterios.map(c => `WHEN ${c.sql} THEN ${c.rango}`).join(' ')} ELSE ${RANGO_SIN_COINCIDENCIA} END)`,
+        params: criterios.map(c => valorCriterio(c, termino))
+    };
+};
+
+/**
+ * Total de productos distintos que cumplen la búsqueda.
+ */
+const contarCoincidencias = async (opciones) => {
+    const { where, params } = construirWhere(opciones);
+    const sql = `SELECT COUNT(DISTINCT T1.CVE_ART) AS TOTAL ${FROM_BUSQUEDA} ${where}`;
+    const filas = await principal.query(sql, params);
+    return filas[0]?.TOTAL || 0;
+};
+
+/**
+ * Página de claves que cumplen la búsqueda, ordenadas por relevancia y clave.
+ * @param {Object} opciones { termino, modos, soloActivos, limite, offset }. limite null = sin paginar.
+ * @returns {Promise<Array<{ CVE_ART: string, DESCR: string, RANGO: number }>>}
+ */
+const buscarCoincidencias = async (opciones) => {
+    const { limite, offset = 0 } = opciones;
+    const { where, params } = construirWhere(opciones);
+    const rango = construirRango(opciones.termino);
+
+    const pagina = limite ? paginar({ limit: limite, offset }) : { sql: '', params: [] };
+
+    const sql = `
+        SELECT
+            T1.CVE_ART, T1.DESCR,
+            ${rango.sql} AS RANGO
+        ${FROM_BUSQUEDA}
+        ${where}
+        GROUP BY T1.CVE_ART, T1.DESCR
+        ORDER BY 3, 1
+        ${pagina.sql}
+    `;
+
+    return principal.query(sql, [...rango.params, ...params, ...pagina.params]);
+};
+
+/**
+ * Datos completos (catálogo, claves de proveedor y existencias de la empresa principal) de las claves indicadas.
+ * Se consulta en bloques para no rebasar el límite de parámetros de Firebird.
+ */
+const obtenerDetalle = async (claves) => {
+    const resultados = [];
+    const chunkSize = 200;
+
+    for (let i = 0; i < claves.length; i += chunkSize) {
+        const chunk = claves.slice(i, i + chunkSize);
+        const placeholders = chunk.map(() => '?').join(',');
+
+        const sql = `
+            SELECT
+                T1.CVE_ART, T1.DESCR, T1.UNI_MED, T1.FCH_ULTCOM, T1.ULT_COSTO, T1.COSTO_PROM, T1.LIN_PROD,
+                ${columnasSelect('T4')},
+                MAX(CASE WHEN TRIM(T2.CVE_CLPV) = '3' THEN T2.CVE_ALTER ELSE NULL END) AS PROV1,
+                MAX(CASE WHEN TRIM(T2.CVE_CLPV) = '35' THEN T2.CVE_ALTER ELSE NULL END) AS PROV2,
+                ${columnasExistencia(principal.id, 'T6')}
+            FROM ${principal.tabla('INVE')} T1
+            LEFT JOIN ${principal.tabla('CVES_ALTER')} T2 ON T1.CVE_ART = T2.CVE_ART
+            LEFT JOIN ${principal.tabla('INVE_CLIB')} T4 ON T1.CVE_ART = T4.CVE_PROD
+            LEFT JOIN ${principal.tabla('MULT')} T6 ON T1.CVE_ART = T6.CVE_ART
+            WHERE T1.CVE_ART IN (${placeholders})
+            ${agruparPorPosicion(7)}
+        `;
+
+        resultados.push(...await principal.query(sql, chunk));
+    }
+
+    return resultados;
+};
+
+module.exports = {
+    MODOS,
+    COINCIDENCIAS,
+    contarCoincidencias,
+    buscarCoincidencias,
+    obtenerDetalle
+};
@@ -1,18 +1,19 @@
-const db = require('../db');   // Empresa 02 (Principal)
-const db3 = require('../db3'); // Empresa 03 (Fresnillo)
+const { consultarEmpresas, getEmpresaDeSucursal } = require('../db');
 
 /**
  * Obtiene los datos fiscales y de contacto de un cliente por su RFC.
- * Si no se especifica sucursal, busca en ambas empresas y elimina duplicados usando SOLO el RFC.
+ * Si no se especifica sucursal, busca en todas las empresas y elimina duplicados usando SOLO el RFC.
  * 
  * @param {string} rfc RFC del cliente a buscar.
- * @param {string} sucursal Opcional: '3' (Fresnillo), '1'/'2' (Principal), o vacío (Global).
+ * @param {string} sucursal Opcional: sucursal o empresa según el registro ('3'/'10' Fresnillo,
+ *                          '1'/'2' Principal), o vacío (Global).
  */
 const buscarClientePorRFC = async (rfc, sucursal) => {
     const rfcLimpio = String(rfc).trim().toUpperCase();
 
     // AQUÍ ESTABA EL ERROR: Faltaba la línea WHERE TRIM(UPPER(RFC)) = ?
-    const sql = `
+    // La tabla de clientes se resuelve con el sufijo de cada empresa
+    const buildSql = (empresa) => `
         SELECT 
             TRIM(CLAVE) as "CLAVE",
             TRIM(NOMBRE) as "NOMBRE",
@@ -30,30 +31,26 @@ const buscarClientePorRFC = async (rfc, sucursal) => {
             TRIM(NOMBRECOMERCIAL) as "NOMBRECOMERCIAL",
             TRIM(TELEFONO) as "TELEFONO",
             TRIM(STATUS) as "STATUS"
-        FROM CLIE02
+        FROM ${empresa.tabla('CLIE')}
         WHERE TRIM(UPPER(RFC)) = ?
     `;
 
-    // Función auxiliar para inyectar el número de tabla dinámicamente
-    const buildSql = (numTabla) => sql.replace('CLIE02', `CLIE${numTabla}`);
+    const consultar = (empresa) => empresa.query(buildSql(empresa), [rfcLimpio]);
 
     let resultados = [];
 
     // 1. Ejecución Estratégica según la petición
-    if (sucursal === '3') {
-        // Búsqueda exclusiva en Fresnillo
-        resultados = await db3.query(buildSql('03'), [rfcLimpio]);
-    } else if (sucursal === '1' || sucursal === '2') {
-        // Búsqueda exclusiva en Principal
-        resultados = await db.query(buildSql('02'), [rfcLimpio]);
+    const empresaSucursal = getEmpresaDeSucursal(sucursal);
+
+    if (empresaSucursal) {
+        // Búsqueda exclusiva en la empresa de la sucursal
+        resultados = await consultar(empresaSucursal);
     } else {
-        // Búsqueda Global (Ambas empresas en paralelo)
-        const [res2, res3] = await Promise.all([
-            db.query(buildSql('02'), [rfcLimpio]),
-            db3.query(buildSql('03'), [rfcLimpio])
-        ]);
+        // Búsqueda Global (Todas las empresas en paralelo, la principal primero);
+        // las que no responden se omiten y se reportan en fuentes_no_disponibles
+        const porEmpresa = await consultarEmpresas(consultar);
 
-        const combinados = [...res2, ...res3];
+        const combinados = porEmpresa.filter(Boolean).flat();
 
         // 2. Lógica de Deduplicación (Usando estrictamente el RFC)
         const clientesUnicos = new Map();
@@ -1,5 +1,6 @@
-const db = require('../db');   
-const db3 = require('../db3'); 
+const { listarEmpresas, consultarEmpresas, TIEMPO_LIMITE_ANALITICO_MS } = require('../db');
+const { sucursalDeAlmacen } = require('../config/sucursales');
+const { columna } = require('../config/atributos');
 
 const obtenerComprasConsolidadas = async (filtros) => {
     const { mes, anio } = filtros;
@@ -22,7 +23,7 @@ const obtenerComprasConsolidadas = async (filtros) => {
 
     const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
 
-    const sql = `
+    const buildSql = (empresa) => `
         SELECT 
             TRIM(C.CVE_DOC) as "Documento",
             TRIM(C.CVE_CLPV) as "Clave Prov",
@@ -38,44 +39,33 @@ const obtenerComprasConsolidadas = async (filtros) => {
             M.COSTO as "Costo",
             TRIM(I.DESCR) as "Descripción",
             TRIM(I.LIN_PROD) as "Línea",
-            TRIM(L.CAMPLIB13) as "Perfil",
-            TRIM(L.CAMPLIB21) as "Genero",
-            TRIM(L.CAMPLIB22) as "Familia"
-        FROM COMPC02 C
-        INNER JOIN MINVE02 M ON M.REFER = C.CVE_DOC
-        LEFT JOIN INVE02 I ON I.CVE_ART = M.CVE_ART
-        LEFT JOIN INVE_CLIB02 L ON L.CVE_PROD = M.CVE_ART
+            TRIM(${columna('PERFIL', 'L')}) as "Perfil",
+            TRIM(${columna('GENERO', 'L')}) as "Genero",
+            TRIM(${columna('FAMILIA', 'L')}) as "Familia"
+        FROM ${empresa.tabla('COMPC')} C
+        INNER JOIN ${empresa.tabla('MINVE')} M ON M.REFER = C.CVE_DOC
+        LEFT JOIN ${empresa.tabla('INVE')} I ON I.CVE_ART = M.CVE_ART
+        LEFT JOIN ${empresa.tabla('INVE_CLIB')} L ON L.CVE_PROD = M.CVE_ART
         ${whereString}
     `;
 
-    const buildSql = (sufijo) => {
-        return sql
-            .replace(/COMPC02/g, `COMPC${sufijo}`)
-            .replace(/MINVE02/g, `MINVE${sufijo}`)
-            .replace(/INVE02/g, `INVE${sufijo}`)
-            .replace(/INVE_CLIB02/g, `INVE_CLIB${sufijo}`);
-    };
+    // Las empresas que no responden quedan fuera (se reportan en fuentes_no_disponibles)
+    const empresas = listarEmpresas();
+    const porEmpresa = await consultarEmpresas(empresa => empresa.query(buildSql(empresa), params,
+        { nombre: 'compras_origen', tiempoLimiteMs: TIEMPO_LIMITE_ANALITICO_MS }));
 
-    const [res2, res3] = await Promise.all([
-        db.query(buildSql('02'), params),
-        db3.query(buildSql('03'), params)
-    ]);
+    // Las compras de otras empresas se reportan con el almacén de su sucursal en el registro
+    // (Empresa 03 -> almacén 3, Fresnillo)
+    const consolidados = porEmpresa.flatMap((filas, idx) => {
+        const empresa = empresas[idx];
+        if (!filas) return [];
+        if (empresa.principal) return filas;
 
-    const res3Mapeado = res3.map(row => ({
-        ...row,
-        Almacen: 3
-    }));
-
-    const consolidados = [...res2, ...res3Mapeado];
-
-    // --- DEBUGGER INYECTADO AQUÍ ---
-    const rastreador = consolidados.filter(r => r.Documento === 'CD2797');
-    if (rastreador.length > 0) {
-        console.log(`\n[REPO-DEBUG] 🟢 ¡CD2797 encontrado en SQL! Se encontraron ${rastreador.length} partidas de este documento.`);
-    } else {
-        console.log(`\n[REPO-DEBUG] 🔴 CD2797 NO SALIÓ DE LA BD. Verifica: ¿Es de este mes? ¿Su STATUS es 'C'? ¿Su CVE_CPTO en MINVE es diferente a 1?`);
-    }
-    // -------------------------------
+        return filas.map(row => {
+            const sucursal = sucursalDeAlmacen(empresa.id, row.Almacen);
+            return sucursal ? { ...row, Almacen: sucursal.almacenes[0] } : row;
+        });
+    });
 
     return consolidados;
 };
@@ -0,0 +1,200 @@
+const { getPrincipal, getEmpresaDeSucursal, siDisponible } = require('../db');
+const log = require('../log');
+
+const principal = getPrincipal(); // Empresa 02
+
+/**
+ * Enriquecedores de listas de productos: cada uno recibe las filas (con CVE_ART),
+ * consulta sólo las claves de esa página y regresa las filas con sus columnas agregadas.
+ * Si la consulta falla se registra el error y se rellenan valores neutros.
+ */
+
+/**
+ * Último proveedor y costo de compra (MINVE02, CVE_CPTO = 1): ULTIMO_PROVEEDOR y ULT_COSTO.
+ */
+async function enrichWithUltimoCosto(data) {
+    if (!data || data.length === 0) return data;
+
+    // Solo tomamos los IDs de los 10 registros actuales
+    const ids = data.map(item => item.CVE_ART.trim());
+    const placeholders = ids.map(() => '?').join(',');
+
+    // Consultamos MINVE02 solo para esos 10 productos
+    const sqlMinve = `
+                SELECT CVE_ART, CLAVE_CLPV, COSTO, NUM_MOV
+                FROM ${principal.tabla('MINVE')}
+                WHERE CVE_CPTO = 1 AND CVE_ART IN (${placeholders})
+                ORDER BY NUM_MOV DESC
+        `;
+
+    try {
+        const movimientos = await principal.query(sqlMinve, ids);
+
+        // Mapa para guardar solo el movimiento más reciente de cada artículo
+        const movMap = {};
+        movimientos.forEach(m => {
+            const art = m.CVE_ART.trim();
+            if (!movMap[art]) {
+                movMap[art] = {
+                    proveedor: m.CLAVE_CLPV ? m.CLAVE_CLPV.trim() : '',
+                    costo: m.COSTO || 0
+                };
+            }
+        });
+
+        // Inyectamos los datos en el array original de 10 registros
+        return data.map(item => {
+            const info = movMap[item.CVE_ART.trim()];
+            return {
+                ...item,
+                ULTIMO_PROVEEDOR: info ? info.proveedor : '',
+                ULT_COSTO: info ? info.costo : 0
+            };
+        });
+    } catch (error) {
+        log.error('Error en enrichWithUltimoCosto (MINVE02)', { error });
+        return data.map(item => ({ ...item, ULTIMO_PROVEEDOR: '', ULT_COSTO: 0 }));
+    }
+};
+
+/**
+ * Igual que enrichWithUltimoCosto pero en lotes (listas completas); agrega COSTO_FINAL.
+ */
+const enrichWithUltimoCosto2 = async (data) => {
+    if (!data || data.length === 0) return data;
+
+    // Extraemos las claves únicas
+    const clavesOriginales = [...new Set(data.map(prod => (prod.CVE_ART || '').trim()))];
+    
+    // Dividimos en lotes de 500 para evitar límites de Firebird
+    const CHUNK_SIZE = 500; 
+    const resultsMap = {};
+
+    try {
+        for (let i = 0; i < clavesOriginales.length; i += CHUNK_SIZE) {
+            const chunk = clavesOriginales.slice(i, i + CHUNK_SIZE);
+            const placeholders = chunk.map(() => '?').join(',');
+
+            // TU CONSULTA ORIGINAL (Recuperada y Adaptada)
+            const sqlMinve = `
+                SELECT TRIM(CVE_ART) AS ART, COSTO, NUM_MOV
+                FROM ${principal.tabla('MINVE')}
+                WHERE CVE_CPTO = 1 AND CVE_ART IN (${placeholders})
+                ORDER BY NUM_MOV DESC
+            `;
+
+            const resMinve = await principal.query(sqlMinve, chunk);
+            
+            // Al estar ordenado por NUM_MOV DESC, el primer registro de cada producto
+            // que procesemos será el más reciente.
+            resMinve.forEach(row => {
+                const art = row.ART;
+                if (resultsMap[art] === undefined) {
+                    resultsMap[art] = row.COSTO;
+                }
+            });
+        }
+
+        // Inyectamos el costo en el array original
+        return data.map(item => ({
+            ...item,
+            COSTO_FINAL: resultsMap[(item.CVE_ART || '').trim()] || 0
+        }));
+
+    } catch (error) {
+        log.error('Error en enrichWithUltimoCosto2', { error });
+        return data;
+    }
+};
+
+/**
+ * Obtiene los precios de la tabla correspondiente (02 o 03) según la SUCURSAL
+ * y la lista_precios solicitada. Si la empresa de la sucursal no responde, PRECIO queda en null
+ * (se reporta en fuentes_no_disponibles).
+ */
+async function enrichWithPrecios(data, sucursal, listaPrecios) {
+    
+    if (!data || data.length === 0) return data;
+    const ids = data.map(item => item.CVE_ART.trim());
+    const placeholders = ids.map(() => '?').join(',');
+    const cveLista = listaPrecios ? listaPrecios.toString() : '4';
+
+    // La empresa sale del registro de sucursales ('3' o 10 = Fresnillo); por defecto la principal
+    const empresa = getEmpresaDeSucursal(sucursal) || principal;
+    const table = empresa.tabla('PRECIO_X_PROD');
+
+    const sql = `SELECT TRIM(CVE_ART) AS ART, PRECIO FROM ${table} WHERE TRIM(CVE_PRECIO) = CAST(? AS VARCHAR(10)) AND CVE_ART IN (${placeholders})`;
+
+    try {
+        const results = await siDisponible(empresa, e => e.query(sql, [cveLista, ...ids]));
+        if (!results) return data.map(item => ({ ...item, PRECIO: null }));
+
+        const priceMap = {};
+        results.forEach(r => {
+            priceMap[r.ART] = r.PRECIO;
+        });
+
+        return data.map(item => ({
+            ...item,
+            PRECIO: priceMap[item.CVE_ART.trim()] !== undefined ? priceMap[item.CVE_ART.trim()] : 0.00
+        }));
+    } catch (error) {
+        log.error('Error en enrichWithPrecios', { tabla: table, lista: cveLista, error: error.message });
+        return data.map(item => ({ ...item, PRECIO: 0.00 }));
+    }
+}
+
+/**
+ * Último proveedor de compra en Querétaro (almacén 7): ULT_PROV_QRO.
+ */
+async function enrichWithUltimoProveedorQro(data) {
+    if (!data || data.length === 0) return data;
+
+    // Limpiamos IDs y recortamos estrictamente a 16 caracteres
+    const ids = [...new Set(data.map(item => 
+        item.CVE_ART.trim().substring(0, 16)
+    ).filter(id => id !== ''))];
+    
+    if (ids.length === 0) return data;
+
+    const placeholders = ids.map(() => '?').join(',');
+
+    // Forzamos el CAST a VARCHAR(16) para asegurar compatibilidad total con el índice
+    const sql = `
+        SELECT M.CVE_ART, M.CLAVE_CLPV, M.FECHA_DOCU
+        FROM ${principal.tabla('MINVE')} M
+        WHERE M.ALMACEN = 7 
+            AND M.CVE_CPTO = 1 
+            AND CAST(M.CVE_ART AS VARCHAR(16)) IN (${placeholders})
+        ORDER BY M.FECHA_DOCU DESC
+    `;
+
+    try {
+        const movimientos = await principal.query(sql, ids);
+
+        const provMap = {};
+        if (movimientos && movimientos.length > 0) {
+            movimientos.forEach(m => {
+                const art = m.CVE_ART.trim();
+                if (!provMap[art]) {
+                    provMap[art] = m.CLAVE_CLPV ? m.CLAVE_CLPV.trim() : '';
+                }
+            });
+        }
+
+        return data.map(item => ({
+            ...item,
+            ULT_PROV_QRO: provMap[item.CVE_ART.trim()] || ''
+        }));
+    } catch (error) {
+        log.error('Error en enrichWithUltimoProveedorQro', { error: error.message });
+        return data.map(item => ({ ...item, ULT_PROV_QRO: '' }));
+    }
+}
+
+module.exports = {
+    enrichWithUltimoCosto,
+    enrichWithUltimoCosto2,
+    enrichWithPrecios,
+    enrichWithUltimoProveedorQro
+};
@@ -0,0 +1,87 @@
+const { listarEmpresas, siDisponible } = require('../db');
+const { fuentesNoDisponibles } = require('../contexto');
+const { listarSucursales, sucursalesDeEmpresa } = require('../config/sucursales');
+
+/**
+ * Agrega las columnas ALM_<id>_EXIST de las sucursales que operan en una empresa distinta
+ * a la principal (hoy Fresnillo, Empresa 03, almacén 3 -> ALM_10_EXIST).
+ * Si una empresa no responde, sus sucursales quedan en null (no en 0: la existencia es desconocida),
+ * se reporta en fuentes_no_disponibles y el resto de los datos se conserva.
+ *
+ * @param {Array<Object>} data Filas con CVE_ART.
+ * @returns {Promise<Array<Object>>}
+ */
+const agregarExistenciasOtrasEmpresas = async (data) => {
+    if (!data || data.length === 0) return data;
+
+    const ids = [...new Set(data.map(item => item.CVE_ART.trim()))];
+    const placeholders = ids.map(() => '?').join(',');
+    let resultado = data;
+
+    for (const empresa of listarEmpresas().filter(e => !e.principal)) {
+        const sucursales = sucursalesDeEmpresa(empresa.id);
+        if (sucursales.length === 0) continue;
+
+        const almacenes = sucursales.flatMap(s => s.almacenes);
+        const sql = `
+            SELECT TRIM(CVE_ART) AS ART, CVE_ALM, EXIST
+            FROM ${empresa.tabla('MULT')}
+            WHERE CVE_ALM IN (${almacenes.join(',')}) AND CVE_ART IN (${placeholders})
+        `;
+
+        const filas = await siDisponible(empresa, e => e.query(sql, ids));
+
+        // Mapa ART -> { almacén -> existencia }
+        const existenciasMap = {};
+        (filas || []).forEach(row => {
+            existenciasMap[row.ART] = existenciasMap[row.ART] || {};
+            existenciasMap[row.ART][row.CVE_ALM] = row.EXIST || 0;
+        });
+
+        resultado = resultado.map(item => {
+            const porAlmacen = existenciasMap[item.CVE_ART.trim()] || {};
+            const columnas = {};
+            sucursales.forEach(s => {
+                columnas[`ALM_${s.id}_EXIST`] = filas
+                    ? s.almacenes.reduce((acc, a) => acc + (porAlmacen[a] || 0), 0)
+                    : null;
+            });
+            return { ...item, ...columnas };
+        });
+    }
+
+    return resultado;
+};
+
+/**
+ * Transforma las columnas pivotadas de existencia (ALM_X_EXIST)
+ * en el objeto 'existencias' requerido y limpia las columnas originales.
+ * Las sucursales y sus nombres salen del registro en config/sucursales.js. Las de una empresa
+ * que no respondió en esta petición quedan en null; las demás, en 0 si no traen existencia.
+ * @param {Array<Object>} data Resultados crudos de la consulta SQL.
+ * @returns {Array<Object>} Datos transformados.
+ */
+function processExistencias(data) {
+    const sucursales = listarSucursales();
+    const noDisponibles = new Set(fuentesNoDisponibles().map(f => f.empresa));
+
+    return data.map(item => {
+        const existencias = {};
+
+        sucursales.forEach(sucursal => {
+            const rawKey = `ALM_${sucursal.id}_EXIST`;
+            // Asigna el valor o 0 si es NULL/missing (null si su empresa no respondió), y limpia el campo temporal
+            if (noDisponibles.has(sucursal.empresa)) existencias[sucursal.nombre] = null;
+            else existencias[sucursal.nombre] = item[rawKey] ? parseFloat(item[rawKey]) : 0;
+            delete item[rawKey];
+        });
+
+        item.existencias = existencias;
+        return item;
+    });
+}
+
+module.exports = {
+    processExistencias,
+    agregarExistenciasOtrasEmpresas
+};
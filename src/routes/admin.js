@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const { getAlmacen } = require('../cache');
+const { listarClientes, recargarClientes } = require('../config/clientesApi');
+const { estadoCupos } = require('../db/cuotas');
+const { consultasMasLentas, resumen: resumenConsultasLentas } = require('../db/consultasLentas');
+const { fichasDisponibles } = require('../middlewares/limites');
+const { usoRutasLegado } = require('../middlewares/versiones');
+const { buscarAccesos } = require('../services/auditoria');
+const { ErrorPeticion } = require('../errores');
+const log = require('../log');
+
+/**
+ * GET /api/admin/cache
+ * Estadísticas del almacén de caché activo.
+ */
+router.get('/cache', async (req, res, next) => {
+    try {
+        res.json(await getAlmacen().estadisticas());
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/admin/cache?prefijo=/api/dashboard
+ * Invalida las respuestas cacheadas cuya ruta empieza con el prefijo.
+ * Sin prefijo se vacía todo el caché.
+ */
+router.delete('/cache', async (req, res, next) => {
+    const prefijo = String(req.query.prefijo || '').trim();
+
+    if (prefijo && !prefijo.startsWith('/')) {
+        return next(new ErrorPeticion("El prefijo debe ser una ruta que empiece con '/', ej. /api/dashboard."));
+    }
+
+    try {
+        const eliminadas = await getAlmacen().eliminarPorPrefijo(prefijo);
+        log.info('Caché invalidado', { prefijo: prefijo || '*', eliminadas });
+        res.json({ prefijo: prefijo || null, eliminadas });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/clientes-api
+ * Clientes registrados con sus scopes, sucursales y vigencia (nunca el hash de la llave).
+ */
+router.get('/clientes-api', (req, res) => {
+    res.json(listarClientes().map(({ hash, ...cliente }) => cliente));
+});
+
+/**
+ * POST /api/admin/clientes-api/recargar
+ * Relee API_CLIENTES_CONFIG para aplicar altas o revocaciones sin reiniciar.
+ * Si el archivo es inválido se conserva el registro anterior.
+ */
+router.post('/clientes-api/recargar', (req, res, next) => {
+    try {
+        const clientes = recargarClientes();
+        log.info('Registro de clientes de la API recargado', { clientes });
+        res.json({ clientes });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/limites
+ * Límites de cada cliente, peticiones que le quedan en este momento y consultas activas/en espera por empresa.
+ */
+router.get('/limites', (req, res) => {
+    const cupos = estadoCupos();
+
+    res.json(listarClientes().map(cliente => ({
+        nombre: cliente.nombre,
+        limites: cliente.limites,
+        peticionesDisponibles: fichasDisponibles(cliente.nombre) ?? cliente.limites.peticionesPorMinuto,
+        consultas: cupos
+            .filter(c => c.cliente === cliente.nombre)
+            .map(({ empresa, activas, enEspera }) => ({ empresa, activas, enEspera }))
+    })));
+});
+
+/**
+ * GET /api/admin/consultas-lentas?limite=20&orden=total
+ * Consultas que rebasaron el umbral desde el arranque, agrupadas por huella del SQL normalizado.
+ * orden: total (tiempo acumulado), maximo o veces. El detalle de cada ejecución está en el archivo del registro.
+ */
+router.get('/consultas-lentas', (req, res) => {
+    const limite = parseInt(req.query.limite, 10) || 20;
+    const orden = req.query.orden || 'total';
+
+    res.json({
+        ...resumenConsultasLentas(),
+        orden,
+        consultas: consultasMasLentas({ limite, orden })
+    });
+});
+
+/**
+ * GET /api/admin/rutas-legado
+ * Peticiones a las rutas anteriores a /api/v1 desde el arranque, por cliente, para decidir cuándo retirarlas.
+ */
+router.get('/rutas-legado', (req, res) => {
+    res.json(usoRutasLegado());
+});
+
+// Periodo de búsqueda en la auditoría cuando no se indican fechas
+const DIAS_AUDITORIA_POR_DEFECTO = 30;
+
+/**
+ * Fecha del filtro de auditoría a ISO; una fecha sin hora como límite final incluye todo el día.
+ */
+const fechaDeFiltro = (valor, nombre, { finDelDia = false } = {}) => {
+    const texto = /^\d{4}-\d{2}-\d{2}$/.test(valor) ? `${valor}T${finDelDia ? '23:59:59.999' : '00:00:00.000'}Z` : valor;
+    const fecha = new Date(texto);
+    if (Number.isNaN(fecha.getTime())) throw new ErrorPeticion(`Fecha inválida en ${nombre}: ${valor}`);
+    return fecha.toISOString();
+};
+
+/**
+ * GET /api/admin/auditoria?cliente=tienda&ruta=/api/clientes&desde=2026-10-01&hasta=2026-10-19&limite=100
+ * Accesos a rutas con datos sensibles (x-auditoria), del más reciente al más antiguo.
+ */
+router.get('/auditoria', async (req, res, next) => {
+    try {
+        const { cliente, ruta } = req.query;
+        const hasta = req.query.hasta ? fechaDeFiltro(req.query.hasta, 'hasta', { finDelDia: true }) : new Date().toISOString();
+        const desde = req.query.desde
+            ? fechaDeFiltro(req.query.desde, 'desde')
+            : new Date(Date.parse(hasta) - DIAS_AUDITORIA_POR_DEFECTO * 24 * 60 * 60 * 1000).toISOString();
+        const limite = parseInt(req.query.limite, 10) || 100;
+
+        if (desde > hasta) throw new ErrorPeticion('La fecha desde debe ser anterior a hasta.');
+
+        const { total, accesos } = await buscarAccesos({ cliente, ruta, desde, hasta, limite });
+        res.json({ desde, hasta, total, accesos });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/busquedaProductosController');
+
+// Endpoint: GET /api/busqueda?q=RETEN&modos=clave,alterna,descripcion&incluir=precios,ultimo_costo
+// Modos: clave, prefijo, contiene, alterna, descripcion, ecommerce (por defecto todos)
+// Incluir: precios, ultimo_costo, proveedor_qro, existencias_otras_empresas
+router.get('/', controller.buscar);
+
+module.exports = router;
@@ -1,33 +1,34 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../db'); // Conexión a Empresa 2 (sufijo 02)
+const { getPrincipal } = require('../db');
+const { columna, textoNormalizado, parseNumero } = require('../config/atributos');
+const { cacheRespuesta } = require('../middlewares/cache');
+const { ErrorPeticion } = require('../errores');
+
+const principal = getPrincipal(); // Empresa 02
 
 /**
- * GET /api/almacenes
+ * GET /api/catalogos/almacenes
  * Retorna el catálogo de almacenes activos con formato para DropDownList.
  */
-router.get('/almacenes', async (req, res) => {
+router.get('/almacenes', async (req, res, next) => {
     try {
         // Usamos alias (as) para mapear CVE_ALM a "id" y DESCR a "nombre"
         const sql = `
             SELECT 
                 CVE_ALM as "id", 
                 TRIM(DESCR) as "nombre" 
-            FROM ALMACENES02 
+            FROM ${principal.tabla('ALMACENES')} 
             WHERE STATUS = 'A' 
             ORDER BY CVE_ALM ASC`;
 
-        const almacenes = await db.query(sql);
+        const almacenes = await principal.query(sql);
 
         // Al usar alias en el SQL, el arreglo resultante ya viene con el formato deseado
         res.json(almacenes);
 
     } catch (error) {
-        console.error("Error al obtener almacenes:", error.message);
-        res.status(500).json({ 
-            error: "Error al obtener el catálogo de almacenes", 
-            detalle: error.message 
-        });
+        next(error);
     }
 });
 
@@ -76,7 +77,7 @@ router.get('/almacenes', async (req, res) => {
     sql += ` ORDER BY "LINEA" ASC, "PERFIL" ASC `;
 
     try {
-        const rows = await db.query(sql, params);
+        const rows = await principal.query(sql, params);
 
         const lineasMap = {};
 
@@ -113,14 +114,11 @@ router.get('/almacenes', async (req, res) => {
  * Retorna las líneas y sus perfiles asociados filtrados por una familia específica.
  * Incluye unificación dinámica y blindada para "SELLOS U" y "SELLOS DE VASTAGO".
  */
-router.get('/jerarquia', async (req, res) => {
+router.get('/jerarquia', cacheRespuesta(1800), async (req, res, next) => {
     const { familia, sist_med } = req.query;
 
     if (!familia) {
-        return res.status(400).json({ 
-            error: "Parámetro requerido", 
-            detalle: "Debes proporcionar el parámetro 'familia' en la consulta." 
-        });
+        return next(new ErrorPeticion("Debes proporcionar el parámetro 'familia' en la consulta."));
     }
 
     const limpioFamilia = familia.trim().toUpperCase();
@@ -128,31 +126,31 @@ router.get('/jerarquia', async (req, res) => {
     // 1. Intercepción de la regla de negocio
     const unificarFamilias = limpioFamilia === 'SELLOS U' || limpioFamilia === 'SELLOS DE VASTAGO';
 
-    // 2. Construcción blindada del fragmento SQL para la familia (CAMPLIB24)
+    // 2. Construcción blindada del fragmento SQL para la familia (CAT_ECOMM)
     const sqlFamilia = unificarFamilias 
-        ? `UPPER(TRIM(COALESCE(C.CAMPLIB24, ''))) IN ('SELLOS U', 'SELLOS DE VASTAGO')`
-        : `UPPER(TRIM(COALESCE(C.CAMPLIB24, ''))) = CAST(? AS VARCHAR(100))`;
+        ? `${textoNormalizado('CAT_ECOMM', 'C')} IN ('SELLOS U', 'SELLOS DE VASTAGO')`
+        : `${textoNormalizado('CAT_ECOMM', 'C')} = CAST(? AS VARCHAR(100))`;
 
     let sql = `
         SELECT DISTINCT
             TRIM(I.LIN_PROD) as "LINEA",
-            TRIM(C.CAMPLIB13) as "PERFIL"
-        FROM INVE02 I
-        INNER JOIN INVE_CLIB02 C ON I.CVE_ART = C.CVE_PROD
+            TRIM(${columna('PERFIL', 'C')}) as "PERFIL"
+        FROM ${principal.tabla('INVE')} I
+        INNER JOIN ${principal.tabla('INVE_CLIB')} C ON I.CVE_ART = C.CVE_PROD
         WHERE I.STATUS = 'A'
           AND ${sqlFamilia}
           AND I.LIN_PROD IS NOT NULL 
           AND TRIM(I.LIN_PROD) <> ''
-          AND C.CAMPLIB13 IS NOT NULL 
-          AND TRIM(C.CAMPLIB13) <> ''
+          AND ${columna('PERFIL', 'C')} IS NOT NULL 
+          AND TRIM(${columna('PERFIL', 'C')}) <> ''
     `;
 
     // 3. Control dinámico de los parámetros base
     const params = unificarFamilias ? [] : [limpioFamilia];
 
-    // 4. Si se proporciona el sistema de medición (CAMPLIB17), se inyecta su condición y parámetro
+    // 4. Si se proporciona el sistema de medición (SIST_MED), se inyecta su condición y parámetro
     if (sist_med) {
-        sql += ` AND UPPER(TRIM(COALESCE(C.CAMPLIB17, ''))) = CAST(? AS VARCHAR(50)) `;
+        sql += ` AND ${textoNormalizado('SIST_MED', 'C')} = CAST(? AS VARCHAR(50)) `;
         params.push(sist_med.trim().toUpperCase());
     }
 
@@ -160,7 +158,7 @@ router.get('/jerarquia', async (req, res) => {
     sql += ` ORDER BY "LINEA" ASC, "PERFIL" ASC `;
 
     try {
-        const rows = await db.query(sql, params);
+        const rows = await principal.query(sql, params);
 
         const lineasMap = {};
 
@@ -184,11 +182,7 @@ router.get('/jerarquia', async (req, res) => {
         res.json(resultadoJerarquia);
 
     } catch (error) {
-        console.error("Error al obtener la jerarquía de catálogos:", error.message);
-        res.status(500).json({
-            error: "Error interno del servidor al procesar la jerarquía",
-            detalle: error.message
-        });
+        next(error);
     }
 });
 
@@ -197,15 +191,12 @@ router.get('/jerarquia', async (req, res) => {
  * Endpoint inteligente de autocompletado para dimensiones de productos.
  * Realiza un filtrado cruzado auto-excluyente para sugerir medidas reales existentes.
  */
-router.get('/sugerencias', async (req, res) => {
+router.get('/sugerencias', async (req, res, next) => {
     const { familia, sist_med, perfiles, diam_int, diam_ext, altura, seccion } = req.query;
 
     // 1. Validaciones obligatorias de la Etapa 3
     if (!familia || !sist_med) {
-        return res.status(400).json({
-            error: "Parámetros requeridos",
-            detalle: "Se requiere obligatoriamente 'familia' y 'sist_med' para calcular las sugerencias."
-        });
+        return next(new ErrorPeticion("Se requiere obligatoriamente 'familia' y 'sist_med' para calcular las sugerencias."));
     }
 
     const limpioFamilia = familia.trim().toUpperCase();
@@ -214,15 +205,15 @@ router.get('/sugerencias', async (req, res) => {
     // 2. Construcción de consulta base acotada por catálogo y sistema de medición
     let sql = `
         SELECT 
-            TRIM(C.CAMPLIB1) as "DI",
-            TRIM(C.CAMPLIB2) as "DE",
-            TRIM(C.CAMPLIB3) as "ALT",
-            TRIM(C.CAMPLIB7) as "SEC"
-        FROM INVE02 I
-        INNER JOIN INVE_CLIB02 C ON I.CVE_ART = C.CVE_PROD
+            TRIM(${columna('DIAM_INT', 'C')}) as "DI",
+            TRIM(${columna('DIAM_EXT', 'C')}) as "DE",
+            TRIM(${columna('ALTURA', 'C')}) as "ALT",
+            TRIM(${columna('SECCION', 'C')}) as "SEC"
+        FROM ${principal.tabla('INVE')} I
+        INNER JOIN ${principal.tabla('INVE_CLIB')} C ON I.CVE_ART = C.CVE_PROD
         WHERE I.STATUS = 'A'
-          AND UPPER(TRIM(C.CAMPLIB24)) = CAST(? AS VARCHAR(100))
-          AND UPPER(TRIM(C.CAMPLIB17)) = CAST(? AS VARCHAR(50))
+          AND UPPER(TRIM(${columna('CAT_ECOMM', 'C')})) = CAST(? AS VARCHAR(100))
+          AND UPPER(TRIM(${columna('SIST_MED', 'C')})) = CAST(? AS VARCHAR(50))
     `;
     const params = [limpioFamilia, limpioSistMed];
 
@@ -231,35 +222,29 @@ router.get('/sugerencias', async (req, res) => {
         const arrPerfiles = perfiles.split(',').map(p => p.trim().toUpperCase()).filter(p => p !== '');
         if (arrPerfiles.length > 0) {
             const placeholders = arrPerfiles.map(() => '?').join(',');
-            sql += ` AND UPPER(TRIM(C.CAMPLIB13)) IN (${placeholders}) `;
+            sql += ` AND UPPER(TRIM(${columna('PERFIL', 'C')})) IN (${placeholders}) `;
             params.push(...arrPerfiles);
         }
     }
 
     try {
-        const rows = await db.query(sql, params);
+        const rows = await principal.query(sql, params);
 
         // 3. Normalización y limpieza de los datos crudos de Firebird en memoria
         const registrosDimensiones = rows.map(r => {
-            const parseDim = (val) => {
-                if (!val) return null;
-                const normalized = val.replace(',', '.'); // Compatibilidad total con comas decimales
-                const num = parseFloat(normalized);
-                return isNaN(num) ? null : num;
-            };
             return {
-                di: parseDim(r.DI),
-                de: parseDim(r.DE),
-                alt: parseDim(r.ALT),
-                sec: parseDim(r.SEC)
+                di: parseNumero(r.DI),
+                de: parseNumero(r.DE),
+                alt: parseNumero(r.ALT),
+                sec: parseNumero(r.SEC)
             };
         }).filter(r => r.di !== null || r.de !== null || r.alt !== null || r.sec !== null);
         
         // 4. Parsear inputs actuales enviados por el usuario desde el frontend
-        const targetDi = diam_int ? parseFloat(String(diam_int).replace(',', '.')) : null;
-        const targetDe = diam_ext ? parseFloat(String(diam_ext).replace(',', '.')) : null;
-        const targetAlt = altura ? parseFloat(String(altura).replace(',', '.')) : null;
-        const targetSec = seccion ? parseFloat(String(seccion).replace(',', '.')) : null;
+        const targetDi = parseNumero(diam_int);
+        const targetDe = parseNumero(diam_ext);
+        const targetAlt = parseNumero(altura);
+        const targetSec = parseNumero(seccion);
 
         // Función auxiliar para comparar flotantes con un margen de tolerancia (Epsilon)
         const cumpleFiltro = (valorConstante, valorFiltroTarget) => {
@@ -308,11 +293,7 @@ router.get('/sugerencias', async (req, res) => {
         });
 
     } catch (error) {
-        console.error("Error en endpoint de sugerencias inteligentes:", error.message);
-        res.status(500).json({
-            error: "Error interno del servidor al procesar el catálogo de sugerencias",
-            detalle: error.message
-        });
+        next(error);
     }
 });
 
@@ -352,7 +333,7 @@ router.get('/sugerencias', async (req, res) => {
     `;
 
     try {
-        const rows = await db.query(sql, [limpioFamilia, limpioSistMed]); //
+        const rows = await principal.query(sql, [limpioFamilia, limpioSistMed]); //
 
         // 2. Normalización de datos numéricos y de texto en memoria
         const parseDim = (val) => {
@@ -451,14 +432,11 @@ router.get('/sugerencias', async (req, res) => {
  * Endpoint inteligente de autocompletado cruzado V2.
  * Incluye unificación dinámica para "SELLOS U" y "SELLOS DE VASTAGO".
  */
-router.get('/sugerencias-v2', async (req, res) => {
+router.get('/sugerencias-v2', async (req, res, next) => {
     const { familia, sist_med, perfiles, diam_int, diam_ext, altura, seccion } = req.query;
 
     if (!familia || !sist_med) {
-        return res.status(400).json({
-            error: "Parámetros requeridos",
-            detalle: "Se requiere obligatoriamente 'familia' y 'sist_med'."
-        });
+        return next(new ErrorPeticion("Se requiere obligatoriamente 'familia' y 'sist_med'."));
     }
 
     const limpioFamilia = familia.trim().toUpperCase();
@@ -469,23 +447,23 @@ router.get('/sugerencias-v2', async (req, res) => {
 
     // 2. Construcción del fragmento SQL dinámico para la familia
     const sqlFamilia = unificarFamilias 
-        ? `UPPER(TRIM(C.CAMPLIB24)) IN (CAST(? AS VARCHAR(100)), CAST(? AS VARCHAR(100)))`
-        : `UPPER(TRIM(C.CAMPLIB24)) = CAST(? AS VARCHAR(100))`;
+        ? `UPPER(TRIM(${columna('CAT_ECOMM', 'C')})) IN (CAST(? AS VARCHAR(100)), CAST(? AS VARCHAR(100)))`
+        : `UPPER(TRIM(${columna('CAT_ECOMM', 'C')})) = CAST(? AS VARCHAR(100))`;
 
     // 3. Consulta base acoplada con el SQL dinámico
     const sql = `
         SELECT 
-            TRIM(C.CAMPLIB1) as "DI",
-            TRIM(C.CAMPLIB2) as "DE",
-            TRIM(C.CAMPLIB3) as "ALT",
-            TRIM(C.CAMPLIB7) as "SEC",
-            TRIM(C.CAMPLIB13) as "PERFIL",
+            TRIM(${columna('DIAM_INT', 'C')}) as "DI",
+            TRIM(${columna('DIAM_EXT', 'C')}) as "DE",
+            TRIM(${columna('ALTURA', 'C')}) as "ALT",
+            TRIM(${columna('SECCION', 'C')}) as "SEC",
+            TRIM(${columna('PERFIL', 'C')}) as "PERFIL",
             TRIM(I.LIN_PROD) as "LINEA"
-        FROM INVE02 I
-        INNER JOIN INVE_CLIB02 C ON I.CVE_ART = C.CVE_PROD
+        FROM ${principal.tabla('INVE')} I
+        INNER JOIN ${principal.tabla('INVE_CLIB')} C ON I.CVE_ART = C.CVE_PROD
         WHERE I.STATUS = 'A'
           AND ${sqlFamilia}
-          AND UPPER(TRIM(C.CAMPLIB17)) = CAST(? AS VARCHAR(50))
+          AND UPPER(TRIM(${columna('SIST_MED', 'C')})) = CAST(? AS VARCHAR(50))
     `;
 
     // 4. Inyección condicional de parámetros para Firebird
@@ -494,29 +472,23 @@ router.get('/sugerencias-v2', async (req, res) => {
         : [limpioFamilia, limpioSistMed];
 
     try {
-        const rows = await db.query(sql, params); //
+        const rows = await principal.query(sql, params); //
 
         // 5. Normalización de datos numéricos y de texto en memoria
-        const parseDim = (val) => {
-            if (!val) return null;
-            const num = parseFloat(val.replace(',', '.')); // Compatibilidad nativa para comas
-            return isNaN(num) ? null : num;
-        };
-
         const registros = rows.map(r => ({
-            di: parseDim(r.DI),
-            de: parseDim(r.DE),
-            alt: parseDim(r.ALT),
-            sec: parseDim(r.SEC),
+            di: parseNumero(r.DI),
+            de: parseNumero(r.DE),
+            alt: parseNumero(r.ALT),
+            sec: parseNumero(r.SEC),
             perfil: r.PERFIL ? r.PERFIL.trim().toUpperCase() : null,
             linea: r.LINEA ? r.LINEA.trim().toUpperCase() : null
         }));
 
         // 6. Parsear inputs actuales enviados por el usuario
-        const targetDi = diam_int ? parseFloat(String(diam_int).replace(',', '.')) : null;
-        const targetDe = diam_ext ? parseFloat(String(diam_ext).replace(',', '.')) : null;
-        const targetAlt = altura ? parseFloat(String(altura).replace(',', '.')) : null;
-        const targetSec = seccion ? parseFloat(String(seccion).replace(',', '.')) : null;
+        const targetDi = parseNumero(diam_int);
+        const targetDe = parseNumero(diam_ext);
+        const targetAlt = parseNumero(altura);
+        const targetSec = parseNumero(seccion);
         
         // Limpieza profunda: neutraliza arrays de Express, comillas dobles, simples y espacios
         let targetPerfiles = null;
@@ -580,11 +552,7 @@ router.get('/sugerencias-v2', async (req, res) => {
         });
 
     } catch (error) {
-        console.error("Error en /sugerencias-v2:", error.message);
-        res.status(500).json({
-            error: "Error interno del servidor",
-            detalle: error.message
-        });
+        next(error);
     }
 });
 
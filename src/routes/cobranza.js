@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../db');   // Empresa 2
-const db3 = require('../db3'); // Empresa 3 (Fresnillo)
+const { listarEmpresas, siDisponible, consultarEmpresas, TIEMPO_LIMITE_ANALITICO_MS } = require('../db');
+const { fuentesNoDisponibles } = require('../contexto');
+const { cacheRespuesta } = require('../middlewares/cache');
+const { solicitaExcel, enviarLibro } = require('../services/excel');
 
 const round2 = (num) => Math.round((num + Number.EPSILON) * 100) / 100;
 
@@ -110,59 +112,67 @@ const round2 = (num) => Math.round((num + Number.EPSILON) * 100) / 100;
     }
 }); */
 
-router.get('/cxc-resumen', async (req, res) => {
+// Caché de 5 min: el tablero se refresca solo y la cartera no cambia al minuto
+router.get('/cxc-resumen', cacheRespuesta(300), async (req, res, next) => {
     const now = new Date();
     const mes = parseInt(req.query.mes) || (now.getMonth() + 1);
     const anio = parseInt(req.query.anio) || now.getFullYear();
 
     try {
-        // --- 1. OBTENER FACTURACIÓN (Secuencial) ---
-        const sqlFact2 = `SELECT SUM(IMPORTE) as TOTAL FROM FACTF02 WHERE TIP_DOC='F' AND STATUS<>'C' AND TRIM(CVE_CLPV)<>'4239' AND EXTRACT(MONTH FROM FECHA_DOC)=? AND EXTRACT(YEAR FROM FECHA_DOC)=?`;
-        const sqlFact3 = `SELECT SUM(IMPORTE) as TOTAL FROM FACTF03 WHERE TIP_DOC='F' AND STATUS<>'C' AND TRIM(CVE_CLPV)<>'2257' AND EXTRACT(MONTH FROM FECHA_DOC)=? AND EXTRACT(YEAR FROM FECHA_DOC)=?`;
-        
-        const f2 = await db.query(sqlFact2, [mes, anio]);
-        const f3 = await db3.query(sqlFact3, [mes, anio]);
-
-        // --- 2. OBTENER COBRANZA (Secuencial) ---
-        const sqlCobrado2 = `SELECT SUM(IMPORTE) as TOTAL FROM CUEN_DET02 WHERE TRIM(CVE_CLIE)<>'4239' AND EXTRACT(MONTH FROM FECHAELAB)=? AND EXTRACT(YEAR FROM FECHAELAB)=?`;
-        const sqlCobrado3 = `SELECT SUM(IMPORTE) as TOTAL FROM CUEN_DET03 WHERE TRIM(CVE_CLIE)<>'2257' AND EXTRACT(MONTH FROM FECHAELAB)=? AND EXTRACT(YEAR FROM FECHAELAB)=?`;
-        
-        const c2 = await db.query(sqlCobrado2, [mes, anio]);
-        const c3 = await db3.query(sqlCobrado3, [mes, anio]);
-
-        // --- 3. OBTENER CARTERA (Las más pesadas, una por una) ---
-        const sqlCartera = (sufijo, clieExcluir) => `
+        const sqlFact = (empresa) => `SELECT SUM(IMPORTE) as TOTAL FROM ${empresa.tabla('FACTF')} WHERE TIP_DOC='F' AND STATUS<>'C' AND TRIM(CVE_CLPV)<>? AND EXTRACT(MONTH FROM FECHA_DOC)=? AND EXTRACT(YEAR FROM FECHA_DOC)=?`;
+        const sqlCobrado = (empresa) => `SELECT SUM(IMPORTE) as TOTAL FROM ${empresa.tabla('CUEN_DET')} WHERE TRIM(CVE_CLIE)<>? AND EXTRACT(MONTH FROM FECHAELAB)=? AND EXTRACT(YEAR FROM FECHAELAB)=?`;
+        const sqlCartera = (empresa) => `
             SELECT 
                 F.CVE_CLPV, 
                 TRIM(C.NOMBRE) as NOMBRE_CLIENTE,
                 F.IMPORTE - COALESCE(P.PAGADO, 0) as SALDO,
                 F.FECHA_VEN
-            FROM FACTF${sufijo} F
+            FROM ${empresa.tabla('FACTF')} F
             LEFT JOIN (
                 SELECT REFER, SUM(IMPORTE) as PAGADO 
-                FROM CUEN_DET${sufijo} 
+                FROM ${empresa.tabla('CUEN_DET')} 
                 GROUP BY REFER
             ) P ON P.REFER = F.CVE_DOC
-            INNER JOIN CLIE${sufijo} C ON C.CLAVE = F.CVE_CLPV
+            INNER JOIN ${empresa.tabla('CLIE')} C ON C.CLAVE = F.CVE_CLPV
             WHERE F.METODODEPAGO = 'PPD' 
             AND F.STATUS <> 'C'
-            AND TRIM(F.CVE_CLPV) <> '${clieExcluir}'
+            AND TRIM(F.CVE_CLPV) <> ?
             AND (F.IMPORTE - COALESCE(P.PAGADO, 0)) > 0.01`;
 
-        // Ejecutamos primero una empresa y luego la otra para no saturar el pool
-        const cartera2 = await db.query(sqlCartera('02', '4239'));
-        const cartera3 = await db3.query(sqlCartera('03', '2257'));
+        let tFacturado = 0;
+        let tCobrado = 0;
+        const cartera = [];
 
-        // --- 4. PROCESAMIENTO DE DATOS EN NODE.JS ---
-        const tFacturado = round2((f2[0]?.TOTAL || 0) + (f3[0]?.TOTAL || 0));
-        const tCobrado = round2((c2[0]?.TOTAL || 0) + (c3[0]?.TOTAL || 0));
+        // Secuencial: empresa por empresa y consulta por consulta para no saturar los pools
+        // (la cartera es la más pesada). Una empresa que no responde queda fuera de los totales
+        // y se indica en fuentes_no_disponibles.
+        for (const empresa of listarEmpresas()) {
+            const datos = await siDisponible(empresa, async () => ({
+                f: await empresa.query(sqlFact(empresa), [empresa.clienteInterno, mes, anio],
+                    { nombre: 'cxc_facturado', tiempoLimiteMs: TIEMPO_LIMITE_ANALITICO_MS }),
+                c: await empresa.query(sqlCobrado(empresa), [empresa.clienteInterno, mes, anio],
+                    { nombre: 'cxc_cobrado', tiempoLimiteMs: TIEMPO_LIMITE_ANALITICO_MS }),
+                docs: await empresa.query(sqlCartera(empresa), [empresa.clienteInterno],
+                    { nombre: 'cxc_cartera', tiempoLimiteMs: TIEMPO_LIMITE_ANALITICO_MS })
+            }));
+            if (!datos) continue;
+
+            const { f, c, docs } = datos;
+            tFacturado += f[0]?.TOTAL || 0;
+            tCobrado += c[0]?.TOTAL || 0;
+            cartera.push(...docs);
+        }
+
+        // --- PROCESAMIENTO DE DATOS EN NODE.JS ---
+        tFacturado = round2(tFacturado);
+        tCobrado = round2(tCobrado);
         const indice = tFacturado > 0 ? round2((tCobrado / tFacturado) * 100) : 0;
 
         const hoy = new Date();
         const antiguedadMap = { "Al corriente": 0, "1-30 días": 0, "31-60 días": 0, "61-90 días": 0, "90+ días": 0 };
         const deudoresMap = {};
 
-        [...cartera2, ...cartera3].forEach(doc => {
+        cartera.forEach(doc => {
             const saldo = parseFloat(doc.SALDO);
             const nombre = doc.NOMBRE_CLIENTE || 'SIN NOMBRE';
             const fVence = new Date(doc.FECHA_VEN);
@@ -180,7 +190,7 @@ router.get('/cxc-resumen', async (req, res) => {
             }
         });
 
-        res.json({
+        const respuesta = {
             periodo: { mes, anio },
             cobrabilidad: {
                 total_facturado: tFacturado,
@@ -192,11 +202,55 @@ router.get('/cxc-resumen', async (req, res) => {
                 .map(([nombre, monto]) => ({ nombre, monto: round2(monto) }))
                 .sort((a, b) => b.monto - a.monto)
                 .slice(0, 10)
+        };
+
+        if (!solicitaExcel(req)) return res.json(respuesta);
+
+        // ?format=xlsx: indicadores en Resumen más antigüedad, deudores y el detalle de la cartera
+        const { cobrabilidad } = respuesta;
+        await enviarLibro(res, {
+            nombreArchivo: `cxc-resumen-${anio}-${String(mes).padStart(2, '0')}`,
+            resumen: [
+                { concepto: 'Mes', valor: mes, tipo: 'entero' },
+                { concepto: 'Año', valor: anio },
+                { concepto: 'Total facturado', valor: cobrabilidad.total_facturado, tipo: 'moneda' },
+                { concepto: 'Total cobrado', valor: cobrabilidad.total_cobrado, tipo: 'moneda' },
+                { concepto: 'Índice de cobrabilidad (%)', valor: cobrabilidad.indice_cobrabilidad, tipo: 'porcentaje' },
+                { concepto: 'Documentos con saldo', valor: cartera.length, tipo: 'entero' },
+                ...fuentesNoDisponibles().map(fuente => ({ concepto: 'Sin datos (no disponible)', valor: fuente.nombre }))
+            ],
+            hojas: [
+                {
+                    nombre: 'Antigüedad de saldos',
+                    columnas: [
+                        { encabezado: 'Antigüedad', campo: 'etiqueta' },
+                        { encabezado: 'Monto', campo: 'monto', tipo: 'moneda' }
+                    ],
+                    filas: respuesta.antiguedad_saldos
+                },
+                {
+                    nombre: 'Principales deudores',
+                    columnas: [
+                        { encabezado: 'Cliente', campo: 'nombre', ancho: 45 },
+                        { encabezado: 'Saldo', campo: 'monto', tipo: 'moneda' }
+                    ],
+                    filas: respuesta.top_deudores
+                },
+                {
+                    nombre: 'Cartera',
+                    columnas: [
+                        { encabezado: 'Clave cliente', campo: 'CVE_CLPV' },
+                        { encabezado: 'Cliente', campo: 'NOMBRE_CLIENTE', ancho: 45 },
+                        { encabezado: 'Saldo', campo: 'SALDO', tipo: 'moneda' },
+                        { encabezado: 'Vencimiento', campo: 'FECHA_VEN', tipo: 'fecha' }
+                    ],
+                    filas: cartera
+                }
+            ]
         });
 
     } catch (error) {
-        console.error("Error en CxC Resumen:", error.message);
-        res.status(500).json({ error: "Error al procesar cartera", detalle: error.message });
+        next(error);
     }
 });
 
@@ -204,31 +258,29 @@ router.get('/cxc-resumen', async (req, res) => {
  * GET /api/dashboard/cxc-overview
  * Proporciona el monto total consolidado de la cartera vencida (> 30 días).
  */
-router.get('/cxc-overview', async (req, res) => {
+router.get('/cxc-overview', async (req, res, next) => {
     try {
-        const sqlVencido = (sufijo, clieExcluir) => `
+        const sqlVencido = (empresa) => `
             SELECT SUM(F.IMPORTE - COALESCE(P.PAGADO, 0)) as TOTAL_VENCIDO
-            FROM FACTF${sufijo} F
+            FROM ${empresa.tabla('FACTF')} F
             LEFT JOIN (
                 SELECT REFER, SUM(IMPORTE) as PAGADO 
-                FROM CUEN_DET${sufijo} 
+                FROM ${empresa.tabla('CUEN_DET')} 
                 GROUP BY REFER
             ) P ON P.REFER = F.CVE_DOC
             WHERE F.METODODEPAGO = 'PPD' 
               AND F.STATUS <> 'C'
-              AND TRIM(F.CVE_CLPV) <> '${clieExcluir}'
+              AND TRIM(F.CVE_CLPV) <> ?
               AND DATEDIFF(day, F.FECHA_VEN, CURRENT_DATE) > 30
               AND (F.IMPORTE - COALESCE(P.PAGADO, 0)) > 0.01`;
 
-        // Ejecución simultánea en ambas bases de datos
-        const [res2, res3] = await Promise.all([
-            db.query(sqlVencido('02', '4239')),
-            db3.query(sqlVencido('03', '2257'))
-        ]);
+        // Ejecución simultánea en todas las empresas configuradas (null las que no responden)
+        const resultados = await consultarEmpresas(empresa => empresa.query(sqlVencido(empresa), [empresa.clienteInterno],
+            { nombre: 'cxc_vencido', tiempoLimiteMs: TIEMPO_LIMITE_ANALITICO_MS }));
 
         // Consolidación en una sola variable
         const totalConsolidado = round2(
-            (res2[0]?.TOTAL_VENCIDO || 0) + (res3[0]?.TOTAL_VENCIDO || 0)
+            resultados.reduce((acc, r) => acc + (r?.[0]?.TOTAL_VENCIDO || 0), 0)
         );
 
         res.json({
@@ -237,11 +289,7 @@ router.get('/cxc-overview', async (req, res) => {
         });
 
     } catch (error) {
-        console.error("Error en CxC Overview:", error.message);
-        res.status(500).json({ 
-            error: "Error al obtener resumen de cartera", 
-            detalle: error.message 
-        });
+        next(error);
     }
 });
 
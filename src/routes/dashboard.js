@@ -1,107 +1,75 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../db');
-const db3 = require('../db3');
-
-const ALMACENES_MAP = {
-    '1': 'Durango',
-    '5': 'Mazatlán',
-    '6': 'Zacatecas',
-    '7': 'Querétaro',
-    '10': 'Fresnillo'
-};
+const { listarEmpresas, consultarEmpresas, TIEMPO_LIMITE_ANALITICO_MS } = require('../db');
+const { listarSucursales, sucursalDeAlmacen } = require('../config/sucursales');
+const { cacheRespuesta } = require('../middlewares/cache');
+const { columna, rango, condicion, donde } = require('../db/consulta');
 
 const round2 = (num) => Math.round((num + Number.EPSILON) * 100) / 100;
 
-router.get('/ventas-resumen', async (req, res) => {
+router.get('/ventas-resumen', async (req, res, next) => {
     const now = new Date();
     const mes = parseInt(req.query.mes) || (now.getMonth() + 1);
     const anio = parseInt(req.query.anio) || now.getFullYear();
 
     try {
-        // --- QUERIES EMPRESA 02 (Principal) ---
-        // Usamos TRIM para eliminar espacios y asegurar la exclusión del cliente 4239
-        const sqlFacturas2 = `
-            SELECT NUM_ALMA, SUM(CAN_TOT) as TOTAL 
-            FROM FACTF02 
-            WHERE TIP_DOC = 'F' AND STATUS <> 'C' 
-            AND TRIM(CVE_CLPV) <> '4239'
-            AND EXTRACT(MONTH FROM FECHA_DOC) = ? 
-            AND EXTRACT(YEAR FROM FECHA_DOC) = ?
-            GROUP BY NUM_ALMA`;
-
-        const sqlRemisiones2 = `
+        // Query de ventas por empresa y almacén; el cliente interno (traspasos) se excluye
+        // con TRIM para eliminar espacios.
+        const sqlVentas = (empresa, nombreTabla) => `
             SELECT NUM_ALMA, SUM(CAN_TOT) as TOTAL 
-            FROM FACTR02 
-            WHERE TIP_DOC = 'R' AND STATUS <> 'C' 
-            AND TRIM(CVE_CLPV) <> '4239'
-            AND (COALESCE(TIP_DOC_SIG, '') <> 'F')
+            FROM ${empresa.tabla(nombreTabla)} 
+            WHERE TIP_DOC = '${nombreTabla === 'FACTF' ? 'F' : 'R'}' AND STATUS <> 'C' 
+            AND TRIM(CVE_CLPV) <> ?
+            ${nombreTabla === 'FACTR' ? "AND (COALESCE(TIP_DOC_SIG, '') <> 'F')" : ''}
             AND EXTRACT(MONTH FROM FECHA_DOC) = ? 
             AND EXTRACT(YEAR FROM FECHA_DOC) = ?
             GROUP BY NUM_ALMA`;
 
-        // --- QUERIES EMPRESA 03 (Fresnillo) ---
-        // Usamos TRIM para asegurar la exclusión del cliente 2257
-        const sqlFacturas3 = `
-            SELECT SUM(CAN_TOT) as TOTAL 
-            FROM FACTF03 
-            WHERE TIP_DOC = 'F' AND STATUS <> 'C' 
-            AND TRIM(CVE_CLPV) <> '2257'
-            AND EXTRACT(MONTH FROM FECHA_DOC) = ? 
-            AND EXTRACT(YEAR FROM FECHA_DOC) = ?`;
-
-        const sqlRemisiones3 = `
-            SELECT SUM(CAN_TOT) as TOTAL 
-            FROM FACTR03 
-            WHERE TIP_DOC = 'R' AND STATUS <> 'C' 
-            AND TRIM(CVE_CLPV) <> '2257'
-            AND (COALESCE(TIP_DOC_SIG, '') <> 'F')
-            AND EXTRACT(MONTH FROM FECHA_DOC) = ? 
-            AND EXTRACT(YEAR FROM FECHA_DOC) = ?`;
-
-        const [f2, r2, f3, r3] = await Promise.all([
-            db.query(sqlFacturas2, [mes, anio]),
-            db.query(sqlRemisiones2, [mes, anio]),
-            db3.query(sqlFacturas3, [mes, anio]),
-            db3.query(sqlRemisiones3, [mes, anio])
-        ]);
+        // Una empresa que no responde (ej. Fresnillo) deja sus sucursales en null y el resumen
+        // global con las demás; la respuesta la indica en fuentes_no_disponibles
+        const empresas = listarEmpresas();
+        const resultados = await consultarEmpresas(empresa => Promise.all([
+            empresa.query(sqlVentas(empresa, 'FACTF'), [empresa.clienteInterno, mes, anio], { nombre: 'ventas_facturas' }),
+            empresa.query(sqlVentas(empresa, 'FACTR'), [empresa.clienteInterno, mes, anio], { nombre: 'ventas_devoluciones' })
+        ]));
 
         const reporteSucursales = {};
-        Object.keys(ALMACENES_MAP).forEach(id => {
-            reporteSucursales[id] = {
-                id: parseInt(id),
-                nombre: ALMACENES_MAP[id],
+        listarSucursales().forEach(suc => {
+            reporteSucursales[suc.id] = {
+                id: suc.id,
+                nombre: suc.nombre,
                 ventas_facturadas: 0,
                 ventas_remisiones: 0,
                 total: 0
             };
         });
 
-        // Procesar Datos Principal (02)
-        f2.forEach(row => {
-            if (reporteSucursales[row.NUM_ALMA]) {
-                reporteSucursales[row.NUM_ALMA].ventas_facturadas += round2(row.TOTAL);
+        // Cada almacén se atribuye a su sucursal según el registro (Empresa 03 -> Fresnillo, id 10)
+        empresas.forEach((empresa, idx) => {
+            if (!resultados[idx]) {
+                listarSucursales().filter(suc => suc.empresa === empresa.id).forEach(suc => {
+                    Object.assign(reporteSucursales[suc.id], { ventas_facturadas: null, ventas_remisiones: null, total: null });
+                });
+                return;
             }
-        });
-        r2.forEach(row => {
-            if (reporteSucursales[row.NUM_ALMA]) {
-                reporteSucursales[row.NUM_ALMA].ventas_remisiones += round2(row.TOTAL);
-            }
-        });
 
-        // Procesar Fresnillo (03) -> Mapeado a ID 10
-        if (f3 && f3[0] && f3[0].TOTAL) {
-            reporteSucursales['10'].ventas_facturadas += round2(f3[0].TOTAL);
-        }
-        if (r3 && r3[0] && r3[0].TOTAL) {
-            reporteSucursales['10'].ventas_remisiones += round2(r3[0].TOTAL);
-        }
+            const [facturas, remisiones] = resultados[idx];
+            facturas.forEach(row => {
+                const suc = sucursalDeAlmacen(empresa.id, row.NUM_ALMA);
+                if (suc) reporteSucursales[suc.id].ventas_facturadas += round2(row.TOTAL);
+            });
+            remisiones.forEach(row => {
+                const suc = sucursalDeAlmacen(empresa.id, row.NUM_ALMA);
+                if (suc) reporteSucursales[suc.id].ventas_remisiones += round2(row.TOTAL);
+            });
+        });
 
         // Totales Finales
         let globalF = 0;
         let globalR = 0;
 
         Object.values(reporteSucursales).forEach(suc => {
+            if (suc.total === null) return;
             suc.ventas_facturadas = round2(suc.ventas_facturadas);
             suc.ventas_remisiones = round2(suc.ventas_remisiones);
             suc.total = round2(suc.ventas_facturadas + suc.ventas_remisiones);
@@ -120,67 +88,71 @@ router.get('/ventas-resumen', async (req, res) => {
         });
 
     } catch (error) {
-        console.error("Error en Dashboard (Filtro Clientes):", error.message);
-        res.status(500).json({ error: "Error al procesar el dashboard", detalle: error.message });
+        next(error);
     }
 });
 
 /**
  * GET /api/dashboard/ventas-tendencia
  * Parámetros: ?rango=3|6|12|24 o ?anio=2026
+ * Caché de 10 min (el tablero se refresca automáticamente).
  */
-router.get('/ventas-tendencia', async (req, res) => {
-    const { rango, anio } = req.query;
+router.get('/ventas-tendencia', cacheRespuesta(600), async (req, res, next) => {
+    const { rango: meses, anio } = req.query;
     const now = new Date();
     
     let fechaInicio, fechaFin;
 
-    // 1. Determinar el rango de fechas
-    if (anio) {
-        fechaInicio = `${anio}-01-01`;
-        fechaFin = `${anio}-12-31`;
+    // 1. Determinar el rango de fechas; sólo un año numérico llega a las fechas, que viajan como parámetros
+    const anioNumero = parseInt(anio, 10);
+    if (Number.isInteger(anioNumero)) {
+        fechaInicio = `${anioNumero}-01-01`;
+        fechaFin = `${anioNumero}-12-31`;
     } else {
-        const mesesARetrasar = parseInt(rango) || 3;
+        const mesesARetrasar = parseInt(meses) || 3;
         const inicio = new Date(now.getFullYear(), now.getMonth() - (mesesARetrasar - 1), 1);
         fechaInicio = inicio.toISOString().split('T')[0];
         fechaFin = new Date(now.getFullYear(), now.getMonth() + 1, 0).toISOString().split('T')[0];
     }
 
     try {
-        // Query base para Empresa 2 (Principal)
-        const sqlBase2 = (tabla) => `
-            SELECT 
-                EXTRACT(YEAR FROM FECHA_DOC) as ANIO,
-                EXTRACT(MONTH FROM FECHA_DOC) as MES,
-                NUM_ALMA,
-                SUM(CAN_TOT) as TOTAL
-            FROM ${tabla}
-            WHERE STATUS <> 'C' AND TRIM(CVE_CLPV) <> '4239'
-            AND FECHA_DOC BETWEEN '${fechaInicio}' AND '${fechaFin}'
-            ${tabla.includes('FACTR') ? "AND (COALESCE(TIP_DOC_SIG, '') <> 'F')" : ""}
-            GROUP BY 1, 2, 3
-            ORDER BY 1, 2`;
-
-        // Query base para Empresa 3 (Fresnillo)
-        const sqlBase3 = (tabla) => `
-            SELECT 
-                EXTRACT(YEAR FROM FECHA_DOC) as ANIO,
-                EXTRACT(MONTH FROM FECHA_DOC) as MES,
-                SUM(CAN_TOT) as TOTAL
-            FROM ${tabla}
-            WHERE STATUS <> 'C' AND TRIM(CVE_CLPV) <> '2257'
-            AND FECHA_DOC BETWEEN '${fechaInicio}' AND '${fechaFin}'
-            ${tabla.includes('FACTR') ? "AND (COALESCE(TIP_DOC_SIG, '') <> 'F')" : ""}
-            GROUP BY 1, 2
-            ORDER BY 1, 2`;
+        // Query base por empresa, desglosada por almacén
+        const consultaTendencia = (empresa, nombreTabla) => {
+            const filtros = donde(
+                condicion("STATUS <> 'C'"),
+                condicion('TRIM(CVE_CLPV) <> ?', empresa.clienteInterno),
+                rango(columna('FECHA_DOC'), { min: fechaInicio, max: fechaFin }),
+                nombreTabla === 'FACTR' ? condicion("(COALESCE(TIP_DOC_SIG, '') <> 'F')") : null
+            );
+            return {
+                sql: `
+                    SELECT 
+                        EXTRACT(YEAR FROM FECHA_DOC) as ANIO,
+                        EXTRACT(MONTH FROM FECHA_DOC) as MES,
+                        NUM_ALMA,
+                        SUM(CAN_TOT) as TOTAL
+                    FROM ${empresa.tabla(nombreTabla)}
+                    ${filtros.sql}
+                    GROUP BY 1, 2, 3
+                    ORDER BY 1, 2`,
+                params: filtros.params
+            };
+        };
 
         // Ejecución en paralelo
-        const [f2, r2, f3, r3] = await Promise.all([
-            db.query(sqlBase2('FACTF02')),
-            db.query(sqlBase2('FACTR02')),
-            db3.query(sqlBase3('FACTF03')),
-            db3.query(sqlBase3('FACTR03'))
-        ]);
+        // Las sucursales de una empresa que no responde quedan en null (ver X-Fuentes-No-Disponibles)
+        const empresas = listarEmpresas();
+        const resultados = await consultarEmpresas(empresa => {
+            const facturas = consultaTendencia(empresa, 'FACTF');
+            const devoluciones = consultaTendencia(empresa, 'FACTR');
+            return Promise.all([
+                empresa.query(facturas.sql, facturas.params,
+                    { nombre: 'tendencia_facturas', tiempoLimiteMs: TIEMPO_LIMITE_ANALITICO_MS }),
+                empresa.query(devoluciones.sql, devoluciones.params,
+                    { nombre: 'tendencia_devoluciones', tiempoLimiteMs: TIEMPO_LIMITE_ANALITICO_MS })
+            ]);
+        });
+        const noDisponibles = empresas.filter((empresa, idx) => !resultados[idx]).map(empresa => empresa.id);
 
         // 2. Generar el esqueleto de meses para el rango solicitado
         const mesesMap = {};
@@ -200,9 +172,9 @@ router.get('/ventas-tendencia', async (req, res) => {
                 periodo: key
             };
             
-            // Inicializar todas las sucursales en 0
-            Object.values(ALMACENES_MAP).forEach(nombre => {
-                objMes[nombre] = 0;
+            // Inicializar todas las sucursales en 0 (null las de empresas que no respondieron)
+            listarSucursales().forEach(suc => {
+                objMes[suc.nombre] = noDisponibles.includes(suc.empresa) ? null : 0;
             });
 
             mesesMap[key] = objMes;
@@ -210,29 +182,22 @@ router.get('/ventas-tendencia', async (req, res) => {
             iterador.setMonth(iterador.getMonth() + 1);
         }
 
-        // 3. Poblar datos de Empresa 2
-        [...f2, ...r2].forEach(row => {
-            const key = `${row.ANIO}-${String(row.MES).padStart(2, '0')}`;
-            const nombreSucursal = ALMACENES_MAP[row.NUM_ALMA];
-            if (mesesMap[key] && nombreSucursal) {
-                mesesMap[key][nombreSucursal] = round2(mesesMap[key][nombreSucursal] + row.TOTAL);
-            }
-        });
-
-        // 4. Poblar datos de Empresa 3 (Fresnillo)
-        [...f3, ...r3].forEach(row => {
-            const key = `${row.ANIO}-${String(row.MES).padStart(2, '0')}`;
-            if (mesesMap[key]) {
-                mesesMap[key]["Fresnillo"] = round2(mesesMap[key]["Fresnillo"] + row.TOTAL);
-            }
+        // 3. Poblar datos de cada empresa, atribuyendo cada almacén a su sucursal
+        empresas.forEach((empresa, idx) => {
+            (resultados[idx] || []).flat().forEach(row => {
+                const key = `${row.ANIO}-${String(row.MES).padStart(2, '0')}`;
+                const suc = sucursalDeAlmacen(empresa.id, row.NUM_ALMA);
+                if (mesesMap[key] && suc) {
+                    mesesMap[key][suc.nombre] = round2(mesesMap[key][suc.nombre] + row.TOTAL);
+                }
+            });
         });
 
         // Retornar solo los objetos en orden
         res.json(listaMeses.map(k => mesesMap[k]));
 
     } catch (error) {
-        console.error("Error en Tendencia:", error.message);
-        res.status(500).json({ error: "Error al generar tendencia", detalle: error.message });
+        next(error);
     }
 });
 
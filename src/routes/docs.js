@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const documento = require('../docs/openapi');
+
+/**
+ * GET /api/docs/openapi.json
+ * Documento OpenAPI 3 de todas las rutas, para generar clientes.
+ */
+router.get('/openapi.json', (req, res) => {
+    res.json(documento);
+});
+
+module.exports = router;
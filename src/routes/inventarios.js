@@ -1,9 +1,86 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../db');
+const { getPrincipal } = require('../db');
+const { columna: columnaAtributo } = require('../config/atributos');
+const { columna, igual, empiezaCon, contiene, noVacio, condicion, donde, ordenar, paginar } = require('../db/consulta');
+const { formatoStreaming, leerPorLotes, enviarPorLotes } = require('../services/exportacion');
+const { solicitaExcel, enviarLibro } = require('../services/excel');
+const log = require('../log');
+
+const principal = getPrincipal(); // Empresa 02
+
+/**
+ * Agrega "Clave SYR alterna" y "Clave LC alterna" (CVES_ALTER, proveedores 35 y 3) a cada producto.
+ * Las claves se consultan en bloques de 1000 para no rebasar el límite de parámetros de Firebird.
+ */
+const agregarClavesAlternas = async (productos) => {
+    if (productos.length === 0) return productos;
+
+    const trimmedCves = productos.map(p => p.CVE_ART);
+    const alterRecords = [];
+    const chunkSize = 1000;
+
+    for (let i = 0; i < trimmedCves.length; i += chunkSize) {
+        const chunk = trimmedCves.slice(i, i + chunkSize);
+        const placeholders = chunk.map(() => '?').join(',');
+        
+        // CORRECCIÓN AQUÍ: Aplicamos TRIM(CVE_ART) en el WHERE para que ignore los espacios del VARCHAR
+        const alterSql = `
+            SELECT 
+                TRIM(CVE_ART) as "CVE_ART", 
+                TRIM(CVE_CLPV) as "CLPV", 
+                TRIM(CVE_ALTER) as "ALTERNA" 
+            FROM ${principal.tabla('CVES_ALTER')} 
+            WHERE TRIM(CVE_ART) IN (${placeholders})
+              AND TRIM(CVE_CLPV) IN ('3', '35')
+        `;
+        
+        const chunkRes = await principal.query(alterSql, chunk);
+        alterRecords.push(...chunkRes);
+    }
 
-router.get('/productos', async (req, res) => {
-    console.log("Datos recibidos: ", req.query);
+    // Inyectamos y mapeamos los resultados en memoria mediante JavaScript
+    productos.forEach(p => {
+        p["Clave SYR alterna"] = "";
+        p["Clave LC alterna"] = "";
+
+        // Ahora que ambos lados de la ecuación sufrieron TRIM(), el match es 100% exacto
+        const alts = alterRecords.filter(a => a.CVE_ART === p.CVE_ART);
+        alts.forEach(a => {
+            if (a.CLPV === '35') {
+                p["Clave SYR alterna"] = a.ALTERNA;
+            } else if (a.CLPV === '3') {
+                p["Clave LC alterna"] = a.ALTERNA;
+            }
+        });
+    });
+
+    return productos;
+};
+
+// Columnas de la exportación a Excel de /api/productos
+const COLUMNAS_EXCEL_PRODUCTOS = [
+    { encabezado: 'Clave', campo: 'CVE_ART' },
+    { encabezado: 'Descripción', campo: 'DESCR', ancho: 45 },
+    { encabezado: 'Línea', campo: 'LIN_PROD' },
+    { encabezado: 'Unidad', campo: 'UNI_MED', ancho: 10 },
+    { encabezado: 'Última compra', campo: 'FCH_ULTCOM', tipo: 'fecha' },
+    { encabezado: 'Último costo', campo: 'ULT_COSTO', tipo: 'moneda' },
+    { encabezado: 'Existencia', campo: 'EXIST', tipo: 'numero' },
+    { encabezado: 'Diámetro interior', campo: 'Diámetro Interior', tipo: 'numero' },
+    { encabezado: 'Diámetro exterior', campo: 'Diámetro Exterior', tipo: 'numero' },
+    { encabezado: 'Altura', campo: 'Altura', tipo: 'numero' },
+    { encabezado: 'Perfil', campo: 'Perfil' },
+    { encabezado: 'Género', campo: 'Genero' },
+    { encabezado: 'Familia', campo: 'Familia' },
+    { encabezado: 'Clave SYR', campo: 'Clave SYR' },
+    { encabezado: 'Clave LC', campo: 'Clave LC' },
+    { encabezado: 'Clave SYR alterna', campo: 'Clave SYR alterna' },
+    { encabezado: 'Clave LC alterna', campo: 'Clave LC alterna' }
+];
+
+router.get('/productos', async (req, res, next) => {
+    log.debug('Consulta de productos', { filtros: req.query });
     try {
         const { 
             page, limit, search, 
@@ -11,108 +88,83 @@ router.get('/productos', async (req, res) => {
             download 
         } = req.query;
 
-        const isDownload = download === 'true';
-        const pPage = parseInt(page) || 1;
-        const pLimit = parseInt(limit) || 50;
-        const offset = (pPage - 1) * pLimit;
-
-        // 1. FILTROS DINÁMICOS AMIGABLES CON ÍNDICES
-        let whereClause = "WHERE I.STATUS = 'A'";
-        const params = [];
-
-        if (search) {
-            whereClause += " AND (I.CVE_ART CONTAINING ? OR I.DESCR CONTAINING ?)";
-            params.push(search.trim(), search.trim());
-        }
-
-        if (familia) {
-            whereClause += " AND C.CAMPLIB24 STARTING WITH ?";
-            params.push(familia.trim().toUpperCase());
-        } else if (!search) {
-            whereClause += " AND C.CAMPLIB24 IS NOT NULL AND C.CAMPLIB24 <> ''";
-        }
-
-        if (linea) {
-            whereClause += " AND I.LIN_PROD STARTING WITH ?";
-            params.push(linea.trim().toUpperCase());
-        }
-        if (perfil) {
-            whereClause += " AND C.CAMPLIB13 STARTING WITH ?";
-            params.push(perfil.trim().toUpperCase());
-        }
-        if (genero) {
-            whereClause += " AND C.CAMPLIB21 STARTING WITH ?";
-            params.push(genero.trim().toUpperCase());
-        }
+        // La exportación a Excel (?format=xlsx) siempre incluye todos los productos del filtro
+        const enExcel = solicitaExcel(req);
+        const isDownload = download === 'true' || enExcel;
+        const pagina = paginar({ page: page ?? 1, limit }, { limite: 50 });
+
+        // 1. FILTROS DINÁMICOS AMIGABLES CON ÍNDICES (ver db/consulta.js)
+        // Sin búsqueda ni familia se listan sólo los productos con categoría e-commerce
+        const condiciones = [
+            igual(columna('STATUS', 'I'), 'A'),
+            contiene([columna('CVE_ART', 'I'), columna('DESCR', 'I')], search),
+            familia
+                ? empiezaCon(columna('CAT_ECOMM', 'C'), familia.trim().toUpperCase())
+                : (search ? null : noVacio(columna('CAT_ECOMM', 'C'))),
+            empiezaCon(columna('LIN_PROD', 'I'), linea?.trim().toUpperCase()),
+            empiezaCon(columna('PERFIL', 'C'), perfil?.trim().toUpperCase()),
+            empiezaCon(columna('GENERO', 'C'), genero?.trim().toUpperCase())
+        ];
+        const filtros = donde(condiciones);
+        const orden = ordenar(columna('CVE_ART', 'I'));
 
         // 2. CONSULTA PRINCIPAL ALIGERADA
-        let sql = `
+        const columnasSql = `
             SELECT 
                 TRIM(I.CVE_ART) as "CVE_ART", 
                 TRIM(I.DESCR) as "DESCR", 
                 TRIM(I.LIN_PROD) as "LIN_PROD", 
                 TRIM(I.UNI_MED) as "UNI_MED", 
                 I.FCH_ULTCOM, I.ULT_COSTO, I.EXIST,
-                TRIM(C.CAMPLIB1) as "Diámetro Interior",
-                TRIM(C.CAMPLIB2) as "Diámetro Exterior",
-                TRIM(C.CAMPLIB3) as "Altura",
-                TRIM(C.CAMPLIB13) as "Perfil",
-                TRIM(C.CAMPLIB21) as "Genero",
-                TRIM(C.CAMPLIB24) as "Familia",
-                TRIM(C.CAMPLIB15) as "Clave SYR", 
-                TRIM(C.CAMPLIB16) as "Clave LC"
-            FROM INVE02 I
-            LEFT JOIN INVE_CLIB02 C ON I.CVE_ART = C.CVE_PROD
-            ${whereClause}
-            ORDER BY I.CVE_ART ASC`;
-
-        const finalParams = [...params];
-        if (!isDownload) {
-            sql += ` ROWS ? TO ?`;
-            finalParams.push(offset + 1, offset + pLimit);
+                TRIM(${columnaAtributo('DIAM_INT', 'C')}) as "Diámetro Interior",
+                TRIM(${columnaAtributo('DIAM_EXT', 'C')}) as "Diámetro Exterior",
+                TRIM(${columnaAtributo('ALTURA', 'C')}) as "Altura",
+                TRIM(${columnaAtributo('PERFIL', 'C')}) as "Perfil",
+                TRIM(${columnaAtributo('GENERO', 'C')}) as "Genero",
+                TRIM(${columnaAtributo('CAT_ECOMM', 'C')}) as "Familia", -- El filtro "familia" es la categoría e-commerce
+                TRIM(${columnaAtributo('CLA_SYR', 'C')}) as "Clave SYR", 
+                TRIM(${columnaAtributo('CLA_LC', 'C')}) as "Clave LC"
+            FROM ${principal.tabla('INVE')} I
+            LEFT JOIN ${principal.tabla('INVE_CLIB')} C ON I.CVE_ART = C.CVE_PROD`;
+
+        // Descarga en streaming (NDJSON/CSV): lotes por clave con las claves alternas de cada lote
+        const formato = isDownload && !enExcel ? formatoStreaming(req) : null;
+        if (formato) {
+            const lotes = leerPorLotes(async (ultimo, tamano) => {
+                // Siguiente lote: claves mayores a la última del lote anterior
+                const filtrosLote = donde(condiciones, ultimo ? condicion('I.CVE_ART > ?', ultimo.CVE_ART) : null);
+                const lote = await principal.query(
+                    `${columnasSql} ${filtrosLote.sql} ${orden} ROWS ?`,
+                    [...filtrosLote.params, tamano]
+                );
+                return agregarClavesAlternas(lote);
+            });
+            return enviarPorLotes(res, { formato, lotes, nombreArchivo: 'productos' });
         }
 
-        const productos = await db.query(sql, finalParams);
+        const sql = `${columnasSql}
+            ${filtros.sql}
+            ${orden}
+            ${isDownload ? '' : pagina.sql}`;
 
-        // 3. TAREA DIVIDIDA: OBTENCIÓN DE CLAVES ALTERNAS EN LOTES
-        if (productos.length > 0) {
-            const trimmedCves = productos.map(p => p.CVE_ART);
-            const alterRecords = [];
-            const chunkSize = 1000;
-
-            for (let i = 0; i < trimmedCves.length; i += chunkSize) {
-                const chunk = trimmedCves.slice(i, i + chunkSize);
-                const placeholders = chunk.map(() => '?').join(',');
-                
-                // CORRECCIÓN AQUÍ: Aplicamos TRIM(CVE_ART) en el WHERE para que ignore los espacios del VARCHAR
-                const alterSql = `
-                    SELECT 
-                        TRIM(CVE_ART) as "CVE_ART", 
-                        TRIM(CVE_CLPV) as "CLPV", 
-                        TRIM(CVE_ALTER) as "ALTERNA" 
-                    FROM CVES_ALTER02 
-                    WHERE TRIM(CVE_ART) IN (${placeholders})
-                      AND TRIM(CVE_CLPV) IN ('3', '35')
-                `;
-                
-                const chunkRes = await db.query(alterSql, chunk);
-                alterRecords.push(...chunkRes);
-            }
+        const productos = await principal.query(sql, isDownload ? filtros.params : [...filtros.params, ...pagina.params]);
 
-            // Inyectamos y mapeamos los resultados en memoria mediante JavaScript
-            productos.forEach(p => {
-                p["Clave SYR alterna"] = "";
-                p["Clave LC alterna"] = "";
-
-                // Ahora que ambos lados de la ecuación sufrieron TRIM(), el match es 100% exacto
-                const alts = alterRecords.filter(a => a.CVE_ART === p.CVE_ART);
-                alts.forEach(a => {
-                    if (a.CLPV === '35') {
-                        p["Clave SYR alterna"] = a.ALTERNA;
-                    } else if (a.CLPV === '3') {
-                        p["Clave LC alterna"] = a.ALTERNA;
-                    }
-                });
+        // 3. TAREA DIVIDIDA: OBTENCIÓN DE CLAVES ALTERNAS EN LOTES
+        await agregarClavesAlternas(productos);
+
+        if (enExcel) {
+            return enviarLibro(res, {
+                nombreArchivo: 'productos',
+                resumen: [
+                    { concepto: 'Productos', valor: productos.length, tipo: 'entero' },
+                    { concepto: 'Búsqueda', valor: search || 'Todas' },
+                    { concepto: 'Familia', valor: familia || 'Todas' },
+                    { concepto: 'Línea', valor: linea || 'Todas' },
+                    { concepto: 'Perfil', valor: perfil || 'Todos' },
+                    { concepto: 'Género', valor: genero || 'Todos' },
+                    { concepto: 'Generado', valor: new Date(), tipo: 'fecha' }
+                ],
+                hojas: [{ nombre: 'Productos', columnas: COLUMNAS_EXCEL_PRODUCTOS, filas: productos }]
             });
         }
 
@@ -121,25 +173,24 @@ router.get('/productos', async (req, res) => {
         if (!isDownload) {
             const countSql = `
                 SELECT COUNT(*) as TOTAL 
-                FROM INVE02 I 
-                LEFT JOIN INVE_CLIB02 C ON I.CVE_ART = C.CVE_PROD
-                ${whereClause}`;
-            const countRes = await db.query(countSql, params);
+                FROM ${principal.tabla('INVE')} I 
+                LEFT JOIN ${principal.tabla('INVE_CLIB')} C ON I.CVE_ART = C.CVE_PROD
+                ${filtros.sql}`;
+            const countRes = await principal.query(countSql, filtros.params);
             totalRecords = countRes[0].TOTAL;
         }
 
-        console.log("Productos devueltos: ", productos);
+        log.debug('Productos devueltos', { productos: productos.length });
 
         res.json(isDownload ? productos : { 
             total: totalRecords, 
-            pag: pPage, 
-            limite: pLimit, 
+            pag: pagina.pagina, 
+            limite: pagina.limite, 
             data: productos 
         });
 
     } catch (error) {
-        console.error("Error en endpoint productos:", error.message);
-        res.status(500).json({ error: "Error interno", detalle: error.message });
+        next(error);
     }
 });
 
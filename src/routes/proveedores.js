@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../db');
+const { getPrincipal } = require('../db');
+const { columna, atributoDeProveedor } = require('../config/atributos');
+const { ErrorPeticion, ErrorNoEncontrado } = require('../errores');
+const log = require('../log');
+
+const principal = getPrincipal(); // Empresa 02
 
 /**
  * Función auxiliar para resolver la clave de un producto (Se mantiene igual)
@@ -29,12 +34,12 @@ const db = require('../db');
               AND I.STATUS = 'A'`;
         
         try {
-            const resCat = await db.query(sqlCat, [cve]);
+            const resCat = await principal.query(sqlCat, [cve]);
             if (resCat.length > 0 && resCat[0].CVE_ART) {
                 return { clave: resCat[0].CVE_ART.trim(), origen: "Catálogo" };
             }
         } catch (e) {
-            console.error(`Error en búsqueda Catálogo (${cve}):`, e.message);
+            log.error('Error en búsqueda Catálogo', { clave: cve, error: e.message });
         }
     }
 
@@ -49,12 +54,12 @@ const db = require('../db');
           AND I.STATUS = 'A'`;
 
     try {
-        const resAlt = await db.query(sqlAlt, [idProv, cve]);
+        const resAlt = await principal.query(sqlAlt, [idProv, cve]);
         if (resAlt.length > 0 && resAlt[0].CVE_ART) {
             return { clave: resAlt[0].CVE_ART.trim(), origen: "Clave alterna" };
         }
     } catch (e) {
-        console.error(`Error en búsqueda Alterna (${cve}):`, e.message);
+        log.error('Error en búsqueda Alterna', { clave: cve, error: e.message });
     }
 
     return { clave: null, origen: "No encontrado" };
@@ -67,26 +72,26 @@ const db = require('../db');
 
     if (!cve) return { clave: null, origen: "No encontrado" };
 
-    let campoLibre = null;
-    if (idProv === "35") campoLibre = "CAMPLIB15";
-    else if (idProv === "3") campoLibre = "CAMPLIB16";
+    // Campo libre donde se guarda la clave de este proveedor (35 -> CLA_SYR, 3 -> CLA_LC)
+    const atributo = atributoDeProveedor(idProv);
+    const campoLibre = atributo ? columna(atributo) : null;
 
     // --- INTENTO 1: CATÁLOGO (INVE_CLIB02) ---
     if (campoLibre) {
         const sqlCat = `
             SELECT FIRST 1 I.CVE_ART 
-            FROM INVE_CLIB02 C
-            INNER JOIN INVE02 I ON TRIM(I.CVE_ART) = TRIM(C.CVE_PROD)
+            FROM ${principal.tabla('INVE_CLIB')} C
+            INNER JOIN ${principal.tabla('INVE')} I ON TRIM(I.CVE_ART) = TRIM(C.CVE_PROD)
             WHERE TRIM(C.${campoLibre}) = CAST(? AS VARCHAR(100)) 
               AND I.STATUS = 'A'`;
         
         try {
-            const resCat = await db.query(sqlCat, [cve]);
+            const resCat = await principal.query(sqlCat, [cve]);
             if (resCat.length > 0 && resCat[0].CVE_ART) {
                 return { clave: resCat[0].CVE_ART.trim(), origen: "Catálogo" };
             }
         } catch (e) {
-            console.error(`Error Catálogo:`, e.message);
+            log.error('Error Catálogo', { error: e.message });
         }
     }
 
@@ -94,15 +99,15 @@ const db = require('../db');
     // Agregamos TRIM a las columnas del JOIN y del WHERE para asegurar el match
     const sqlAlt = `
         SELECT FIRST 1 I.CVE_ART 
-        FROM CVES_ALTER02 A
-        INNER JOIN INVE02 I ON TRIM(I.CVE_ART) = TRIM(A.CVE_ART)
+        FROM ${principal.tabla('CVES_ALTER')} A
+        INNER JOIN ${principal.tabla('INVE')} I ON TRIM(I.CVE_ART) = TRIM(A.CVE_ART)
         WHERE TRIM(A.CVE_CLPV) = CAST(? AS VARCHAR(10)) 
           AND TRIM(A.CVE_ALTER) = CAST(? AS VARCHAR(20)) 
           AND I.STATUS = 'A'`;
 
     try {
         // Ejecutamos con los parámetros limpios
-        const resAlt = await db.query(sqlAlt, [idProv, cve]);
+        const resAlt = await principal.query(sqlAlt, [idProv, cve]);
         
         if (resAlt.length > 0 && resAlt[0].CVE_ART) {
             return { 
@@ -111,7 +116,7 @@ const db = require('../db');
             };
         }
     } catch (e) {
-        console.error(`Error Alterna:`, e.message);
+        log.error('Error Alterna', { error: e.message });
     }
 
     return { clave: null, origen: "No encontrado" };
@@ -121,23 +126,20 @@ const db = require('../db');
  * A. Consulta Masiva de Claves (POST)
  * Nueva estructura: { cve_clpv: "...", partidas: [...] }
  */
-router.post('/getclavesprovee', async (req, res) => {
+router.post('/getclavesprovee', async (req, res, next) => {
     const { rfc, claves } = req.body;
 
     if (!rfc || !claves || !Array.isArray(claves)) {
-        return res.status(400).json({
-            error: "Formato incorrecto",
-            detalle: "Se requiere 'rfc' y un arreglo 'claves'."
-        });
+        return next(new ErrorPeticion("Se requiere 'rfc' y un arreglo 'claves'."));
     }
 
     try {
         // Obtenemos la CLAVE interna del proveedor (cve_clpv)
-        const sqlProv = `SELECT TRIM(CLAVE) as ID_PROV FROM PROV02 WHERE TRIM(RFC) = ?`;
-        const resProv = await db.query(sqlProv, [rfc]);
+        const sqlProv = `SELECT TRIM(CLAVE) as ID_PROV FROM ${principal.tabla('PROV')} WHERE TRIM(RFC) = ?`;
+        const resProv = await principal.query(sqlProv, [rfc]);
 
         if (resProv.length === 0) {
-            return res.status(404).json({ error: "Proveedor no encontrado" });
+            return next(new ErrorNoEncontrado("Proveedor no encontrado"));
         }
 
         const idProv = resProv[0].ID_PROV;
@@ -160,28 +162,27 @@ router.post('/getclavesprovee', async (req, res) => {
         });
 
     } catch (error) {
-        console.error("Error POST masivo:", error.message);
-        res.status(500).json({ error: "Error interno", detalle: error.message });
+        next(error);
     }
 });
 
 /**
  * B. Consulta Unitaria (GET) - Se mantiene igual
  */
-router.get('/getclavesprovee', async (req, res) => {
+router.get('/getclavesprovee', async (req, res, next) => {
     const rfc = req.query.rfc;
     const clave_proveedor = req.query.clave_proveedor || req.query.clave;
 
     if (!rfc || !clave_proveedor) {
-        return res.status(400).json({ error: "rfc y clave_proveedor son requeridos" });
+        return next(new ErrorPeticion("rfc y clave_proveedor son requeridos"));
     }
 
     try {
-        const sqlProv = `SELECT TRIM(CLAVE) as ID_PROV FROM PROV02 WHERE TRIM(RFC) = ?`;
-        const resProv = await db.query(sqlProv, [rfc]);
+        const sqlProv = `SELECT TRIM(CLAVE) as ID_PROV FROM ${principal.tabla('PROV')} WHERE TRIM(RFC) = ?`;
+        const resProv = await principal.query(sqlProv, [rfc]);
 
         if (resProv.length === 0) {
-            return res.status(404).json({ error: "Proveedor no encontrado" });
+            return next(new ErrorNoEncontrado("Proveedor no encontrado"));
         }
 
         const idProv = resProv[0].ID_PROV;
@@ -194,8 +195,7 @@ router.get('/getclavesprovee', async (req, res) => {
         });
 
     } catch (error) {
-        console.error("Error GET unitario:", error.message);
-        res.status(500).json({ error: "Error interno", detalle: error.message });
+        next(error);
     }
 });
 
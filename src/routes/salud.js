@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const { verificarEmpresas, estaApagando } = require('../services/salud');
+const log = require('../log');
+
+/**
+ * Rutas para el supervisor de procesos y el monitoreo. No requieren API Key
+ * y no consultan más que la tabla RDB$DATABASE de cada empresa.
+ */
+
+/**
+ * GET /health/live
+ * El proceso está vivo y atendiendo peticiones (no toca la base de datos).
+ */
+router.get('/live', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ estado: 'vivo', uptimeSeg: Math.round(process.uptime()) });
+});
+
+/**
+ * GET /health/ready
+ * Prueba cada empresa; responde 503 si alguna empresa requerida no está disponible
+ * o si el servidor se está apagando.
+ */
+router.get('/ready', async (req, res, next) => {
+    if (estaApagando()) {
+        res.set('Cache-Control', 'no-store');
+        return res.status(503).json({ estado: 'apagando', empresas: [] });
+    }
+
+    try {
+        const { lista, empresas } = await verificarEmpresas();
+
+        if (!lista) {
+            const caidas = empresas.filter(e => e.requerida && !e.disponible).map(e => e.id);
+            log.warn('No lista: empresas sin respuesta', { empresas: caidas });
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.status(lista ? 200 : 503).json({ estado: lista ? 'lista' : 'no_lista', empresas });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+// src/scripts/generarLlaveApi.js
+// Genera una llave nueva para un cliente de la API e imprime la entrada para API_CLIENTES_CONFIG.
+// Uso: npm run generar-llave -- <nombre> [scope1,scope2...] [sucursal1,sucursal2...]
+// La llave sólo se muestra aquí; en el registro se guarda únicamente su hash.
+const crypto = require('crypto');
+const { hashLlave } = require('../config/llaves');
+
+const [nombre, scopes = 'catalogo:read', sucursales] = process.argv.slice(2);
+
+if (!nombre) {
+  console.error('Uso: npm run generar-llave -- <nombre> [scope1,scope2...] [sucursal1,sucursal2...]');
+  process.exit(1);
+}
+
+const llave = crypto.randomBytes(32).toString('base64url');
+
+const entrada = {
+  nombre,
+  hash: hashLlave(llave),
+  activa: true,
+  scopes: scopes.split(',').map(s => s.trim()).filter(Boolean),
+  ...(sucursales ? { sucursales: sucursales.split(',').map(s => parseInt(s, 10)) } : {})
+};
+
+console.log(`Llave para "${nombre}" (entréguela al cliente, no se vuelve a mostrar):\n\n  ${llave}\n`);
+console.log('Entrada para el archivo de API_CLIENTES_CONFIG:\n');
+console.log(JSON.stringify(entrada, null, 2));
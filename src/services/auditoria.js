@@ -0,0 +1,134 @@
+/**
+ * Registro de auditoría de lecturas de datos sensibles (fiscales y financieros).
+ * Las rutas auditadas se marcan con x-auditoria en docs/openapi.js; middlewares/auditoria.js arma
+ * cada registro y aquí se agrega como una línea JSON a un archivo por mes (<AUDITORIA_DIR>/AAAA-MM.jsonl).
+ * Los archivos sólo crecen: no se rotan ni se truncan desde la API; su retención la define operación.
+ */
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const log = require('../log');
+const { config } = require('../config');
+
+const DIRECTORIO = config.auditoria.directorio;
+
+// RFC de persona moral (3 letras) o física (4), fecha AAMMDD y homoclave
+const PATRON_RFC = /^[A-ZÑ&]{3,4}\d{6}[A-Z0-9]{3}$/i;
+
+/**
+ * RFC parcialmente enmascarado: se conservan las primeras 4 y las últimas 3 posiciones
+ * (XAXX010101000 -> XAXX******000), suficiente para distinguir registros sin exponer el dato completo.
+ */
+const enmascararRfc = (rfc) => {
+    const texto = String(rfc).trim();
+    if (texto.length <= 7) return '*'.repeat(texto.length);
+    return `${texto.slice(0, 4)}${'*'.repeat(texto.length - 7)}${texto.slice(-3)}`;
+};
+
+/**
+ * Copia de los parámetros con los RFC enmascarados: los campos llamados rfc y cualquier texto con forma de RFC.
+ */
+const enmascararParametros = (valor, nombre = '') => {
+    if (Array.isArray(valor)) return valor.map(v => enmascararParametros(v, nombre));
+    if (valor && typeof valor === 'object') {
+        return Object.fromEntries(Object.entries(valor).map(([clave, v]) => [clave, enmascararParametros(v, clave)]));
+    }
+    if (typeof valor === 'string' && (/rfc/i.test(nombre) || PATRON_RFC.test(valor.trim()))) {
+        return enmascararRfc(valor);
+    }
+    return valor;
+};
+
+// --- Escritura ---
+
+const archivoDelMes = (fecha) => path.join(DIRECTORIO, `${fecha.slice(0, 7)}.jsonl`);
+
+let escritura = Promise.resolve();
+
+/**
+ * Agrega un registro (con fecha ISO) al archivo de su mes. Las escrituras se encadenan para que
+ * las líneas no se intercalen; un fallo se reporta en el log con el registro perdido.
+ * @returns {Promise<void>}
+ */
+const registrarAcceso = (registro) => {
+    escritura = escritura
+        .then(async () => {
+            await fs.promises.mkdir(DIRECTORIO, { recursive: true });
+            await fs.promises.appendFile(archivoDelMes(registro.fecha), JSON.stringify(registro) + '\n', { mode: 0o640 });
+        })
+        .catch(error => log.error('No se pudo escribir el registro de auditoría', { error: error.message, registro }));
+    return escritura;
+};
+
+// --- Búsqueda ---
+
+/**
+ * Meses (AAAA-MM) entre dos fechas ISO, inclusive.
+ */
+const mesesEntre = (desde, hasta) => {
+    const meses = [];
+    const cursor = new Date(`${desde.slice(0, 7)}-01T00:00:00Z`);
+    const fin = hasta.slice(0, 7);
+    while (cursor.toISOString().slice(0, 7) <= fin) {
+        meses.push(cursor.toISOString().slice(0, 7));
+        cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+    return meses;
+};
+
+const leerLineas = async function* (archivo) {
+    let flujo;
+    try {
+        await fs.promises.access(archivo);
+        flujo = fs.createReadStream(archivo, { encoding: 'utf8' });
+    } catch {
+        return; // Mes sin accesos
+    }
+    for await (const linea of readline.createInterface({ input: flujo, crlfDelay: Infinity })) {
+        if (!linea.trim()) continue;
+        try {
+            yield JSON.parse(linea);
+        } catch {
+            log.warn('Línea inválida en el registro de auditoría', { archivo });
+        }
+    }
+};
+
+/**
+ * Busca accesos registrados, del más reciente al más antiguo.
+ * @param {Object} filtros
+ * @param {string} [filtros.cliente] Nombre exacto del cliente de la API.
+ * @param {string} [filtros.ruta] Prefijo de la plantilla de la ruta (ej. /api/dashboard/cxc).
+ * @param {string} filtros.desde Fecha/hora ISO inicial (inclusive).
+ * @param {string} filtros.hasta Fecha/hora ISO final (inclusive).
+ * @param {number} [filtros.limite]
+ * @returns {Promise<{ total: number, accesos: Object[] }>} total cuenta todos los que coinciden.
+ */
+const buscarAccesos = async ({ cliente, ruta, desde, hasta, limite = 100 }) => {
+    await escritura; // Incluye lo que está por escribirse
+
+    const coincide = (registro) => registro.fecha >= desde && registro.fecha <= hasta
+        && (!cliente || registro.cliente === cliente)
+        && (!ruta || registro.ruta.startsWith(ruta));
+
+    let total = 0;
+    const ultimos = [];
+    for (const mes of mesesEntre(desde, hasta)) {
+        for await (const registro of leerLineas(path.join(DIRECTORIO, `${mes}.jsonl`))) {
+            if (!coincide(registro)) continue;
+            total++;
+            ultimos.push(registro);
+            if (ultimos.length > limite) ultimos.shift();
+        }
+    }
+
+    return { total, accesos: ultimos.reverse() };
+};
+
+module.exports = {
+    DIRECTORIO,
+    enmascararRfc,
+    enmascararParametros,
+    registrarAcceso,
+    buscarAccesos
+};
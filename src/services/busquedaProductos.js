@@ -0,0 +1,118 @@
+const repo = require('../repositories/busquedaProductosRepository');
+const indiceProductos = require('./indiceProductos');
+const { processExistencias, agregarExistenciasOtrasEmpresas } = require('../repositories/existenciasRepository');
+const {
+    enrichWithPrecios,
+    enrichWithUltimoCosto,
+    enrichWithUltimoProveedorQro
+} = require('../repositories/enriquecimientoRepository');
+
+/**
+ * Enriquecimientos opcionales (parámetro "incluir"), aplicados en este orden sobre la página de resultados.
+ */
+const ENRIQUECIMIENTOS = {
+    precios: (data, opciones) => enrichWithPrecios(data, opciones.sucursal, opciones.listaPrecios),
+    ultimo_costo: (data) => enrichWithUltimoCosto(data),
+    proveedor_qro: (data) => enrichWithUltimoProveedorQro(data),
+    existencias_otras_empresas: (data) => agregarExistenciasOtrasEmpresas(data)
+};
+
+const MODOS_DISPONIBLES = Object.keys(repo.MODOS);
+const ENRIQUECIMIENTOS_DISPONIBLES = Object.keys(ENRIQUECIMIENTOS);
+
+// Campo del índice en memoria que cubre cada modo
+const CAMPO_INDICE_POR_MODO = {
+    clave: 'clave',
+    prefijo: 'clave',
+    contiene: 'clave',
+    alterna: 'alterna',
+    descripcion: 'descripcion',
+    ecommerce: 'ecommerce'
+};
+
+// Los modos de clave comparten campo en el índice pero conservan las coincidencias de su criterio SQL
+// (igual, STARTING WITH, LIKE '%...%'): clave sigue siendo exacta aunque el índice tolere errores en los demás campos
+const COINCIDENCIAS_CLAVE_POR_MODO = {
+    clave: ['exacta'],
+    prefijo: ['exacta', 'prefijo'],
+    contiene: ['exacta', 'prefijo', 'contiene']
+};
+
+/**
+ * Búsqueda unificada de productos.
+ *
+ * @param {Object} opciones
+ * @param {string} opciones.termino Texto buscado (se normaliza a mayúsculas).
+ * @param {string[]} [opciones.modos] Subconjunto de MODOS_DISPONIBLES; por defecto todos.
+ * @param {boolean} [opciones.soloActivos=true] Sólo productos con STATUS = 'A'.
+ * @param {number|null} [opciones.limite=20] Tamaño de página; null regresa todas las coincidencias.
+ * @param {number} [opciones.offset=0]
+ * @param {string[]} [opciones.incluir] Enriquecimientos de ENRIQUECIMIENTOS_DISPONIBLES.
+ * @param {boolean} [opciones.detalle=true] false regresa sólo CVE_ART, DESCR y la relevancia.
+ * @param {boolean} [opciones.usarIndice=true] Resolver las coincidencias con el índice en memoria
+ *        (tolerante a acentos y errores) cuando está listo; false fuerza la búsqueda SQL.
+ * @param {string} [opciones.sucursal] Sucursal/empresa para la tabla de precios.
+ * @param {string} [opciones.listaPrecios] Lista de precios (CVE_PRECIO).
+ * @returns {Promise<{ data: Array<Object>, total: number }>}
+ */
+const buscarProductos = async (opciones) => {
+    const {
+        termino, modos = MODOS_DISPONIBLES, soloActivos = true,
+        limite = 20, offset = 0, incluir = [], detalle = true, usarIndice = true
+    } = opciones;
+
+    const filtros = {
+        termino: String(termino || '').trim().toUpperCase(),
+        modos,
+        soloActivos,
+        limite,
+        offset
+    };
+
+    let coincidencias;
+    let total;
+
+    if (usarIndice && indiceProductos.listo()) {
+        const campos = [...new Set(modos.map(modo => CAMPO_INDICE_POR_MODO[modo]))];
+        const coincidenciasClave = [...new Set(modos.flatMap(modo => COINCIDENCIAS_CLAVE_POR_MODO[modo] || []))];
+        const todas = indiceProductos.buscar(filtros.termino, { campos, coincidenciasClave, soloActivos });
+        total = todas.length;
+        coincidencias = limite ? todas.slice(offset, offset + limite) : todas;
+    } else {
+        const [filasSql, totalPaginado] = await Promise.all([
+            repo.buscarCoincidencias(filtros),
+            limite ? repo.contarCoincidencias(filtros) : null
+        ]);
+        coincidencias = filasSql;
+        total = limite ? totalPaginado : filasSql.length;
+    }
+
+    const relevancia = (fila) => ({
+        RANGO: fila.RANGO,
+        COINCIDENCIA: repo.COINCIDENCIAS[fila.RANGO] || null
+    });
+
+    if (!detalle) {
+        return { data: coincidencias.map(c => ({ CVE_ART: c.CVE_ART, DESCR: c.DESCR, ...relevancia(c) })), total };
+    }
+
+    // El detalle se consulta aparte y se reordena según la relevancia de la página
+    const filas = await repo.obtenerDetalle(coincidencias.map(c => c.CVE_ART));
+    const porClave = new Map(filas.map(f => [f.CVE_ART.trim(), f]));
+
+    let data = coincidencias
+        .filter(c => porClave.has(c.CVE_ART.trim()))
+        .map(c => ({ ...porClave.get(c.CVE_ART.trim()), ...relevancia(c) }));
+
+    for (const nombre of ENRIQUECIMIENTOS_DISPONIBLES) {
+        if (incluir.includes(nombre)) data = await ENRIQUECIMIENTOS[nombre](data, opciones);
+    }
+
+    return { data: processExistencias(data), total };
+};
+
+module.exports = {
+    MODOS_DISPONIBLES,
+    ENRIQUECIMIENTOS_DISPONIBLES,
+    buscarProductos
+};
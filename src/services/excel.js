@@ -0,0 +1,115 @@
+const ExcelJS = require('exceljs');
+const { parseNumero } = require('../config/atributos');
+
+/**
+ * Exportación a Excel (XLSX) de reportes, generada localmente con exceljs.
+ * Cada libro lleva una hoja "Resumen" con las métricas del reporte y una o más hojas de detalle
+ * con encabezados en español, celdas tipadas (número, moneda, porcentaje, fecha) y la fila de
+ * encabezado fija.
+ */
+
+const FORMATOS_NUMERICOS = {
+    entero: '#,##0',
+    numero: '#,##0.####',
+    moneda: '"$"#,##0.00',
+    porcentaje: '0.00"%"', // Los reportes ya entregan el porcentaje en escala 0-100
+    fecha: 'dd/mm/yyyy'
+};
+
+const CONTENT_TYPE_XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * true si la petición pide el reporte en Excel (?format=xlsx o ?formato=xlsx).
+ */
+const solicitaExcel = (req) => ['format', 'formato']
+    .some(param => String(req.query[param] || '').trim().toLowerCase() === 'xlsx');
+
+// Convierte el valor crudo de Firebird/JSON al tipo de la celda; regresa null si no aplica
+const valorCelda = (valor, tipo = 'texto') => {
+    if (valor === null || valor === undefined || valor === '') return null;
+
+    if (tipo === 'fecha') {
+        const fecha = valor instanceof Date ? valor : new Date(valor);
+        return Number.isNaN(fecha.getTime()) ? String(valor) : fecha;
+    }
+
+    if (tipo !== 'texto') {
+        if (typeof valor === 'number') return Number.isFinite(valor) ? valor : null;
+        // Sólo si todo el texto es un número ("12,5" = 12.5); medidas como "3/4" o "12 MM" quedan como texto
+        const texto = String(valor).trim();
+        const numero = /^[-+]?(\d+([.,]\d*)?|[.,]\d+)$/.test(texto) ? parseNumero(texto) : null;
+        return numero === null ? texto : numero;
+    }
+
+    return typeof valor === 'string' ? valor.trim() : String(valor);
+};
+
+const agregarHoja = (libro, { nombre, columnas, filas }) => {
+    // Excel limita el nombre de la hoja a 31 caracteres
+    const hoja = libro.addWorksheet(nombre.slice(0, 31), {
+        views: [{ state: 'frozen', ySplit: 1 }]
+    });
+
+    hoja.columns = columnas.map(col => ({
+        header: col.encabezado,
+        key: col.campo,
+        width: col.ancho || Math.max(col.encabezado.length + 2, col.tipo === 'texto' || !col.tipo ? 18 : 14),
+        style: FORMATOS_NUMERICOS[col.tipo] ? { numFmt: FORMATOS_NUMERICOS[col.tipo] } : {}
+    }));
+
+    filas.forEach(fila => {
+        hoja.addRow(columnas.map(col => valorCelda(fila[col.campo], col.tipo)));
+    });
+
+    const encabezado = hoja.getRow(1);
+    encabezado.font = { bold: true };
+    encabezado.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9E1F2' } };
+
+    if (filas.length > 0) {
+        hoja.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columnas.length } };
+    }
+
+    return hoja;
+};
+
+/**
+ * Arma el libro y lo envía como descarga.
+ *
+ * @param {import('express').Response} res
+ * @param {Object} reporte
+ * @param {string} reporte.nombreArchivo Sin extensión.
+ * @param {Array<{ concepto: string, valor: *, tipo?: string }>} reporte.resumen Filas de la hoja "Resumen".
+ * @param {Array<{ nombre: string, columnas: Array<{ encabezado: string, campo: string, tipo?: string, ancho?: number }>, filas: Array<Object> }>} reporte.hojas
+ */
+const enviarLibro = async (res, { nombreArchivo, resumen, hojas }) => {
+    const libro = new ExcelJS.Workbook();
+    libro.creator = 'firebird-api';
+    libro.created = new Date();
+
+    // El formato de la hoja Resumen es por fila (cada métrica tiene su propio tipo)
+    const hojaResumen = agregarHoja(libro, {
+        nombre: 'Resumen',
+        columnas: [
+            { encabezado: 'Concepto', campo: 'concepto', ancho: 36 },
+            { encabezado: 'Valor', campo: 'valor', ancho: 22 }
+        ],
+        filas: []
+    });
+    resumen.forEach(({ concepto, valor, tipo }) => {
+        const fila = hojaResumen.addRow([concepto, valorCelda(valor, tipo)]);
+        if (FORMATOS_NUMERICOS[tipo]) fila.getCell(2).numFmt = FORMATOS_NUMERICOS[tipo];
+    });
+
+    hojas.forEach(hoja => agregarHoja(libro, hoja));
+
+    const buffer = await libro.xlsx.writeBuffer();
+    res.set('Content-Type', CONTENT_TYPE_XLSX);
+    res.set('Content-Disposition', `attachment; filename="${nombreArchivo}.xlsx"`);
+    res.set('Cache-Control', 'no-store');
+    res.send(Buffer.from(buffer));
+};
+
+module.exports = {
+    solicitaExcel,
+    enviarLibro
+};
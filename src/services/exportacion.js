@@ -0,0 +1,135 @@
+/**
+ * Descargas completas en streaming (NDJSON o CSV).
+ * Las filas se leen de Firebird en lotes con paginación por clave (keyset) y se escriben al cliente
+ * conforme llegan, así la memoria de Node queda acotada al tamaño del lote aunque el catálogo sea completo.
+ * node-firebird acumula todas las filas aun con db.sequentially, por eso no se usa aquí.
+ */
+const { responderError } = require('../errores');
+const log = require('../log');
+const { config } = require('../config');
+
+const TAMANO_LOTE = config.exportacion.tamanoLote;
+
+const FORMATOS = {
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+/**
+ * Formato de streaming que pide el cliente: cabecera Accept (application/x-ndjson, text/csv)
+ * o el parámetro ?formato=ndjson|csv para herramientas que no permiten cambiar cabeceras.
+ * Regresa null cuando se espera la respuesta JSON de siempre.
+ */
+const formatoStreaming = (req) => {
+    const formato = String(req.query.formato || '').trim().toLowerCase();
+    if (FORMATOS[formato]) return formato;
+
+    const accept = String(req.header('accept') || '').toLowerCase();
+    if (accept.includes('application/x-ndjson')) return 'ndjson';
+    if (accept.includes('text/csv')) return 'csv';
+    return null;
+};
+
+/**
+ * Recorre una consulta en lotes. obtenerLote(ultimaFila, tamano) debe regresar las filas que siguen
+ * a ultimaFila (null en el primer lote) en el orden de la clave de paginación.
+ */
+async function* leerPorLotes(obtenerLote, tamano = TAMANO_LOTE) {
+    let ultimaFila = null;
+    while (true) {
+        const filas = await obtenerLote(ultimaFila, tamano);
+        if (filas.length > 0) yield filas;
+        if (filas.length < tamano) return;
+        ultimaFila = filas[filas.length - 1];
+    }
+}
+
+const valorCsv = (valor) => {
+    if (valor === null || valor === undefined) return '';
+    const texto = valor instanceof Date ? valor.toISOString() : String(valor);
+    return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+const filaCsv = (valores) => valores.map(valorCsv).join(',') + '\r\n';
+
+/**
+ * Escribe los lotes en la respuesta con el formato indicado, respetando la contrapresión del socket.
+ * Las columnas del CSV se toman de la primera fila. Si el cliente se desconecta se deja de consultar.
+ * Un error antes del primer lote responde 500 en JSON; después sólo se puede cortar la conexión,
+ * para que el cliente no tome un archivo truncado como completo.
+ *
+ * @param {import('express').Response} res
+ * @param {Object} opciones
+ * @param {'ndjson'|'csv'} opciones.formato
+ * @param {AsyncIterable<Array<Object>>} opciones.lotes Ver leerPorLotes.
+ * @param {string} opciones.nombreArchivo Sin extensión.
+ */
+const enviarPorLotes = async (res, { formato, lotes, nombreArchivo }) => {
+    const { contentType, extension } = FORMATOS[formato];
+    let columnas = null;
+    let iniciado = false;
+    let cerrado = false;
+    res.on('close', () => { cerrado = true; });
+
+    // Espera a que el socket se vacíe (o se cierre) antes de pedir el siguiente lote
+    const escribir = (texto) => {
+        if (res.write(texto)) return Promise.resolve();
+        return new Promise(resolve => {
+            const continuar = () => {
+                res.off('drain', continuar);
+                res.off('close', continuar);
+                resolve();
+            };
+            res.on('drain', continuar);
+            res.on('close', continuar);
+        });
+    };
+
+    try {
+        for await (const lote of lotes) {
+            if (cerrado) break;
+
+            if (!iniciado) {
+                res.status(200);
+                res.set('Content-Type', contentType);
+                res.set('Content-Disposition', `attachment; filename="${nombreArchivo}.${extension}"`);
+                res.set('Cache-Control', 'no-store');
+                iniciado = true;
+            }
+
+            let bloque = '';
+            for (const fila of lote) {
+                if (formato === 'ndjson') {
+                    bloque += JSON.stringify(fila) + '\n';
+                } else {
+                    if (!columnas) {
+                        columnas = Object.keys(fila);
+                        bloque += '\uFEFF' + filaCsv(columnas); // BOM para que Excel respete los acentos
+                    }
+                    bloque += filaCsv(columnas.map(columna => fila[columna]));
+                }
+            }
+            await escribir(bloque);
+        }
+
+        if (!iniciado) {
+            // Sin filas: se responde el archivo vacío con el mismo tipo de contenido
+            res.set('Content-Type', contentType);
+            res.set('Content-Disposition', `attachment; filename="${nombreArchivo}.${extension}"`);
+        }
+        res.end();
+    } catch (error) {
+        log.error('Error al exportar', { archivo: `${nombreArchivo}.${extension}`, error: error.message });
+        if (!iniciado) {
+            return responderError(res, error);
+        }
+        res.destroy(error);
+    }
+};
+
+module.exports = {
+    TAMANO_LOTE,
+    formatoStreaming,
+    leerPorLotes,
+    enviarPorLotes
+};
@@ -0,0 +1,374 @@
+const { getPrincipal, TIEMPO_LIMITE_ANALITICO_MS } = require('../db');
+const { columna } = require('../config/atributos');
+const log = require('../log');
+const { config } = require('../config');
+
+const principal = getPrincipal(); // Empresa 02
+
+/**
+ * Índice en memoria de productos (clave, claves alternas, descripción y descripción e-commerce)
+ * para búsquedas tolerantes a acentos, puntuación y errores de captura sin consultar Firebird.
+ * Se construye en segundo plano al arrancar y se refresca cada INDICE_PRODUCTOS_REFRESCO_MIN minutos;
+ * mientras no está listo, la búsqueda unificada sigue usando SQL.
+ */
+
+// 0 desactiva el refresco periódico (el índice se construye sólo al arrancar)
+const REFRESCO_MIN = config.indiceProductos.refrescoMin;
+
+// Campos indexados y su peso en la puntuación
+const CAMPOS = ['clave', 'alterna', 'descripcion', 'ecommerce'];
+const PESO_CAMPO = { clave: 4, alterna: 3, descripcion: 2, ecommerce: 1 };
+
+// Tipo de coincidencia de cada token y su peso
+const PESO_TIPO = { exacta: 3, prefijo: 2, difusa: 1 };
+
+// Coincidencias de la clave con el término completo (modos clave, prefijo y contiene de la búsqueda)
+// y el tipo de coincidencia de token con el que se puntúan
+const COINCIDENCIAS_CLAVE = { exacta: 'exacta', prefijo: 'prefijo', contiene: 'difusa' };
+
+let indice = null;
+let construyendo = null;
+let temporizador = null;
+let ultimoError = null;
+
+/**
+ * Normaliza texto para comparar: sin acentos, mayúsculas y sólo letras/números separados por espacio.
+ * "Retén O-Ring 3/4" -> "RETEN O RING 3 4"
+ */
+const normalizar = (texto) => String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim();
+
+const tokenizar = (texto) => {
+    const normalizado = normalizar(texto);
+    return normalizado ? normalizado.split(' ') : [];
+};
+
+// Forma compacta para claves: "RET-12 A" -> "RET12A"
+const compactar = (texto) => normalizar(texto).replace(/ /g, '');
+
+/**
+ * Tokens a indexar de un texto: cada palabra más la unión de palabras contiguas,
+ * para que "ORING" encuentre "O-RING" y "O RING".
+ */
+const tokensIndexables = (texto) => {
+    const tokens = tokenizar(texto);
+    const pares = tokens.slice(1).map((token, i) => tokens[i] + token);
+    return [...tokens, ...pares];
+};
+
+/**
+ * Distancia de Levenshtein acotada: regresa max + 1 en cuanto se sabe que la rebasa.
+ */
+const distanciaAcotada = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const actual = [i];
+        let minimoFila = i;
+        for (let j = 1; j <= b.length; j++) {
+            const costo = a[i - 1] === b[j - 1] ? 0 : 1;
+            actual[j] = Math.min(anterior[j] + 1, actual[j - 1] + 1, anterior[j - 1] + costo);
+            if (actual[j] < minimoFila) minimoFila = actual[j];
+        }
+        if (minimoFila > max) return max + 1;
+        anterior = actual;
+    }
+    return anterior[b.length];
+};
+
+// Errores tolerados según la longitud del token buscado
+const toleranciaPara = (token) => (token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0);
+
+const consultarFuentes = async () => {
+    const productos = await principal.query(`
+        SELECT TRIM(T1.CVE_ART) AS CVE_ART, TRIM(T1.DESCR) AS DESCR, T1.STATUS,
+               TRIM(${columna('DESC_ECOMM', 'T4')}) AS DESC_ECOMM
+        FROM ${principal.tabla('INVE')} T1
+        LEFT JOIN ${principal.tabla('INVE_CLIB')} T4 ON T1.CVE_ART = T4.CVE_PROD
+    `, [], { nombre: 'indice_productos', tiempoLimiteMs: TIEMPO_LIMITE_ANALITICO_MS });
+    const alternas = await principal.query(`
+        SELECT TRIM(CVE_ART) AS CVE_ART, TRIM(CVE_ALTER) AS CVE_ALTER
+        FROM ${principal.tabla('CVES_ALTER')}
+        WHERE CVE_ALTER IS NOT NULL
+    `, [], { nombre: 'indice_alternas', tiempoLimiteMs: TIEMPO_LIMITE_ANALITICO_MS });
+    return { productos, alternas };
+};
+
+/**
+ * Arma las estructuras del índice a partir de las filas de INVE/INVE_CLIB y CVES_ALTER de la empresa principal.
+ */
+const armarIndice = ({ productos, alternas }) => {
+    const lista = [];
+    const porClave = new Map();
+    const postings = new Map(); // token -> Map(id -> Set(campo))
+
+    const agregarToken = (token, id, campo) => {
+        if (!postings.has(token)) postings.set(token, new Map());
+        const porProducto = postings.get(token);
+        if (!porProducto.has(id)) porProducto.set(id, new Set());
+        porProducto.get(id).add(campo);
+    };
+
+    productos.forEach(row => {
+        if (!row.CVE_ART || porClave.has(row.CVE_ART)) return;
+        const id = lista.length;
+        lista.push({
+            clave: row.CVE_ART,
+            claveCompacta: compactar(row.CVE_ART),
+            descripcion: row.DESCR || '',
+            activo: (row.STATUS || '').trim() === 'A',
+            alternasCompactas: []
+        });
+        porClave.set(row.CVE_ART, id);
+
+        agregarToken(compactar(row.CVE_ART), id, 'clave');
+        tokenizar(row.CVE_ART).forEach(t => agregarToken(t, id, 'clave'));
+        tokensIndexables(row.DESCR).forEach(t => agregarToken(t, id, 'descripcion'));
+        tokensIndexables(row.DESC_ECOMM).forEach(t => agregarToken(t, id, 'ecommerce'));
+    });
+
+    alternas.forEach(row => {
+        const id = porClave.get(row.CVE_ART);
+        if (id === undefined || !row.CVE_ALTER) return;
+        const compacta = compactar(row.CVE_ALTER);
+        lista[id].alternasCompactas.push(compacta);
+        agregarToken(compacta, id, 'alterna');
+        tokenizar(row.CVE_ALTER).forEach(t => agregarToken(t, id, 'alterna'));
+    });
+
+    postings.delete('');
+
+    // Tokens ordenados (búsqueda por prefijo) y agrupados por longitud (búsqueda difusa)
+    const ordenados = Array.from(postings.keys()).sort();
+    const porLongitud = new Map();
+    ordenados.forEach(token => {
+        if (!porLongitud.has(token.length)) porLongitud.set(token.length, []);
+        porLongitud.get(token.length).push(token);
+    });
+
+    return { productos: lista, postings, ordenados, porLongitud };
+};
+
+/**
+ * (Re)construye el índice. Si ya hay una construcción en curso regresa esa misma promesa.
+ * Ante un error se conserva el índice anterior.
+ */
+const construir = () => {
+    if (construyendo) return construyendo;
+
+    const inicio = Date.now();
+    construyendo = consultarFuentes()
+        .then(fuentes => {
+            const nuevo = armarIndice(fuentes);
+            indice = { ...nuevo, construidoEn: new Date(), duracionMs: Date.now() - inicio };
+            ultimoError = null;
+            log.info('Índice de productos construido', {
+                productos: nuevo.productos.length, terminos: nuevo.ordenados.length, duracionMs: indice.duracionMs
+            });
+        })
+        .catch(error => {
+            ultimoError = error.message;
+            log.error('Error al construir el índice de productos', { error: error.message });
+        })
+        .finally(() => {
+            construyendo = null;
+        });
+
+    return construyendo;
+};
+
+/**
+ * Construye el índice en segundo plano y programa su refresco periódico.
+ */
+const iniciar = () => {
+    construir();
+    if (!temporizador && REFRESCO_MIN > 0) {
+        temporizador = setInterval(construir, REFRESCO_MIN * 60 * 1000);
+        temporizador.unref(); // No impide que el proceso termine
+    }
+};
+
+const detener = () => {
+    if (temporizador) clearInterval(temporizador);
+    temporizador = null;
+};
+
+const listo = () => indice !== null;
+
+const estado = () => ({
+    listo: listo(),
+    construyendo: construyendo !== null,
+    productos: indice ? indice.productos.length : 0,
+    terminos: indice ? indice.ordenados.length : 0,
+    construidoEn: indice ? indice.construidoEn : null,
+    duracionMs: indice ? indice.duracionMs : null,
+    refrescoMin: REFRESCO_MIN,
+    ultimoError
+});
+
+// Primer índice de "ordenados" cuyo token es >= prefijo
+const inicioPrefijo = (ordenados, prefijo) => {
+    let bajo = 0;
+    let alto = ordenados.length;
+    while (bajo < alto) {
+        const medio = (bajo + alto) >> 1;
+        if (ordenados[medio] < prefijo) bajo = medio + 1;
+        else alto = medio;
+    }
+    return bajo;
+};
+
+/**
+ * Tokens del índice que coinciden con un token buscado: exacto, por prefijo y con errores tolerados.
+ * @returns {Array<{ token: string, tipo: string }>}
+ */
+const tokensCoincidentes = (token) => {
+    const { postings, ordenados, porLongitud } = indice;
+    const resultado = new Map();
+
+    if (postings.has(token)) resultado.set(token, 'exacta');
+
+    if (token.length >= 2) {
+        for (let i = inicioPrefijo(ordenados, token); i < ordenados.length && ordenados[i].startsWith(token); i++) {
+            if (!resultado.has(ordenados[i])) resultado.set(ordenados[i], 'prefijo');
+        }
+    }
+
+    const tolerancia = toleranciaPara(token);
+    for (let len = token.length - tolerancia; tolerancia > 0 && len <= token.length + tolerancia; len++) {
+        (porLongitud.get(len) || []).forEach(candidato => {
+            if (!resultado.has(candidato) && distanciaAcotada(token, candidato, tolerancia) <= tolerancia) {
+                resultado.set(candidato, 'difusa');
+            }
+        });
+    }
+
+    return Array.from(resultado, ([t, tipo]) => ({ token: t, tipo }));
+};
+
+/**
+ * Rango de relevancia con la misma escala que la búsqueda SQL
+ * (0 clave, 1 alterna, 2 prefijo, 3 parcial, 4 descripción, 5 e-commerce).
+ */
+const calcularRango = (producto, consultaCompacta, camposCoincidentes) => {
+    if (producto.claveCompacta === consultaCompacta) return 0;
+    if (producto.alternasCompactas.includes(consultaCompacta)) return 1;
+    if (producto.claveCompacta.startsWith(consultaCompacta)) return 2;
+    if (camposCoincidentes.has('clave') || camposCoincidentes.has('alterna')) return 3;
+    if (camposCoincidentes.has('descripcion')) return 4;
+    return 5;
+};
+
+/**
+ * Tipo de coincidencia de la clave de un producto con el término completo (sin puntuación), o null.
+ */
+const coincidenciaClave = (producto, consultaCompacta) => {
+    if (producto.claveCompacta === consultaCompacta) return 'exacta';
+    if (producto.claveCompacta.startsWith(consultaCompacta)) return 'prefijo';
+    if (producto.claveCompacta.includes(consultaCompacta)) return 'contiene';
+    return null;
+};
+
+/**
+ * Busca en el índice. Todas las palabras del término deben coincidir (en cualquier campo permitido).
+ * La clave no se compara por palabra ni con errores tolerados: el término completo debe ser igual,
+ * prefijo o parte de la clave según coincidenciasClave, como en la búsqueda SQL.
+ *
+ * @param {string} termino
+ * @param {Object} [opciones]
+ * @param {string[]} [opciones.campos] Subconjunto de CAMPOS; por defecto todos.
+ * @param {string[]} [opciones.coincidenciasClave] Subconjunto de exacta, prefijo y contiene aceptado
+ *        para el campo clave; por defecto los tres.
+ * @param {boolean} [opciones.soloActivos=true]
+ * @returns {Array<{ CVE_ART: string, DESCR: string, RANGO: number, PUNTOS: number }>} Ordenado por relevancia.
+ */
+const buscar = (termino, {
+    campos = CAMPOS, coincidenciasClave = Object.keys(COINCIDENCIAS_CLAVE), soloActivos = true
+} = {}) => {
+    if (!indice) throw new Error('El índice de productos aún no está disponible.');
+
+    const tokens = [...new Set(tokenizar(termino))];
+    const consultaCompacta = compactar(termino);
+    if (tokens.length === 0) return [];
+
+    // id -> { puntos, campos } acumulado por palabra buscada
+    let acumulado = null;
+
+    tokens.forEach(token => {
+        const mejores = new Map(); // id -> { puntos, campo }
+
+        tokensCoincidentes(token).forEach(({ token: encontrado, tipo }) => {
+            indice.postings.get(encontrado).forEach((camposProducto, id) => {
+                camposProducto.forEach(campo => {
+                    if (campo === 'clave' || !campos.includes(campo)) return;
+                    const puntos = PESO_CAMPO[campo] * PESO_TIPO[tipo];
+                    const previo = mejores.get(id);
+                    if (!previo || puntos > previo.puntos) mejores.set(id, { puntos, campo });
+                });
+            });
+        });
+
+        if (acumulado === null) {
+            acumulado = new Map(Array.from(mejores, ([id, m]) => [id, { puntos: m.puntos, campos: new Set([m.campo]) }]));
+            return;
+        }
+
+        // Intersección: el producto debe coincidir con todas las palabras
+        const siguiente = new Map();
+        acumulado.forEach((valor, id) => {
+            const m = mejores.get(id);
+            if (m) {
+                valor.campos.add(m.campo);
+                siguiente.set(id, { puntos: valor.puntos + m.puntos, campos: valor.campos });
+            }
+        });
+        acumulado = siguiente;
+    });
+
+    // Clave igual, con prefijo o que contiene el término ("12-B" dentro de "RET12B")
+    if (campos.includes('clave')) {
+        indice.productos.forEach((producto, id) => {
+            const tipo = coincidenciaClave(producto, consultaCompacta);
+            if (!tipo || !coincidenciasClave.includes(tipo)) return;
+
+            const puntos = PESO_CAMPO.clave * PESO_TIPO[COINCIDENCIAS_CLAVE[tipo]];
+            const previo = acumulado.get(id);
+            if (!previo) {
+                acumulado.set(id, { puntos, campos: new Set(['clave']) });
+            } else {
+                previo.campos.add('clave');
+                previo.puntos += puntos;
+            }
+        });
+    }
+
+    const resultados = [];
+    acumulado.forEach((valor, id) => {
+        const producto = indice.productos[id];
+        if (soloActivos && !producto.activo) return;
+        resultados.push({
+            CVE_ART: producto.clave,
+            DESCR: producto.descripcion,
+            RANGO: calcularRango(producto, consultaCompacta, valor.campos),
+            PUNTOS: valor.puntos
+        });
+    });
+
+    return resultados.sort((a, b) => a.RANGO - b.RANGO || b.PUNTOS - a.PUNTOS || a.CVE_ART.localeCompare(b.CVE_ART));
+};
+
+module.exports = {
+    CAMPOS,
+    normalizar,
+    iniciar,
+    detener,
+    construir,
+    listo,
+    estado,
+    buscar
+};
@@ -0,0 +1,73 @@
+const { listarEmpresas } = require('../db');
+const { config } = require('../config');
+
+/**
+ * Verificación de disponibilidad de las empresas para /health/ready.
+ * Cada empresa se prueba con una consulta mínima contra su pool y un tiempo límite.
+ */
+
+const TIEMPO_LIMITE_MS = config.salud.tiempoLimiteMs;
+const SQL_PRUEBA = 'SELECT 1 FROM RDB$DATABASE';
+
+// Pruebas en curso por empresa: si el monitor consulta seguido mientras Firebird no responde,
+// se reutiliza la prueba pendiente en lugar de ocupar otra conexión del pool
+const enCurso = new Map();
+
+// Durante el apagado (ver src/index.js) /health/ready responde 503 sin probar las empresas,
+// para que el balanceador deje de enviar peticiones mientras terminan las que están en curso
+let apagando = false;
+
+const marcarApagando = () => {
+    apagando = true;
+};
+
+const estaApagando = () => apagando;
+
+/**
+ * Prueba una empresa y regresa su disponibilidad, latencia, uso del pool y último error.
+ */
+const probarEmpresa = async (empresa) => {
+    const inicio = Date.now();
+    let error = null;
+
+    if (!enCurso.has(empresa.id)) {
+        // Si no responde a tiempo, la capa de datos descarta la conexión (ver db/pool.js)
+        const prueba = empresa.query(SQL_PRUEBA, [], { nombre: 'salud', tiempoLimiteMs: TIEMPO_LIMITE_MS });
+        enCurso.set(empresa.id, prueba.finally(() => enCurso.delete(empresa.id)));
+    }
+
+    try {
+        await enCurso.get(empresa.id);
+    } catch (err) {
+        error = { codigo: err.codigo || 'ERROR_INTERNO', mensaje: err.message };
+    }
+
+    return {
+        id: empresa.id,
+        nombre: empresa.nombre,
+        requerida: empresa.requerida,
+        disponible: error === null,
+        latenciaMs: Date.now() - inicio,
+        ...(error ? { error } : {}),
+        pool: empresa.estadoPool()
+    };
+};
+
+/**
+ * Prueba todas las empresas en paralelo.
+ * @returns {Promise<{ lista: boolean, empresas: Array<Object> }>} lista es false si alguna empresa requerida no respondió.
+ */
+const verificarEmpresas = async () => {
+    const empresas = await Promise.all(listarEmpresas().map(probarEmpresa));
+    return {
+        lista: empresas.every(e => e.disponible || !e.requerida),
+        empresas
+    };
+};
+
+module.exports = {
+    TIEMPO_LIMITE_MS,
+    verificarEmpresas,
+    marcarApagando,
+    estaApagando
+};
@@ -0,0 +1,71 @@
+// test/asertividadCiclico.test.js
+// Neteo de movimientos del inventario cíclico (getAsertividadCiclico): concepto 10 = ajuste, 60 = merma.
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { falso, post } = require('./ayudantes');
+
+const RUTA = '/api/dashboard-inventarios/asertividad-ciclico';
+const SQL_MOVIMIENTOS = 'FROM INVE_CLIB02 C LEFT JOIN MINVE02 M';
+
+const movimiento = (CVE_ART, CVE_CPTO, CANT, COSTO = 10) => ({
+  CVE_ART, REFER: 'CIC-01', CVE_CPTO, COSTO, CANT, FAMILIA: 'SELLOS', GENERO: 'HIDRAULICO', CATEGORIA: 'SELLOS U'
+});
+
+describe('POST /api/dashboard-inventarios/asertividad-ciclico', () => {
+  beforeEach(() => falso.reiniciar());
+
+  it('netea ajustes contra mermas por producto', async () => {
+    falso.responder({
+      sql: SQL_MOVIMIENTOS,
+      filas: [
+        movimiento('A', 60, 5), movimiento('A', 10, 5),
+        movimiento('B', 10, 8, 12.5), movimiento('B', 60, 3, 99),
+        movimiento('C', 60, '4'),
+        { CVE_ART: 'D', REFER: null, CVE_CPTO: null, COSTO: null, CANT: null, FAMILIA: 'ORINGS', GENERO: null, CATEGORIA: null }
+      ]
+    });
+
+    const res = await post(RUTA, { refer: ' CIC-01 ', productos: ['A', 'B', 'C', 'D', 'E'] });
+
+    assert.equal(res.status, 200);
+    const [a, b, c, d, e] = res.body;
+
+    assert.deepEqual(
+      { RESULTADO: a.RESULTADO, CVE_CPTO: a.CVE_CPTO, CANT: a.CANT, REFER: a.REFER },
+      { RESULTADO: 'SIN CAMBIO', CVE_CPTO: null, CANT: 0, REFER: 'CIC-01' }
+    );
+    assert.deepEqual(
+      { RESULTADO: b.RESULTADO, CVE_CPTO: b.CVE_CPTO, CANT: b.CANT, COSTO: b.COSTO },
+      { RESULTADO: 'AJUSTE', CVE_CPTO: 10, CANT: 5, COSTO: 12.5 }
+    );
+    assert.deepEqual({ RESULTADO: c.RESULTADO, CVE_CPTO: c.CVE_CPTO, CANT: c.CANT }, { RESULTADO: 'MERMA', CVE_CPTO: 60, CANT: 4 });
+
+    // Sin movimientos: se conserva la clasificación del catálogo si existe
+    assert.deepEqual(d, {
+      CVE_ART: 'D', REFER: '', CVE_CPTO: null, COSTO: null, CANT: null,
+      FAMILIA: 'ORINGS', GENERO: '', CATEGORIA: '', RESULTADO: 'SIN CAMBIO'
+    });
+    assert.equal(e.RESULTADO, 'SIN CAMBIO');
+    assert.equal(e.FAMILIA, '');
+  });
+
+  it('consulta en bloques de 200 claves con la referencia sin espacios', async () => {
+    falso.responder({ sql: SQL_MOVIMIENTOS, filas: [] });
+    const productos = Array.from({ length: 250 }, (_, i) => `P${i}`);
+
+    const res = await post(RUTA, { refer: ' CIC-01 ', productos });
+
+    assert.equal(res.body.length, 250);
+    const bloques = falso.consultas(SQL_MOVIMIENTOS);
+    assert.deepEqual(bloques.map(c => c.params.length), [201, 51]);
+    assert.equal(bloques[0].params[0], 'CIC-01');
+  });
+
+  it('responde [] sin productos y 400 sin referencia', async () => {
+    assert.deepEqual((await post(RUTA, { refer: 'CIC-01', productos: [] })).body, []);
+
+    const res = await post(RUTA, { productos: ['A'] });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.codigo, 'PETICION_INVALIDA');
+  });
+});
@@ -0,0 +1,59 @@
+// test/auditoria.test.js
+// Auditoría de lecturas sensibles: las rutas con x-auditoria dejan un registro con la llave, la ruta,
+// los parámetros (RFC enmascarados) y las filas leídas, que se consulta en /api/admin/auditoria.
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { falso, get } = require('./ayudantes');
+const { enmascararParametros } = require('../src/services/auditoria');
+
+const CLIENTE = { CLAVE: '100', NOMBRE: 'FERRETERA DEL NORTE', RFC: 'FNO010101AB1', STATUS: 'A' };
+
+describe('auditoría de accesos', () => {
+  beforeEach(() => falso.reiniciar());
+
+  it('enmascara los RFC por nombre de campo o por su forma, también en objetos anidados', () => {
+    assert.deepEqual(
+      enmascararParametros({ rfc: 'XAXX010101000', sucursal: '1', cuerpo: { cliente: 'FNO010101AB1', claves: ['A1'] } }),
+      { rfc: 'XAXX******000', sucursal: '1', cuerpo: { cliente: 'FNO0*****AB1', claves: ['A1'] } }
+    );
+  });
+
+  it('registra la consulta de un cliente por RFC y la encuentra por cliente y ruta', async () => {
+    falso.responder({ sql: 'FROM CLIE02', filas: [CLIENTE] });
+
+    const consulta = await get(`/api/clientes/rfc/${CLIENTE.RFC}?sucursal=1`).set('X-Request-Id', 'auditoria-1');
+    assert.equal(consulta.status, 200);
+
+    const res = await get('/api/admin/auditoria?cliente=interno&ruta=/api/clientes');
+    assert.equal(res.status, 200);
+    const acceso = res.body.accesos.find(a => a.requestId === 'auditoria-1');
+    assert.ok(acceso, 'el acceso debe estar registrado');
+    assert.equal(acceso.ruta, '/api/clientes/rfc/{rfc}');
+    assert.equal(acceso.metodo, 'GET');
+    assert.equal(acceso.estado, 200);
+    assert.equal(acceso.filas, 1);
+    assert.equal(acceso.llave.length, 12);
+    assert.deepEqual(acceso.parametros, { rfc: 'FNO0*****AB1', sucursal: '1' });
+    assert.doesNotMatch(JSON.stringify(res.body), /FNO010101AB1/);
+  });
+
+  it('no registra las rutas sin datos sensibles y filtra por ruta', async () => {
+    falso.responder({ sql: 'GROUP BY NUM_ALMA', filas: [] });
+    await get('/api/dashboard/ventas-resumen?mes=3&anio=2026').set('X-Request-Id', 'sin-auditoria');
+
+    const todos = await get('/api/admin/auditoria');
+    assert.ok(!todos.body.accesos.some(a => a.requestId === 'sin-auditoria'));
+
+    const otraRuta = await get('/api/admin/auditoria?ruta=/api/dashboard');
+    assert.ok(otraRuta.body.accesos.every(a => a.ruta.startsWith('/api/dashboard')));
+  });
+
+  it('rechaza fechas inválidas o un periodo invertido', async () => {
+    assert.equal((await get('/api/admin/auditoria?desde=ayer')).status, 400);
+    assert.equal((await get('/api/admin/auditoria?desde=2026-10-19&hasta=2026-10-01')).status, 400);
+
+    const res = await get('/api/admin/auditoria?desde=2026-10-01&hasta=2026-10-01');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.hasta, '2026-10-01T23:59:59.999Z');
+  });
+});
@@ -0,0 +1,38 @@
+// test/auditoriaMargenes.test.js
+// POST /clavesalternas/auditoria-margenes1: las fechas del cuerpo van a la consulta y al nombre del Excel.
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { falso, post } = require('./ayudantes');
+
+describe('POST /clavesalternas/auditoria-margenes1', () => {
+  beforeEach(() => {
+    falso.reiniciar();
+    falso.responder({ sql: 'WHERE M.CVE_CPTO = 51', filas: [] });
+  });
+
+  it('nombra el Excel con el rango de fechas', async () => {
+    const res = await post('/clavesalternas/auditoria-margenes1?format=xlsx', { fechaInicio: '2026-01-01', fechaFin: '2026-01-31' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-disposition'], 'attachment; filename="auditoria-margenes-2026-01-01-2026-01-31.xlsx"');
+    assert.deepEqual(falso.consultas('WHERE M.CVE_CPTO = 51')[0].params, ['2026-01-01', '2026-01-31']);
+  });
+
+  it('rechaza fechas que no son AAAA-MM-DD sin consultar la base', async () => {
+    for (const fechaInicio of ['x"; filename=evil.exe; a', 'año', '2026-02-30', '01/02/2026']) {
+      const res = await post('/clavesalternas/auditoria-margenes1?format=xlsx', { fechaInicio, fechaFin: '2026-01-01' });
+      assert.equal(res.status, 400, fechaInicio);
+      assert.equal(res.headers['content-disposition'], undefined);
+    }
+    assert.equal(falso.consultas().length, 0);
+  });
+});
+
+describe('validación de format en el documento OpenAPI', () => {
+  it('rechaza en la validación las fechas que no cumplen format: date', async () => {
+    const res = await post('/clavesalternas/auditoria-margenes1', { fechaInicio: '2026-13-01', fechaFin: '2026-01-01' });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errores, [{ ubicacion: 'body', mensaje: "'fechaInicio' debe ser una fecha AAAA-MM-DD." }]);
+  });
+});
@@ -0,0 +1,43 @@
+// test/ayudantes.js
+// Arranque común de las pruebas: la app completa contra el adaptador falso (sin servidor Firebird)
+// y una llave con acceso total. Cada archivo de prueba corre en su propio proceso (node --test).
+
+const os = require('os');
+const path = require('path');
+
+// Configuración por defecto aunque exista un .env local (dotenv no sobreescribe lo ya definido).
+// El registro de auditoría va a un directorio temporal por proceso para no escribir en el repositorio.
+Object.assign(process.env, {
+  AUDITORIA_DIR: path.join(os.tmpdir(), `auditoria-pruebas-${process.pid}`),
+  INTERNAL_SECRET: 'llave-de-pruebas',
+  // La configuración exige los datos de conexión aunque las pruebas usen el adaptador falso
+  DB_HOST: 'localhost',
+  DB_USER: 'pruebas',
+  DB_PASSWORD: 'pruebas',
+  DB_DATABASE: 'empresa02.fdb',
+  DB_DATABASE_EMP3: 'empresa03.fdb',
+  EMPRESAS_CONFIG: '',
+  SUCURSALES_CONFIG: '',
+  // Un archivo de prueba puede registrar más llaves con PRUEBAS_CLIENTES_CONFIG antes de requerir este módulo
+  API_CLIENTES_CONFIG: process.env.PRUEBAS_CLIENTES_CONFIG || '',
+  CACHE_DESACTIVADO: '1',
+  ERRORES_DETALLADOS: 'true'
+});
+
+const request = require('supertest');
+const { usarAdaptador } = require('../src/db');
+const { crearAdaptadorFalso } = require('../src/db/adaptadores/falso');
+
+const falso = crearAdaptadorFalso();
+usarAdaptador(falso.fabrica);
+
+const app = require('../src/app');
+
+const get = (ruta) => request(app).get(ruta).set('x-api-key', process.env.INTERNAL_SECRET);
+const post = (ruta, cuerpo) => request(app).post(ruta).set('x-api-key', process.env.INTERNAL_SECRET).send(cuerpo);
+
+module.exports = {
+  falso,
+  get,
+  post
+};
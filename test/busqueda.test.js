@@ -0,0 +1,53 @@
+// test/busqueda.test.js
+// Búsqueda unificada con el índice en memoria listo: los modos de clave conservan su tipo de
+// coincidencia (exacta, prefijo, contiene) y sólo los demás campos toleran errores de captura.
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { falso, get } = require('./ayudantes');
+const indiceProductos = require('../src/services/indiceProductos');
+
+const PRODUCTOS = [
+  { CVE_ART: 'RET12', DESCR: 'RETEN 12 MM', STATUS: 'A', DESC_ECOMM: null },
+  { CVE_ART: 'RET123', DESCR: 'RETEN 123 MM', STATUS: 'A', DESC_ECOMM: null },
+  { CVE_ART: 'RAT12', DESCR: 'RATCHET 12', STATUS: 'A', DESC_ECOMM: null },
+  { CVE_ART: 'XRET12', DESCR: 'SELLO', STATUS: 'A', DESC_ECOMM: null }
+];
+
+const responderIndice = () => falso.responder(
+  { sql: 'AS DESC_ECOMM FROM INVE02 T1', filas: PRODUCTOS },
+  { sql: 'FROM CVES_ALTER02 WHERE CVE_ALTER IS NOT NULL', filas: [] },
+  { sql: 'WHERE T1.CVE_ART IN', filas: (claves) => PRODUCTOS.filter(p => claves.includes(p.CVE_ART)) }
+);
+
+const claves = async (ruta) => {
+  const res = await get(ruta);
+  assert.equal(res.status, 200);
+  return res.body.data.map(p => p.CVE_ART).sort();
+};
+
+describe('GET /api/busqueda con el índice en memoria', () => {
+  before(async () => {
+    responderIndice();
+    await indiceProductos.construir();
+    assert.ok(indiceProductos.listo());
+  });
+
+  beforeEach(() => {
+    falso.reiniciar();
+    responderIndice();
+  });
+
+  it('modos=clave sólo regresa la clave exacta, sin prefijos ni coincidencias difusas', async () => {
+    assert.deepEqual(await claves('/api/busqueda?q=RET12&modos=clave'), ['RET12']);
+    assert.equal(falso.consultas('UPPER(T1.CVE_ART) =').length, 0, 'se resuelve con el índice, no con SQL');
+  });
+
+  it('prefijo y contiene amplían la coincidencia como sus criterios SQL', async () => {
+    assert.deepEqual(await claves('/api/busqueda?q=RET12&modos=prefijo'), ['RET12', 'RET123']);
+    assert.deepEqual(await claves('/api/busqueda?q=RET12&modos=contiene'), ['RET12', 'RET123', 'XRET12']);
+  });
+
+  it('la descripción sí tolera errores de captura', async () => {
+    assert.deepEqual(await claves('/api/busqueda?q=RETIN&modos=descripcion'), ['RET12', 'RET123']);
+  });
+});
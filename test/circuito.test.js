@@ -0,0 +1,51 @@
+// test/circuito.test.js
+// Cortacircuitos por empresa (db/circuito.js).
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { crearCircuito } = require('../src/db/circuito');
+
+const sinConexion = { codigo: 'BD_NO_DISPONIBLE' };
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('crearCircuito', () => {
+  it('se abre tras los fallos seguidos de disponibilidad y rechaza con 503', () => {
+    const circuito = crearCircuito('Empresa 03', { fallos: 2, esperaMs: 60000 });
+
+    circuito.autorizar();
+    circuito.registrar(sinConexion);
+    circuito.autorizar();
+    circuito.registrar({ codigo: 'TIEMPO_AGOTADO' });
+
+    assert.throws(() => circuito.autorizar(), { status: 503, codigo: 'BD_NO_DISPONIBLE', retryAfter: 60 });
+    assert.equal(circuito.estado().estado, 'abierto');
+  });
+
+  it('no cuenta los errores de una base que sí responde', () => {
+    const circuito = crearCircuito('Empresa 03', { fallos: 2 });
+
+    circuito.registrar(sinConexion);
+    circuito.registrar({ codigo: 'CONVERSION_INVALIDA' });
+    circuito.registrar(sinConexion);
+
+    assert.doesNotThrow(() => circuito.autorizar());
+    assert.deepEqual(circuito.estado(), { estado: 'cerrado', fallosConsecutivos: 1 });
+  });
+
+  it('pasada la espera deja pasar una sola consulta de prueba', async () => {
+    const circuito = crearCircuito('Empresa 03', { fallos: 1, esperaMs: 10 });
+    circuito.registrar(sinConexion);
+    await esperar(20);
+
+    circuito.autorizar();
+    assert.throws(() => circuito.autorizar(), { codigo: 'BD_NO_DISPONIBLE' });
+
+    // Falla la prueba: se vuelve a abrir; responde la siguiente: se cierra
+    circuito.registrar(sinConexion);
+    assert.equal(circuito.estado().estado, 'abierto');
+    await esperar(20);
+
+    circuito.autorizar();
+    circuito.registrar(null);
+    assert.deepEqual(circuito.estado(), { estado: 'cerrado', fallosConsecutivos: 0 });
+  });
+});
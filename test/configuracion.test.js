@@ -0,0 +1,112 @@
+// test/configuracion.test.js
+// Configuración tipada (config/index.js): valores por defecto, conversión de tipos, errores acumulados
+// al arrancar y resumen sin secretos.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const path = require('path');
+require('./ayudantes'); // Entorno válido para la configuración que se carga al requerir el módulo
+const { cargarConfiguracion, resumenConfiguracion, ErrorConfiguracion } = require('../src/config');
+const { cargarEmpresas } = require('../src/config/empresas');
+
+const CONEXION = {
+  DB_HOST: 'erp', DB_USER: 'SYSDBA', DB_PASSWORD: 'masterkey',
+  DB_DATABASE: 'empresa02.fdb', DB_DATABASE_EMP3: 'empresa03.fdb'
+};
+
+const erroresDe = (entorno) => {
+  try {
+    cargarConfiguracion(entorno);
+  } catch (error) {
+    assert.ok(error instanceof ErrorConfiguracion);
+    return error.errores;
+  }
+  assert.fail('la configuración debía ser inválida');
+};
+
+describe('configuración', () => {
+  it('convierte los tipos y aplica los valores por defecto', () => {
+    const config = cargarConfiguracion({
+      ...CONEXION,
+      DB_PORT: '3051',
+      CACHE_DESACTIVADO: '1',
+      ERRORES_DETALLADOS: 'false',
+      LOG_NIVEL: ' WARN ',
+      DB_GRABAR_ENMASCARAR: 'rfc, email',
+      INDICE_PRODUCTOS_REFRESCO_MIN: '0'
+    });
+
+    assert.equal(config.db.puerto, 3051);
+    assert.equal(config.cache.desactivado, true);
+    assert.equal(config.log.erroresDetallados, false);
+    assert.equal(config.log.nivel, 'warn');
+    assert.deepEqual(config.db.columnasEnmascaradas, ['rfc', 'email']);
+    assert.equal(config.indiceProductos.refrescoMin, 0);
+    assert.equal(config.servidor.puerto, 3010);
+    assert.equal(config.db.tiempoLimiteMs, 30000);
+    assert.equal(config.servidor.produccion, false);
+    assert.ok(Object.isFrozen(config.db));
+  });
+
+  it('reporta todos los errores juntos en lugar de arrancar con valores inválidos', () => {
+    const errores = erroresDe({ ...CONEXION, DB_PORT: '30a50', DB_POOL_TAMANO: '0', DB_MODO: 'espejo', EMPRESAS_CONFIG: '/no/existe.json' });
+    assert.equal(errores.length, 4);
+    assert.match(errores.join('\n'), /DB_PORT debe ser un número entero/);
+    assert.match(errores.join('\n'), /DB_POOL_TAMANO debe ser mayor o igual a 1/);
+    assert.match(errores.join('\n'), /DB_MODO debe ser uno de: firebird, grabar, reproducir/);
+    assert.match(errores.join('\n'), /EMPRESAS_CONFIG no existe el archivo/);
+  });
+
+  it('exige los datos de conexión salvo en modo reproducir', () => {
+    const errores = erroresDe({ DB_HOST: 'erp' });
+    assert.deepEqual(errores.map(e => e.split(' ')[0]), ['DB_USER', 'DB_PASSWORD', 'DB_DATABASE', 'DB_DATABASE_EMP3']);
+
+    assert.equal(cargarConfiguracion({ DB_MODO: 'reproducir' }).db.modo, 'reproducir');
+  });
+
+  it('no arranca en producción con el secreto por defecto', () => {
+    const entorno = { ...CONEXION, INTERNAL_SECRET: 'CambiaEsteTokenProvisional' };
+    assert.equal(cargarConfiguracion(entorno).seguridad.secretoInterno, 'CambiaEsteTokenProvisional');
+
+    const errores = erroresDe({ ...entorno, NODE_ENV: 'production' });
+    assert.match(errores[0], /INTERNAL_SECRET tiene el valor por defecto/);
+  });
+
+  it('oculta los secretos en el resumen del arranque', () => {
+    const resumen = resumenConfiguracion(cargarConfiguracion({ ...CONEXION, INTERNAL_SECRET: 'secreto' }));
+    assert.equal(resumen.DB_PASSWORD, '****');
+    assert.equal(resumen.INTERNAL_SECRET, '****');
+    assert.equal(resumen.METRICAS_TOKEN, null);
+    assert.equal(resumen.DB_HOST, 'erp');
+    assert.doesNotMatch(JSON.stringify(resumen), /masterkey|secreto/);
+  });
+
+  it('rechaza valores inválidos de EMPRESAS_CONFIG en lugar de tomar los valores por defecto', () => {
+    const [empresa] = cargarEmpresas([{ id: '02', database: 'a.fdb', poolSize: '8', port: 3051, reconexionMs: 0 }]);
+    assert.equal(empresa.poolSize, 8);
+    assert.equal(empresa.conexion.port, 3051);
+    assert.equal(empresa.conexion.retryConnectionInterval, 0);
+
+    assert.throws(
+      () => cargarEmpresas([{ id: '02', poolSize: 'diez', inactividadMs: -1, port: 70000, reconexionMs: '1s' }]),
+      (error) => {
+        assert.ok(error instanceof ErrorConfiguracion);
+        assert.deepEqual(error.errores.map(e => e.split(' ')[1]), ['poolSize', 'inactividadMs', 'port', 'reconexionMs']);
+        return true;
+      }
+    );
+  });
+
+  it('genera llaves sin las variables de conexión', () => {
+    const script = path.join(__dirname, '..', 'src', 'scripts', 'generarLlaveApi.js');
+    const salida = execFileSync(process.execPath, [script, 'tienda', 'catalogo:read'], {
+      env: { PATH: process.env.PATH },
+      encoding: 'utf8'
+    });
+
+    const llave = salida.match(/^ {2}(\S+)$/m)[1];
+    const entrada = JSON.parse(salida.slice(salida.indexOf('{')));
+    assert.equal(entrada.hash, require('../src/config/llaves').hashLlave(llave));
+    assert.deepEqual(entrada.scopes, ['catalogo:read']);
+  });
+});
@@ -0,0 +1,109 @@
+// test/consulta.test.js
+// Constructor de consultas (src/db/consulta.js) y los endpoints de filtros construidos con él:
+// los valores del usuario siempre viajan como parámetros, nunca en el texto del SQL.
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { falso, get } = require('./ayudantes');
+const {
+  columna, texto, recortado, numeroDeTexto, igual, en, rango, empiezaCon, contiene, donde, ordenar, paginar
+} = require('../src/db/consulta');
+const { ATRIBUTOS_CATALOGO, agruparPorPosicion } = require('../src/config/atributos');
+
+const INYECCION = "X' OR '1'='1";
+
+describe('db/consulta', () => {
+  it('omite los filtros sin valor y une los demás con AND', () => {
+    const filtros = donde(
+      igual(texto('PERFIL', 'T4'), ' b3 '),
+      igual(texto('LIN_PROD', 'T1'), ''),
+      rango(numeroDeTexto('DIAM_INT', 'T4'), { min: '10,5', max: 'abc' }),
+      empiezaCon(columna('LIN_PROD', 'I'), undefined)
+    );
+
+    assert.equal(filtros.sql,
+      "WHERE UPPER(TRIM(COALESCE(T4.CAMPLIB13, ''))) = ? AND " +
+      "CAST(REPLACE(COALESCE(NULLIF(TRIM(T4.CAMPLIB1), ''), '0'), ',', '.') AS NUMERIC(15, 4)) >= CAST(? AS NUMERIC(15, 4))");
+    assert.deepEqual(filtros.params, ['B3', 10.5]);
+    assert.deepEqual(donde(null, igual(recortado('SIST_MED'), ' ')), { sql: '', params: [] });
+  });
+
+  it('arma IN, CONTAINING y la tolerancia numérica con parámetros', () => {
+    assert.deepEqual(en(texto('PERFIL', 'T4'), ['b3', ' B3', 'k35', '']), {
+      sql: "UPPER(TRIM(COALESCE(T4.CAMPLIB13, ''))) IN (?, ?)", params: ['B3', 'K35']
+    });
+    assert.deepEqual(contiene([columna('CVE_ART', 'I'), columna('DESCR', 'I')], ` ${INYECCION} `), {
+      sql: '(I.CVE_ART CONTAINING ? OR I.DESCR CONTAINING ?)', params: [INYECCION, INYECCION]
+    });
+    assert.match(igual(numeroDeTexto('ALTURA', 'T4'), '5', { tolerancia: 0.001 }).sql,
+      /^ABS\(.+ - CAST\(\? AS NUMERIC\(15, 4\)\)\) <= 0\.001$/);
+  });
+
+  it('rechaza identificadores fuera de la lista permitida y texto SQL en lugar de expresiones', () => {
+    assert.throws(() => columna('PASSWORD'), /Columna no permitida/);
+    assert.throws(() => columna('CVE_ART', 'T1; DROP TABLE INVE02'), /Alias de tabla inválido/);
+    assert.throws(() => numeroDeTexto('PERFIL', 'T4'), /no es numérico/);
+    assert.throws(() => igual('T1.CVE_ART', 'A'), /Expresión de consulta inválida/);
+  });
+
+  it('ordena sólo por campos permitidos y pagina con parámetros', () => {
+    const campos = { clave: columna('CVE_ART', 'T1'), descripcion: columna('DESCR', 'T1') };
+    assert.equal(ordenar(campos, { campo: 'descripcion', direccion: 'DESC' }), 'ORDER BY T1.DESCR DESC');
+    assert.throws(() => ordenar(campos, { campo: 'T1.PRECIO' }), { status: 400 });
+    assert.throws(() => ordenar(campos, { direccion: 'asc; --' }), { status: 400 });
+
+    assert.deepEqual(paginar({ limit: '20', offset: '40' }),
+      { sql: 'ROWS ? TO ?', params: [41, 60], limite: 20, desplazamiento: 40, pagina: 3 });
+    assert.deepEqual(paginar({ page: '2', limit: 'x' }, { limite: 50 }).params, [51, 100]);
+  });
+});
+
+describe('Endpoints de filtros', () => {
+  beforeEach(() => {
+    falso.reiniciar();
+    falso.responder(
+      { sql: 'FROM INVE02 T1', filas: [] },
+      { sql: 'SELECT COUNT(DISTINCT T1.CVE_ART) AS TOTAL', filas: [{ TOTAL: 45 }] }
+    );
+  });
+
+  it('filter-v2 manda familia unificada, perfiles y medidas como parámetros', async () => {
+    const perfiles = encodeURIComponent(`b3,${INYECCION}`);
+    const res = await get(`/api/clavesalternas/filter-v2?familia=sellos%20u&perfil=${perfiles}&diam_int=12,5&limit=20&offset=40`);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.pagination, { currentPage: 3, totalPages: 3, totalRecords: 45, limit: 20 });
+
+    const [datos] = falso.consultas('GROUP BY 1,2,3');
+    assert.ok(!datos.sql.includes('sellos') && !datos.sql.includes("'1'='1"));
+    assert.deepEqual(datos.params, ['SELLOS U', 'SELLOS DE VASTAGO', 'B3', INYECCION.toUpperCase(), 12.5, 41, 60]);
+  });
+
+  it('la búsqueda pagina con parámetros, sin valores en el texto del SQL', async () => {
+    const res = await get('/api/busqueda?q=RET12&modos=clave&limit=5&offset=10');
+
+    assert.equal(res.status, 200);
+    const [coincidencias] = falso.consultas('AS RANGO');
+    assert.match(coincidencias.sql, /ROWS \? TO \?$/);
+    assert.ok(!/FIRST|SKIP/.test(coincidencias.sql));
+    assert.deepEqual(coincidencias.params.slice(-2), [11, 15]);
+  });
+
+  it('ventas-tendencia pasa las fechas del año como parámetros', async () => {
+    falso.responder({ sql: 'GROUP BY 1, 2, 3', filas: [] });
+
+    const res = await get('/api/dashboard/ventas-tendencia?anio=2025');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 12);
+    const [facturas] = falso.consultas('FROM FACTF02');
+    assert.ok(!facturas.sql.includes('2025'));
+    assert.deepEqual(facturas.params, ['4239', '2025-01-01', '2025-12-31']);
+  });
+});
+
+describe('config/atributos agruparPorPosicion', () => {
+  it('agrupa las columnas previas más los atributos del SELECT', () => {
+    assert.equal(agruparPorPosicion(2, ['PERFIL', 'GENERO']), 'GROUP BY 1,2,3,4');
+    assert.equal(agruparPorPosicion(6), `GROUP BY ${Array.from({ length: 6 + ATRIBUTOS_CATALOGO.length }, (_, i) => i + 1)}`);
+  });
+});
@@ -0,0 +1,117 @@
+// test/dashboards.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { falso, get } = require('./ayudantes');
+
+const haceDias = (dias) => new Date(Date.now() - dias * 24 * 60 * 60 * 1000);
+
+describe('GET /api/dashboard/ventas-resumen', () => {
+  beforeEach(() => falso.reiniciar());
+
+  it('consolida facturas y devoluciones por sucursal, con Fresnillo desde la Empresa 03', async () => {
+    falso.responder(
+      { empresa: '02', sql: 'FROM FACTF02', filas: [{ NUM_ALMA: 1, TOTAL: 1000.456 }, { NUM_ALMA: 6, TOTAL: 500 }] },
+      { empresa: '02', sql: 'FROM FACTR02', filas: [{ NUM_ALMA: 1, TOTAL: 100 }] },
+      { empresa: '03', sql: 'FROM FACTF03', filas: [{ NUM_ALMA: 3, TOTAL: 200 }] },
+      { empresa: '03', sql: 'FROM FACTR03', filas: [] }
+    );
+
+    const res = await get('/api/dashboard/ventas-resumen?mes=3&anio=2026');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.periodo, { mes: 3, anio: 2026 });
+    assert.deepEqual(res.body.resumen_global, { facturas: 1700.46, remisiones: 100, total: 1800.46 });
+
+    const porId = Object.fromEntries(res.body.detalle_sucursales.map(s => [s.id, s]));
+    assert.deepEqual(porId[1], { id: 1, nombre: 'Durango', ventas_facturadas: 1000.46, ventas_remisiones: 100, total: 1100.46 });
+    assert.equal(porId[6].total, 500);
+    assert.equal(porId[10].nombre, 'Fresnillo');
+    assert.equal(porId[10].ventas_facturadas, 200);
+    assert.equal(porId[5].total, 0);
+  });
+
+  it('excluye al cliente interno de cada empresa', async () => {
+    falso.responder({ sql: 'GROUP BY NUM_ALMA', filas: [] });
+
+    await get('/api/dashboard/ventas-resumen?mes=3&anio=2026');
+
+    const params = falso.consultas('FROM FACTF').map(c => [c.empresa, c.params]);
+    assert.deepEqual(params, [['02', ['4239', 3, 2026]], ['03', ['2257', 3, 2026]]]);
+  });
+
+  it('marca Fresnillo como no disponible en lugar de sumarlo en cero', async () => {
+    falso.responder(
+      { empresa: '02', sql: 'FROM FACTF02', filas: [{ NUM_ALMA: 1, TOTAL: 1000 }] },
+      { empresa: '02', sql: 'FROM FACTR02', filas: [] },
+      { empresa: '03', sql: 'GROUP BY NUM_ALMA', error: Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }) }
+    );
+
+    const res = await get('/api/dashboard/ventas-resumen?mes=3&anio=2026');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['x-fuentes-no-disponibles'], '03');
+    assert.deepEqual(res.body.fuentes_no_disponibles, [
+      { empresa: '03', nombre: 'Fresnillo', sucursales: ['Fresnillo'], codigo: 'BD_NO_DISPONIBLE' }
+    ]);
+    assert.deepEqual(res.body.resumen_global, { facturas: 1000, remisiones: 0, total: 1000 });
+
+    const fresnillo = res.body.detalle_sucursales.find(s => s.id === 10);
+    assert.deepEqual(fresnillo, { id: 10, nombre: 'Fresnillo', ventas_facturadas: null, ventas_remisiones: null, total: null });
+  });
+
+  it('responde 503 con código estable si la empresa principal no está disponible', async () => {
+    falso.responder(
+      { sql: 'GROUP BY NUM_ALMA', filas: [] },
+      { empresa: '02', sql: 'FROM FACTF02', error: Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }) }
+    );
+
+    const res = await get('/api/dashboard/ventas-resumen?mes=3&anio=2026');
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.codigo, 'BD_NO_DISPONIBLE');
+    assert.equal(res.headers['retry-after'], '5');
+  });
+});
+
+describe('GET /api/dashboard/cxc-resumen', () => {
+  beforeEach(() => falso.reiniciar());
+
+  it('calcula cobrabilidad, antigüedad de saldos y principales deudores de todas las empresas', async () => {
+    falso.responder(
+      { sql: 'SELECT SUM(IMPORTE) AS TOTAL FROM FACTF', filas: [{ TOTAL: null }] },
+      { sql: 'SELECT SUM(IMPORTE) AS TOTAL FROM CUEN_DET', filas: [{ TOTAL: null }] },
+      { sql: "WHERE F.METODODEPAGO = 'PPD'", filas: [] },
+      { empresa: '02', sql: 'SELECT SUM(IMPORTE) AS TOTAL FROM FACTF02', filas: [{ TOTAL: 1000 }] },
+      { empresa: '02', sql: 'SELECT SUM(IMPORTE) AS TOTAL FROM CUEN_DET02', filas: [{ TOTAL: 250 }] },
+      {
+        empresa: '02',
+        sql: "WHERE F.METODODEPAGO = 'PPD'",
+        filas: [
+          { CVE_CLPV: '10', NOMBRE_CLIENTE: 'CLIENTE A', SALDO: 300, FECHA_VEN: haceDias(-10) },
+          { CVE_CLPV: '20', NOMBRE_CLIENTE: 'CLIENTE B', SALDO: 200, FECHA_VEN: haceDias(45) }
+        ]
+      },
+      {
+        empresa: '03',
+        sql: "WHERE F.METODODEPAGO = 'PPD'",
+        filas: [{ CVE_CLPV: '10', NOMBRE_CLIENTE: 'CLIENTE A', SALDO: 50.005, FECHA_VEN: haceDias(100) }]
+      }
+    );
+
+    const res = await get('/api/dashboard/cxc-resumen?mes=2&anio=2026');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.cobrabilidad, { total_facturado: 1000, total_cobrado: 250, indice_cobrabilidad: 25 });
+    assert.deepEqual(res.body.antiguedad_saldos, [
+      { etiqueta: 'Al corriente', monto: 300 },
+      { etiqueta: '1-30 días', monto: 0 },
+      { etiqueta: '31-60 días', monto: 200 },
+      { etiqueta: '61-90 días', monto: 0 },
+      { etiqueta: '90+ días', monto: 50.01 }
+    ]);
+    assert.deepEqual(res.body.top_deudores, [
+      { nombre: 'CLIENTE A', monto: 350.01 },
+      { nombre: 'CLIENTE B', monto: 200 }
+    ]);
+  });
+});
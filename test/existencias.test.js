@@ -0,0 +1,61 @@
+// test/existencias.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { falso } = require('./ayudantes');
+const { ejecutarConContexto, fuentesNoDisponibles } = require('../src/contexto');
+const { processExistencias, agregarExistenciasOtrasEmpresas } = require('../src/repositories/existenciasRepository');
+
+describe('processExistencias', () => {
+  it('agrupa las columnas ALM_<id>_EXIST por nombre de sucursal y las quita de la fila', () => {
+    const [fila] = processExistencias([
+      { CVE_ART: 'A', ALM_1_EXIST: '12.5', ALM_5_EXIST: null, ALM_6_EXIST: 3, ALM_10_EXIST: 0 }
+    ]);
+
+    assert.deepEqual(fila, {
+      CVE_ART: 'A',
+      existencias: { Durango: 12.5, Mazatlán: 0, Zacatecas: 3, Querétaro: 0, Fresnillo: 0 }
+    });
+  });
+
+  it('deja en null las sucursales de una empresa que no respondió en la petición', () => {
+    const contexto = { fuentesNoDisponibles: new Map([['03', { empresa: '03' }]]) };
+    const [fila] = ejecutarConContexto(contexto, () => processExistencias([{ CVE_ART: 'A', ALM_1_EXIST: 2, ALM_10_EXIST: null }]));
+
+    assert.equal(fila.existencias.Durango, 2);
+    assert.equal(fila.existencias.Fresnillo, null);
+  });
+});
+
+describe('agregarExistenciasOtrasEmpresas', () => {
+  beforeEach(() => falso.reiniciar());
+
+  it('agrega la existencia de Fresnillo (Empresa 03, almacén 3) como ALM_10_EXIST', async () => {
+    falso.responder({ empresa: '03', sql: 'FROM MULT03', filas: [{ ART: 'A', CVE_ALM: 3, EXIST: 4 }] });
+
+    const data = await agregarExistenciasOtrasEmpresas([{ CVE_ART: 'A ' }, { CVE_ART: 'B' }, { CVE_ART: 'A' }]);
+
+    assert.deepEqual(data.map(d => d.ALM_10_EXIST), [4, 0, 4]);
+    const [consulta] = falso.consultas('FROM MULT03');
+    assert.deepEqual(consulta.params, ['A', 'B']);
+    assert.match(consulta.sql, /CVE_ALM IN \(\?\)/);
+  });
+
+  it('deja la existencia de Fresnillo en null y reporta la Empresa 03 si no responde', async () => {
+    falso.responder({
+      empresa: '03', sql: 'FROM MULT03', error: Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })
+    });
+
+    await ejecutarConContexto({}, async () => {
+      const data = await agregarExistenciasOtrasEmpresas([{ CVE_ART: 'A', ALM_1_EXIST: 2 }]);
+
+      assert.deepEqual(data, [{ CVE_ART: 'A', ALM_1_EXIST: 2, ALM_10_EXIST: null }]);
+      assert.deepEqual(fuentesNoDisponibles().map(f => [f.empresa, f.codigo]), [['03', 'BD_NO_DISPONIBLE']]);
+    });
+  });
+
+  it('propaga los errores que no son de disponibilidad', async () => {
+    falso.responder({ empresa: '03', sql: 'FROM MULT03', error: new Error('Dynamic SQL Error SQL error code = -104') });
+
+    await assert.rejects(agregarExistenciasOtrasEmpresas([{ CVE_ART: 'A' }]), { codigo: 'ERROR_BASE_DATOS' });
+  });
+});
@@ -0,0 +1,80 @@
+// test/grabaciones.test.js
+// Modo de grabación y reproducción (db/grabaciones.js): lo que se graba contra una base se puede
+// reproducir sin ella, con las columnas sensibles enmascaradas.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { falso, get } = require('./ayudantes');
+const { usarAdaptador } = require('../src/db');
+const { crearGrabadora, crearReproductora, enmascararValor } = require('../src/db/grabaciones');
+const { crearAdaptadorGrabador } = require('../src/db/adaptadores/grabador');
+const { crearAdaptadorReproductor } = require('../src/db/adaptadores/reproductor');
+
+// RFC buscado que no existe: la consulta no regresa filas y aun así no debe grabarse
+const RFC_SIN_CLIENTE = 'SCL020202XY9';
+
+const CLIENTE = {
+  CLAVE: '100', NOMBRE: 'FERRETERA DEL NORTE', RFC: 'FNO010101AB1',
+  EMAILPRED: 'compras@ferretera.mx', TELEFONO: '4929991234', STATUS: 'A'
+};
+
+describe('grabación y reproducción', () => {
+  let directorio;
+
+  before(async () => {
+    directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'grabaciones-'));
+    falso.responder({ sql: 'FROM CLIE02', filas: ([rfc]) => (rfc === CLIENTE.RFC ? [CLIENTE] : []) });
+
+    // Graba con el adaptador falso como "base real"
+    const grabadora = crearGrabadora({ directorio, columnas: ['RFC', 'EMAILPRED', 'TELEFONO'] });
+    await usarAdaptador(def => crearAdaptadorGrabador(falso.fabrica(def), def, grabadora));
+    const res = await get(`/api/clientes/rfc/${CLIENTE.RFC}?sucursal=1`);
+    assert.equal(res.status, 200);
+    await get(`/api/clientes/rfc/${RFC_SIN_CLIENTE}?sucursal=1`);
+    await grabadora.pendientes();
+
+    await usarAdaptador(def => crearAdaptadorReproductor(def, crearReproductora({ directorio })));
+    falso.reiniciar();
+  });
+
+  after(() => fs.rmSync(directorio, { recursive: true, force: true }));
+
+  it('guarda un archivo por huella sin los datos sensibles', () => {
+    const archivos = fs.readdirSync(path.join(directorio, '02'));
+    assert.equal(archivos.length, 1);
+
+    const contenido = fs.readFileSync(path.join(directorio, '02', archivos[0]), 'utf8');
+    assert.match(contenido, /FERRETERA DEL NORTE/);
+    assert.doesNotMatch(contenido, /FNO010101AB1|compras@ferretera\.mx|4929991234/);
+    assert.doesNotMatch(contenido, new RegExp(RFC_SIN_CLIENTE), 'el RFC de una búsqueda sin filas también se enmascara');
+  });
+
+  it('reproduce la respuesta buscando por el RFC enmascarado', async () => {
+    const rfc = enmascararValor(CLIENTE.RFC);
+    const res = await get(`/api/clientes/rfc/${rfc}?sucursal=1`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total_encontrados, 1);
+    assert.equal(res.body.data[0].NOMBRE, CLIENTE.NOMBRE);
+    assert.equal(res.body.data[0].RFC, rfc);
+    assert.match(res.body.data[0].EMAILPRED, /@ejemplo\.invalid$/);
+    assert.equal(falso.consultas().length, 0);
+  });
+
+  it('reproduce la búsqueda sin filas con el RFC enmascarado', async () => {
+    const sinMascara = await get(`/api/clientes/rfc/${RFC_SIN_CLIENTE}?sucursal=1`);
+    assert.match(JSON.stringify(sinMascara.body), /Sin grabación para la Empresa 02/);
+
+    const res = await get(`/api/clientes/rfc/${enmascararValor(RFC_SIN_CLIENTE)}?sucursal=1`);
+    assert.equal(res.status, 404);
+  });
+
+  it('reporta las consultas que no se grabaron', async () => {
+    const res = await get('/api/clientes/rfc/OTRO010101AAA?sucursal=1');
+
+    assert.equal(res.status, 500);
+    assert.match(JSON.stringify(res.body), /Sin grabación para la Empresa 02/);
+  });
+});
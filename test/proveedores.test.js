@@ -0,0 +1,90 @@
+// test/proveedores.test.js
+// Resolución de la clave interna a partir de la clave de un proveedor (resolverClave en routes/proveedores.js):
+// primero el campo libre del proveedor en el catálogo, luego las claves alternas.
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { falso, get, post } = require('./ayudantes');
+
+// RFC -> clave del proveedor en PROV02 (35 guarda su clave en CLA_SYR; 99 no tiene campo libre)
+const PROVEEDORES = { SYR010101AAA: '35', OTR010101BBB: '99' };
+
+const responderCatalogo = () => falso.responder(
+  { sql: 'FROM PROV02', filas: ([rfc]) => (PROVEEDORES[rfc] ? [{ ID_PROV: PROVEEDORES[rfc] }] : []) },
+  { sql: 'FROM INVE_CLIB02 C INNER JOIN INVE02 I', filas: ([cve]) => (cve === 'S-100' ? [{ CVE_ART: ' ART1 ' }] : []) },
+  {
+    sql: 'FROM CVES_ALTER02 A INNER JOIN INVE02 I',
+    filas: ([idProv, cve]) => (cve === 'ALT-7' ? [{ CVE_ART: `ART2-${idProv}` }] : [])
+  }
+);
+
+describe('GET /api/getclavesprovee', () => {
+  beforeEach(() => {
+    falso.reiniciar();
+    responderCatalogo();
+  });
+
+  it('resuelve por el campo libre del proveedor en el catálogo', async () => {
+    const res = await get('/api/getclavesprovee?rfc=SYR010101AAA&clave_proveedor=S-100');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { claveprove: 'S-100', clave: 'ART1', origen: 'Catálogo' });
+    assert.match(falso.consultas('FROM INVE_CLIB02 C')[0].sql, /TRIM\(C\.CAMPLIB15\)/);
+  });
+
+  it('usa las claves alternas si el catálogo no tiene la clave', async () => {
+    const res = await get('/api/getclavesprovee?rfc=SYR010101AAA&clave=ALT-7');
+
+    assert.deepEqual(res.body, { claveprove: 'ALT-7', clave: 'ART2-35', origen: 'Clave alterna' });
+    assert.deepEqual(falso.consultas('FROM CVES_ALTER02')[0].params, ['35', 'ALT-7']);
+  });
+
+  it('va directo a las claves alternas si el proveedor no tiene campo libre', async () => {
+    const res = await get('/api/getclavesprovee?rfc=OTR010101BBB&clave_proveedor=ALT-7');
+
+    assert.equal(res.body.origen, 'Clave alterna');
+    assert.equal(falso.consultas('FROM INVE_CLIB02 C').length, 0);
+  });
+
+  it('sigue con las claves alternas si la consulta al catálogo falla', async () => {
+    falso.responder({ sql: 'FROM INVE_CLIB02 C INNER JOIN INVE02 I', error: new Error('Dynamic SQL Error') });
+
+    const res = await get('/api/getclavesprovee?rfc=SYR010101AAA&clave_proveedor=ALT-7');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.origen, 'Clave alterna');
+  });
+
+  it('reporta "No encontrado" sin clave', async () => {
+    const res = await get('/api/getclavesprovee?rfc=SYR010101AAA&clave_proveedor=NADA');
+
+    assert.deepEqual(res.body, { claveprove: 'NADA', clave: null, origen: 'No encontrado' });
+  });
+
+  it('responde 404 si el RFC no es de un proveedor', async () => {
+    const res = await get('/api/getclavesprovee?rfc=XXX&clave_proveedor=S-100');
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.codigo, 'NO_ENCONTRADO');
+  });
+});
+
+describe('POST /api/getclavesprovee', () => {
+  beforeEach(() => {
+    falso.reiniciar();
+    responderCatalogo();
+  });
+
+  it('resuelve cada clave en el orden recibido', async () => {
+    const res = await post('/api/getclavesprovee', { rfc: 'SYR010101AAA', claves: ['S-100', 'ALT-7', 'NADA'] });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, {
+      cve_clpv: '35',
+      partidas: [
+        { claveprove: 'S-100', clave: 'ART1', origen: 'Catálogo' },
+        { claveprove: 'ALT-7', clave: 'ART2-35', origen: 'Clave alterna' },
+        { claveprove: 'NADA', clave: null, origen: 'No encontrado' }
+      ]
+    });
+  });
+});
@@ -0,0 +1,82 @@
+// test/registro.test.js
+// Id de correlación (X-Request-Id): se acepta o se genera, se regresa en la respuesta y aparece
+// en cada línea del log estructurado de la petición, incluidas las de la capa de datos.
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { falso, get } = require('./ayudantes');
+const app = require('../src/app');
+
+/**
+ * Ejecuta fn capturando las líneas JSON que se escriben en stdout y stderr.
+ */
+const capturarLog = async (fn) => {
+  const lineas = [];
+  const originales = { stdout: process.stdout.write, stderr: process.stderr.write };
+  for (const flujo of ['stdout', 'stderr']) {
+    process[flujo].write = (texto, ...resto) => {
+      String(texto).split('\n').filter(l => l.startsWith('{')).forEach(l => lineas.push(JSON.parse(l)));
+      return originales[flujo].call(process[flujo], texto, ...resto);
+    };
+  }
+  try {
+    await fn();
+    await new Promise(resolve => setImmediate(resolve));
+  } finally {
+    process.stdout.write = originales.stdout;
+    process.stderr.write = originales.stderr;
+  }
+  return lineas;
+};
+
+describe('X-Request-Id', () => {
+  beforeEach(() => falso.reiniciar());
+
+  it('genera un id por petición o acepta el del cliente si es válido', async () => {
+    falso.responder({ sql: 'GROUP BY NUM_ALMA', filas: [] });
+
+    const generado = await get('/api/dashboard/ventas-resumen?mes=3&anio=2026');
+    assert.match(generado.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+
+    const propio = await get('/api/dashboard/ventas-resumen?mes=3&anio=2026').set('X-Request-Id', 'tienda-123');
+    assert.equal(propio.headers['x-request-id'], 'tienda-123');
+
+    const invalido = await get('/api/dashboard/ventas-resumen?mes=3&anio=2026').set('X-Request-Id', 'a b"c');
+    assert.notEqual(invalido.headers['x-request-id'], 'a b"c');
+  });
+
+  it('marca con el id el acceso, el error de la consulta y el error de la respuesta', async () => {
+    falso.responder(
+      { sql: 'GROUP BY NUM_ALMA', filas: [] },
+      { empresa: '02', sql: 'FROM FACTF02', error: new Error('Dynamic SQL Error SQL error code = -104') }
+    );
+
+    const lineas = await capturarLog(async () => {
+      const res = await get('/api/dashboard/ventas-resumen?mes=3&anio=2026').set('X-Request-Id', 'falla-1');
+      assert.equal(res.status, 500);
+    });
+
+    const delaPeticion = lineas.filter(l => l.requestId === 'falla-1');
+    const consulta = delaPeticion.find(l => l.mensaje === 'Error al ejecutar la consulta');
+    assert.equal(consulta.nivel, 'error');
+    assert.equal(consulta.empresa, '02');
+    assert.equal(consulta.cliente, 'interno');
+    assert.match(consulta.error.mensaje, /Dynamic SQL Error/);
+
+    assert.ok(delaPeticion.some(l => l.mensaje === 'Error al atender la petición'));
+    const acceso = delaPeticion.find(l => l.mensaje === 'Petición atendida');
+    assert.equal(acceso.estado, 500);
+    assert.equal(acceso.url, '/api/dashboard/ventas-resumen?mes=3&anio=2026');
+  });
+
+  it('registra el acceso de las peticiones rechazadas por la llave', async () => {
+    const lineas = await capturarLog(async () => {
+      const res = await request(app).get('/api/dashboard/ventas-resumen').set('X-Request-Id', 'sin-llave-1');
+      assert.equal(res.status, 403);
+    });
+
+    const acceso = lineas.find(l => l.requestId === 'sin-llave-1' && l.mensaje === 'Petición atendida');
+    assert.equal(acceso.estado, 403);
+    assert.equal(acceso.cliente, undefined);
+  });
+});
@@ -0,0 +1,35 @@
+// test/salud.test.js
+// /health/ready: sólo las empresas requeridas deciden si la API está lista.
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { falso, get } = require('./ayudantes');
+
+const caida = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+describe('GET /health/ready', () => {
+  beforeEach(() => {
+    falso.reiniciar();
+    falso.responder({ sql: 'FROM RDB$DATABASE', filas: [{ CONSTANT: 1 }] });
+  });
+
+  it('sigue lista con sólo la Empresa 03 caída, que no es requerida por defecto', async () => {
+    falso.responder({ empresa: '03', sql: 'FROM RDB$DATABASE', error: caida() });
+
+    const res = await get('/health/ready');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.estado, 'lista');
+    const fresnillo = res.body.empresas.find(e => e.id === '03');
+    assert.equal(fresnillo.requerida, false);
+    assert.equal(fresnillo.disponible, false);
+  });
+
+  it('no está lista si la Empresa 02 no responde', async () => {
+    falso.responder({ empresa: '02', sql: 'FROM RDB$DATABASE', error: caida() });
+
+    const res = await get('/health/ready');
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.estado, 'no_lista');
+  });
+});
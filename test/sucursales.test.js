@@ -0,0 +1,57 @@
+// test/sucursales.test.js
+// Llaves limitadas a ciertas sucursales (sucursales en API_CLIENTES_CONFIG): sólo rutas que eligen la
+// sucursal con un parámetro x-sucursal o que no entregan datos por sucursal.
+const { describe, it, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hashLlave } = require('../src/config/llaves');
+
+const LLAVE = 'llave-sucursal-durango';
+const archivoClientes = path.join(os.tmpdir(), `clientes-pruebas-${process.pid}.json`);
+fs.writeFileSync(archivoClientes, JSON.stringify([
+  { nombre: 'tienda-durango', hash: hashLlave(LLAVE), scopes: ['*'], sucursales: [1] }
+]));
+process.env.PRUEBAS_CLIENTES_CONFIG = archivoClientes;
+
+const request = require('supertest');
+const { falso } = require('./ayudantes');
+const app = require('../src/app');
+
+const getTienda = (ruta) => request(app).get(ruta).set('x-api-key', LLAVE);
+
+describe('llave limitada a la sucursal 1', () => {
+  after(() => fs.rmSync(archivoClientes, { force: true }));
+
+  beforeEach(() => falso.reiniciar());
+
+  it('rechaza las rutas que entregan datos de todas las sucursales', async () => {
+    const rutas = [
+      '/existencias', '/existenciaalm/A1', '/api/dashboard/ventas-resumen', '/api/dashboard/ventas-tendencia',
+      '/api/productos', '/api/v1/existencias'
+    ];
+    for (const ruta of rutas) {
+      const res = await getTienda(ruta);
+      assert.equal(res.status, 403, ruta);
+      assert.match(res.body.detalle, /todas las sucursales/);
+    }
+    assert.equal(falso.consultas().length, 0);
+  });
+
+  it('permite las rutas sin datos por sucursal', async () => {
+    falso.responder({ sql: 'FROM ALMACENES02', filas: [{ id: 1, nombre: 'DURANGO' }] });
+
+    const res = await getTienda('/api/catalogos/almacenes');
+    assert.equal(res.status, 200);
+  });
+
+  it('sólo acepta su sucursal en el parámetro x-sucursal', async () => {
+    falso.responder({ sql: 'FROM CLIE02', filas: [] });
+
+    assert.equal((await getTienda('/api/clientes/rfc/XAXX010101000?sucursal=1')).status, 404);
+    assert.equal((await getTienda('/api/clientes/rfc/XAXX010101000?sucursal=5')).status, 403);
+    assert.equal((await getTienda('/api/clientes/rfc/XAXX010101000?sucursal=1abc')).status, 403);
+    assert.equal((await getTienda('/api/clientes/rfc/XAXX010101000')).status, 403);
+  });
+});
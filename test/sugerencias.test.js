@@ -0,0 +1,74 @@
+// test/sugerencias.test.js
+// Filtrado cruzado de /api/catalogos/sugerencias-v2: las opciones de cada medida se calculan con
+// todos los DEMÁS filtros aplicados, para que el usuario pueda cambiar la medida ya elegida.
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { falso, get } = require('./ayudantes');
+
+const SQL_UNIVERSO = 'FROM INVE02 I INNER JOIN INVE_CLIB02 C';
+
+const UNIVERSO = [
+  { DI: '10', DE: '20', ALT: '5', SEC: '5', PERFIL: 'B3', LINEA: 'SELL' },
+  { DI: '10', DE: '22', ALT: '6', SEC: '6', PERFIL: 'b3 ', LINEA: 'SELL' },
+  { DI: '12,5', DE: '20', ALT: '5', SEC: '5', PERFIL: 'K35', LINEA: 'HIDR' },
+  { DI: '15', DE: '25', ALT: null, SEC: '7', PERFIL: null, LINEA: 'HIDR' },
+  { DI: '', DE: '30', ALT: '8', SEC: '8', PERFIL: 'B3', LINEA: null }
+];
+
+const sugerencias = (query) => get(`/api/catalogos/sugerencias-v2?familia=sellos&sist_med=mm&${query}`);
+
+describe('GET /api/catalogos/sugerencias-v2', () => {
+  beforeEach(() => {
+    falso.reiniciar();
+    falso.responder({ sql: SQL_UNIVERSO, filas: UNIVERSO });
+  });
+
+  it('sin filtros regresa todas las opciones únicas y ordenadas', async () => {
+    const res = await sugerencias('');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, {
+      opciones_di: [10, 12.5, 15],
+      opciones_de: [20, 22, 25, 30],
+      opciones_altura: [5, 6, 8],
+      opciones_seccion: [5, 6, 7, 8],
+      opciones_perfiles: ['B3', 'K35'],
+      opciones_lineas: ['HIDR', 'SELL']
+    });
+  });
+
+  it('cada filtro restringe las demás medidas pero no la suya', async () => {
+    const res = await sugerencias('diam_int=10');
+
+    assert.deepEqual(res.body.opciones_di, [10, 12.5, 15]);
+    assert.deepEqual(res.body.opciones_de, [20, 22]);
+    assert.deepEqual(res.body.opciones_perfiles, ['B3']);
+    assert.deepEqual(res.body.opciones_lineas, ['SELL']);
+  });
+
+  it('combina filtros y acepta coma decimal y perfiles entre comillas', async () => {
+    const res = await sugerencias(`diam_ext=20&perfiles=${encodeURIComponent("'k35', \"X\"")}`);
+
+    assert.deepEqual(res.body.opciones_di, [12.5]);
+    assert.deepEqual(res.body.opciones_perfiles, ['B3', 'K35']);
+    assert.deepEqual(res.body.opciones_de, [20]);
+
+    const conComa = await sugerencias('diam_int=12,5');
+    assert.deepEqual(conComa.body.opciones_de, [20]);
+  });
+
+  it('unifica SELLOS U y SELLOS DE VASTAGO en una sola consulta', async () => {
+    await get('/api/catalogos/sugerencias-v2?familia=sellos%20u&sist_med=%20pulg%20');
+
+    const [consulta] = falso.consultas(SQL_UNIVERSO);
+    assert.deepEqual(consulta.params, ['SELLOS U', 'SELLOS DE VASTAGO', 'PULG']);
+    assert.match(consulta.sql, /IN \(CAST\(\? AS VARCHAR\(\?\)\), CAST\(\? AS VARCHAR\(\?\)\)\)/);
+  });
+
+  it('responde 400 sin sist_med', async () => {
+    const res = await get('/api/catalogos/sugerencias-v2?familia=sellos');
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.codigo, 'PETICION_INVALIDA');
+  });
+});
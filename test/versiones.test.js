@@ -0,0 +1,109 @@
+// test/versiones.test.js
+// API v1 (/api/v1): mismas rutas con nombres consistentes y el sobre { data, meta }; las rutas anteriores
+// siguen funcionando como alias obsoletos con Deprecation, Sunset, Link y contadores de uso.
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { falso, get } = require('./ayudantes');
+const documento = require('../src/docs/openapi');
+const { RUTAS_V1, SUCESORAS } = require('../src/docs/versiones');
+
+const VENTAS = [
+  { empresa: '02', sql: 'FROM FACTF02', filas: [{ NUM_ALMA: 1, TOTAL: 1000 }] },
+  { sql: 'GROUP BY NUM_ALMA', filas: [] }
+];
+
+describe('API v1', () => {
+  beforeEach(() => falso.reiniciar());
+
+  it('responde lo mismo que la ruta heredada dentro de data, sin cabeceras de obsolescencia', async () => {
+    falso.responder(...VENTAS);
+
+    const heredada = await get('/api/dashboard/ventas-resumen?mes=3&anio=2026');
+    const v1 = await get('/api/v1/ventas/resumen?mes=3&anio=2026');
+
+    assert.equal(v1.status, 200);
+    assert.deepEqual(v1.body, { data: heredada.body });
+    assert.equal(v1.headers.deprecation, undefined);
+    assert.equal(v1.headers.sunset, undefined);
+  });
+
+  it('pasa los campos junto a data (paginación, totales) a meta', async () => {
+    falso.responder(
+      { sql: 'FROM INVE02 T1', filas: [] },
+      { sql: 'SELECT COUNT(DISTINCT T1.CVE_ART) AS TOTAL', filas: [{ TOTAL: 45 }] }
+    );
+
+    const res = await get('/api/v1/catalogo/filtros/medidas?familia=sellos&diam_int=12,5&limit=20&offset=40');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data, []);
+    assert.deepEqual(res.body.meta.pagination, { currentPage: 3, totalPages: 3, totalRecords: 45, limit: 20 });
+  });
+
+  it('traslada los parámetros de path y conserva la validación y los errores de la ruta heredada', async () => {
+    falso.responder({ sql: 'FROM MULT02', filas: ([clave]) => (clave === 'A/1' ? [{ CVE_ART: 'A/1', CVE_ALM: 1, EXIST: 4 }] : []) });
+
+    const existencias = await get('/api/v1/productos/A%2F1/existencias');
+    assert.equal(existencias.status, 200);
+    assert.deepEqual(existencias.body, { data: [{ CVE_ART: 'A/1', CVE_ALM: 1, EXIST: 4 }] });
+
+    const noEncontrada = await get('/api/v1/productos/B2/existencias');
+    assert.equal(noEncontrada.status, 404);
+    assert.equal(noEncontrada.body.codigo, 'NO_ENCONTRADO');
+
+    const invalida = await get('/api/v1/ventas/resumen?mes=13');
+    assert.equal(invalida.status, 400);
+    assert.equal(invalida.body.data, undefined);
+
+    assert.equal((await get('/api/v1/no-existe')).status, 404);
+  });
+
+  it('documenta cada ruta v1 y marca como obsoletas las heredadas', () => {
+    for (const { ruta, legado } of RUTAS_V1) {
+      const [metodo] = Object.keys(documento.paths[legado]);
+      assert.ok(documento.paths[ruta]?.[metodo], `${ruta} debe estar documentada`);
+      assert.equal(documento.paths[ruta][metodo].deprecated, undefined);
+    }
+    for (const legado of SUCESORAS.keys()) {
+      assert.ok(Object.values(documento.paths[legado]).every(op => op.deprecated === true), `${legado} debe ser obsoleta`);
+    }
+    assert.equal(documento.paths['/api/v1/clientes/rfc/{rfc}'].get['x-auditoria'], true);
+  });
+});
+
+describe('Rutas heredadas', () => {
+  beforeEach(() => falso.reiniciar());
+
+  it('avisan su obsolescencia y la ruta que las sustituye', async () => {
+    falso.responder(...VENTAS);
+
+    const res = await get('/api/dashboard/ventas-resumen?mes=3&anio=2026');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.deprecation, /^@\d+$/);
+    assert.equal(res.headers.sunset, 'Fri, 30 Apr 2027 00:00:00 GMT');
+    assert.equal(res.headers.link, '</api/v1/ventas/resumen>; rel="successor-version"');
+
+    const publicoGeneral = { CLAVE: '1', NOMBRE: 'PUBLICO EN GENERAL', RFC: 'XAXX010101000', STATUS: 'A' };
+    falso.responder({ sql: 'FROM CLIE02', filas: [publicoGeneral] }, { sql: 'FROM CLIE03', filas: [publicoGeneral] });
+    const cliente = await get('/api/clientes/rfc/XAXX010101000');
+    assert.equal(cliente.status, 200);
+    assert.equal(cliente.headers.link, '</api/v1/clientes/rfc/XAXX010101000>; rel="successor-version"');
+  });
+
+  it('cuentan su uso por cliente en /api/admin/rutas-legado y en /metrics', async () => {
+    falso.responder({ sql: 'FROM MULT02', filas: ([clave]) => [{ CVE_ART: clave, CVE_ALM: 1, EXIST: 4 }] });
+    for (const ruta of ['/existenciaalm/A1', '/existenciaalm/B2', '/api/v1/productos/A1/existencias']) {
+      assert.equal((await get(ruta)).status, 200, ruta);
+    }
+
+    const res = await get('/api/admin/rutas-legado');
+    const uso = res.body.find(u => u.ruta === '/existenciaalm/{clave}');
+    assert.equal(uso.total, 2);
+    assert.deepEqual(uso.clientes, { interno: 2 });
+    assert.equal(uso.sucesora, '/api/v1/productos/{clave}/existencias');
+    assert.ok(!res.body.some(u => u.ruta.startsWith('/api/v1')));
+
+    const metricas = await get('/metrics');
+    assert.match(metricas.text, /http_legacy_requests_total\{method="GET",route="\/existenciaalm\/\{clave\}",client="interno"\} 2/);
+  });
+});